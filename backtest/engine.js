@@ -0,0 +1,173 @@
+import { PaperExchange } from '../services/paper-exchange.service.js';
+import validationService from '../services/validation.service.js';
+import riskService from '../services/risk.service.js';
+import riskProfileService from '../services/risk-profile.service.js';
+import { calculateMetrics } from './metrics.js';
+
+/**
+ * Прогін історичних сигналів через ту саму валідацію та risk-логіку, що й у живому боті.
+ *
+ * Виконання — на PaperExchange з цінами зі свічок KuCoin (open наступної свічки
+ * після сигналу), з прослизанням і taker комісією.
+ *
+ * @param {Object}     options
+ * @param {Array}      options.events     — [{ time, signal }] відсортовані за часом
+ * @param {KlineStore} options.klines
+ * @param {Map}        options.contracts  — symbol → контракт
+ * @param {Object}     options.settings   — { risk, trading, tradingHours, symbolFilters } (risk — база для ризик-профілів символів)
+ * @param {Object}     options.paper      — { startBalance, slippagePercent, takerFeePercent }
+ * @returns {Promise<{trades, equityCurve, rejected, metrics}>}
+ */
+export async function runBacktest({ events, klines, contracts, settings, paper }) {
+  let now = events.length > 0 ? events[0].time : 0;
+
+  const getPrice = async (symbol) => {
+    const price = klines.priceAt(symbol, now);
+    if (!price) {
+      throw new Error(`No kline data for ${symbol} at ${new Date(now).toISOString()}`);
+    }
+    return price;
+  };
+
+  const getSymbolInfo = async (symbol) => {
+    const contract = contracts.get(symbol);
+    if (!contract) {
+      throw new Error(`Contract ${symbol} not found`);
+    }
+    return contract;
+  };
+
+  const exchange = new PaperExchange({
+    ...paper,
+    getPrice,
+    getContract: getSymbolInfo,
+    now: () => now
+  });
+
+  const openPositions = new Map();
+  const positions = {
+    hasOpenPosition: (symbol) => openPositions.has(symbol),
+    getOpenPositionsCount: () => openPositions.size
+  };
+
+  const trades = [];
+  const rejected = [];
+  const equityCurve = [{ time: now, equity: paper.startBalance }];
+  const dailyTrades = new Map();   // YYYY-MM-DD → кількість
+
+  const closeTrade = async (symbol, closeReason) => {
+    const position = openPositions.get(symbol);
+    const closeSide = position.direction === 'LONG' ? 'sell' : 'buy';
+    const result = await exchange.closeMarketOrder(symbol, closeSide, position.quantity, position.leverage);
+    const closeOrder = exchange.orders.find(order => order.id === result.orderId);
+
+    const fees = position.entryFee + parseFloat(closeOrder.fee);
+    const pnl = closeOrder.realisedPnl - fees;
+
+    trades.push({
+      symbol,
+      direction: position.direction,
+      entryTime: position.entryTime,
+      exitTime: now,
+      entryPrice: position.entryPrice,
+      exitPrice: parseFloat(closeOrder.price),
+      quantity: position.quantity,
+      leverage: position.leverage,
+      fees,
+      pnl,
+      pnlPercent: pnl / position.margin * 100,
+      holdMinutes: (now - position.entryTime) / 60000,
+      closeReason
+    });
+
+    openPositions.delete(symbol);
+    equityCurve.push({ time: now, equity: await exchange.getEquity() });
+  };
+
+  for (const { time, signal } of events) {
+    now = time;
+    const { symbol, direction } = signal;
+
+    if (signal.type === 'OPEN') {
+      const day = new Date(now).toISOString().split('T')[0];
+
+      const validation = await validationService.validateSignal(signal, {
+        now,
+        positions,
+        dailyTrades: dailyTrades.get(day) || 0,
+        getBalance: () => exchange.getUSDTBalance(),
+        getSymbolInfo,
+        settings
+      });
+
+      if (!validation.valid) {
+        rejected.push({ time, symbol, direction, reason: validation.reason });
+        continue;
+      }
+
+      try {
+        const balance = await exchange.getUSDTBalance();
+        const symbolInfo = await getSymbolInfo(symbol);
+        const params = riskService.calculatePositionParameters(
+          balance,
+          await getPrice(symbol),
+          direction,
+          symbolInfo,
+          riskProfileService.resolve(symbol, settings.risk)
+        );
+
+        const side = direction === 'LONG' ? 'buy' : 'sell';
+        const result = await exchange.openMarketOrder(symbol, side, params.quantity, params.leverage);
+        const openOrder = exchange.orders.find(order => order.id === result.orderId);
+
+        openPositions.set(symbol, {
+          direction,
+          quantity: result.quantity,
+          leverage: params.leverage,
+          entryTime: now,
+          entryPrice: parseFloat(openOrder.price),
+          entryFee: parseFloat(openOrder.fee),
+          margin: params.requiredMargin
+        });
+
+        dailyTrades.set(day, (dailyTrades.get(day) || 0) + 1);
+      } catch (error) {
+        rejected.push({ time, symbol, direction, reason: error.message });
+      }
+    } else if (signal.type === 'CLOSE' && openPositions.has(symbol)) {
+      try {
+        await closeTrade(symbol, 'SIGNAL');
+      } catch (error) {
+        rejected.push({ time, symbol, direction: 'CLOSE', reason: error.message });
+      }
+    }
+  }
+
+  // Позиції без EXIT сигналу закриваємо по останній доступній свічці
+  for (const symbol of Array.from(openPositions.keys())) {
+    now = Math.max(now, klines.lastTime(symbol) || now);
+
+    try {
+      await closeTrade(symbol, 'END_OF_DATA');
+    } catch (error) {
+      rejected.push({ time: now, symbol, direction: 'CLOSE', reason: error.message });
+    }
+  }
+
+  return {
+    trades,
+    equityCurve,
+    rejected,
+    metrics: calculateMetrics({
+      trades,
+      equityCurve,
+      rejected,
+      startBalance: paper.startBalance,
+      totalSignals: events.filter(event => event.signal.type === 'OPEN').length
+    })
+  };
+}
+
+export default {
+  runBacktest
+};
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Завантажує історичні повідомлення каналу.
+ *
+ * Підтримувані формати:
+ *   - експорт Telegram Desktop (result.json): { messages: [{ id, date, date_unixtime, text }] }
+ *     де text — рядок або масив фрагментів (рядків / { type, text })
+ *   - JSONL: по одному { messageId, date, text } на рядок
+ *     (date — unix секунди, мс або ISO-рядок)
+ *
+ * @returns {Array<{messageId, date: number, text: string}>} відсортовані за часом
+ */
+export function loadMessages(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  let records;
+
+  if (file.endsWith('.jsonl')) {
+    records = raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  } else {
+    const parsed = JSON.parse(raw);
+    records = Array.isArray(parsed) ? parsed : parsed.messages || [];
+  }
+
+  return records
+    .map(record => ({
+      messageId: record.messageId ?? record.id ?? null,
+      date: parseDate(record.date_unixtime ?? record.date),
+      text: flattenText(record.text)
+    }))
+    .filter(message => message.text && message.date)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Перетворює дату повідомлення в мс
+ */
+function parseDate(value) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const number = Number(value);
+    // Секунди (Telegram) чи мілісекунди
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  // ISO без часової зони (експорт Telegram) вважаємо UTC
+  const iso = /[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`;
+  const time = Date.parse(iso);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Текст повідомлення з експорту Telegram може бути масивом фрагментів
+ */
+function flattenText(text) {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Сховище свічок: <dir>/<SYMBOL>.json з масивом [time, open, high, low, close, volume]
+ */
+export class KlineStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.klines = new Map();
+  }
+
+  /**
+   * Свічки символу (завантажуються при першому зверненні)
+   */
+  get(symbol) {
+    if (!this.klines.has(symbol)) {
+      const file = path.join(this.dir, `${symbol}.json`);
+      const klines = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8')).sort((a, b) => a[0] - b[0])
+        : [];
+      this.klines.set(symbol, klines);
+    }
+
+    return this.klines.get(symbol);
+  }
+
+  /**
+   * Ціна виконання на момент time: open першої свічки, що почалася не раніше time.
+   * Так симуляція не "заглядає в майбутнє" всередині свічки сигналу.
+   *
+   * @returns {number|null} null, якщо даних на цей момент немає
+   */
+  priceAt(symbol, time) {
+    const klines = this.get(symbol);
+    if (klines.length === 0) return null;
+
+    const granularityMs = klines.length > 1 ? klines[1][0] - klines[0][0] : 60000;
+
+    // Бінарний пошук першої свічки з time >= заданого
+    let low = 0;
+    let high = klines.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (klines[mid][0] < time) low = mid + 1;
+      else high = mid;
+    }
+
+    const candle = klines[low];
+    if (!candle || candle[0] - time > granularityMs * 5) {
+      return null;
+    }
+
+    return candle[1];
+  }
+
+  /**
+   * Час останньої свічки символу (або null)
+   */
+  lastTime(symbol) {
+    const klines = this.get(symbol);
+    return klines.length > 0 ? klines[klines.length - 1][0] : null;
+  }
+}
+
+/**
+ * Завантажує контракти (формат kucoinService.getActiveContracts()) → Map за символом
+ */
+export function loadContracts(file) {
+  if (!fs.existsSync(file)) {
+    return new Map();
+  }
+
+  const contracts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(contracts.map(contract => [contract.symbol, contract]));
+}
@@ -0,0 +1,58 @@
+/**
+ * Підсумкові метрики бектесту
+ *
+ * @param {Object} options
+ * @param {Array}  options.trades       — закриті угоди { pnl, fees, holdMinutes }
+ * @param {Array}  options.equityCurve  — [{ time, equity }]
+ * @param {Array}  options.rejected     — відхилені сигнали { reason }
+ * @param {number} options.startBalance
+ * @param {number} options.totalSignals — кількість OPEN сигналів
+ */
+export function calculateMetrics({ trades, equityCurve, rejected, startBalance, totalSignals }) {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const losses = trades.filter(trade => trade.pnl <= 0);
+
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+  const netPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+  const fees = trades.reduce((sum, trade) => sum + trade.fees, 0);
+
+  // Максимальна просадка від піку equity
+  let peak = startBalance;
+  let maxDrawdownPercent = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - point.equity) / peak * 100);
+  }
+
+  // Причини відхилення сигналів (без конкретних чисел, щоб групувались)
+  const rejectionReasons = {};
+  for (const item of rejected) {
+    const key = item.reason.replace(/[\d.]+/g, 'N');
+    rejectionReasons[key] = (rejectionReasons[key] || 0) + 1;
+  }
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startBalance;
+
+  return {
+    totalSignals,
+    trades: trades.length,
+    rejected: rejected.length,
+    winTrades: wins.length,
+    loseTrades: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length * 100 : 0,
+    netPnl,
+    fees,
+    roi: netPnl / startBalance * 100,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+    avgPnl: trades.length > 0 ? netPnl / trades.length : 0,
+    avgHoldMinutes: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.holdMinutes, 0) / trades.length : 0,
+    maxDrawdownPercent,
+    finalEquity,
+    rejectionReasons
+  };
+}
+
+export default {
+  calculateMetrics
+};
@@ -1,7 +1,33 @@
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { symbolPatternToRegExp } from '../utils/helpers.js';
 
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAINNET_BASE_URL = 'https://api-futures.kucoin.com';
+
+/**
+ * "SOLUSDTM:600,XBTUSDTM:3600" → { SOLUSDTM: 600, XBTUSDTM: 3600 }
+ */
+function parseSymbolMap(value) {
+  const map = {};
+
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(s => s)) {
+    const [symbol, raw] = entry.split(':').map(s => s.trim());
+    const number = parseFloat(raw);
+    if (!symbol || isNaN(number)) {
+      throw new Error(`Invalid SYMBOL:VALUE entry: ${entry}`);
+    }
+    map[symbol.toUpperCase()] = number;
+  }
+
+  return map;
+}
+
 // Валідація обов'язкових змінних
 const requiredEnvVars = [
   'KUCOIN_API_KEY',
@@ -23,26 +49,74 @@ export const config = {
     apiKey: process.env.KUCOIN_API_KEY,
     apiSecret: process.env.KUCOIN_API_SECRET,
     apiPassphrase: process.env.KUCOIN_API_PASSPHRASE,
-    baseURL: 'https://api-futures.kucoin.com',
-    // KuCoin не має testnet для futures, тільки mainnet
-    testnet: false
+    baseURL: process.env.KUCOIN_BASE_URL || MAINNET_BASE_URL,
+    // KuCoin не має testnet для futures — "testnet" означає будь-який не-mainnet URL
+    // (наприклад локальний mock: npm run mock → KUCOIN_BASE_URL=http://127.0.0.1:8090)
+    testnet: (process.env.KUCOIN_BASE_URL || MAINNET_BASE_URL) !== MAINNET_BASE_URL,
+    requestTimeoutMs: parseInt(process.env.KUCOIN_REQUEST_TIMEOUT_MS || '10000'),
+    retry: {
+      maxRetries: parseInt(process.env.KUCOIN_MAX_RETRIES || '3'),
+      baseDelayMs: parseInt(process.env.KUCOIN_RETRY_BASE_DELAY_MS || '500'),
+      maxDelayMs: parseInt(process.env.KUCOIN_RETRY_MAX_DELAY_MS || '8000')
+    }
+    // KUCOIN_MAX_RETRIES — скільки разів повторювати запит при 429 / 5xx / мережевих помилках
+    //   і відхиленому timestamp (повтор — після синхронізації годинника)
   },
 
   // Telegram
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
-    channelId: process.env.TELEGRAM_CHANNEL_ID
+    channelId: process.env.TELEGRAM_CHANNEL_ID,
+    apiURL: process.env.TELEGRAM_API_URL || 'https://api.telegram.org'
   },
 
   // Risk Management
-  // TP/SL більше не використовуються — позиція закривається по EXIT-сигналу
+  // Основний вихід — EXIT-сигнал; SL/TP на біржі — страховка, якщо сигнал не прийде
   risk: {
     leverage: parseInt(process.env.LEVERAGE || '10'),
     positionSizePercent: parseFloat(process.env.POSITION_SIZE_PERCENT || '5'),
     marginMode: (process.env.MARGIN_MODE || 'CROSS').toUpperCase(),
-    minSpreadPercent: parseFloat(process.env.MIN_SPREAD_PERCENT || '0')
+    minSpreadPercent: parseFloat(process.env.MIN_SPREAD_PERCENT || '0'),
     // MARGIN_MODE: CROSS (весь баланс) або ISOLATED (окрема маржа на позицію)
     // Рекомендовано: CROSS для початківців
+    stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT || '0'),
+    stopLossUSDT: parseFloat(process.env.STOP_LOSS_USDT || '0'),
+    takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT || '0'),
+    stopPriceType: (process.env.STOP_PRICE_TYPE || 'MP').toUpperCase(),
+    riskLimitAdjust: (process.env.RISK_LIMIT_ADJUST || 'size').toLowerCase()
+    // STOP_LOSS_PERCENT / TAKE_PROFIT_PERCENT — відстань стоп-ордера від ціни входу у % ціни (не ROE)
+    // STOP_LOSS_USDT — максимальний збиток на угоду в USDT (стоп рахується від розміру позиції)
+    // Якщо задано обидва SL — ставиться ближчий до входу. 0 — ордер не ставиться
+    // STOP_PRICE_TYPE: MP (mark price), TP (last trade price) або IP (index price) — чим тригериться стоп
+    // RISK_LIMIT_ADJUST — що робити, якщо LEVERAGE не дозволений для рівня risk limit, в який потрапляє позиція:
+    // size (зменшити розмір до дозволеного) або leverage (знизити плече, розмір той самий — маржа більша).
+    // Плече понад максимум контракту знижується завжди
+  },
+
+  // Circuit Breaker (зупинка входів після великих збитків)
+  circuitBreaker: {
+    maxDailyLossPercent: parseFloat(process.env.CIRCUIT_MAX_DAILY_LOSS_PERCENT || '0'),
+    maxDailyLossUSDT: parseFloat(process.env.CIRCUIT_MAX_DAILY_LOSS_USDT || '0'),
+    maxDrawdownPercent: parseFloat(process.env.CIRCUIT_MAX_DRAWDOWN_PERCENT || '0'),
+    flattenOnTrip: process.env.CIRCUIT_FLATTEN_ON_TRIP === 'true',
+    checkIntervalMs: parseInt(process.env.CIRCUIT_CHECK_INTERVAL_SEC || '60') * 1000
+    // Equity (баланс + нереалізований P&L) порівнюється з equity на початок дня (UTC) і з піком equity.
+    // CIRCUIT_MAX_DAILY_LOSS_PERCENT / CIRCUIT_MAX_DAILY_LOSS_USDT — денний збиток, після якого нові входи блокуються
+    // CIRCUIT_MAX_DRAWDOWN_PERCENT — просідання від піку equity
+    // CIRCUIT_FLATTEN_ON_TRIP=true — при спрацюванні також закрити всі відкриті позиції
+    // Блокування за денний збиток знімається з початком наступного дня (UTC), за просідання —
+    // лише командою /breaker_reset у каналі (вона знімає будь-яке блокування).
+    // 0 — поріг вимкнено
+  },
+
+  // Fair Price Re-verification (повторна перевірка розбіжності last / mark перед входом)
+  fairPriceCheck: {
+    enabled: process.env.FAIR_PRICE_CHECK_ENABLED !== 'false',
+    minLiveGapPercent: parseFloat(process.env.FAIR_PRICE_MIN_LIVE_GAP_PERCENT || '0')
+    // Перед відкриттям беремо поточні last і mark price з KuCoin і рахуємо розбіжність
+    // у напрямку сигналу (LONG: mark вище last, SHORT: mark нижче last).
+    // FAIR_PRICE_MIN_LIVE_GAP_PERCENT — якщо жива розбіжність не більша за це значення,
+    // вважаємо, що gap закрився, і не входимо. Від'ємне значення допускає невеликий розворот.
   },
 
   // Trading Settings
@@ -51,17 +125,152 @@ export const config = {
     // BLOCKED_SYMBOLS — чорний список монет які НЕ торгуємо
     // Приклад: BLOCKED_SYMBOLS=BTCUSDTM,ETHUSDTM
     // Якщо пусто — торгуємо всі монети
+    allowedSymbols: (process.env.ALLOWED_SYMBOLS || '').split(',').map(s => s.trim()).filter(s => s),
+    // ALLOWED_SYMBOLS — білий список: якщо задано, торгуємо ЛИШЕ ці монети (BLOCKED_SYMBOLS має пріоритет)
+    // В обох списках — символи або шаблони: XBTUSDTM, *USDTM, 1000*, DOGE?USDTM,
+    // /^(XBT|ETH)USDTM$/ (regex між слешами, без ком)
     maxDailyTrades: parseInt(process.env.MAX_DAILY_TRADES || '20'),
     maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS || '3'),
+    maxSignalAgeSec: parseFloat(process.env.MAX_SIGNAL_AGE_SEC || '0'),
+    // MAX_SIGNAL_AGE_SEC — OPEN сигнал, виявлений раніше ніж N секунд тому, ігнорується
+    // (затримки Telegram / polling). 0 — перевірка вимкнена
     dryRun: process.env.DRY_RUN === 'true'
   },
 
+  // Entry Execution (яким ордером входити в позицію)
+  execution: {
+    entryOrderType: (process.env.ENTRY_ORDER_TYPE || 'market').toLowerCase(),
+    limitOffsetPercent: parseFloat(process.env.ENTRY_LIMIT_OFFSET_PERCENT || '0'),
+    limitTimeoutSec: parseFloat(process.env.ENTRY_LIMIT_TIMEOUT_SEC || '10'),
+    onTimeout: (process.env.ENTRY_LIMIT_FALLBACK || 'market').toLowerCase()
+    // ENTRY_ORDER_TYPE: market, limit або post-only (limit, який біржа виконає лише як maker)
+    // ENTRY_LIMIT_OFFSET_PERCENT — зсув ціни limit ордера від last price сигналу:
+    //   додатний — агресивніше (LONG вище, SHORT нижче), від'ємний — пасивніше
+    // ENTRY_LIMIT_TIMEOUT_SEC — скільки чекати виконання, після цього ордер скасовується
+    // ENTRY_LIMIT_FALLBACK: market (добрати невиконаний залишок market ордером)
+    //   або abandon (залишити виконану частину; нічого не виконалось — не входити)
+  },
+
+  // Exit Policies (вихід без EXIT-сигналу)
+  exits: {
+    maxHoldSec: parseInt(process.env.MAX_HOLD_SEC || '0'),
+    maxHoldSecBySymbol: parseSymbolMap(process.env.MAX_HOLD_SEC_BY_SYMBOL),
+    // MAX_HOLD_SEC — позиція, що тримається довше, закривається market ордером (TIMEOUT). 0 — вимкнено
+    // MAX_HOLD_SEC_BY_SYMBOL — окремі ліміти: SOLUSDTM:600,XBTUSDTM:3600 (0 — без ліміту для символу)
+    trailingStopPercent: parseFloat(process.env.TRAILING_STOP_PERCENT || '0'),
+    trailingActivationPercent: parseFloat(process.env.TRAILING_ACTIVATION_PERCENT || '0')
+    // TRAILING_STOP_PERCENT — закрити (TRAILING_STOP), коли mark price відкотилась на N% від найкращої ціни. 0 — вимкнено
+    // TRAILING_ACTIVATION_PERCENT — трейлінг вмикається лише після руху ціни в плюс на N% від входу (0 — одразу)
+  },
+
+  // Funding (вхід перед funding-розрахунком і несприятлива ставка)
+  funding: {
+    blackoutSec: parseInt(process.env.FUNDING_BLACKOUT_SEC || '0'),
+    maxAdverseRatePercent: parseFloat(process.env.FUNDING_MAX_ADVERSE_RATE_PERCENT || '0'),
+    refreshSec: parseInt(process.env.FUNDING_REFRESH_SEC || '600')
+    // FUNDING_BLACKOUT_SEC — не входити, якщо до наступного funding менше N секунд. 0 — вимкнено
+    // FUNDING_MAX_ADVERSE_RATE_PERCENT — не входити, якщо ставка funding проти напрямку сигналу більша
+    //   за N% (LONG платить при додатній ставці, SHORT — при від'ємній). 0 — вимкнено
+    // FUNDING_REFRESH_SEC — як часто підтягувати funding платежі по відкритих позиціях
+  },
+
+  // Paper Trading (DRY_RUN=true)
+  paper: {
+    startBalance: parseFloat(process.env.PAPER_START_BALANCE || '1000'),
+    slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT || '0.05'),
+    takerFeePercent: parseFloat(process.env.PAPER_TAKER_FEE_PERCENT || '0.06'),
+    makerFeePercent: parseFloat(process.env.PAPER_MAKER_FEE_PERCENT || '0.02'),
+    simulateFunding: process.env.PAPER_SIMULATE_FUNDING !== 'false'
+    // PAPER_SIMULATE_FUNDING — нараховувати funding по paper-позиціях за ставкою контракту
+    // PAPER_SLIPPAGE_PERCENT — наскільки гірша ціна виконання market ордера
+    // PAPER_TAKER_FEE_PERCENT — комісія KuCoin Futures taker (0.06% за замовчуванням)
+    // PAPER_MAKER_FEE_PERCENT — комісія maker для limit ордерів, що чекали в книзі (0.02%)
+  },
+
   // Trading Hours (UTC)
   tradingHours: {
     enabled: process.env.TRADING_HOURS_ENABLED === 'true',
     startHour: parseInt(process.env.TRADING_START_HOUR || '0'),
     endHour: parseInt(process.env.TRADING_END_HOUR || '23'),
     timezone: process.env.TIMEZONE || 'UTC'
+  },
+
+  // WebSocket (real-time оновлення позицій та ордерів)
+  websocket: {
+    enabled: process.env.WEBSOCKET_ENABLED !== 'false'
+    // WEBSOCKET_ENABLED=false — тільки REST polling кожні 30 секунд
+  },
+
+  // Market Data (кеш цін з публічного WebSocket)
+  marketData: {
+    staleMs: parseInt(process.env.MARKET_DATA_STALE_MS || '5000')
+    // MARKET_DATA_STALE_MS — якщо ціна в кеші старша, беремо її через REST
+  },
+
+  // Contracts Registry
+  contracts: {
+    ttlMs: parseInt(process.env.CONTRACTS_TTL_SEC || '300') * 1000
+    // CONTRACTS_TTL_SEC — як часто оновлювати список контрактів (funding rate, turnover тощо);
+    // оновлюється і у фоні, щоб фільтри ліквідності працювали зі свіжими даними
+  },
+
+  // Symbol Filters (ліквідність контракту за даними /api/v1/contracts/active)
+  symbolFilters: {
+    minTurnoverUSDT: parseFloat(process.env.SYMBOL_MIN_TURNOVER_USDT || '0'),
+    minOpenInterestUSDT: parseFloat(process.env.SYMBOL_MIN_OPEN_INTEREST_USDT || '0'),
+    maxTickPercent: parseFloat(process.env.SYMBOL_MAX_TICK_PERCENT || '0')
+    // SYMBOL_MIN_TURNOVER_USDT — мінімальний обіг за 24 години (USDT)
+    // SYMBOL_MIN_OPEN_INTEREST_USDT — мінімальний відкритий інтерес (lots × multiplier × ціна, USDT)
+    // SYMBOL_MAX_TICK_PERCENT — максимальний крок ціни відносно ціни (%): грубий tick = великі втрати на спреді
+    // 0 — фільтр вимкнено
+  },
+
+  // Reconciliation (звірка відстежуваних позицій з біржею)
+  reconciliation: {
+    enabled: process.env.RECONCILE_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.RECONCILE_INTERVAL_SEC || '300') * 1000,
+    onUntracked: (process.env.RECONCILE_UNTRACKED || 'adopt').toLowerCase(),
+    onSizeMismatch: (process.env.RECONCILE_SIZE_MISMATCH || 'correct').toLowerCase(),
+    onMissing: (process.env.RECONCILE_MISSING || 'close').toLowerCase()
+    // RECONCILE_UNTRACKED: adopt (взяти під моніторинг) або ignore — позиція є на біржі, але не відстежується
+    // RECONCILE_SIZE_MISMATCH: correct (оновити з біржі) або ignore — розмір/напрямок не збігаються
+    // RECONCILE_MISSING: close (записати як закриту), drop (просто прибрати) або ignore — позиції вже немає на біржі
+  },
+
+  // Clock Sync (синхронізація часу з KuCoin)
+  clock: {
+    syncIntervalMs: parseInt(process.env.CLOCK_SYNC_INTERVAL_SEC || '300') * 1000,
+    maxDriftMs: parseInt(process.env.CLOCK_MAX_DRIFT_MS || '2000')
+    // CLOCK_MAX_DRIFT_MS — при більшому розходженні з часом KuCoin бот повідомляє про проблему
+  },
+
+  // Persistent State
+  state: {
+    file: path.resolve(process.env.STATE_FILE || path.join(__dirname, '../data/state.json'))
+    // STATE_FILE — JSON-файл, де зберігаються позиції та статистика між рестартами
+  },
+
+  // Signal Formats (опис форматів повідомлень монітор-бота)
+  signalFormats: {
+    file: path.resolve(process.env.SIGNAL_FORMATS_FILE || path.join(__dirname, 'signal-formats.json'))
+    // SIGNAL_FORMATS_FILE — маркери, regex полів, правила напрямку та формат часу для кожного формату
+    // Перевірити повідомлення: npm run test-signal -- "текст повідомлення"
+  },
+
+  // Risk Profiles (перевизначення config.risk для окремих символів)
+  riskProfiles: {
+    file: path.resolve(process.env.RISK_PROFILES_FILE || path.join(__dirname, 'risk-profiles.json'))
+    // RISK_PROFILES_FILE — масив { pattern, leverage, positionSizePercent, marginMode, minSpreadPercent, ... },
+    // pattern — шаблон символу (*USDTM, 1000*, /regex/). Приклад: config/risk-profiles.example.json
+    // Немає файлу — для всіх символів діють LEVERAGE, POSITION_SIZE_PERCENT тощо з .env
+  },
+
+  // Signal Recorder (архів усіх повідомлень каналу для розбору інцидентів і replay)
+  recorder: {
+    enabled: process.env.SIGNAL_RECORDER_ENABLED !== 'false',
+    file: path.resolve(process.env.SIGNAL_RECORDER_FILE || path.join(__dirname, '../data/signals.jsonl'))
+    // SIGNAL_RECORDER_FILE — append-only JSONL: текст, час отримання, результат парсингу, рішення бота
+    // Відтворення: npm run replay -- --file data/signals.jsonl
   }
 };
 
@@ -74,6 +283,14 @@ if (config.risk.positionSizePercent <= 0 || config.risk.positionSizePercent > 10
   throw new Error('POSITION_SIZE_PERCENT must be between 0 and 100');
 }
 
+for (const pattern of [...config.trading.blockedSymbols, ...config.trading.allowedSymbols]) {
+  try {
+    symbolPatternToRegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid symbol pattern ${pattern} in BLOCKED_SYMBOLS / ALLOWED_SYMBOLS: ${error.message}`);
+  }
+}
+
 if (config.trading.maxDailyTrades <= 0) {
   throw new Error('MAX_DAILY_TRADES must be greater than 0');
 }
@@ -82,6 +299,58 @@ if (config.trading.maxOpenPositions <= 0) {
   throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
 }
 
+if (config.fairPriceCheck.minLiveGapPercent < -100 || config.fairPriceCheck.minLiveGapPercent > 100) {
+  throw new Error('FAIR_PRICE_MIN_LIVE_GAP_PERCENT must be between -100 and 100');
+}
+
+if (config.trading.maxSignalAgeSec < 0) {
+  throw new Error('MAX_SIGNAL_AGE_SEC must be 0 or greater');
+}
+
+if (config.exits.maxHoldSec < 0 || Object.values(config.exits.maxHoldSecBySymbol).some(sec => sec < 0)) {
+  throw new Error('MAX_HOLD_SEC and MAX_HOLD_SEC_BY_SYMBOL values must be 0 or greater');
+}
+
+if (config.exits.trailingStopPercent < 0 || config.exits.trailingStopPercent >= 100) {
+  throw new Error('TRAILING_STOP_PERCENT must be between 0 and 100');
+}
+
+if (config.exits.trailingActivationPercent < 0) {
+  throw new Error('TRAILING_ACTIVATION_PERCENT must be 0 or greater');
+}
+
+if (config.funding.blackoutSec < 0) {
+  throw new Error('FUNDING_BLACKOUT_SEC must be 0 or greater');
+}
+
+if (config.funding.maxAdverseRatePercent < 0) {
+  throw new Error('FUNDING_MAX_ADVERSE_RATE_PERCENT must be 0 or greater');
+}
+
+if (config.funding.refreshSec <= 0) {
+  throw new Error('FUNDING_REFRESH_SEC must be greater than 0');
+}
+
+if (config.paper.startBalance <= 0) {
+  throw new Error('PAPER_START_BALANCE must be greater than 0');
+}
+
+if (config.paper.slippagePercent < 0 || config.paper.takerFeePercent < 0 || config.paper.makerFeePercent < 0) {
+  throw new Error('PAPER_SLIPPAGE_PERCENT, PAPER_TAKER_FEE_PERCENT and PAPER_MAKER_FEE_PERCENT must be 0 or greater');
+}
+
+if (!['market', 'limit', 'post-only'].includes(config.execution.entryOrderType)) {
+  throw new Error('ENTRY_ORDER_TYPE must be market, limit or post-only');
+}
+
+if (config.execution.limitTimeoutSec <= 0) {
+  throw new Error('ENTRY_LIMIT_TIMEOUT_SEC must be greater than 0');
+}
+
+if (!['market', 'abandon'].includes(config.execution.onTimeout)) {
+  throw new Error('ENTRY_LIMIT_FALLBACK must be market or abandon');
+}
+
 if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
   throw new Error('TRADING_START_HOUR must be between 0 and 23');
 }
@@ -90,9 +359,84 @@ if (config.tradingHours.endHour < 0 || config.tradingHours.endHour > 23) {
   throw new Error('TRADING_END_HOUR must be between 0 and 23');
 }
 
-// ← ДОДАТИ ЦІ 3 РЯДКИ
 if (config.risk.minSpreadPercent < 0 || config.risk.minSpreadPercent > 100) {
   throw new Error('MIN_SPREAD_PERCENT must be between 0 and 100');
 }
 
+if (config.risk.stopLossPercent < 0 || config.risk.stopLossPercent >= 100) {
+  throw new Error('STOP_LOSS_PERCENT must be between 0 and 100');
+}
+
+if (config.risk.takeProfitPercent < 0) {
+  throw new Error('TAKE_PROFIT_PERCENT must be 0 or greater');
+}
+
+if (config.risk.stopLossUSDT < 0) {
+  throw new Error('STOP_LOSS_USDT must be 0 or greater');
+}
+
+if (!['MP', 'TP', 'IP'].includes(config.risk.stopPriceType)) {
+  throw new Error('STOP_PRICE_TYPE must be MP, TP or IP');
+}
+
+if (!['size', 'leverage'].includes(config.risk.riskLimitAdjust)) {
+  throw new Error('RISK_LIMIT_ADJUST must be size or leverage');
+}
+
+if (config.circuitBreaker.maxDailyLossPercent < 0 || config.circuitBreaker.maxDailyLossPercent > 100) {
+  throw new Error('CIRCUIT_MAX_DAILY_LOSS_PERCENT must be between 0 and 100');
+}
+
+if (config.circuitBreaker.maxDrawdownPercent < 0 || config.circuitBreaker.maxDrawdownPercent > 100) {
+  throw new Error('CIRCUIT_MAX_DRAWDOWN_PERCENT must be between 0 and 100');
+}
+
+if (config.circuitBreaker.maxDailyLossUSDT < 0) {
+  throw new Error('CIRCUIT_MAX_DAILY_LOSS_USDT must be 0 or greater');
+}
+
+if (config.circuitBreaker.checkIntervalMs <= 0) {
+  throw new Error('CIRCUIT_CHECK_INTERVAL_SEC must be greater than 0');
+}
+
+if (config.kucoin.retry.maxRetries < 0) {
+  throw new Error('KUCOIN_MAX_RETRIES must be 0 or greater');
+}
+
+if (config.marketData.staleMs <= 0) {
+  throw new Error('MARKET_DATA_STALE_MS must be greater than 0');
+}
+
+if (config.symbolFilters.minTurnoverUSDT < 0 || config.symbolFilters.minOpenInterestUSDT < 0) {
+  throw new Error('SYMBOL_MIN_TURNOVER_USDT and SYMBOL_MIN_OPEN_INTEREST_USDT must be 0 or greater');
+}
+
+if (config.symbolFilters.maxTickPercent < 0) {
+  throw new Error('SYMBOL_MAX_TICK_PERCENT must be 0 or greater');
+}
+
+if (config.contracts.ttlMs <= 0) {
+  throw new Error('CONTRACTS_TTL_SEC must be greater than 0');
+}
+
+if (config.clock.syncIntervalMs <= 0) {
+  throw new Error('CLOCK_SYNC_INTERVAL_SEC must be greater than 0');
+}
+
+if (config.reconciliation.intervalMs <= 0) {
+  throw new Error('RECONCILE_INTERVAL_SEC must be greater than 0');
+}
+
+if (!['adopt', 'ignore'].includes(config.reconciliation.onUntracked)) {
+  throw new Error('RECONCILE_UNTRACKED must be adopt or ignore');
+}
+
+if (!['correct', 'ignore'].includes(config.reconciliation.onSizeMismatch)) {
+  throw new Error('RECONCILE_SIZE_MISMATCH must be correct or ignore');
+}
+
+if (!['close', 'drop', 'ignore'].includes(config.reconciliation.onMissing)) {
+  throw new Error('RECONCILE_MISSING must be close, drop or ignore');
+}
+
 export default config;
@@ -8,26 +8,23 @@ if (process.env.NODE_ENV !== 'production') {
 import { config } from './config/settings.js';
 import logger from './utils/logger.js';
 import kucoinService from './services/kucoin.service.js';
+import exchange from './services/exchange.service.js';
 import telegramService from './services/telegram.service.js';
 import positionService from './services/position.service.js';
-import riskService from './services/risk.service.js';
-import { isTradingHoursActive, getTradingHoursInfo } from './services/time.service.js';
-import { isSymbolBlocked, getCurrentDate } from './utils/helpers.js';
-
-
-// Статистика
-const statistics = {
-  totalTrades: 0,
-  winTrades: 0,
-  loseTrades: 0,
-  totalProfit: 0,
-  startBalance: 0,
-  currentBalance: 0,
-  dailyTrades: 0,
-  signalsIgnored: 0,
-  totalSignals: 0,
-  lastResetDate: getCurrentDate()
-};
+import stateService from './services/state.service.js';
+import reconciliationService from './services/reconciliation.service.js';
+import privateFeedService from './services/private-feed.service.js';
+import marketDataService from './services/market-data.service.js';
+import contractsService from './services/contracts.service.js';
+import clockService from './services/clock.service.js';
+import tradingService from './services/trading.service.js';
+import riskProfileService from './services/risk-profile.service.js';
+import circuitBreakerService from './services/circuit-breaker.service.js';
+import { getCurrentDate } from './utils/helpers.js';
+
+
+// Статистика (спільна з торговою логікою)
+const { statistics } = tradingService;
 
 /**
  * Ініціалізація бота
@@ -38,25 +35,112 @@ async function initialize() {
     logger.info('Starting KuCoin Futures Trading Bot...');
     logger.info('='.repeat(50));
 
+    // Відновлюємо стан після рестарту (до старту моніторингу)
+    stateService.load();
+    tradingService.restoreStatistics();
+    positionService.restoreState();
+    circuitBreakerService.restoreState();
+
+    // Синхронізуємо час з KuCoin до першого підписаного запиту
+    clockService.onDriftAlert(handleClockDrift);
+    await clockService.sync();
+    clockService.start();
+
     // Підключення до KuCoin
     await kucoinService.connect();
+    await contractsService.load();
+    contractsService.start();
 
-    // Отримуємо початковий баланс
-    statistics.startBalance = await kucoinService.getUSDTBalance();
-    statistics.currentBalance = statistics.startBalance;
+    // DRY RUN — торгуємо на paper-біржі з віртуальним балансом
+    if (config.trading.dryRun) {
+      await exchange.connect();
+    }
+
+    // Отримуємо початковий баланс (якщо не відновлений зі стану)
+    statistics.currentBalance = await exchange.getUSDTBalance();
+    if (!statistics.startBalance) {
+      statistics.startBalance = statistics.currentBalance;
+    }
+    tradingService.saveStatistics();
 
     logger.info(`[INIT] Starting balance: ${statistics.startBalance} USDT`);
     logger.info(`[INIT] Dry Run mode: ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
     logger.info(`[INIT] Blocked symbols: ${config.trading.blockedSymbols.length > 0 ? config.trading.blockedSymbols.join(', ') : 'NONE (all symbols allowed)'}`);
-    logger.info(`[INIT] Position size: ${config.risk.positionSizePercent}%, Leverage: ${config.risk.leverage}x`);
+    logger.info(`[INIT] Allowed symbols: ${config.trading.allowedSymbols.length > 0 ? config.trading.allowedSymbols.join(', ') : 'ALL'}`);
+    logger.info(
+      `[INIT] Liquidity filters: turnover ${config.symbolFilters.minTurnoverUSDT > 0 ? '≥ ' + config.symbolFilters.minTurnoverUSDT + ' USDT' : '-'}, ` +
+      `open interest ${config.symbolFilters.minOpenInterestUSDT > 0 ? '≥ ' + config.symbolFilters.minOpenInterestUSDT + ' USDT' : '-'}, ` +
+      `tick ${config.symbolFilters.maxTickPercent > 0 ? '≤ ' + config.symbolFilters.maxTickPercent + '%' : '-'}`
+    );
+    logger.info(`[INIT] Position size: ${config.risk.positionSizePercent}%, Leverage: ${config.risk.leverage}x (risk limit: adjust ${config.risk.riskLimitAdjust})`);
+    logger.info(`[INIT] Risk profiles: ${riskProfileService.profiles.length > 0 ? riskProfileService.profiles.map(profile => profile.pattern).join(', ') : 'NONE (config.risk for all symbols)'}`);
+    logger.info(
+      `[INIT] Protective stops: SL ${config.risk.stopLossPercent > 0 ? config.risk.stopLossPercent + '%' : '-'}` +
+      ` / ${config.risk.stopLossUSDT > 0 ? config.risk.stopLossUSDT + ' USDT' : '-'}, ` +
+      `TP ${config.risk.takeProfitPercent > 0 ? config.risk.takeProfitPercent + '%' : '-'} (trigger ${config.risk.stopPriceType})`
+    );
+    logger.info(
+      `[INIT] Entry orders: ${config.execution.entryOrderType}` +
+      (config.execution.entryOrderType !== 'market'
+        ? ` (offset ${config.execution.limitOffsetPercent}%, timeout ${config.execution.limitTimeoutSec}s → ${config.execution.onTimeout})`
+        : '')
+    );
+    logger.info(
+      `[INIT] Funding filter: blackout ${config.funding.blackoutSec > 0 ? config.funding.blackoutSec + 's' : 'DISABLED'}, ` +
+      `max adverse rate ${config.funding.maxAdverseRatePercent > 0 ? config.funding.maxAdverseRatePercent + '%' : 'DISABLED'}`
+    );
     logger.info(`[INIT] Min spread filter: ${config.risk.minSpreadPercent > 0 ? config.risk.minSpreadPercent + '%' : 'DISABLED'}`);
+    logger.info(`[INIT] Max signal age: ${config.trading.maxSignalAgeSec > 0 ? config.trading.maxSignalAgeSec + 's' : 'DISABLED'}`);
+    logger.info(`[INIT] Fair price re-check: ${config.fairPriceCheck.enabled ? `live gap > ${config.fairPriceCheck.minLiveGapPercent}%` : 'DISABLED'}`);
+    logger.info(
+      `[INIT] Max hold time: ${config.exits.maxHoldSec > 0 ? config.exits.maxHoldSec + 's' : 'DISABLED'}` +
+      `${Object.keys(config.exits.maxHoldSecBySymbol).length > 0 ? ` (per symbol: ${Object.entries(config.exits.maxHoldSecBySymbol).map(([symbol, sec]) => `${symbol}=${sec > 0 ? sec + 's' : 'off'}`).join(', ')})` : ''}`
+    );
+    logger.info(
+      `[INIT] Trailing stop: ${config.exits.trailingStopPercent > 0 ? `${config.exits.trailingStopPercent}% retrace after +${config.exits.trailingActivationPercent}%` : 'DISABLED'}`
+    );
+    logger.info(
+      `[INIT] Circuit breaker: ${circuitBreakerService.isEnabled()
+        ? `daily loss ${config.circuitBreaker.maxDailyLossPercent > 0 ? config.circuitBreaker.maxDailyLossPercent + '%' : '-'}` +
+          ` / ${config.circuitBreaker.maxDailyLossUSDT > 0 ? config.circuitBreaker.maxDailyLossUSDT + ' USDT' : '-'}, ` +
+          `drawdown ${config.circuitBreaker.maxDrawdownPercent > 0 ? config.circuitBreaker.maxDrawdownPercent + '%' : '-'}, ` +
+          `flatten ${config.circuitBreaker.flattenOnTrip ? 'ON' : 'OFF'}`
+        : 'DISABLED'}`
+    );
     logger.info(`[INIT] Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`);
 
     // Реєструємо обробник сигналів
-    telegramService.onSignal(handleSignal);
+    telegramService.onSignal((signal) => tradingService.handleSignal(signal));
+    positionService.onExitRequest((request) => tradingService.handleExitRequest(request));
+    telegramService.onCommand('breaker', async () =>
+      telegramService.formatCircuitBreakerMessage('STATUS', await circuitBreakerService.check())
+    );
+    telegramService.onCommand('breaker_reset', async () =>
+      telegramService.formatCircuitBreakerMessage('RESET', await circuitBreakerService.reset(), { resetBy: 'команда /breaker_reset' })
+    );
+    await telegramService.startListening();
 
-    // Запускаємо моніторинг позицій
+    // Equity на початок дня / пік (і зняття блокування, якщо настав новий день) —
+    // після реєстрації обробника виходів, щоб спрацювання могло закрити позиції
+    await circuitBreakerService.check();
+
+    // Звіряємо відстежувані позиції з біржею (у DRY RUN — з paper-біржею)
+    if (config.reconciliation.enabled) {
+      await reconciliationService.reconcile('startup');
+      reconciliationService.start();
+    }
+
+    // Запускаємо моніторинг позицій (REST polling — резерв, коли WebSocket недоступний)
     positionService.startMonitoring(30000);
+    circuitBreakerService.start();
+
+    if (config.websocket.enabled) {
+      await marketDataService.start();
+
+      if (!config.trading.dryRun) {
+        await privateFeedService.start();
+      }
+    }
 
     // Відправляємо повідомлення про запуск
     if (!config.trading.dryRun) {
@@ -82,347 +166,23 @@ async function initialize() {
 }
 
 /**
- * Обробка торговельного сигналу від KuCoin Monitor Bot.
- */
-async function handleSignal(signal) {
-  try {
-    statistics.totalSignals++;
-
-    const { type, symbol, direction, timestamp } = signal;
-
-    logger.info(`[SIGNAL] Processing: type=${type} symbol=${symbol} direction=${direction || 'N/A'}`);
-
-    // --- OPEN сигнал ---
-    if (type === 'OPEN') {
-      const validation = await validateSignal(signal);
-
-      if (!validation.valid) {
-        logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
-
-        try {
-          if (!config.trading.dryRun) {
-            await telegramService.sendMessage(
-              config.telegram.channelId,
-              telegramService.formatSignalIgnoredMessage(
-                symbol,
-                direction,
-                validation.reason,
-                validation.info
-              )
-            );
-          }
-        } catch (telegramError) {
-          logger.error(`[SIGNAL] Error sending ignored message: ${telegramError.message}`);
-        }
-
-        if (validation.reason.includes('trading hours')) {
-          statistics.signalsIgnored++;
-        }
-
-        return;
-      }
-
-      await openPosition(signal);
-    }
-
-    // --- CLOSE сигнал ---
-    else if (type === 'CLOSE') {
-      await closePosition(signal);
-    }
-
-    else {
-      logger.warn(`[SIGNAL] Unknown signal type: ${type}`);
-    }
-
-  } catch (error) {
-    logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
-    logger.error(`[SIGNAL] Stack trace: ${error.stack}`);
-
-    try {
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          `❌ <b>ПОМИЛКА ОБРОБКИ СИГНАЛУ</b>\n\n` +
-          `Тип: ${signal.type || 'UNKNOWN'}\n` +
-          `Символ: ${signal.symbol || 'UNKNOWN'}\n` +
-          `Напрямок: ${signal.direction || 'UNKNOWN'}\n` +
-          `Помилка: ${error.message}`
-        );
-      }
-    } catch (telegramError) {
-      logger.error(`[SIGNAL] Error sending error message: ${telegramError.message}`);
-    }
-  }
-}
-
-/**
- * Валідація сигналу перед відкриттям позиції
+ * Повідомляє про проблему з годинником (великий дрейф відносно KuCoin)
  */
-async function validateSignal(signal) {
-  const { symbol, direction, spread } = signal;
-
-  // 1. Перевірка мінімального spread
-  if (config.risk.minSpreadPercent > 0) {
-    if (!spread || spread < config.risk.minSpreadPercent) {
-      return {
-        valid: false,
-        reason: `Spread ${spread ? spread.toFixed(2) : 'N/A'}% < minimum ${config.risk.minSpreadPercent}%`,
-        info: {
-          currentSpread: spread ? spread.toFixed(2) + '%' : 'N/A',
-          minRequired: config.risk.minSpreadPercent + '%'
-        }
-      };
-    }
-  }
-
-  // 2. Перевірка чорного списку
-  if (isSymbolBlocked(symbol, config.trading.blockedSymbols.join(','))) {
-    return {
-      valid: false,
-      reason: `Symbol ${symbol} is in blocked list`,
-      info: {}
-    };
-  }
-
-  // 3. Перевірка напрямку
-  if (direction !== 'LONG' && direction !== 'SHORT') {
-    return {
-      valid: false,
-      reason: `Invalid direction: ${direction}`,
-      info: {}
-    };
-  }
-
-  // 4. Перевірка торговельних годин
-  if (!isTradingHoursActive()) {
-    const hoursInfo = getTradingHoursInfo();
-    return {
-      valid: false,
-      reason: 'Outside trading hours',
-      info: {
-        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
-        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
-        nextTrading: hoursInfo.nextTradingIn
-      }
-    };
-  }
+async function handleClockDrift(health) {
+  if (config.trading.dryRun) return;
 
-  // 5. Перевірка відкритих позицій
-  if (positionService.hasOpenPosition(symbol)) {
-    return {
-      valid: false,
-      reason: `Open position already exists for ${symbol}`,
-      info: {}
-    };
-  }
-
-  // 6. Перевірка максимальної кількості відкритих позицій
-  if (positionService.getOpenPositionsCount() >= config.trading.maxOpenPositions) {
-    return {
-      valid: false,
-      reason: `Maximum open positions (${config.trading.maxOpenPositions}) reached`,
-      info: {}
-    };
-  }
-
-  // 7. Перевірка максимальної кількості угод на день
-  if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
-    return {
-      valid: false,
-      reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
-      info: {}
-    };
-  }
-
-  // 8. Перевірка балансу
   try {
-    const balance = await kucoinService.getUSDTBalance();
-    statistics.currentBalance = balance;
-
-    if (balance <= 0) {
-      return {
-        valid: false,
-        reason: 'Insufficient balance',
-        info: {}
-      };
-    }
-  } catch (error) {
-    return {
-      valid: false,
-      reason: `Error checking balance: ${error.message}`,
-      info: {}
-    };
-  }
-
-  // 9. Перевірка що символ існує та торгується
-  try {
-    const symbolInfo = await kucoinService.getSymbolInfo(symbol);
-    if (symbolInfo.status !== 'Open') {
-      return {
-        valid: false,
-        reason: `Symbol ${symbol} is not trading`,
-        info: {}
-      };
-    }
-  } catch (error) {
-    return {
-      valid: false,
-      reason: `Symbol ${symbol} not found or error: ${error.message}`,
-      info: {}
-    };
-  }
-
-  return { valid: true };
-}
-
-/**
- * Відкриття позиції по OPEN сигналу.
- */
-async function openPosition(signal) {
-  const { symbol, direction, timestamp } = signal;
-
-  try {
-    logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
-
-    const balance = await kucoinService.getUSDTBalance();
-    statistics.currentBalance = balance;
-
-    const currentPrice = await kucoinService.getCurrentPrice(symbol);
-    const symbolInfo = await kucoinService.getSymbolInfo(symbol);
-
-    const positionParams = riskService.calculatePositionParameters(
-      balance,
-      currentPrice,
-      direction,
-      symbolInfo
-    );
-
-    if (!riskService.hasSufficientBalance(balance, positionParams.requiredMargin)) {
-      throw new Error(
-        `Insufficient balance. Required: ${positionParams.requiredMargin.toFixed(4)} USDT, ` +
-        `Available: ${balance.toFixed(4)} USDT`
-      );
-    }
-
-    if (config.trading.dryRun) {
-      logger.info('[DRY RUN] Would open position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${direction}`);
-      logger.info(`  Entry Price: ${positionParams.entryPrice}`);
-      logger.info(`  Quantity: ${positionParams.quantity} lots`);
-      logger.info(`  Position Size: ${positionParams.positionSizeUSDT} USDT`);
-      logger.info(`  Required Margin: ${positionParams.requiredMargin} USDT`);
-
-      positionService.addOpenPosition({
-        symbol,
-        direction,
-        entryPrice: positionParams.entryPrice,
-        quantity: positionParams.quantity,
-        orderId: 'DRY_RUN_' + Date.now(),
-        timestamp,
-        positionSizeUSDT: positionParams.positionSizeUSDT
-      });
-
-      statistics.totalTrades++;
-      statistics.dailyTrades++;
-
-      return;
-    }
-
-    // Реальна торгівля
-    await kucoinService.setLeverage(symbol, config.risk.leverage);
-
-    const side = direction === 'LONG' ? 'buy' : 'sell';
-    const orderResult = await kucoinService.openMarketOrder(
-      symbol,
-      side,
-      positionParams.quantity,
-      config.risk.leverage,
-      config.risk.marginMode
-    );
-
-    positionService.addOpenPosition({
-      symbol,
-      direction,
-      entryPrice: positionParams.entryPrice,
-      quantity: positionParams.quantity,
-      orderId: orderResult.orderId,
-      timestamp,
-      positionSizeUSDT: positionParams.positionSizeUSDT
-    });
-
-    statistics.totalTrades++;
-    statistics.dailyTrades++;
-
-    // ── Повідомлення про відкриття позиції прибрано навмисно ──
-
-    logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
-
-  } catch (error) {
-    logger.error(`[TRADE] Error opening position: ${error.message}`);
-    throw error;
-  }
-}
-
-/**
- * Закриття позиції по CLOSE сигналу.
- */
-async function closePosition(signal) {
-  const { symbol } = signal;
-
-  try {
-    logger.info(`[TRADE] Received CLOSE signal: ${symbol}`);
-
-    if (!positionService.hasOpenPosition(symbol)) {
-      logger.warn(`[TRADE] No open position found for ${symbol} — ignoring CLOSE signal`);
-      return;
-    }
-
-    const trackedPosition = positionService.getOpenPosition(symbol);
-
-    if (config.trading.dryRun) {
-      logger.info('[DRY RUN] Would close position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${trackedPosition.direction}`);
-      logger.info(`  Entry Price: ${trackedPosition.entryPrice}`);
-      logger.info(`  Quantity: ${trackedPosition.quantity} lots`);
-
-      positionService.removeOpenPosition(symbol);
-
-      logger.info(`[TRADE] ✅ [DRY RUN] Position closed: ${symbol}`);
-      return;
-    }
-
-    const closeSide = trackedPosition.direction === 'LONG' ? 'sell' : 'buy';
-
-    const closeResult = await kucoinService.closeMarketOrder(
-      symbol,
-      closeSide,
-      trackedPosition.quantity,
-      config.risk.leverage,
-      config.risk.marginMode
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      health.healthy
+        ? `✅ <b>ГОДИННИК СИНХРОНІЗОВАНО</b>\n\n` +
+          `Зміщення: ${health.offsetMs} ms`
+        : `⚠️ <b>ДРЕЙФ ГОДИННИКА</b>\n\n` +
+          `Зміщення від часу KuCoin: ${health.offsetMs} ms (допустимо ${health.maxDriftMs} ms)\n` +
+          `Підписи запитів скориговано, але перевірте NTP на сервері`
     );
-
-    logger.info(`[TRADE] Close order executed: Order ID ${closeResult.orderId}`);
-    logger.info(`[TRADE] ✅ Position close order submitted: ${symbol}`);
-
   } catch (error) {
-    logger.error(`[TRADE] Error closing position ${symbol}: ${error.message}`);
-
-    try {
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          `❌ <b>ПОМИЛКА ЗАКРИТТЯ ПОЗИЦІЇ</b>\n\n` +
-          `Символ: ${symbol}\n` +
-          `Помилка: ${error.message}`
-        );
-      }
-    } catch (telegramError) {
-      logger.error(`[TRADE] Error sending close error message: ${telegramError.message}`);
-    }
-
-    throw error;
+    logger.error(`[CLOCK] Error sending drift alert: ${error.message}`);
   }
 }
 
@@ -459,11 +219,12 @@ async function sendDailyReport() {
       statistics.dailyTrades = 0;
       statistics.signalsIgnored = 0;
       statistics.lastResetDate = currentDate;
+      tradingService.saveStatistics();
       positionService.resetDailyStatistics();
     }
 
     const posStats = positionService.getStatistics();
-    const currentBalance = await kucoinService.getUSDTBalance();
+    const currentBalance = await exchange.getUSDTBalance();
     const startBalance = statistics.startBalance;
     const totalPnl = currentBalance - startBalance;
     const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
@@ -482,15 +243,15 @@ async function sendDailyReport() {
       totalPnl: totalPnl,
       roi: roi,
       startBalance: startBalance,
-      currentBalance: currentBalance
+      currentBalance: currentBalance,
+      dryRun: config.trading.dryRun
     };
 
-    if (!config.trading.dryRun) {
-      await telegramService.sendMessage(
-        config.telegram.channelId,
-        telegramService.formatDailyReport(report)
-      );
-    }
+    // Звіт відправляється і в DRY RUN — щоб оцінювати стратегію на paper-торгівлі
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      telegramService.formatDailyReport(report)
+    );
 
     logger.info('[REPORT] Daily report sent');
   } catch (error) {
@@ -505,6 +266,12 @@ process.on('SIGINT', async () => {
   logger.info('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
 
   positionService.stopMonitoring();
+  contractsService.stop();
+  circuitBreakerService.stop();
+  reconciliationService.stop();
+  privateFeedService.stop();
+  marketDataService.stop();
+  clockService.stop();
 
   if (!config.trading.dryRun) {
     await telegramService.sendMessage(
@@ -522,6 +289,12 @@ process.on('SIGTERM', async () => {
   logger.info('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
 
   positionService.stopMonitoring();
+  contractsService.stop();
+  circuitBreakerService.stop();
+  reconciliationService.stop();
+  privateFeedService.stop();
+  marketDataService.stop();
+  clockService.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,254 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import telegramService from '../services/telegram.service.js';
+import { runBacktest } from '../backtest/engine.js';
+import { loadMessages, KlineStore, loadContracts } from '../backtest/loaders.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+/**
+ * Бектест налаштувань на історичних сигналах каналу.
+ *
+ * Використання:
+ *   npm run backtest -- --messages result.json --klines data/klines [опції]
+ *
+ * Опції:
+ *   --messages FILE       експорт каналу (Telegram result.json або JSONL)
+ *   --klines DIR          свічки <SYMBOL>.json (npm run download-klines)
+ *   --contracts FILE      контракти (за замовчуванням <klines>/contracts.json)
+ *   --out DIR             куди писати результати (за замовчуванням data/backtest)
+ *   --set key=value       перевизначити налаштування (risk.leverage=5, minSpreadPercent=1.5)
+ *   --grid key=v1,v2,...  перебір значень; кілька --grid → усі комбінації
+ *   --balance N           стартовий баланс (за замовчуванням PAPER_START_BALANCE)
+ *   --slippage N          прослизання у %
+ *   --fee N               taker комісія у %
+ *   --verbose             детальні логи
+ *
+ * Масиви (blockedSymbols, allowedSymbols, tradingHours.days) задаються через ';': --set blockedSymbols=BTCUSDTM;1000*
+ */
+
+const SECTIONS = ['risk', 'trading', 'tradingHours', 'symbolFilters'];
+
+function parseArgs(argv) {
+  const args = { set: [], grid: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    if (key === 'verbose') {
+      args.verbose = true;
+      continue;
+    }
+
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+
+    if (key === 'set' || key === 'grid') {
+      args[key].push(value);
+    } else {
+      args[key] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * "leverage" → "risk.leverage"; "risk.leverage" залишається як є
+ */
+function resolveKey(key, baseSettings) {
+  if (key.includes('.')) {
+    const [section, field] = key.split('.');
+    if (!SECTIONS.includes(section) || !(field in baseSettings[section])) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    return key;
+  }
+
+  const section = SECTIONS.find(name => key in baseSettings[name]);
+  if (!section) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return `${section}.${key}`;
+}
+
+/**
+ * Приводить рядкове значення до типу поточного налаштування
+ */
+function parseValue(raw, current) {
+  if (Array.isArray(current)) {
+    return raw.split(';').map(item => item.trim()).filter(item => item)
+      .map(item => (typeof current[0] === 'number' || /^\d+$/.test(item) ? Number(item) : item));
+  }
+  if (typeof current === 'number') {
+    const number = Number(raw);
+    if (isNaN(number)) {
+      throw new Error(`Invalid number: ${raw}`);
+    }
+    return number;
+  }
+  if (typeof current === 'boolean') {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+function applyOverrides(baseSettings, overrides) {
+  const settings = JSON.parse(JSON.stringify(baseSettings));
+
+  for (const [key, raw] of Object.entries(overrides)) {
+    const [section, field] = key.split('.');
+    settings[section][field] = parseValue(raw, baseSettings[section][field]);
+  }
+
+  return settings;
+}
+
+/**
+ * Усі комбінації значень з --grid
+ */
+function expandGrid(grid, baseSettings) {
+  let combinations = [{}];
+
+  for (const entry of grid) {
+    const [rawKey, values] = entry.split('=');
+    const key = resolveKey(rawKey, baseSettings);
+
+    combinations = combinations.flatMap(combination =>
+      values.split(',').map(value => ({ ...combination, [key]: value }))
+    );
+  }
+
+  return combinations;
+}
+
+function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => row[column]).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatTime(time) {
+  return new Date(time).toISOString();
+}
+
+async function backtest() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.messages || !args.klines) {
+      throw new Error('Usage: npm run backtest -- --messages FILE --klines DIR [--grid key=v1,v2] [--set key=value]');
+    }
+
+    if (!args.verbose) {
+      logger.level = 'warn';
+    }
+
+    const baseSettings = {
+      risk: config.risk,
+      trading: config.trading,
+      tradingHours: config.tradingHours,
+      symbolFilters: config.symbolFilters
+    };
+
+    const fixed = {};
+    for (const entry of args.set) {
+      const [rawKey, value] = entry.split('=');
+      fixed[resolveKey(rawKey, baseSettings)] = value;
+    }
+
+    const paper = {
+      startBalance: parseFloat(args.balance || config.paper.startBalance),
+      slippagePercent: parseFloat(args.slippage ?? config.paper.slippagePercent),
+      takerFeePercent: parseFloat(args.fee ?? config.paper.takerFeePercent)
+    };
+
+    // Сигнали: час події — дата повідомлення в каналі
+    const messages = loadMessages(args.messages);
+    const events = [];
+    for (const message of messages) {
+      if (!telegramService.isSignalMessage(message.text)) continue;
+
+      const signal = telegramService.parseSignal(message.text, { postedAt: message.date });
+      if (signal) {
+        events.push({ time: message.date, signal });
+      }
+    }
+
+    const klines = new KlineStore(args.klines);
+    const contracts = loadContracts(args.contracts || path.join(args.klines, 'contracts.json'));
+    if (contracts.size === 0) {
+      throw new Error('No contracts loaded — run npm run download-klines first');
+    }
+
+    const outDir = args.out || path.join('data', 'backtest');
+    const runs = expandGrid(args.grid, baseSettings);
+
+    console.log(`\n📜 Messages: ${messages.length}, signals: ${events.length}, runs: ${runs.length}\n`);
+
+    const summaries = [];
+
+    for (let i = 0; i < runs.length; i++) {
+      const overrides = { ...fixed, ...runs[i] };
+      const settings = applyOverrides(baseSettings, overrides);
+      const result = await runBacktest({ events, klines, contracts, settings, paper });
+
+      const runName = runs.length === 1
+        ? 'run'
+        : `run-${String(i + 1).padStart(3, '0')}`;
+      const runDir = path.join(outDir, runName);
+      fs.mkdirSync(runDir, { recursive: true });
+
+      fs.writeFileSync(path.join(runDir, 'trades.csv'), toCSV(
+        result.trades.map(trade => ({ ...trade, entryTime: formatTime(trade.entryTime), exitTime: formatTime(trade.exitTime) })),
+        ['symbol', 'direction', 'entryTime', 'exitTime', 'entryPrice', 'exitPrice', 'quantity', 'leverage', 'fees', 'pnl', 'pnlPercent', 'holdMinutes', 'closeReason']
+      ));
+      fs.writeFileSync(path.join(runDir, 'equity.csv'), toCSV(
+        result.equityCurve.map(point => ({ ...point, time: formatTime(point.time) })),
+        ['time', 'equity']
+      ));
+      fs.writeFileSync(path.join(runDir, 'rejected.csv'), toCSV(
+        result.rejected.map(item => ({ ...item, time: formatTime(item.time), reason: JSON.stringify(item.reason) })),
+        ['time', 'symbol', 'direction', 'reason']
+      ));
+      fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify({
+        overrides,
+        paper,
+        metrics: result.metrics
+      }, null, 2));
+
+      const { metrics } = result;
+      summaries.push({
+        run: runName,
+        ...Object.fromEntries(Object.entries(runs[i]).map(([key, value]) => [key.split('.')[1], value])),
+        trades: metrics.trades,
+        rejected: metrics.rejected,
+        winRate: metrics.winRate.toFixed(1) + '%',
+        netPnl: metrics.netPnl.toFixed(2),
+        roi: metrics.roi.toFixed(2) + '%',
+        maxDD: metrics.maxDrawdownPercent.toFixed(2) + '%',
+        profitFactor: isFinite(metrics.profitFactor) ? metrics.profitFactor.toFixed(2) : '∞',
+        fees: metrics.fees.toFixed(2)
+      });
+    }
+
+    console.table(summaries);
+    console.log(`\n📁 Results: ${outDir}\n`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+backtest();
@@ -1,5 +1,7 @@
 import dotenv from 'dotenv';
 import kucoinService from '../services/kucoin.service.js';
+import stateService from '../services/state.service.js';
+import positionService from '../services/position.service.js';
 import logger from '../utils/logger.js';
 
 dotenv.config();
@@ -10,6 +12,12 @@ async function checkPositions() {
     
     await kucoinService.connect();
     const positions = await kucoinService.getOpenPositions();
+
+    // Стан бота (трейлінг-стоп тощо) — з файлу стану
+    stateService.load();
+    const tracked = new Map(
+      (stateService.get('positions', {}).openPositions || []).map(position => [position.symbol, position])
+    );
     
     console.log('\n' + '='.repeat(50));
     
@@ -27,6 +35,11 @@ async function checkPositions() {
         console.log(`  Поточна ціна: $${pos.markPrice.toFixed(4)}`);
         console.log(`  Нереалізований P&L: ${pos.unrealisedPnl >= 0 ? '+' : ''}$${pos.unrealisedPnl.toFixed(2)}`);
         console.log(`  Плече: ${pos.leverage}x`);
+        console.log(`  Трейлінг-стоп: ${tracked.has(pos.symbol) ? positionService.describeTrailing(tracked.get(pos.symbol)) : 'не відстежується ботом'}`);
+        const funding = tracked.has(pos.symbol) ? tracked.get(pos.symbol).funding : null;
+        if (funding) {
+          console.log(`  Funding: ${funding.total >= 0 ? '+' : ''}$${funding.total.toFixed(4)} (${funding.payments} платежів)`);
+        }
         console.log('');
       });
     }
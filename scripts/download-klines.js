@@ -0,0 +1,111 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import kucoinService from '../services/kucoin.service.js';
+import telegramService from '../services/telegram.service.js';
+import { loadMessages } from '../backtest/loaders.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+/**
+ * Завантажує історичні свічки KuCoin Futures для бектесту.
+ *
+ * Використання:
+ *   npm run download-klines -- --symbols XBTUSDTM,ETHUSDTM --from 2025-01-01 --to 2025-02-01
+ *   npm run download-klines -- --messages result.json          (символи та період — з сигналів)
+ *
+ * Опції:
+ *   --granularity N   хвилин на свічку (за замовчуванням 1)
+ *   --out DIR         за замовчуванням data/klines
+ *
+ * Також зберігає <out>/contracts.json — параметри контрактів (multiplier, lotSize, ...).
+ */
+
+// KuCoin віддає не більше 500 свічок за запит
+const KLINES_PER_REQUEST = 500;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function downloadSymbol(symbol, from, to, granularity, outDir) {
+  const stepMs = granularity * 60000 * KLINES_PER_REQUEST;
+  const klines = new Map();
+
+  for (let start = from; start < to; start += stepMs) {
+    const end = Math.min(start + stepMs, to);
+    const batch = await kucoinService.getKlines(symbol, granularity, start, end);
+
+    for (const kline of batch) {
+      klines.set(kline[0], kline);
+    }
+  }
+
+  const sorted = Array.from(klines.values()).sort((a, b) => a[0] - b[0]);
+  fs.writeFileSync(path.join(outDir, `${symbol}.json`), JSON.stringify(sorted));
+
+  return sorted.length;
+}
+
+async function downloadKlines() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const granularity = parseInt(args.granularity || '1');
+    const outDir = args.out || path.join('data', 'klines');
+
+    let symbols = args.symbols ? args.symbols.split(',').map(s => s.trim()).filter(s => s) : [];
+    let from = args.from ? Date.parse(args.from) : null;
+    let to = args.to ? Date.parse(args.to) : null;
+
+    // Символи та період з історії сигналів
+    if (args.messages) {
+      const signalTimes = [];
+      const signalSymbols = new Set();
+
+      for (const message of loadMessages(args.messages)) {
+        if (!telegramService.isSignalMessage(message.text)) continue;
+        const signal = telegramService.parseSignal(message.text);
+        if (!signal) continue;
+
+        signalSymbols.add(signal.symbol);
+        signalTimes.push(message.date);
+      }
+
+      if (symbols.length === 0) symbols = Array.from(signalSymbols);
+      if (signalTimes.length > 0) {
+        // Запас у годину з кожного боку, щоб закрити позиції без EXIT сигналу
+        if (!from) from = Math.min(...signalTimes) - 3600000;
+        if (!to) to = Math.max(...signalTimes) + 3600000;
+      }
+    }
+
+    if (symbols.length === 0 || !from || !to || from >= to) {
+      throw new Error('Usage: npm run download-klines -- (--symbols A,B --from DATE --to DATE | --messages FILE)');
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    await kucoinService.connect();
+
+    const contracts = await kucoinService.getActiveContracts();
+    fs.writeFileSync(path.join(outDir, 'contracts.json'), JSON.stringify(contracts, null, 2));
+    logger.info(`[KLINES] Saved ${contracts.length} contracts`);
+
+    for (const symbol of symbols) {
+      const count = await downloadSymbol(symbol, from, to, granularity, outDir);
+      logger.info(`[KLINES] ${symbol}: ${count} candles (${granularity}m)`);
+    }
+
+    console.log(`\n📁 Klines saved to ${outDir}\n`);
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+downloadKlines();
@@ -0,0 +1,896 @@
+import dotenv from 'dotenv';
+import http from 'http';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getNextFundingTime } from '../utils/helpers.js';
+
+dotenv.config();
+
+/**
+ * Локальний mock KuCoin Futures API (+ мінімальний Telegram Bot API)
+ * для end-to-end тестування бота без мережі та без реальних грошей.
+ *
+ * Запуск:
+ *   npm run mock
+ *
+ * Бот спрямовується на mock через .env:
+ *   KUCOIN_BASE_URL=http://127.0.0.1:8090
+ *   TELEGRAM_API_URL=http://127.0.0.1:8090
+ *   WEBSOCKET_ENABLED=false
+ *
+ * Підписи перевіряються тими ж KUCOIN_API_KEY / SECRET / PASSPHRASE, що й у бота.
+ *
+ * Керування симуляцією:
+ *   POST /mock/price          { "symbol": "XBTUSDTM", "price": 65000, "markPrice": 65010 }
+ *                             (виконуються limit ордери, до ціни яких дійшов ринок,
+ *                             і спрацьовують стоп-ордери, ціна тригера яких досягнута)
+ *   POST /mock/fill           { "orderId": "...", "size": 3 } — (часткове) виконання limit ордера
+ *   POST /mock/funding        { "symbol": "XBTUSDTM", "rate": 0.0001 } — нарахувати funding по позиції
+ *   POST /mock/funding-rate   { "symbol": "XBTUSDTM", "rate": 0.0005, "nextFundingInSec": 60 }
+ *                             — ставка та час наступного funding у даних контракту
+ *   POST /mock/liquidity      { "symbol": "XBTUSDTM", "maxFillSize": 5 } — market ордери виконуються
+ *                             лише частково (0 — не виконуються зовсім, null — без обмежень)
+ *   POST /mock/contract       { "symbol": "XBTUSDTM", "turnoverOf24h": 100000, "openInterest": 500, "tickSize": 1 }
+ *                             — ліквідність / крок ціни у даних контракту
+ *   POST /mock/risk-limit     { "symbol": "XBTUSDTM", "levels": [{ "maxRiskLimit": 500, "maxLeverage": 10 }, ...] }
+ *                             — рівні risk limit (за зростанням; null — рівні за замовчуванням)
+ *   POST /mock/telegram/post  { "text": "🚨 KuCoin - 2.5% ..." }   — пост у канал
+ *   GET  /mock/state          — баланс, позиції, ордери, відправлені повідомлення
+ */
+
+const PORT = parseInt(process.env.MOCK_PORT || '8090');
+const START_BALANCE = parseFloat(process.env.MOCK_BALANCE || '1000');
+const TAKER_FEE_RATE = parseFloat(process.env.MOCK_TAKER_FEE_RATE || '0.0006');
+const MAKER_FEE_RATE = parseFloat(process.env.MOCK_MAKER_FEE_RATE || '0.0002');
+const MAX_TIMESTAMP_DRIFT_MS = 5000;
+
+const API_KEY = process.env.KUCOIN_API_KEY;
+const API_SECRET = process.env.KUCOIN_API_SECRET;
+const API_PASSPHRASE = process.env.KUCOIN_API_PASSPHRASE;
+const CHANNEL_ID = process.env.TELEGRAM_CHANNEL_ID || '-1000000000000';
+
+if (!API_KEY || !API_SECRET || !API_PASSPHRASE) {
+  console.error('KUCOIN_API_KEY, KUCOIN_API_SECRET and KUCOIN_API_PASSPHRASE are required to verify signatures');
+  process.exit(1);
+}
+
+// ─── Стан симульованої біржі ────────────────────────────────────────────────
+
+const contracts = new Map([
+  ['XBTUSDTM', { symbol: 'XBTUSDTM', baseCurrency: 'XBT', multiplier: 0.001, tickSize: 0.1, price: 65000 }],
+  ['ETHUSDTM', { symbol: 'ETHUSDTM', baseCurrency: 'ETH', multiplier: 0.01, tickSize: 0.01, price: 3200 }],
+  ['SOLUSDTM', { symbol: 'SOLUSDTM', baseCurrency: 'SOL', multiplier: 0.1, tickSize: 0.001, price: 150 }],
+  ['DOGEUSDTM', { symbol: 'DOGEUSDTM', baseCurrency: 'DOGE', multiplier: 100, tickSize: 0.00001, price: 0.15 }]
+].map(([symbol, contract]) => [symbol, { ...contract, markPrice: contract.price }]));
+
+// Рівні risk limit за замовчуванням: межа — вартість позиції в USDT
+const DEFAULT_RISK_LIMITS = [
+  { maxRiskLimit: 20000, maxLeverage: 75 },
+  { maxRiskLimit: 100000, maxLeverage: 50 },
+  { maxRiskLimit: 500000, maxLeverage: 20 },
+  { maxRiskLimit: 2000000, maxLeverage: 10 }
+];
+
+const exchange = {
+  cash: START_BALANCE,
+  positions: new Map(),   // symbol → { currentQty, avgEntryPrice, leverage, realisedPnl }
+  orders: [],
+  stopOrders: [],         // активні стоп-ордери (ще не спрацювали)
+  fills: [],              // угоди (GET /api/v1/fills)
+  positionHistory: [],    // закриті позиції (GET /api/v1/history-positions)
+  fundingHistory: [],     // funding платежі (GET /api/v1/funding-history)
+  liquidity: new Map(),   // symbol → maxFillSize для market ордерів (/mock/liquidity)
+  crossLeverage: new Map() // symbol → плече CROSS (POST /api/v2/changeCrossUserLeverage)
+};
+
+const telegram = {
+  updates: [],
+  sentMessages: [],
+  nextUpdateId: 1,
+  nextMessageId: 1
+};
+
+// ─── Розрахунки ────────────────────────────────────────────────────────────
+
+function unrealisedPnl(symbol, position) {
+  const contract = contracts.get(symbol);
+  return (contract.markPrice - position.avgEntryPrice) * position.currentQty * contract.multiplier;
+}
+
+function positionMargin(symbol, position) {
+  const contract = contracts.get(symbol);
+  return Math.abs(position.currentQty) * position.avgEntryPrice * contract.multiplier / position.leverage;
+}
+
+function accountOverview() {
+  let margin = 0;
+  let pnl = 0;
+
+  for (const [symbol, position] of exchange.positions.entries()) {
+    margin += positionMargin(symbol, position);
+    pnl += unrealisedPnl(symbol, position);
+  }
+
+  return {
+    accountEquity: exchange.cash + pnl,
+    unrealisedPNL: pnl,
+    marginBalance: exchange.cash,
+    positionMargin: margin,
+    orderMargin: 0,
+    frozenFunds: 0,
+    availableBalance: exchange.cash - margin,
+    currency: 'USDT'
+  };
+}
+
+/**
+ * Виконує size lots ордера по price: оновлює позицію, реалізує P&L, списує комісію.
+ * Limit ордер може виконуватись частинами — активним лишається до повного виконання.
+ */
+function fillOrder(order, size, fillPrice, liquidity) {
+  const contract = contracts.get(order.symbol);
+  const signedSize = order.side === 'buy' ? size : -size;
+  const fee = size * fillPrice * contract.multiplier * (liquidity === 'maker' ? MAKER_FEE_RATE : TAKER_FEE_RATE);
+
+  const position = exchange.positions.get(order.symbol) ||
+    { currentQty: 0, avgEntryPrice: 0, leverage: order.leverage, realisedPnl: 0, openedAt: Date.now(), realisedGross: 0, tradeFee: 0, fundingFee: 0 };
+
+  if (position.currentQty === 0 || Math.sign(position.currentQty) === Math.sign(signedSize)) {
+    // Відкриття або збільшення позиції
+    const newQty = position.currentQty + signedSize;
+    position.avgEntryPrice =
+      (position.avgEntryPrice * Math.abs(position.currentQty) + fillPrice * size) / Math.abs(newQty);
+    position.currentQty = newQty;
+    position.leverage = order.leverage;
+  } else {
+    // Зменшення / закриття (можливий розворот)
+    const closedQty = Math.min(Math.abs(position.currentQty), size);
+    const pnl = (fillPrice - position.avgEntryPrice) * closedQty * Math.sign(position.currentQty) * contract.multiplier;
+
+    exchange.cash += pnl;
+    position.realisedPnl += pnl;
+    position.realisedGross += pnl;
+    position.currentQty += signedSize;
+
+    if (position.currentQty !== 0 && Math.sign(position.currentQty) === Math.sign(signedSize)) {
+      position.avgEntryPrice = fillPrice;
+    }
+  }
+
+  exchange.cash -= fee;
+  position.realisedPnl -= fee;
+  position.tradeFee += fee;
+
+  if (position.currentQty === 0) {
+    exchange.positionHistory.push({
+      closeId: uuidv4().replace(/-/g, '').substring(0, 24),
+      symbol: order.symbol,
+      settleCurrency: 'USDT',
+      leverage: String(position.leverage),
+      type: order.side === 'sell' ? 'CLOSE_LONG' : 'CLOSE_SHORT',
+      pnl: String(position.realisedPnl),
+      realisedGrossCost: String(-position.realisedGross),
+      tradeFee: String(position.tradeFee),
+      fundingFee: String(position.fundingFee),
+      openTime: position.openedAt,
+      closeTime: Date.now(),
+      openPrice: String(position.avgEntryPrice),
+      closePrice: String(fillPrice),
+      marginMode: 'CROSS'
+    });
+    exchange.positions.delete(order.symbol);
+  } else {
+    exchange.positions.set(order.symbol, position);
+  }
+
+  const filledSize = (order.filledSize || 0) + size;
+  const filledValue = parseFloat(order.filledValue || '0') + size * fillPrice * contract.multiplier;
+  const done = filledSize >= order.size;
+
+  Object.assign(order, {
+    // У limit ордера price — ліміт, у market — ціна виконання
+    price: order.type === 'limit' ? order.price : String(fillPrice),
+    dealSize: filledSize,
+    filledSize,
+    dealValue: String(filledValue),
+    filledValue: String(filledValue),
+    fee: String(parseFloat(order.fee || '0') + fee),
+    status: done ? 'done' : 'open',
+    isActive: !done,
+    endAt: done ? Date.now() : null
+  });
+
+  exchange.fills.push({
+    tradeId: uuidv4().replace(/-/g, '').substring(0, 24),
+    orderId: order.id,
+    symbol: order.symbol,
+    side: order.side,
+    price: String(fillPrice),
+    size,
+    value: String(size * fillPrice * contract.multiplier),
+    fee: String(fee),
+    feeCurrency: 'USDT',
+    liquidity,
+    tradeTime: Date.now() * 1e6,
+    createdAt: Date.now()
+  });
+
+  console.log(`[MOCK] Filled ${order.side} ${size}/${order.size} ${order.symbol} @ ${fillPrice} (fee ${fee.toFixed(4)})`);
+}
+
+/**
+ * Виконує market ордер по поточній ціні. Якщо для символу задана ліквідність
+ * (/mock/liquidity), виконується не більше maxFillSize lots, решта скасовується.
+ */
+function fillMarketOrder(order) {
+  const contract = contracts.get(order.symbol);
+  const maxFillSize = exchange.liquidity.has(order.symbol) ? exchange.liquidity.get(order.symbol) : Infinity;
+  const size = Math.min(order.size, maxFillSize);
+
+  if (size > 0) {
+    fillOrder(order, size, contract.price, 'taker');
+  }
+
+  if (size < order.size) {
+    Object.assign(order, {
+      price: order.price || String(contract.price),
+      dealSize: size,
+      filledSize: size,
+      dealValue: order.dealValue || '0',
+      filledValue: order.filledValue || '0',
+      status: 'done',
+      isActive: false,
+      cancelExist: true,
+      endAt: Date.now()
+    });
+    console.log(`[MOCK] Market order ${order.id}: filled ${size}/${order.size}, rest cancelled (no liquidity)`);
+  }
+}
+
+/**
+ * Нараховує funding по відкритій позиції символу: при додатній ставці long платить short
+ */
+function settleFunding(symbol, fundingRate) {
+  const contract = requireContract(symbol);
+  const position = exchange.positions.get(symbol);
+  if (!position) throw { code: '300009', msg: `No position for ${symbol}` };
+
+  const positionValue = position.currentQty * contract.markPrice * contract.multiplier;
+  const funding = -positionValue * fundingRate;
+
+  exchange.cash += funding;
+  position.realisedPnl += funding;
+  position.fundingFee -= funding;
+
+  const item = {
+    id: exchange.fundingHistory.length + 1,
+    symbol,
+    timePoint: Date.now(),
+    fundingRate,
+    markPrice: contract.markPrice,
+    positionQty: position.currentQty,
+    positionCost: positionValue,
+    funding,
+    settleCurrency: 'USDT'
+  };
+  exchange.fundingHistory.push(item);
+
+  console.log(`[MOCK] Funding ${symbol} rate ${fundingRate}: ${funding.toFixed(4)} USDT`);
+  return item;
+}
+
+/**
+ * Виконує активні limit ордери символу, до ціни яких дійшов ринок (як maker, по ціні ліміту)
+ */
+function fillLimitOrders(symbol) {
+  const contract = contracts.get(symbol);
+
+  for (const order of exchange.orders.filter(o => o.symbol === symbol && o.type === 'limit' && o.isActive)) {
+    const limitPrice = parseFloat(order.price);
+    const reached = order.side === 'buy' ? contract.price <= limitPrice : contract.price >= limitPrice;
+    if (reached) {
+      fillOrder(order, order.size - order.filledSize, limitPrice, 'maker');
+    }
+  }
+}
+
+/**
+ * Виконує стоп-ордери символу, ціна тригера яких досягнута
+ */
+function triggerStopOrders(symbol) {
+  const contract = contracts.get(symbol);
+
+  for (const stopOrder of exchange.stopOrders.filter(order => order.symbol === symbol)) {
+    const price = stopOrder.stopPriceType === 'TP' ? contract.price : contract.markPrice;
+    const triggered = stopOrder.stop === 'down' ? price <= stopOrder.stopPrice : price >= stopOrder.stopPrice;
+    if (!triggered) continue;
+
+    exchange.stopOrders = exchange.stopOrders.filter(order => order.id !== stopOrder.id);
+
+    // closeOrder без позиції біржа просто скасовує
+    const position = exchange.positions.get(symbol);
+    if (!position) {
+      console.log(`[MOCK] Stop order ${stopOrder.id} triggered without position — cancelled`);
+      continue;
+    }
+
+    console.log(`[MOCK] Stop order triggered: ${symbol} stop ${stopOrder.stop} @ ${stopOrder.stopPrice} (price ${price})`);
+
+    const order = { ...stopOrder, size: Math.abs(position.currentQty), stopTriggered: true };
+    fillOrder(order, order.size, contract.price, 'taker');
+    exchange.orders.push(order);
+  }
+}
+
+// ─── KuCoin API ────────────────────────────────────────────────────────────
+
+function signature(timestamp, method, requestPath, body) {
+  return crypto.createHmac('sha256', API_SECRET).update(timestamp + method + requestPath + body).digest('base64');
+}
+
+/**
+ * Перевіряє підпис запиту так само, як KuCoin
+ */
+function verifySignature(req, requestPath, body) {
+  const timestamp = req.headers['kc-api-timestamp'];
+
+  if (req.headers['kc-api-key'] !== API_KEY) {
+    return { code: '400003', msg: 'KC-API-KEY not exists' };
+  }
+
+  const expectedPassphrase = crypto.createHmac('sha256', API_SECRET).update(API_PASSPHRASE).digest('base64');
+  if (req.headers['kc-api-passphrase'] !== expectedPassphrase) {
+    return { code: '400004', msg: 'Invalid KC-API-PASSPHRASE' };
+  }
+
+  if (!timestamp || Math.abs(Date.now() - parseInt(timestamp)) > MAX_TIMESTAMP_DRIFT_MS) {
+    return { code: '400002', msg: 'Invalid KC-API-TIMESTAMP' };
+  }
+
+  if (req.headers['kc-api-sign'] !== signature(timestamp, req.method, requestPath, body)) {
+    return { code: '400005', msg: 'Invalid KC-API-SIGN' };
+  }
+
+  return null;
+}
+
+/**
+ * Рівні risk limit контракту у форматі GET /api/v1/contracts/risk-limit/{symbol}
+ */
+function riskLimitLevels(contract) {
+  return (contract.riskLimits || DEFAULT_RISK_LIMITS).map((level, index, levels) => ({
+    symbol: contract.symbol,
+    level: index + 1,
+    minRiskLimit: index === 0 ? 0 : levels[index - 1].maxRiskLimit,
+    maxRiskLimit: level.maxRiskLimit,
+    maxLeverage: level.maxLeverage,
+    initialMargin: 1 / level.maxLeverage,
+    maintainMargin: 1 / level.maxLeverage / 2
+  }));
+}
+
+function mapContract(contract) {
+  const baseLevel = riskLimitLevels(contract)[0];
+
+  return {
+    symbol: contract.symbol,
+    rootSymbol: 'USDT',
+    type: 'FFWCSX',
+    baseCurrency: contract.baseCurrency,
+    quoteCurrency: 'USDT',
+    settleCurrency: 'USDT',
+    isInverse: false,
+    maxOrderQty: 1000000,
+    maxPrice: 1000000000,
+    lotSize: 1,
+    tickSize: contract.tickSize,
+    multiplier: contract.multiplier,
+    minOrderQty: 1,
+    maxLeverage: baseLevel.maxLeverage,
+    initialMargin: baseLevel.initialMargin,
+    maintainMargin: baseLevel.maintainMargin,
+    maxRiskLimit: baseLevel.maxRiskLimit,
+    minRiskLimit: 0,
+    riskStep: baseLevel.maxRiskLimit,
+    status: 'Open',
+    fundingFeeRate: contract.fundingRate ?? 0.0001,
+    predictedFundingFeeRate: contract.fundingRate ?? 0.0001,
+    // Заданий час funding після розрахунку зсувається на наступний період, як на біржі
+    nextFundingRateTime: contract.nextFundingTime
+      ? getNextFundingTime(contract.nextFundingTime, 8 * 60 * 60 * 1000, Date.now()) - Date.now()
+      : 8 * 60 * 60 * 1000 - (Date.now() % (8 * 60 * 60 * 1000)),
+    fundingRateGranularity: 8 * 60 * 60 * 1000,
+    lastTradePrice: contract.price,
+    markPrice: contract.markPrice,
+    indexPrice: contract.markPrice,
+    openInterest: String(contract.openInterest ?? 1000000),
+    turnoverOf24h: contract.turnoverOf24h ?? 50000000,
+    volumeOf24h: 1000000
+  };
+}
+
+function mapPosition(symbol, position) {
+  const contract = contracts.get(symbol);
+  return {
+    symbol,
+    currentQty: position.currentQty,
+    avgEntryPrice: position.avgEntryPrice,
+    markPrice: contract.markPrice,
+    unrealisedPnl: unrealisedPnl(symbol, position),
+    realisedPnl: position.realisedPnl,
+    realLeverage: position.leverage,
+    openingTimestamp: position.openedAt,
+    isOpen: true,
+    settleCurrency: 'USDT'
+  };
+}
+
+/**
+ * Маршрути KuCoin API. Повертає data (або кидає { code, msg })
+ */
+function handleKuCoin(method, url, payload) {
+  const path = url.pathname;
+  const query = url.searchParams;
+
+  if (method === 'GET' && path === '/api/v1/account-overview') {
+    return accountOverview();
+  }
+
+  if (method === 'GET' && path === '/api/v1/contracts/active') {
+    return Array.from(contracts.values()).map(mapContract);
+  }
+
+  const riskLimitMatch = path.match(/^\/api\/v1\/contracts\/risk-limit\/([A-Z0-9]+)$/);
+  if (method === 'GET' && riskLimitMatch) {
+    return riskLimitLevels(requireContract(riskLimitMatch[1]));
+  }
+
+  if (method === 'POST' && path === '/api/v2/changeCrossUserLeverage') {
+    const contract = requireContract(payload.symbol);
+    const leverage = parseFloat(payload.leverage);
+    const maxLeverage = riskLimitLevels(contract)[0].maxLeverage;
+    if (!(leverage >= 1) || leverage > maxLeverage) {
+      throw { code: '300016', msg: `Leverage must be between 1 and ${maxLeverage}` };
+    }
+    exchange.crossLeverage.set(contract.symbol, leverage);
+    return true;
+  }
+
+  if (method === 'GET' && path === '/api/v2/getCrossUserLeverage') {
+    const contract = requireContract(query.get('symbol'));
+    return { symbol: contract.symbol, leverage: String(exchange.crossLeverage.get(contract.symbol) || 5) };
+  }
+
+  if (method === 'GET' && path === '/api/v1/ticker') {
+    const contract = requireContract(query.get('symbol'));
+    return {
+      symbol: contract.symbol,
+      price: String(contract.price),
+      bestBidPrice: String(contract.price),
+      bestAskPrice: String(contract.price),
+      ts: Date.now() * 1e6
+    };
+  }
+
+  // Пласкі свічки по поточній ціні (для npm run download-klines)
+  if (method === 'GET' && path === '/api/v1/kline/query') {
+    const contract = requireContract(query.get('symbol'));
+    const stepMs = parseInt(query.get('granularity')) * 60000;
+    const from = Math.ceil(parseInt(query.get('from')) / stepMs) * stepMs;
+    const to = parseInt(query.get('to'));
+    const klines = [];
+    for (let time = from; time < to && klines.length < 500; time += stepMs) {
+      klines.push([time, contract.price, contract.price, contract.price, contract.price, 0, 0]);
+    }
+    return klines;
+  }
+
+  const markMatch = path.match(/^\/api\/v1\/mark-price\/([A-Z0-9]+)\/current$/);
+  if (method === 'GET' && markMatch) {
+    const contract = requireContract(markMatch[1]);
+    return { symbol: contract.symbol, value: contract.markPrice, indexPrice: contract.markPrice, timePoint: Date.now() };
+  }
+
+  if (method === 'POST' && path === '/api/v1/orders') {
+    return placeOrder(payload);
+  }
+
+  if (method === 'GET' && path === '/api/v1/orders/byClientOid') {
+    return exchange.orders.find(order => order.clientOid === query.get('clientOid')) || null;
+  }
+
+  const orderMatch = path.match(/^\/api\/v1\/orders\/([\w-]+)$/);
+  if (method === 'GET' && orderMatch) {
+    const order = exchange.orders.find(o => o.id === orderMatch[1]) ||
+      exchange.stopOrders.find(o => o.id === orderMatch[1]);
+    if (!order) throw { code: '404000', msg: 'Order not found' };
+    return order;
+  }
+
+  if (method === 'DELETE' && orderMatch) {
+    return cancelOrder(orderMatch[1]);
+  }
+
+  if (method === 'GET' && path === '/api/v1/stopOrders') {
+    const items = exchange.stopOrders.filter(order => !query.get('symbol') || order.symbol === query.get('symbol'));
+    return { currentPage: 1, pageSize: items.length, totalNum: items.length, totalPage: 1, items };
+  }
+
+  if (method === 'GET' && path === '/api/v1/fills') {
+    const items = exchange.fills
+      .filter(fill => !query.get('orderId') || fill.orderId === query.get('orderId'))
+      .filter(fill => !query.get('symbol') || fill.symbol === query.get('symbol'))
+      .filter(fill => !query.get('startAt') || fill.createdAt >= parseInt(query.get('startAt')))
+      .slice().reverse();
+    return { currentPage: 1, pageSize: items.length, totalNum: items.length, totalPage: 1, items };
+  }
+
+  if (method === 'GET' && path === '/api/v1/history-positions') {
+    const items = exchange.positionHistory
+      .filter(item => !query.get('symbol') || item.symbol === query.get('symbol'))
+      .filter(item => !query.get('from') || item.closeTime >= parseInt(query.get('from')))
+      .slice().reverse();
+    return { currentPage: 1, pageSize: items.length, totalNum: items.length, totalPage: 1, items };
+  }
+
+  if (method === 'GET' && path === '/api/v1/funding-history') {
+    const dataList = exchange.fundingHistory
+      .filter(item => item.symbol === query.get('symbol'))
+      .filter(item => !query.get('startAt') || item.timePoint >= parseInt(query.get('startAt')))
+      .slice().reverse();
+    return { dataList, hasMore: false };
+  }
+
+  if (method === 'GET' && path === '/api/v1/positions') {
+    return Array.from(exchange.positions.entries()).map(([symbol, position]) => mapPosition(symbol, position));
+  }
+
+  if (method === 'GET' && path === '/api/v1/recentDoneOrders') {
+    // Скасовані без виконання ордери в історію угод не потрапляють
+    return exchange.orders.filter(order => order.status === 'done' && order.dealSize > 0).slice().reverse();
+  }
+
+  if (method === 'POST' && (path === '/api/v1/bullet-private' || path === '/api/v1/bullet-public')) {
+    throw { code: '400100', msg: 'WebSocket is not supported by the mock server' };
+  }
+
+  throw { code: '404000', msg: `Mock endpoint not implemented: ${method} ${path}` };
+}
+
+function requireContract(symbol) {
+  const contract = contracts.get(symbol);
+  if (!contract) throw { code: '400100', msg: `Contract ${symbol} not found` };
+  return contract;
+}
+
+function placeOrder(payload) {
+  const { clientOid, side, symbol, type, leverage, size, closeOrder, marginMode, stop, price, postOnly } = payload;
+
+  if (!clientOid) throw { code: '400100', msg: 'clientOid is required' };
+  if (side !== 'buy' && side !== 'sell') throw { code: '400100', msg: 'Invalid side' };
+  if (type === 'limit' && !(parseFloat(price) > 0)) throw { code: '400100', msg: 'Invalid price' };
+  if (type !== 'market' && type !== 'limit') throw { code: '400100', msg: `Order type ${type} is not supported by the mock server` };
+  if (!Number.isInteger(size) || size <= 0) throw { code: '400100', msg: 'Size must be a positive integer' };
+  requireContract(symbol);
+
+  if (exchange.orders.some(order => order.clientOid === clientOid) ||
+      exchange.stopOrders.some(order => order.clientOid === clientOid)) {
+    throw { code: '300000', msg: 'Duplicate clientOid' };
+  }
+
+  if (stop) {
+    return placeStopOrder(payload);
+  }
+
+  const position = exchange.positions.get(symbol);
+  if (closeOrder && !position) {
+    throw { code: '300009', msg: 'No position to close' };
+  }
+
+  const order = {
+    id: uuidv4().replace(/-/g, '').substring(0, 24),
+    clientOid,
+    symbol,
+    side,
+    type,
+    size: closeOrder ? Math.min(size, Math.abs(position.currentQty)) : size,
+    // У CROSS діє плече акаунта по символу, параметр ордера — лише в ISOLATED
+    leverage: (marginMode || 'CROSS') === 'CROSS' && exchange.crossLeverage.has(symbol)
+      ? exchange.crossLeverage.get(symbol)
+      : parseFloat(leverage || '1'),
+    marginMode: marginMode || 'CROSS',
+    closeOrder: Boolean(closeOrder),
+    createdAt: Date.now()
+  };
+
+  const contract = contracts.get(symbol);
+  const orderPrice = type === 'limit' ? parseFloat(price) : contract.price;
+  const requiredMargin = order.size * orderPrice * contract.multiplier / order.leverage;
+  if (!closeOrder && requiredMargin > accountOverview().availableBalance) {
+    throw { code: '300003', msg: 'Balance insufficient' };
+  }
+
+  // Вартість позиції після ордера має вміщатись у рівень risk limit, що дозволяє це плече
+  if (!closeOrder) {
+    const signedSize = side === 'buy' ? order.size : -order.size;
+    const positionValue = Math.abs((position ? position.currentQty : 0) + signedSize) * orderPrice * contract.multiplier;
+    const allowed = riskLimitLevels(contract).filter(level => level.maxLeverage >= order.leverage);
+    const maxValue = allowed.length > 0 ? allowed[allowed.length - 1].maxRiskLimit : 0;
+    if (positionValue > maxValue) {
+      throw { code: '300016', msg: `Position value ${positionValue.toFixed(2)} exceeds risk limit ${maxValue} for ${order.leverage}x` };
+    }
+  }
+
+  if (type === 'market') {
+    fillMarketOrder(order);
+    exchange.orders.push(order);
+    return { orderId: order.id };
+  }
+
+  // Limit: ціна перетинає ринок — виконується одразу як taker (post-only відхиляється)
+  const crosses = side === 'buy' ? contract.price <= orderPrice : contract.price >= orderPrice;
+  if (crosses && postOnly) {
+    throw { code: '400100', msg: 'Post-only order would match an existing order' };
+  }
+
+  Object.assign(order, {
+    price: String(orderPrice),
+    postOnly: Boolean(postOnly),
+    filledSize: 0,
+    dealSize: 0,
+    filledValue: '0',
+    dealValue: '0',
+    status: 'open',
+    isActive: true,
+    cancelExist: false
+  });
+
+  if (crosses) {
+    fillOrder(order, order.size, contract.price, 'taker');
+  } else {
+    console.log(`[MOCK] Limit order placed: ${side} ${order.size} ${symbol} @ ${orderPrice}${postOnly ? ' (post-only)' : ''}`);
+  }
+
+  exchange.orders.push(order);
+
+  return { orderId: order.id };
+}
+
+/**
+ * Стоп-ордер чекає на ціну тригера (triggerStopOrders)
+ */
+function placeStopOrder(payload) {
+  const { clientOid, side, symbol, leverage, size, closeOrder, marginMode, stop, stopPrice, stopPriceType } = payload;
+
+  if (stop !== 'down' && stop !== 'up') throw { code: '400100', msg: 'Invalid stop' };
+  if (!(parseFloat(stopPrice) > 0)) throw { code: '400100', msg: 'Invalid stopPrice' };
+  if (!closeOrder) throw { code: '400100', msg: 'Only closeOrder stop orders are supported by the mock server' };
+
+  const stopOrder = {
+    id: uuidv4().replace(/-/g, '').substring(0, 24),
+    clientOid,
+    symbol,
+    side,
+    type: 'market',
+    size,
+    leverage: parseFloat(leverage || '1'),
+    marginMode: marginMode || 'CROSS',
+    closeOrder: true,
+    stop,
+    stopPrice: parseFloat(stopPrice),
+    stopPriceType: stopPriceType || 'TP',
+    status: 'open',
+    isActive: true,
+    createdAt: Date.now()
+  };
+
+  exchange.stopOrders.push(stopOrder);
+  console.log(`[MOCK] Stop order placed: ${side} ${symbol} stop ${stop} @ ${stopOrder.stopPrice} (${stopOrder.stopPriceType})`);
+
+  // Тригер уже досягнутий — спрацьовує одразу
+  triggerStopOrders(symbol);
+
+  return { orderId: stopOrder.id };
+}
+
+/**
+ * Скасовує активний стоп- або limit ордер (виконані ордери скасувати не можна)
+ */
+function cancelOrder(orderId) {
+  const limitOrder = exchange.orders.find(order => order.id === orderId && order.isActive);
+  if (limitOrder) {
+    Object.assign(limitOrder, { status: 'done', isActive: false, cancelExist: true, endAt: Date.now() });
+    console.log(`[MOCK] Cancelled limit order ${orderId} (${limitOrder.symbol}, filled ${limitOrder.filledSize}/${limitOrder.size})`);
+    return { cancelledOrderIds: [orderId] };
+  }
+
+  const stopOrder = exchange.stopOrders.find(order => order.id === orderId);
+  if (!stopOrder) {
+    throw { code: '100004', msg: 'The order cannot be canceled' };
+  }
+
+  exchange.stopOrders = exchange.stopOrders.filter(order => order.id !== orderId);
+  console.log(`[MOCK] Cancelled stop order ${orderId} (${stopOrder.symbol})`);
+
+  return { cancelledOrderIds: [orderId] };
+}
+
+// ─── Telegram Bot API ──────────────────────────────────────────────────────
+
+function handleTelegram(method, payload) {
+  if (method === 'getUpdates') {
+    const offset = parseInt(payload.offset || '0');
+    telegram.updates = telegram.updates.filter(update => update.update_id >= offset);
+    return telegram.updates;
+  }
+
+  if (method === 'sendMessage') {
+    const message = {
+      message_id: telegram.nextMessageId++,
+      chat: { id: parseInt(payload.chat_id), type: 'channel' },
+      date: Math.floor(Date.now() / 1000),
+      text: payload.text
+    };
+    telegram.sentMessages.push(message);
+    console.log(`[MOCK] Telegram → ${payload.chat_id}:\n${payload.text}\n`);
+    return message;
+  }
+
+  return true;
+}
+
+function postToChannel(text) {
+  const update = {
+    update_id: telegram.nextUpdateId++,
+    channel_post: {
+      message_id: telegram.nextMessageId++,
+      chat: { id: parseInt(CHANNEL_ID), type: 'channel' },
+      date: Math.floor(Date.now() / 1000),
+      text
+    }
+  };
+  telegram.updates.push(update);
+  return update;
+}
+
+// ─── HTTP ──────────────────────────────────────────────────────────────────
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function parseBody(body, contentType = '') {
+  if (!body) return {};
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+  return JSON.parse(body);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const requestPath = url.pathname + url.search;
+
+    try {
+      const payload = parseBody(body, req.headers['content-type']);
+
+      // Telegram Bot API: /bot<token>/<method>
+      const telegramMatch = url.pathname.match(/^\/bot[^/]+\/(\w+)$/);
+      if (telegramMatch) {
+        sendJson(res, 200, { ok: true, result: handleTelegram(telegramMatch[1], { ...Object.fromEntries(url.searchParams), ...payload }) });
+        return;
+      }
+
+      // Керування симуляцією
+      if (req.method === 'POST' && url.pathname === '/mock/price') {
+        const contract = requireContract(payload.symbol);
+        contract.price = parseFloat(payload.price);
+        contract.markPrice = parseFloat(payload.markPrice || payload.price);
+        fillLimitOrders(contract.symbol);
+        triggerStopOrders(contract.symbol);
+        sendJson(res, 200, { ok: true, contract });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/funding-rate') {
+        const contract = requireContract(payload.symbol);
+        contract.fundingRate = parseFloat(payload.rate);
+        if (payload.nextFundingInSec !== undefined) {
+          contract.nextFundingTime = Date.now() + parseFloat(payload.nextFundingInSec) * 1000;
+        }
+        sendJson(res, 200, { ok: true, contract: mapContract(contract) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/funding') {
+        sendJson(res, 200, { ok: true, funding: settleFunding(payload.symbol, parseFloat(payload.rate)) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/liquidity') {
+        requireContract(payload.symbol);
+        if (payload.maxFillSize === null || payload.maxFillSize === undefined) {
+          exchange.liquidity.delete(payload.symbol);
+        } else {
+          exchange.liquidity.set(payload.symbol, parseInt(payload.maxFillSize));
+        }
+        sendJson(res, 200, { ok: true, liquidity: Object.fromEntries(exchange.liquidity) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/contract') {
+        const contract = requireContract(payload.symbol);
+        for (const field of ['turnoverOf24h', 'openInterest', 'tickSize']) {
+          if (payload[field] !== undefined) contract[field] = parseFloat(payload[field]);
+        }
+        sendJson(res, 200, { ok: true, contract: mapContract(contract) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/risk-limit') {
+        const contract = requireContract(payload.symbol);
+        contract.riskLimits = payload.levels || null;
+        sendJson(res, 200, { ok: true, levels: riskLimitLevels(contract) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/fill') {
+        const order = exchange.orders.find(o => o.id === payload.orderId && o.isActive);
+        if (!order) throw { code: '404000', msg: 'Active order not found' };
+        const size = Math.min(parseInt(payload.size || String(order.size - order.filledSize)), order.size - order.filledSize);
+        fillOrder(order, size, parseFloat(order.price), 'maker');
+        sendJson(res, 200, { ok: true, order });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/mock/telegram/post') {
+        sendJson(res, 200, { ok: true, update: postToChannel(payload.text) });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/mock/state') {
+        sendJson(res, 200, {
+          account: accountOverview(),
+          positions: Array.from(exchange.positions.entries()).map(([symbol, position]) => mapPosition(symbol, position)),
+          orders: exchange.orders,
+          stopOrders: exchange.stopOrders,
+          fills: exchange.fills,
+          positionHistory: exchange.positionHistory,
+          fundingHistory: exchange.fundingHistory,
+          telegramMessages: telegram.sentMessages
+        });
+        return;
+      }
+
+      // Публічні endpoints без підпису
+      if (req.method === 'GET' && url.pathname === '/api/v1/timestamp') {
+        sendJson(res, 200, { code: '200000', data: Date.now() });
+        return;
+      }
+
+      const authError = verifySignature(req, requestPath, body);
+      if (authError) {
+        sendJson(res, 401, authError);
+        return;
+      }
+
+      sendJson(res, 200, { code: '200000', data: handleKuCoin(req.method, url, payload) });
+    } catch (error) {
+      if (error.code) {
+        sendJson(res, 200, { code: error.code, msg: error.msg });
+      } else {
+        console.error(`[MOCK] Error handling ${req.method} ${requestPath}: ${error.message}`);
+        sendJson(res, 500, { code: '500000', msg: error.message });
+      }
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[MOCK] KuCoin Futures mock listening on http://127.0.0.1:${PORT}`);
+  console.log(`[MOCK] Balance: ${START_BALANCE} USDT | Contracts: ${Array.from(contracts.keys()).join(', ')}`);
+});
@@ -0,0 +1,214 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Відтворення архіву сигналів (data/signals.jsonl) для розбору інцидентів.
+ *
+ * Кожне повідомлення заново парситься поточним парсером і проходить через
+ * той самий tradingService.handleSignal, що й у живому боті, але:
+ *   - годинник віртуальний (час отримання повідомлення з архіву)
+ *   - біржа — paper (DRY_RUN), стан — у тимчасовому файлі
+ *   - вхід завжди market ордером (ENTRY_ORDER_TYPE ігнорується)
+ *   - funding не враховується (FUNDING_* фільтри та paper-нарахування вимкнені)
+ *   - плече й розмір обмежуються базовим рівнем risk limit з даних контракту
+ *   - закриття за часом утримання (MAX_HOLD_SEC) перевіряється після кожного повідомлення
+ *   - circuit breaker (CIRCUIT_*) перевіряється після кожного повідомлення, межа дня — за віртуальним часом
+ *   - ціни — зі свічок (--klines) або з архіву: живі ціни з перевірки fair price,
+ *     інакше last/fair price з OPEN сигналу; на EXIT ("ціни зрівнялись")
+ *     last price вважається рівною fair price
+ *
+ * Використання:
+ *   npm run replay -- [--file data/signals.jsonl] [опції]
+ *
+ * Опції:
+ *   --from DATE / --to DATE   відтворити лише частину архіву
+ *   --symbol SYMBOL           лише повідомлення по символу
+ *   --klines DIR              свічки (npm run download-klines) для точніших цін
+ *   --contracts FILE          контракти офлайн (за замовчуванням <klines>/contracts.json,
+ *                             інакше завантажуються з KuCoin)
+ *   --balance N               стартовий paper-баланс
+ *   --verbose                 повні логи бота
+ */
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key === 'verbose') {
+      args.verbose = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const stateFile = path.join(os.tmpdir(), `kucoin-bot-replay-${process.pid}.json`);
+
+// Налаштування середовища до імпорту config — replay ніколи не торгує реальними коштами
+process.env.DRY_RUN = 'true';
+process.env.WEBSOCKET_ENABLED = 'false';
+process.env.SIGNAL_RECORDER_ENABLED = 'false';
+process.env.STATE_FILE = stateFile;
+// Очікування limit ордера йде по реальному часу, а ціни в архіві статичні — входимо market
+process.env.ENTRY_ORDER_TYPE = 'market';
+// Історичних funding ставок і часу розрахунків в архіві немає — funding фільтри та нарахування вимкнені
+process.env.FUNDING_BLACKOUT_SEC = '0';
+process.env.FUNDING_MAX_ADVERSE_RATE_PERCENT = '0';
+process.env.PAPER_SIMULATE_FUNDING = 'false';
+if (args.balance) {
+  process.env.PAPER_START_BALANCE = args.balance;
+}
+
+const { config } = await import('../config/settings.js');
+const { default: logger } = await import('../utils/logger.js');
+const { default: clockService } = await import('../services/clock.service.js');
+const { default: stateService } = await import('../services/state.service.js');
+const { default: telegramService } = await import('../services/telegram.service.js');
+const { default: tradingService } = await import('../services/trading.service.js');
+const { default: positionService } = await import('../services/position.service.js');
+const { default: marketDataService } = await import('../services/market-data.service.js');
+const { default: contractsService } = await import('../services/contracts.service.js');
+const { default: signalRecorderService } = await import('../services/signal-recorder.service.js');
+const { default: exchange } = await import('../services/exchange.service.js');
+const { default: circuitBreakerService } = await import('../services/circuit-breaker.service.js');
+const { KlineStore, loadContracts } = await import('../backtest/loaders.js');
+
+/**
+ * Записи архіву з урахуванням фільтрів, відсортовані за часом отримання
+ */
+function selectRecords() {
+  const file = args.file || config.recorder.file;
+  const from = args.from ? Date.parse(args.from) : -Infinity;
+  const to = args.to ? Date.parse(args.to) : Infinity;
+
+  return signalRecorderService.readAll(file)
+    .filter(record => record.receivedAt >= from && record.receivedAt <= to)
+    .filter(record => !args.symbol || (record.parsed && record.parsed.symbol === args.symbol) || record.text.includes(args.symbol))
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+async function replay() {
+  try {
+    if (!args.verbose) {
+      logger.level = 'warn';
+    }
+
+    const records = selectRecords();
+    if (records.length === 0) {
+      throw new Error(`No records to replay in ${args.file || config.recorder.file}`);
+    }
+
+    const klines = args.klines ? new KlineStore(args.klines) : null;
+    const contractsFile = args.contracts || (args.klines && path.join(args.klines, 'contracts.json'));
+
+    stateService.load();
+
+    if (contractsFile && fs.existsSync(contractsFile)) {
+      contractsService.setContracts(Array.from(loadContracts(contractsFile).values()));
+    } else {
+      await contractsService.load();
+    }
+
+    // Підписані запити з віртуальним годинником біржа відхиляє — рівні risk limit беремо з даних контракту
+    exchange.riskLimitLevelsFn = null;
+
+    positionService.onExitRequest((request) => tradingService.handleExitRequest(request));
+    clockService.setVirtualTime(records[0].receivedAt);
+    await exchange.connect();
+    tradingService.statistics.startBalance = config.paper.startBalance;
+
+    // Останні відомі ціни по символах (з сигналів)
+    const knownPrices = new Map();
+
+    const refreshPrices = (symbols) => {
+      for (const symbol of symbols) {
+        const fromKlines = klines ? klines.priceAt(symbol, clockService.now()) : null;
+        const known = knownPrices.get(symbol);
+        const lastPrice = fromKlines || (known && known.lastPrice);
+
+        if (lastPrice) {
+          marketDataService.setPrices(symbol, { lastPrice, markPrice: fromKlines || known.fairPrice });
+        }
+      }
+    };
+
+    const rows = [];
+
+    for (const record of records) {
+      clockService.setVirtualTime(record.receivedAt);
+
+      const isSignal = telegramService.isSignalMessage(record.text);
+      const signal = isSignal ? telegramService.parseSignal(record.text, { postedAt: record.postedAt }) : null;
+      let decision = null;
+
+      if (signal) {
+        const recordedCheck = record.decision && record.decision.fairPriceCheck;
+
+        if (signal.type === 'OPEN' && recordedCheck) {
+          // Живі ціни, які бот бачив у момент сигналу (перевірка fair price)
+          knownPrices.set(signal.symbol, { lastPrice: recordedCheck.liveLastPrice, fairPrice: recordedCheck.liveMarkPrice });
+        } else if (signal.type === 'OPEN') {
+          knownPrices.set(signal.symbol, { lastPrice: signal.lastPrice, fairPrice: signal.fairPrice });
+        } else if (knownPrices.has(signal.symbol)) {
+          // EXIT: ціни зрівнялись з fair price
+          const known = knownPrices.get(signal.symbol);
+          knownPrices.set(signal.symbol, { lastPrice: known.fairPrice, fairPrice: known.fairPrice });
+        }
+
+        refreshPrices(new Set([signal.symbol, ...positionService.getAllOpenPositions().map(p => p.symbol)]));
+        decision = await tradingService.handleSignal(signal);
+      }
+
+      // Моніторинг позицій — фіксує закриття на paper-біржі
+      await positionService.checkHoldTimeouts();
+      await positionService.checkPositions();
+      await circuitBreakerService.check();
+
+      if (!isSignal && !record.isSignal) continue;
+
+      const recordedAction = record.decision ? record.decision.action : (record.parseError ? 'PARSE_FAILED' : '-');
+      const replayedAction = decision ? decision.action : (isSignal ? 'PARSE_FAILED' : 'NOT_SIGNAL');
+
+      rows.push({
+        time: new Date(record.receivedAt).toISOString(),
+        messageId: record.messageId,
+        symbol: (signal && signal.symbol) || (record.parsed && record.parsed.symbol) || '?',
+        type: (signal && signal.type) || (record.parsed && record.parsed.type) || '?',
+        format: (signal && signal.format) || '-',
+        recorded: recordedAction,
+        replayed: replayedAction,
+        match: recordedAction === replayedAction ? '✅' : '❌',
+        reason: (decision && decision.reason) || (!signal && isSignal ? telegramService.lastParseError : '') || ''
+      });
+    }
+
+    console.table(rows);
+
+    const posStats = positionService.getStatistics();
+    const equity = await exchange.getEquity();
+    const mismatches = rows.filter(row => row.match === '❌').length;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`📜 Records: ${records.length}, signals: ${rows.length}, mismatches: ${mismatches}`);
+    console.log(`📊 Trades closed: ${posStats.totalTrades} (win ${posStats.winTrades} / lose ${posStats.loseTrades}), open: ${posStats.openPositions}`);
+    console.log(`💰 Paper equity: ${equity.toFixed(2)} USDT (start ${config.paper.startBalance})`);
+    console.log('='.repeat(50) + '\n');
+
+    fs.rmSync(stateFile, { force: true });
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    fs.rmSync(stateFile, { force: true });
+    process.exit(1);
+  }
+}
+
+replay();
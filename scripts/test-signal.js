@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SignalParser } from '../services/signal-parser.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Перевіряє повідомлення проти всіх форматів з config/signal-formats.json.
+ *
+ * Використання:
+ *   npm run test-signal -- "текст повідомлення"
+ *   npm run test-signal -- --file message.txt
+ *   pbpaste | npm run test-signal
+ *   npm run test-signal -- --formats my-formats.json "текст"   (перевірити нові формати до деплою)
+ *
+ * Ключі біржі та Telegram не потрібні: config/settings.js не імпортується,
+ * файл форматів — --formats, SIGNAL_FORMATS_FILE або config/signal-formats.json.
+ */
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+  });
+}
+
+async function testSignal() {
+  try {
+    logger.level = 'error';
+
+    const argv = process.argv.slice(2);
+    let text = null;
+    let formatsFile = process.env.SIGNAL_FORMATS_FILE || path.join(__dirname, '../config/signal-formats.json');
+
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--file') {
+        text = fs.readFileSync(argv[++i], 'utf8');
+      } else if (argv[i] === '--formats') {
+        formatsFile = argv[++i];
+      } else {
+        text = argv[i];
+      }
+    }
+
+    const signalParserService = new SignalParser(path.resolve(formatsFile));
+
+    if (text === null) {
+      if (process.stdin.isTTY) {
+        console.log('Paste the message and press Ctrl+D:');
+      }
+      text = await readStdin();
+    }
+
+    // У shell-аргументах переноси рядків часто передають як \n
+    text = text.replace(/\\n/g, '\n');
+
+    console.log('\n' + '='.repeat(50));
+
+    for (const format of signalParserService.formats) {
+      const detected = signalParserService.detect(text).includes(format);
+      const result = signalParserService.parseWith(format, text);
+
+      console.log(`\n📄 ${format.name} (${format.type})${format.description ? ` — ${format.description}` : ''}`);
+      console.log(`  Маркери: ${detected ? '✅ знайдено' : '❌ не знайдено'}`);
+
+      for (const [name, value] of Object.entries(result.fields)) {
+        console.log(`  ${name}: ${value}`);
+      }
+
+      if (result.signal) {
+        console.log(`  Результат: ${detected ? '✅' : '⚠️ (розпарсено, але маркери не збігаються)'} ${JSON.stringify(result.signal)}`);
+      } else {
+        console.log(`  Помилка: ${result.error}`);
+      }
+    }
+
+    const { signal, format, error } = signalParserService.parse(text);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(signal ? `✅ Бот розпізнає як ${signal.type} через формат ${format}` : `❌ Бот не розпізнає: ${error}`);
+    console.log('='.repeat(50) + '\n');
+
+    process.exit(signal ? 0 : 1);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+testSignal();
@@ -0,0 +1,330 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import exchange from './exchange.service.js';
+import positionService from './position.service.js';
+import stateService from './state.service.js';
+import telegramService from './telegram.service.js';
+import clockService from './clock.service.js';
+import { getCurrentDate } from '../utils/helpers.js';
+
+/**
+ * Circuit breaker: зупиняє нові входи після великого денного збитку або просідання.
+ *
+ * Equity (реалізований + нереалізований P&L) порівнюється з:
+ *   - equity на початок дня (UTC) — CIRCUIT_MAX_DAILY_LOSS_PERCENT / CIRCUIT_MAX_DAILY_LOSS_USDT
+ *   - піком equity за весь час     — CIRCUIT_MAX_DRAWDOWN_PERCENT
+ *
+ * Equity перевіряється за таймером (CIRCUIT_CHECK_INTERVAL_SEC); валідація сигналу бере останній стан
+ * (денний збиток з минулого дня вже не блокує, навіть до першої перевірки нового дня).
+ * Після спрацювання нові входи блокуються (validationService), за CIRCUIT_FLATTEN_ON_TRIP
+ * всі позиції закриваються тим самим шляхом, що й за політикою виходу, — і алерт у Telegram.
+ *
+ * Блокування знімається лише:
+ *   - з початком наступного дня — лише денний збиток (DAILY_LOSS); просідання від піку
+ *     з новим днем не зникає
+ *   - командою /breaker_reset — будь-яке; equity дня і пік рахуються від поточної equity
+ *
+ * Стан (equity дня, пік, спрацювання) зберігається між рестартами.
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.state = {
+      day: null,
+      dayStartEquity: null,
+      peakEquity: null,
+      equity: null,
+      updatedAt: null,
+      tripped: null
+    };
+    this.interval = null;
+    this.checkPromise = null;
+  }
+
+  /**
+   * Чи заданий хоча б один поріг
+   */
+  isEnabled() {
+    const { maxDailyLossPercent, maxDailyLossUSDT, maxDrawdownPercent } = config.circuitBreaker;
+    return maxDailyLossPercent > 0 || maxDailyLossUSDT > 0 || maxDrawdownPercent > 0;
+  }
+
+  /**
+   * Відновлює стан зі сховища стану (викликається при старті)
+   */
+  restoreState() {
+    Object.assign(this.state, stateService.get('circuitBreaker', {}));
+
+    if (this.state.tripped) {
+      logger.warn(`[BREAKER] Restored tripped state: ${this.state.tripped.reason} — new entries blocked`);
+    }
+  }
+
+  /**
+   * Зберігає стан у сховище стану
+   */
+  _persist() {
+    stateService.set('circuitBreaker', this.state);
+  }
+
+  /**
+   * Запускає періодичну перевірку (збиток може накопичитись і без нових сигналів)
+   */
+  start(intervalMs = config.circuitBreaker.checkIntervalMs) {
+    if (this.interval || !this.isEnabled()) return;
+
+    this.interval = setInterval(async () => {
+      await this.check();
+    }, intervalMs);
+
+    logger.info(`[BREAKER] Checking equity every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  /**
+   * Зупиняє періодичну перевірку
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Оновлює equity, межу дня та пік; спрацьовує при перевищенні порогу.
+   * Паралельні виклики (таймер і команда /breaker) чекають на одну перевірку.
+   *
+   * @returns {Promise<Object>} getStatus()
+   */
+  async check() {
+    if (!this.isEnabled()) {
+      return this.getStatus();
+    }
+
+    if (!this.checkPromise) {
+      this.checkPromise = this._check().finally(() => {
+        this.checkPromise = null;
+      });
+    }
+
+    return this.checkPromise;
+  }
+
+  async _check() {
+    let equity;
+    try {
+      equity = await exchange.getEquity();
+    } catch (error) {
+      // Без equity рішення не змінюється — діє попередній стан
+      logger.warn(`[BREAKER] Could not load equity: ${error.message}`);
+      return this.getStatus();
+    }
+
+    const now = clockService.now();
+    const day = getCurrentDate(now);
+
+    if (this.state.day !== day) {
+      await this._startDay(day, equity);
+    }
+
+    this.state.peakEquity = Math.max(this.state.peakEquity ?? equity, equity);
+    this.state.equity = equity;
+    this.state.updatedAt = now;
+
+    const breach = this.state.tripped ? null : this._findBreach();
+    this._persist();
+
+    if (breach) {
+      await this._trip(breach);
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Новий день: equity на початок дня, зняття блокування за денний збиток.
+   * Блокування за просідання залишається — його знімає лише /breaker_reset.
+   */
+  async _startDay(day, equity) {
+    const wasTripped = this.state.tripped;
+
+    this.state.day = day;
+    this.state.dayStartEquity = equity;
+
+    logger.info(`[BREAKER] New day ${day}: start equity ${equity.toFixed(2)} USDT`);
+
+    if (wasTripped && wasTripped.type === 'DAILY_LOSS') {
+      this.state.tripped = null;
+      logger.info(`[BREAKER] ✅ Reset at day boundary (was: ${wasTripped.reason})`);
+      await this._notify('RESET', { resetBy: 'початок нового дня' });
+    }
+  }
+
+  /**
+   * Коли знімається блокування (для повідомлень)
+   */
+  _describeReset(tripped) {
+    return tripped && tripped.type === 'DRAWDOWN'
+      ? 'лише командою /breaker_reset'
+      : 'наступний день (00:00 UTC) або /breaker_reset';
+  }
+
+  /**
+   * Денний збиток / просідання відносно поточної equity
+   */
+  _metrics() {
+    const { equity, dayStartEquity, peakEquity } = this.state;
+
+    if (equity === null) {
+      return { dailyPnl: 0, dailyLossPercent: 0, drawdownPercent: 0 };
+    }
+
+    const dailyPnl = equity - dayStartEquity;
+
+    return {
+      dailyPnl,
+      dailyLossPercent: dayStartEquity > 0 ? Math.max(-dailyPnl, 0) / dayStartEquity * 100 : 0,
+      drawdownPercent: peakEquity > 0 ? (peakEquity - equity) / peakEquity * 100 : 0
+    };
+  }
+
+  /**
+   * Перший перевищений поріг (або null)
+   */
+  _findBreach() {
+    const { maxDailyLossPercent, maxDailyLossUSDT, maxDrawdownPercent } = config.circuitBreaker;
+    const { dailyPnl, dailyLossPercent, drawdownPercent } = this._metrics();
+
+    if (maxDailyLossUSDT > 0 && -dailyPnl >= maxDailyLossUSDT) {
+      return {
+        type: 'DAILY_LOSS',
+        reason: `Daily loss ${(-dailyPnl).toFixed(2)} USDT ≥ max ${maxDailyLossUSDT} USDT`
+      };
+    }
+
+    if (maxDailyLossPercent > 0 && dailyLossPercent >= maxDailyLossPercent) {
+      return {
+        type: 'DAILY_LOSS',
+        reason: `Daily loss ${dailyLossPercent.toFixed(2)}% ≥ max ${maxDailyLossPercent}%`
+      };
+    }
+
+    if (maxDrawdownPercent > 0 && drawdownPercent >= maxDrawdownPercent) {
+      return {
+        type: 'DRAWDOWN',
+        reason: `Drawdown ${drawdownPercent.toFixed(2)}% from peak ${this.state.peakEquity.toFixed(2)} USDT ≥ max ${maxDrawdownPercent}%`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Спрацювання: блокування входів, алерт, за потреби — закриття всіх позицій
+   */
+  async _trip(breach) {
+    const positions = positionService.getAllOpenPositions();
+    const flatten = config.circuitBreaker.flattenOnTrip && positions.length > 0;
+
+    this.state.tripped = {
+      ...breach,
+      trippedAt: clockService.now(),
+      equity: this.state.equity,
+      flattened: flatten ? positions.map(position => position.symbol) : []
+    };
+    this._persist();
+
+    logger.error(
+      `[BREAKER] 🛑 Tripped: ${breach.reason} — new entries blocked until ` +
+      `${breach.type === 'DRAWDOWN' ? '/breaker_reset' : 'next day (UTC) or /breaker_reset'}`
+    );
+    await this._notify('TRIPPED');
+
+    if (!flatten) return;
+
+    logger.warn(`[BREAKER] Flattening ${positions.length} open position(s): ${positions.map(position => position.symbol).join(', ')}`);
+
+    for (const position of positions) {
+      await positionService.requestExit(position.symbol, 'CIRCUIT_BREAKER', { breakerReason: breach.reason });
+    }
+  }
+
+  /**
+   * Ручне зняття блокування (/breaker_reset): пороги рахуються від поточної equity.
+   * Відповідь у Telegram відправляє обробник команди.
+   *
+   * @returns {Promise<Object>} getStatus()
+   */
+  async reset() {
+    const wasTripped = this.state.tripped;
+    const equity = await exchange.getEquity();
+    const now = clockService.now();
+
+    this.state.day = getCurrentDate(now);
+    this.state.dayStartEquity = equity;
+    this.state.peakEquity = equity;
+    this.state.equity = equity;
+    this.state.updatedAt = now;
+    this.state.tripped = null;
+    this._persist();
+
+    logger.info(
+      `[BREAKER] ✅ Manual reset${wasTripped ? ` (was: ${wasTripped.reason})` : ''}: ` +
+      `day start and peak equity set to ${equity.toFixed(2)} USDT`
+    );
+
+    return this.getStatus();
+  }
+
+  /**
+   * Діюче спрацювання. Денний збиток з минулого дня вже не блокує входи, навіть якщо
+   * таймер ще не дійшов до check() і не зняв його в стані
+   */
+  _activeTrip() {
+    const { tripped, day } = this.state;
+
+    if (tripped && tripped.type === 'DAILY_LOSS' && day !== getCurrentDate(clockService.now())) {
+      return null;
+    }
+
+    return tripped;
+  }
+
+  /**
+   * Поточний стан для валідації, команд і звітів
+   */
+  getStatus() {
+    const tripped = this._activeTrip();
+
+    return {
+      enabled: this.isEnabled(),
+      tripped,
+      resetBy: tripped ? this._describeReset(tripped) : null,
+      day: this.state.day,
+      equity: this.state.equity,
+      dayStartEquity: this.state.dayStartEquity,
+      peakEquity: this.state.peakEquity,
+      updatedAt: this.state.updatedAt,
+      ...this._metrics()
+    };
+  }
+
+  /**
+   * Алерт у Telegram (TRIPPED / RESET)
+   */
+  async _notify(event, details = {}) {
+    if (config.trading.dryRun) return;
+
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatCircuitBreakerMessage(event, this.getStatus(), details)
+      );
+    } catch (error) {
+      logger.error(`[BREAKER] Error sending alert: ${error.message}`);
+    }
+  }
+}
+
+// Експортуємо singleton
+const circuitBreakerService = new CircuitBreakerService();
+export default circuitBreakerService;
@@ -0,0 +1,143 @@
+import axios from 'axios';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Синхронізація часу з сервером KuCoin.
+ *
+ * KuCoin відхиляє підписані запити, якщо KC-API-TIMESTAMP відрізняється від
+ * серверного часу більше ніж на кілька секунд. Тому тримаємо зміщення
+ * (offset = серверний час − локальний) і використовуємо clockService.now()
+ * замість Date.now() для підпису, торгових годин і віку сигналів.
+ *
+ * Endpoint: GET /api/v1/timestamp (публічний, без підпису)
+ */
+class ClockService {
+  constructor() {
+    this.offsetMs = 0;
+    this.lastSyncAt = null;
+    this.healthy = true;
+    this.syncInterval = null;
+    this.driftCallbacks = [];
+    this.virtualTime = null;
+  }
+
+  /**
+   * Поточний час з урахуванням зміщення (мс)
+   */
+  now() {
+    // Replay: годинник "стоїть" на моменті поточного відтворюваного повідомлення
+    if (this.virtualTime !== null) {
+      return this.virtualTime;
+    }
+
+    return Date.now() + this.offsetMs;
+  }
+
+  /**
+   * Встановлює віртуальний час (replay). null — повернутися до реального годинника
+   */
+  setVirtualTime(time) {
+    this.virtualTime = time;
+  }
+
+  /**
+   * Синхронізує зміщення з сервером KuCoin
+   */
+  async sync() {
+    try {
+      const sentAt = Date.now();
+      const response = await axios.get(`${config.kucoin.baseURL}/api/v1/timestamp`, {
+        timeout: config.kucoin.requestTimeoutMs
+      });
+      const receivedAt = Date.now();
+
+      const serverTime = parseInt(response.data.data);
+      if (!serverTime) {
+        throw new Error('Empty server time');
+      }
+
+      // Вважаємо, що сервер відповів посередині round-trip
+      this.offsetMs = serverTime - Math.round((sentAt + receivedAt) / 2);
+      this.lastSyncAt = receivedAt;
+
+      logger.info(`[CLOCK] Synced with KuCoin: offset ${this.offsetMs}ms (RTT ${receivedAt - sentAt}ms)`);
+
+      await this._checkDrift();
+      return this.offsetMs;
+    } catch (error) {
+      logger.error(`[CLOCK] Time sync failed: ${error.message}`);
+      return this.offsetMs;
+    }
+  }
+
+  /**
+   * Запускає періодичну синхронізацію
+   */
+  start(intervalMs = config.clock.syncIntervalMs) {
+    if (this.syncInterval) return;
+
+    this.syncInterval = setInterval(async () => {
+      await this.sync();
+    }, intervalMs);
+  }
+
+  /**
+   * Зупиняє періодичну синхронізацію
+   */
+  stop() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+  }
+
+  /**
+   * Реєструє callback на зміну стану годинника (великий дрейф / повернення в норму)
+   */
+  onDriftAlert(callback) {
+    this.driftCallbacks.push(callback);
+  }
+
+  /**
+   * Стан годинника для health-перевірок
+   */
+  getHealth() {
+    return {
+      healthy: this.healthy,
+      offsetMs: this.offsetMs,
+      maxDriftMs: config.clock.maxDriftMs,
+      lastSyncAt: this.lastSyncAt
+    };
+  }
+
+  /**
+   * Перевіряє, чи не завеликий дрейф локального годинника
+   */
+  async _checkDrift() {
+    const healthy = Math.abs(this.offsetMs) <= config.clock.maxDriftMs;
+
+    if (!healthy) {
+      logger.warn(
+        `[CLOCK] ⚠️ Local clock drift ${this.offsetMs}ms exceeds ${config.clock.maxDriftMs}ms ` +
+        `— check NTP on this host`
+      );
+    }
+
+    // Сповіщаємо тільки при зміні стану, щоб не спамити
+    if (healthy === this.healthy) return;
+    this.healthy = healthy;
+
+    for (const callback of this.driftCallbacks) {
+      try {
+        await callback(this.getHealth());
+      } catch (error) {
+        logger.error(`[CLOCK] Error in drift callback: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Експортуємо singleton
+const clockService = new ClockService();
+export default clockService;
@@ -0,0 +1,138 @@
+import kucoinService from './kucoin.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Реєстр контрактів з кешем (TTL).
+ *
+ * Раніше кожен getSymbolInfo() завантажував увесь /api/v1/contracts/active,
+ * і це відбувалося двічі на кожен OPEN сигнал. Тепер список завантажується
+ * один раз, індексується по символу й оновлюється, коли минув TTL.
+ *
+ * Якщо оновлення не вдалося — продовжуємо працювати зі старими даними.
+ */
+class ContractsService {
+  constructor() {
+    this.contracts = new Map();
+    this.loadedAt = 0;
+    this.loadingPromise = null;
+    this.offline = false;
+    this.refreshInterval = null;
+  }
+
+  /**
+   * Завантажує (або перезавантажує) список контрактів
+   */
+  async load() {
+    // Паралельні запити чекають одне й те саме завантаження
+    if (this.loadingPromise) {
+      return this.loadingPromise;
+    }
+
+    this.loadingPromise = (async () => {
+      try {
+        const contracts = await kucoinService.getActiveContracts();
+
+        this.contracts = new Map(contracts.map(contract => [contract.symbol, contract]));
+        this.loadedAt = Date.now();
+
+        logger.info(`[CONTRACTS] Loaded ${this.contracts.size} active contracts`);
+      } finally {
+        this.loadingPromise = null;
+      }
+    })();
+
+    return this.loadingPromise;
+  }
+
+  /**
+   * Заповнює реєстр готовим списком без запитів до KuCoin (replay з файлу контрактів)
+   */
+  setContracts(contracts) {
+    this.contracts = new Map(contracts.map(contract => [contract.symbol, contract]));
+    this.loadedAt = Date.now();
+    this.offline = true;
+
+    logger.info(`[CONTRACTS] Loaded ${this.contracts.size} contracts (offline)`);
+  }
+
+  /**
+   * Оновлює кеш, якщо минув TTL
+   */
+  async refreshIfStale() {
+    if (this.offline) return;
+
+    if (this.contracts.size > 0 && Date.now() - this.loadedAt < config.contracts.ttlMs) {
+      return;
+    }
+
+    try {
+      await this.load();
+    } catch (error) {
+      if (this.contracts.size === 0) {
+        throw error;
+      }
+      logger.warn(`[CONTRACTS] Refresh failed, using cached data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Отримує інформацію про контракт
+   */
+  async getSymbolInfo(symbol) {
+    await this.refreshIfStale();
+
+    const contract = this.contracts.get(symbol);
+    if (!contract) {
+      throw new Error(`Contract ${symbol} not found`);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Фонове оновлення кожні CONTRACTS_TTL_SEC: фільтри ліквідності (turnover, open interest)
+   * і funding бачать свіжі дані, навіть якщо сигналів давно не було
+   */
+  start() {
+    if (this.refreshInterval) return;
+
+    this.refreshInterval = setInterval(async () => {
+      try {
+        await this.refreshIfStale();
+      } catch (error) {
+        logger.warn(`[CONTRACTS] Background refresh failed: ${error.message}`);
+      }
+    }, config.contracts.ttlMs);
+
+    logger.info(`[CONTRACTS] Background refresh every ${config.contracts.ttlMs / 1000}s`);
+  }
+
+  /**
+   * Зупиняє фонове оновлення
+   */
+  stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  /**
+   * Повертає контракт з кешу без запитів (або null)
+   */
+  getCached(symbol) {
+    return this.contracts.get(symbol) || null;
+  }
+
+  /**
+   * Повертає всі контракти з кешу
+   */
+  getAll() {
+    return Array.from(this.contracts.values());
+  }
+}
+
+// Експортуємо singleton
+const contractsService = new ContractsService();
+export default contractsService;
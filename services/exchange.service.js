@@ -0,0 +1,14 @@
+import kucoinService from './kucoin.service.js';
+import paperExchange from './paper-exchange.service.js';
+import { config } from '../config/settings.js';
+
+/**
+ * Біржа для торгових операцій (баланс, ордери, позиції).
+ *
+ * У DRY_RUN режимі — paper-trading біржа з віртуальним балансом,
+ * у LIVE — реальний KuCoinService. Ринкові дані та інформація про контракти
+ * завжди беруться з KuCoin (market-data.service / contracts.service).
+ */
+const exchange = config.trading.dryRun ? paperExchange : kucoinService;
+
+export default exchange;
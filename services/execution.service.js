@@ -0,0 +1,303 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import exchange from './exchange.service.js';
+import { roundToTick } from '../utils/helpers.js';
+
+// Як часто перевіряти стан ордера під час очікування
+const ORDER_POLL_MS = 1000;
+
+// Скільки чекати, поки market ордер виконається і з'являться його угоди
+const FILL_WAIT_MS = 5000;
+
+/**
+ * Виконання входу в позицію (config.execution).
+ *
+ *   market     — market ордер, як і раніше
+ *   limit      — limit ордер по ціні сигналу (± ENTRY_LIMIT_OFFSET_PERCENT), округленій до tickSize
+ *   post-only  — те саме, але біржа виконує його лише як maker (інакше скасовує)
+ *
+ * Якщо limit ордер не виконався повністю за ENTRY_LIMIT_TIMEOUT_SEC — скасовуємо його
+ * і або добираємо залишок market ордером, або залишаємо виконану частину (abandon).
+ * Часткове виконання враховується: позиція відкривається на фактично виконані lots
+ * за фактичною середньою ціною з угод (fills), з урахуванням сплачених комісій.
+ *
+ * Стан ордера перевіряється через REST кожні ORDER_POLL_MS; подія з приватного фіду
+ * (handleOrderUpdate) запускає перевірку одразу.
+ */
+class ExecutionService {
+  constructor() {
+    // orderId → функція, що перериває паузу між перевірками цього ордера
+    this.orderWaiters = new Map();
+  }
+
+  /**
+   * Відкриває позицію обраним типом ордера
+   *
+   * @param {Object} params
+   * @param {string} params.symbol
+   * @param {string} params.side            — 'buy' або 'sell'
+   * @param {number} params.quantity        — lots
+   * @param {number} params.referencePrice  — ціна сигналу (база для limit ціни)
+   * @param {number} params.marketPrice     — поточна last price (оцінка, якщо біржа не віддала ціну виконання)
+   * @param {Object} params.symbolInfo      — { tickSize, multiplier }
+   * @param {number} params.leverage
+   * @param {string} params.marginMode
+   * @returns {Promise<Object>} { orderId, orderIds, quantity, limitFilled, marketFilled, limitPrice, averagePrice, fee, filledAt, reason }
+   *   quantity = 0 — вхід не відбувся (reason пояснює чому)
+   */
+  async executeEntry({ symbol, side, quantity, referencePrice, marketPrice, symbolInfo, leverage, marginMode }) {
+    const { entryOrderType } = config.execution;
+
+    if (entryOrderType === 'market') {
+      const leg = await this._marketEntry({ symbol, side, quantity, marketPrice, symbolInfo, leverage, marginMode });
+      return this._summarize([leg], { limitPrice: null, reason: null });
+    }
+
+    const limitPrice = this.calculateLimitPrice(referencePrice, side, symbolInfo.tickSize);
+    const postOnly = entryOrderType === 'post-only';
+    const legs = [];
+
+    let placed = null;
+    let rejectReason = null;
+
+    try {
+      placed = await exchange.placeLimitOrder(symbol, side, quantity, limitPrice, leverage, marginMode, { postOnly });
+    } catch (error) {
+      // Post-only, що перетнув би ринок, paper-біржа відхиляє одразу (KuCoin — скасовує після прийому)
+      if (!postOnly) throw error;
+      rejectReason = error.message;
+    }
+
+    if (placed) {
+      await this._waitForFill(placed.orderId, config.execution.limitTimeoutSec * 1000);
+      legs.push({ ...(await this.getFillDetails(placed, symbolInfo, limitPrice)), kind: 'limit' });
+    }
+
+    const limitFilled = legs.length > 0 ? legs[0].filledSize : 0;
+    const remaining = quantity - limitFilled;
+    const notFilledReason = rejectReason
+      ? `${entryOrderType} order rejected: ${rejectReason}`
+      : `${entryOrderType} order @ ${limitPrice} filled ${limitFilled}/${quantity} lots (timeout ${config.execution.limitTimeoutSec}s)`;
+
+    logger.info(`[EXECUTION] ${symbol}: ${notFilledReason}`);
+
+    if (remaining <= 0) {
+      return this._summarize(legs, { limitPrice, reason: null });
+    }
+
+    if (config.execution.onTimeout === 'abandon') {
+      logger.warn(
+        `[EXECUTION] ${symbol}: abandoning remaining ${remaining} lots` +
+        `${limitFilled > 0 ? ` (keeping ${limitFilled} filled)` : ' — entry cancelled'}`
+      );
+      return this._summarize(legs, { limitPrice, reason: notFilledReason });
+    }
+
+    logger.info(`[EXECUTION] ${symbol}: falling back to market for remaining ${remaining} lots`);
+
+    try {
+      legs.push(await this._marketEntry({ symbol, side, quantity: remaining, marketPrice, symbolInfo, leverage, marginMode }));
+    } catch (error) {
+      // Виконану limit частину все одно треба відстежувати
+      if (limitFilled === 0) throw error;
+
+      const reason = `market fallback failed: ${error.message}`;
+      logger.error(`[EXECUTION] ${symbol}: ${reason} — keeping ${limitFilled} filled lots`);
+      return this._summarize(legs, { limitPrice, reason });
+    }
+
+    return this._summarize(legs, { limitPrice, reason: null });
+  }
+
+  /**
+   * Фактичне виконання ордера: стан ордера (за orderId, або за clientOid, якщо запит
+   * за orderId не вдався) + його угоди (fills).
+   *
+   * Market ордер на KuCoin виконується асинхронно, а угоди з'являються з невеликою
+   * затримкою — тому чекаємо, поки ордер стане неактивним і сума угод зрівняється
+   * з filledSize (не довше FILL_WAIT_MS). Якщо угод так і немає — ціна з filledValue
+   * ордера, в крайньому разі fallbackPrice (оцінка).
+   *
+   * @param {Object} placed        — { orderId, clientOid } з відповіді на розміщення
+   * @param {Object} symbolInfo    — { multiplier }
+   * @param {number} fallbackPrice
+   * @returns {Promise<Object>} { orderId, status, cancelled, size, filledSize, averagePrice, fee, filledAt, priceSource }
+   */
+  async getFillDetails(placed, symbolInfo, fallbackPrice) {
+    const deadline = Date.now() + FILL_WAIT_MS;
+    let order = null;
+    let fills = [];
+
+    while (true) {
+      order = await this._getOrder(placed);
+      fills = order.filledSize > 0 ? await exchange.getOrderFills(order.orderId) : [];
+
+      const filledByFills = fills.reduce((sum, fill) => sum + fill.size, 0);
+      const settled = !order.isActive && filledByFills >= order.filledSize;
+
+      if (settled || Date.now() >= deadline) break;
+      await this._pollDelay(order.orderId);
+    }
+
+    const multiplier = symbolInfo.multiplier || 1;
+    const filledByFills = fills.reduce((sum, fill) => sum + fill.size, 0);
+
+    let averagePrice = null;
+    let priceSource = null;
+
+    if (filledByFills > 0) {
+      averagePrice = fills.reduce((sum, fill) => sum + fill.price * fill.size, 0) / filledByFills;
+      priceSource = 'fills';
+    } else if (order.filledSize > 0 && order.filledValue > 0) {
+      averagePrice = order.filledValue / (order.filledSize * multiplier);
+      priceSource = 'order';
+    } else if (order.filledSize > 0) {
+      averagePrice = fallbackPrice;
+      priceSource = 'estimate';
+      logger.warn(`[EXECUTION] No fill price for order ${order.orderId} — using estimate ${fallbackPrice}`);
+    }
+
+    return {
+      orderId: order.orderId,
+      status: order.status,
+      cancelled: order.cancelled,
+      size: order.size,
+      filledSize: order.filledSize,
+      averagePrice,
+      fee: fills.reduce((sum, fill) => sum + fill.fee, 0),
+      filledAt: fills.length > 0 ? Math.max(...fills.map(fill => fill.tradeTime || 0)) : order.endAt,
+      priceSource
+    };
+  }
+
+  /**
+   * Market ордер на вхід з перевіркою фактичного виконання.
+   * Невиконаний ордер (відхилений / скасований біржею) — помилка; частково виконаний — попередження.
+   */
+  async _marketEntry({ symbol, side, quantity, marketPrice, symbolInfo, leverage, marginMode }) {
+    const placed = await exchange.openMarketOrder(symbol, side, quantity, leverage, marginMode);
+    const details = await this.getFillDetails(placed, symbolInfo, marketPrice);
+
+    if (details.filledSize <= 0) {
+      throw new Error(`Market order ${details.orderId} was not filled (status: ${details.status}${details.cancelled ? ', cancelled' : ''})`);
+    }
+
+    if (details.filledSize < quantity) {
+      logger.warn(`[EXECUTION] ${symbol}: market order ${details.orderId} partially filled ${details.filledSize}/${quantity} lots`);
+    }
+
+    return { ...details, kind: 'market' };
+  }
+
+  /**
+   * Стан ордера за orderId; якщо запит не вдався — пошук за clientOid
+   */
+  async _getOrder({ orderId, clientOid }) {
+    try {
+      return await exchange.getOrder(orderId);
+    } catch (error) {
+      if (!clientOid) throw error;
+
+      logger.warn(`[EXECUTION] Order ${orderId} lookup failed (${error.message}), trying clientOid ${clientOid}`);
+      const order = await exchange.getOrderByClientOid(clientOid);
+      if (!order) throw error;
+      return order;
+    }
+  }
+
+  /**
+   * Зводить виконання всіх ордерів входу (limit + market добір) в одну позицію
+   */
+  _summarize(legs, { limitPrice, reason }) {
+    const filledLegs = legs.filter(leg => leg.filledSize > 0);
+    const quantity = filledLegs.reduce((sum, leg) => sum + leg.filledSize, 0);
+    const filledBy = (kind) => legs.filter(leg => leg.kind === kind).reduce((sum, leg) => sum + leg.filledSize, 0);
+    const filledTimes = filledLegs.map(leg => leg.filledAt).filter(Boolean);
+
+    return {
+      orderId: legs.length > 0 ? legs[0].orderId : null,
+      orderIds: legs.map(leg => leg.orderId),
+      quantity,
+      limitFilled: filledBy('limit'),
+      marketFilled: filledBy('market'),
+      limitPrice,
+      averagePrice: quantity > 0
+        ? filledLegs.reduce((sum, leg) => sum + leg.averagePrice * leg.filledSize, 0) / quantity
+        : null,
+      fee: legs.reduce((sum, leg) => sum + leg.fee, 0),
+      filledAt: filledTimes.length > 0 ? Math.max(...filledTimes) : null,
+      reason
+    };
+  }
+
+  /**
+   * Ціна limit ордера: ціна сигналу ± зсув, округлена до tickSize у пасивний бік
+   * (buy — вниз, sell — вгору), щоб не платити більше, ніж заплановано
+   */
+  calculateLimitPrice(referencePrice, side, tickSize) {
+    const offset = config.execution.limitOffsetPercent / 100;
+
+    return side === 'buy'
+      ? roundToTick(referencePrice * (1 + offset), tickSize, 'down')
+      : roundToTick(referencePrice * (1 - offset), tickSize, 'up');
+  }
+
+  /**
+   * Чекає виконання ордера; після таймауту скасовує його.
+   * Скільки реально виконалось — getFillDetails() після цього.
+   */
+  async _waitForFill(orderId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    try {
+      let order = await exchange.getOrder(orderId);
+
+      while (order.isActive && Date.now() < deadline) {
+        await this._pollDelay(orderId);
+        order = await exchange.getOrder(orderId);
+      }
+
+      if (!order.isActive) {
+        return;
+      }
+    } catch (error) {
+      logger.error(`[EXECUTION] Error waiting for order ${orderId}: ${error.message}`);
+    }
+
+    try {
+      await exchange.cancelOrder(orderId);
+    } catch (error) {
+      // Ордер міг виконатись між останньою перевіркою і скасуванням
+      logger.warn(`[EXECUTION] Could not cancel order ${orderId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Пауза до наступної перевірки ордера (ORDER_POLL_MS або до події з фіду)
+   */
+  _pollDelay(orderId) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.orderWaiters.delete(orderId);
+        resolve();
+      };
+      const timer = setTimeout(wake, ORDER_POLL_MS);
+
+      this.orderWaiters.set(orderId, wake);
+    });
+  }
+
+  /**
+   * Зміна ордера з приватного фіду (/contractMarket/tradeOrders).
+   * Стан не береться з події — лише позачергова REST-перевірка ордера, на який чекаємо.
+   */
+  handleOrderUpdate(data) {
+    const wake = this.orderWaiters.get(data.orderId);
+    if (wake) wake();
+  }
+}
+
+// Експортуємо singleton
+const executionService = new ExecutionService();
+export default executionService;
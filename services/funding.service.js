@@ -0,0 +1,68 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import exchange from './exchange.service.js';
+import contractsService from './contracts.service.js';
+import clockService from './clock.service.js';
+import { getNextFundingTime } from '../utils/helpers.js';
+
+/**
+ * Funding: поточна ставка і час наступного розрахунку (з реєстру контрактів)
+ * та фактичні funding платежі по відкритих позиціях (/api/v1/funding-history).
+ */
+class FundingService {
+  /**
+   * Ставка та час наступного funding для валідації сигналу
+   *
+   * @returns {Promise<Object>} { fundingRate, predictedRate, nextFundingTime }
+   *   fundingRate — частка (0.0001 = 0.01%), додатна: LONG платить SHORT
+   */
+  async getFundingInfo(symbol) {
+    const contract = await contractsService.getSymbolInfo(symbol);
+
+    return {
+      fundingRate: contract.fundingFeeRate,
+      predictedRate: contract.predictedFundingFeeRate,
+      nextFundingTime: getNextFundingTime(contract.nextFundingTime, contract.fundingRateGranularity, clockService.now())
+    };
+  }
+
+  /**
+   * Підтягує funding платежі по позиції з моменту входу (не частіше FUNDING_REFRESH_SEC).
+   * Результат — position.funding = { total, payments, lastPaymentAt, updatedAt }
+   *
+   * @returns {Promise<boolean>} true, якщо з'явились нові платежі
+   */
+  async refreshPositionFunding(position) {
+    const now = clockService.now();
+    const previous = position.funding || { total: 0, payments: 0, lastPaymentAt: null, updatedAt: 0 };
+
+    if (now - previous.updatedAt < config.funding.refreshSec * 1000) {
+      return false;
+    }
+
+    const openedAt = position.filledAt || position.trackedAt || position.timestamp;
+    const history = await exchange.getFundingHistory(position.symbol, { startAt: openedAt });
+    const payments = history.filter(item => item.timePoint >= openedAt);
+
+    position.funding = {
+      total: payments.reduce((sum, item) => sum + item.funding, 0),
+      payments: payments.length,
+      lastPaymentAt: payments.length > 0 ? Math.max(...payments.map(item => item.timePoint)) : null,
+      updatedAt: now
+    };
+
+    if (position.funding.payments === previous.payments) {
+      return false;
+    }
+
+    logger.info(
+      `[FUNDING] ${position.symbol}: ${position.funding.payments} payment(s), ` +
+      `total ${position.funding.total >= 0 ? '+' : ''}${position.funding.total.toFixed(4)} USDT`
+    );
+    return true;
+  }
+}
+
+// Експортуємо singleton
+const fundingService = new FundingService();
+export default fundingService;
@@ -0,0 +1,240 @@
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import kucoinService from './kucoin.service.js';
+import logger from '../utils/logger.js';
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
+/**
+ * WebSocket клієнт KuCoin Futures.
+ *
+ * Протокол:
+ *   1. POST /api/v1/bullet-private (або bullet-public) → token + endpoint
+ *   2. Підключення до `${endpoint}?token=...&connectId=...`, чекаємо 'welcome'
+ *   3. subscribe на топіки, ping кожні pingInterval мс
+ *   4. Якщо pong не прийшов за pingTimeout — обриваємо з'єднання і перепідключаємось
+ *
+ * Події:
+ *   'connected'    — з'єднання встановлене, підписки відновлені
+ *   'disconnected' — з'єднання втрачене (далі буде автоматичне перепідключення)
+ *   'message'      — повідомлення з даними { topic, subject, data }
+ */
+export class KuCoinWebSocket extends EventEmitter {
+  /**
+   * @param {string}  name      — назва для логів (наприклад 'PRIVATE')
+   * @param {boolean} isPrivate — приватний (ордери/позиції) чи публічний (ринкові дані) канал
+   */
+  constructor(name, isPrivate) {
+    super();
+    this.name = name;
+    this.isPrivate = isPrivate;
+    this.ws = null;
+    this.topics = new Set();
+    this.connected = false;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.pongTimer = null;
+  }
+
+  /**
+   * Чи активне з'єднання зараз
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Підключається до WebSocket (з автоматичним перепідключенням)
+   */
+  async connect() {
+    this.shouldReconnect = true;
+
+    try {
+      const { token, servers } = await kucoinService.getWebSocketToken(this.isPrivate);
+      const server = servers[0];
+      const url = `${server.endpoint}?token=${token}&connectId=${uuidv4()}`;
+
+      this.pingInterval = server.pingInterval;
+      this.pingTimeout = server.pingTimeout;
+
+      logger.info(`[WS:${this.name}] Connecting to ${server.endpoint}...`);
+
+      this.ws = new WebSocket(url);
+      this.ws.on('message', (raw) => this._onMessage(raw));
+      this.ws.on('close', (code) => this._onClose(code));
+      this.ws.on('error', (error) => {
+        logger.error(`[WS:${this.name}] Socket error: ${error.message}`);
+      });
+    } catch (error) {
+      logger.error(`[WS:${this.name}] Connection failed: ${error.message}`);
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Закриває з'єднання без перепідключення
+   */
+  close() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this._stopPing();
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.terminate();
+      this.ws = null;
+    }
+
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+
+    logger.info(`[WS:${this.name}] Connection closed`);
+  }
+
+  /**
+   * Підписується на топік (підписка відновлюється після перепідключення)
+   */
+  subscribe(topic) {
+    if (this.topics.has(topic)) return;
+
+    this.topics.add(topic);
+    if (this.connected) {
+      this._send({ type: 'subscribe', topic, privateChannel: this.isPrivate, response: true });
+    }
+  }
+
+  /**
+   * Відписується від топіку
+   */
+  unsubscribe(topic) {
+    if (!this.topics.delete(topic)) return;
+
+    if (this.connected) {
+      this._send({ type: 'unsubscribe', topic, privateChannel: this.isPrivate, response: true });
+    }
+  }
+
+  /**
+   * Обробляє вхідне повідомлення
+   */
+  _onMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      logger.warn(`[WS:${this.name}] Invalid message: ${raw.toString().substring(0, 100)}`);
+      return;
+    }
+
+    switch (message.type) {
+      case 'welcome':
+        this._onWelcome();
+        break;
+      case 'pong':
+        clearTimeout(this.pongTimer);
+        break;
+      case 'message':
+        this.emit('message', message);
+        break;
+      case 'error':
+        logger.error(`[WS:${this.name}] Server error: ${message.data || JSON.stringify(message)}`);
+        break;
+      default:
+        // 'ack' на subscribe/unsubscribe — нічого не робимо
+        break;
+    }
+  }
+
+  /**
+   * З'єднання підтверджене сервером
+   */
+  _onWelcome() {
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    for (const topic of this.topics) {
+      this._send({ type: 'subscribe', topic, privateChannel: this.isPrivate, response: true });
+    }
+
+    this._startPing();
+
+    logger.info(`[WS:${this.name}] ✅ Connected (${this.topics.size} topics)`);
+    this.emit('connected');
+  }
+
+  /**
+   * З'єднання закрилось
+   */
+  _onClose(code) {
+    this._stopPing();
+    this.ws = null;
+
+    if (this.connected) {
+      this.connected = false;
+      logger.warn(`[WS:${this.name}] Disconnected (code ${code})`);
+      this.emit('disconnected');
+    }
+
+    this._scheduleReconnect();
+  }
+
+  /**
+   * Планує перепідключення з експоненційною затримкою
+   */
+  _scheduleReconnect() {
+    if (!this.shouldReconnect || this.reconnectTimer) return;
+
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+    this.reconnectAttempts++;
+
+    logger.info(`[WS:${this.name}] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Запускає ping/pong heartbeat
+   */
+  _startPing() {
+    this._stopPing();
+
+    this.pingTimer = setInterval(() => {
+      this._send({ type: 'ping' });
+
+      clearTimeout(this.pongTimer);
+      this.pongTimer = setTimeout(() => {
+        logger.warn(`[WS:${this.name}] Pong timeout, dropping connection`);
+        if (this.ws) this.ws.terminate();
+      }, this.pingTimeout);
+    }, this.pingInterval);
+  }
+
+  /**
+   * Зупиняє heartbeat
+   */
+  _stopPing() {
+    clearInterval(this.pingTimer);
+    clearTimeout(this.pongTimer);
+    this.pingTimer = null;
+    this.pongTimer = null;
+  }
+
+  /**
+   * Відправляє повідомлення в сокет
+   */
+  _send(payload) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ id: uuidv4(), ...payload }));
+  }
+}
+
+export default KuCoinWebSocket;
@@ -3,6 +3,9 @@ import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import clockService from './clock.service.js';
+import { sleep } from '../utils/helpers.js';
+import { KuCoinApiError, ErrorCategory, classifyError, TIMESTAMP_ERROR_CODE } from '../utils/errors.js';
 
 class KuCoinService {
   constructor() {
@@ -11,6 +14,7 @@ class KuCoinService {
     this.apiPassphrase = config.kucoin.apiPassphrase;
     this.baseURL = config.kucoin.baseURL;
     this.isConnected = false;
+    this.rateLimit = null;
   }
 
   /**
@@ -43,7 +47,8 @@ class KuCoinService {
    * Створює заголовки для KuCoin API запиту
    */
   _getHeaders(method, requestPath, body = '') {
-    const timestamp = Date.now().toString();
+    // Час сервера KuCoin (локальний годинник + зміщення), інакше ризик помилки 400002
+    const timestamp = clockService.now().toString();
     const signature = this._generateSignature(timestamp, method, requestPath, body);
     const passphrase = this._generatePassphrase();
 
@@ -59,52 +64,237 @@ class KuCoinService {
 
   /**
    * Виконує GET запит до KuCoin API
+   * 
+   * GET-запити не змінюють стан, тому повторюються для всіх тимчасових помилок.
    */
   async _get(endpoint, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const requestPath = queryString ? `${endpoint}?${queryString}` : endpoint;
+
+    return this._withRetry(`GET ${endpoint}`, () => this._request('GET', requestPath), async () => true);
+  }
+
+  /**
+   * Виконує POST запит до KuCoin API
+   * 
+   * Rate limit (429) і відхилений timestamp означають, що біржа запит не обробила — повтор безпечний завжди.
+   * Для інших тимчасових помилок (таймаут, 5xx) ордер міг уже пройти, тому:
+   *   - якщо є clientOid — перевіряємо, чи ордер існує; якщо так, повертаємо його замість повтору.
+   *     Запит міг ще оброблятись, тому "не знайдено" перевіряємо вдруге після паузи.
+   *     Повтор іде з тим самим тілом, тобто з тим самим clientOid — дублікат біржа відхилить
+   *   - якщо запит ідемпотентний за своєю природою (options.idempotent) — повторюємо
+   *   - інакше — не повторюємо
+   */
+  async _post(endpoint, data = {}, options = {}) {
+    const body = JSON.stringify(data);
+
+    return this._withRetry(
+      `POST ${endpoint}`,
+      () => this._request('POST', endpoint, body),
+      async (error) => {
+        if (error.category === ErrorCategory.RATE_LIMIT || error.code === TIMESTAMP_ERROR_CODE || options.idempotent) {
+          return true;
+        }
+
+        if (!data.clientOid) {
+          return false;
+        }
+
+        let existing;
+        try {
+          existing = await this._findOrderByClientOid(data.clientOid);
+
+          if (!existing) {
+            await sleep(this._backoffDelay(0));
+            existing = await this._findOrderByClientOid(data.clientOid);
+          }
+        } catch (lookupError) {
+          // Не можемо підтвердити, що ордера немає — повтор небезпечний
+          logger.warn(`[KUCOIN] Could not look up order ${data.clientOid}: ${lookupError.message}`);
+          return false;
+        }
+
+        if (existing) {
+          logger.warn(`[KUCOIN] Order ${data.clientOid} already exists (${existing.id}), not retrying`);
+          return { orderId: existing.id };
+        }
+
+        return true;
+      }
+    );
+  }
+
+  /**
+   * Виконує DELETE запит до KuCoin API
+   * 
+   * Скасування ідемпотентне — повторювати безпечно.
+   */
+  async _delete(endpoint) {
+    return this._withRetry(`DELETE ${endpoint}`, () => this._request('DELETE', endpoint), async () => true);
+  }
+
+  /**
+   * Один HTTP запит до KuCoin API з підписом
+   */
+  async _request(method, requestPath, body = '') {
+    await this._waitForRateLimit();
+
+    const headers = this._getHeaders(method, requestPath, body);
+
     try {
-      const queryString = new URLSearchParams(params).toString();
-      const requestPath = queryString ? `${endpoint}?${queryString}` : endpoint;
-      
-      const headers = this._getHeaders('GET', requestPath);
-      
-      const response = await axios.get(`${this.baseURL}${requestPath}`, { headers });
-      
+      const response = await axios.request({
+        method,
+        url: `${this.baseURL}${requestPath}`,
+        data: body || undefined,
+        headers,
+        timeout: config.kucoin.requestTimeoutMs
+      });
+
+      this._updateRateLimit(response.headers);
+
       if (response.data.code !== '200000') {
-        throw new Error(`KuCoin API Error: ${response.data.msg || 'Unknown error'}`);
+        await this._handleTimestampError(response.data.code);
+        throw new KuCoinApiError(`KuCoin API Error: ${response.data.msg || 'Unknown error'}`, {
+          code: response.data.code,
+          status: response.status,
+          category: classifyError({ status: response.status, code: response.data.code })
+        });
       }
-      
+
       return response.data.data;
     } catch (error) {
+      if (error instanceof KuCoinApiError) {
+        throw error;
+      }
+
       if (error.response) {
-        throw new Error(`KuCoin API Error: ${error.response.data?.msg || error.message}`);
+        this._updateRateLimit(error.response.headers);
+
+        const { status, data: responseData } = error.response;
+        await this._handleTimestampError(responseData?.code);
+        const category = classifyError({ status, code: responseData?.code });
+
+        throw new KuCoinApiError(`KuCoin API Error: ${responseData?.msg || error.message}`, {
+          code: responseData?.code || null,
+          status,
+          category,
+          retryAfterMs: category === ErrorCategory.RATE_LIMIT ? this._rateLimitResetMs() : null
+        });
       }
-      throw error;
+
+      throw new KuCoinApiError(`KuCoin API Error: ${error.message}`, {
+        category: classifyError({ networkCode: error.code })
+      });
     }
   }
 
   /**
-   * Виконує POST запит до KuCoin API
+   * Якщо біржа відхилила timestamp — позачергово синхронізуємо годинник.
+   * Чекаємо на синхронізацію, щоб повтор (_withRetry) був підписаний вже з новим зміщенням.
    */
-  async _post(endpoint, data = {}) {
-    try {
-      const body = JSON.stringify(data);
-      const headers = this._getHeaders('POST', endpoint, body);
-      
-      const response = await axios.post(`${this.baseURL}${endpoint}`, data, { headers });
-      
-      if (response.data.code !== '200000') {
-        throw new Error(`KuCoin API Error: ${response.data.msg || 'Unknown error'}`);
-      }
-      
-      return response.data.data;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`KuCoin API Error: ${error.response.data?.msg || error.message}`);
+  async _handleTimestampError(code) {
+    if (String(code) === TIMESTAMP_ERROR_CODE) {
+      logger.warn('[KUCOIN] Invalid KC-API-TIMESTAMP, resyncing clock');
+      await clockService.sync();
+    }
+  }
+
+  /**
+   * Виконує запит з повторами та exponential backoff + jitter
+   * 
+   * @param {string}   label       — для логів
+   * @param {Function} attemptFn   — виконує один запит
+   * @param {Function} canRetryFn  — async (error) → true (повторити), false (кинути помилку)
+   *                                 або об'єкт, який треба повернути як результат
+   */
+  async _withRetry(label, attemptFn, canRetryFn) {
+    const { maxRetries } = config.kucoin.retry;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await attemptFn();
+      } catch (error) {
+        if (!(error instanceof KuCoinApiError) || !error.isRetryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const decision = await canRetryFn(error);
+        if (decision === false) {
+          throw error;
+        }
+        if (decision !== true) {
+          return decision;
+        }
+
+        const delay = error.retryAfterMs || this._backoffDelay(attempt);
+        logger.warn(
+          `[KUCOIN] ${label} failed (${error.category}: ${error.message}), ` +
+          `retry ${attempt + 1}/${maxRetries} in ${delay}ms`
+        );
+        await sleep(delay);
       }
-      throw error;
     }
   }
 
+  /**
+   * Затримка перед повтором: exponential backoff з "equal jitter"
+   */
+  _backoffDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.kucoin.retry;
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(cap / 2 + Math.random() * (cap / 2));
+  }
+
+  /**
+   * Запам'ятовує стан rate limit із заголовків відповіді
+   * 
+   * gw-ratelimit-remaining — скільки запитів лишилось у вікні
+   * gw-ratelimit-reset     — через скільки мс вікно скинеться
+   */
+  _updateRateLimit(headers = {}) {
+    const remaining = headers['gw-ratelimit-remaining'];
+    const reset = headers['gw-ratelimit-reset'];
+
+    if (remaining === undefined || reset === undefined) return;
+
+    this.rateLimit = {
+      remaining: parseInt(remaining),
+      resetAt: Date.now() + parseInt(reset)
+    };
+  }
+
+  /**
+   * Скільки мс до скидання вікна rate limit
+   */
+  _rateLimitResetMs() {
+    if (!this.rateLimit) return null;
+    return Math.max(this.rateLimit.resetAt - Date.now(), 0) || null;
+  }
+
+  /**
+   * Якщо ліміт у поточному вікні вичерпано — чекаємо на скидання
+   */
+  async _waitForRateLimit() {
+    if (!this.rateLimit || this.rateLimit.remaining > 0) return;
+
+    const waitMs = this._rateLimitResetMs();
+    if (waitMs) {
+      logger.warn(`[KUCOIN] Rate limit exhausted, waiting ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+    this.rateLimit = null;
+  }
+
+  /**
+   * Шукає ордер за clientOid (null, якщо ордера немає)
+   * 
+   * Endpoint: GET /api/v1/orders/byClientOid?clientOid={clientOid}
+   */
+  async _findOrderByClientOid(clientOid) {
+    const order = await this._request('GET', `/api/v1/orders/byClientOid?clientOid=${encodeURIComponent(clientOid)}`);
+    return order && order.id ? order : null;
+  }
+
   /**
    * Перевіряє з'єднання з API
    */
@@ -116,7 +306,7 @@ class KuCoinService {
       await this.getUSDTBalance();
       
       this.isConnected = true;
-      logger.info('[KUCOIN] ✅ Connected to KuCoin Futures MAINNET');
+      logger.info(`[KUCOIN] ✅ Connected to KuCoin Futures ${config.kucoin.testnet ? `TEST (${this.baseURL})` : 'MAINNET'}`);
       return true;
     } catch (error) {
       logger.error(`[KUCOIN] Connection failed: ${error.message}`);
@@ -145,37 +335,102 @@ class KuCoinService {
   }
 
   /**
-   * Отримує інформацію про контракт
+   * Equity акаунта: баланс + нереалізований P&L усіх позицій
+   *
+   * Endpoint: GET /api/v1/account-overview?currency=USDT
+   */
+  async getEquity() {
+    try {
+      const data = await this._get('/api/v1/account-overview', { currency: 'USDT' });
+      return parseFloat(data.accountEquity || '0');
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting equity: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує список усіх активних контрактів
    * 
    * Endpoint: GET /api/v1/contracts/active
    */
-  async getSymbolInfo(symbol) {
+  async getActiveContracts() {
     try {
       const contracts = await this._get('/api/v1/contracts/active');
+      const fetchedAt = Date.now();
+      
+      return contracts.map(contract => this._mapContract(contract, fetchedAt));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting active contracts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує інформацію про контракт (без кешу — див. contracts.service.js)
+   * 
+   * Endpoint: GET /api/v1/contracts/active
+   */
+  async getSymbolInfo(symbol) {
+    try {
+      const contracts = await this.getActiveContracts();
       
       const contract = contracts.find(c => c.symbol === symbol);
       if (!contract) {
         throw new Error(`Contract ${symbol} not found`);
       }
 
-      return {
-        symbol: contract.symbol,
-        baseCurrency: contract.baseCurrency,
-        quoteCurrency: contract.quoteCurrency,
-        tickSize: parseFloat(contract.tickSize),           // Мінімальний крок ціни
-        lotSize: parseFloat(contract.lotSize),             // Мінімальний крок кількості
-        multiplier: parseFloat(contract.multiplier),       // Множник контракту
-        minOrderQty: parseFloat(contract.minOrderQty || 1),
-        maxOrderQty: parseFloat(contract.maxOrderQty || 1000000),
-        status: contract.status,
-        maxLeverage: parseFloat(contract.maxLeverage || 100)
-      };
+      return contract;
     } catch (error) {
       logger.error(`[KUCOIN] Error getting symbol info for ${symbol}: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Перетворює сирий контракт KuCoin у формат бота
+   * 
+   * nextFundingRateTime у відповіді — це мс ДО наступного funding,
+   * тому переводимо його в абсолютний час відносно моменту запиту.
+   */
+  _mapContract(contract, fetchedAt) {
+    return {
+      symbol: contract.symbol,
+      baseCurrency: contract.baseCurrency,
+      quoteCurrency: contract.quoteCurrency,
+      settleCurrency: contract.settleCurrency,
+      isInverse: Boolean(contract.isInverse),
+      tickSize: parseFloat(contract.tickSize),           // Мінімальний крок ціни
+      lotSize: parseFloat(contract.lotSize),             // Мінімальний крок кількості
+      multiplier: parseFloat(contract.multiplier),       // Множник контракту
+      minOrderQty: parseFloat(contract.minOrderQty || 1),
+      maxOrderQty: parseFloat(contract.maxOrderQty || 1000000),
+      status: contract.status,
+      maxLeverage: parseFloat(contract.maxLeverage || 100),
+      // Funding
+      fundingFeeRate: parseFloat(contract.fundingFeeRate || '0'),
+      predictedFundingFeeRate: parseFloat(contract.predictedFundingFeeRate || '0'),
+      nextFundingTime: contract.nextFundingRateTime ? fetchedAt + parseInt(contract.nextFundingRateTime) : null,
+      fundingRateGranularity: parseInt(contract.fundingRateGranularity || String(8 * 60 * 60 * 1000)),
+      // Базовий рівень risk limit (повні рівні — GET /api/v1/contracts/risk-limit/{symbol})
+      riskLimit: {
+        minRiskLimit: parseFloat(contract.minRiskLimit || '0'),
+        maxRiskLimit: parseFloat(contract.maxRiskLimit || '0'),
+        riskStep: parseFloat(contract.riskStep || '0'),
+        initialMargin: parseFloat(contract.initialMargin || '0'),
+        maintainMargin: parseFloat(contract.maintainMargin || '0')
+      },
+      // Ринкові дані на момент запиту
+      lastTradePrice: parseFloat(contract.lastTradePrice || '0'),
+      markPrice: parseFloat(contract.markPrice || '0'),
+      indexPrice: parseFloat(contract.indexPrice || '0'),
+      openInterest: parseFloat(contract.openInterest || '0'),
+      turnoverOf24h: parseFloat(contract.turnoverOf24h || '0'),
+      volumeOf24h: parseFloat(contract.volumeOf24h || '0'),
+      fetchedAt
+    };
+  }
+
   /**
    * Отримує поточну ціну контракту
    * 
@@ -196,26 +451,100 @@ class KuCoinService {
   }
 
   /**
-   * Встановлює плече для контракту
-   * 
-   * На KuCoin плече встановлюється автоматично при відкритті позиції,
-   * але можна змінити через position risk limit.
+   * Отримує поточну mark price та index price
    * 
-   * Для простоти — логуємо і повертаємо true (плече буде в ордері).
+   * Endpoint: GET /api/v1/mark-price/{symbol}/current
    */
-  async setLeverage(symbol, leverage) {
+  async getMarkPrice(symbol) {
     try {
-      logger.info(`[KUCOIN] Leverage ${leverage}x will be set for ${symbol} in order`);
+      const data = await this._get(`/api/v1/mark-price/${symbol}/current`);
       
-      // KuCoin не має окремого endpoint для зміни плеча як Bybit
-      // Плече вказується безпосередньо в ордері через параметр 'leverage'
-      // Або встановлюється через Position Risk Limit, але це складніше
+      return {
+        markPrice: parseFloat(data.value),
+        indexPrice: parseFloat(data.indexPrice)
+      };
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting mark price for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує свічки (klines)
+   * 
+   * Endpoint: GET /api/v1/kline/query
+   * 
+   * @param {string} symbol
+   * @param {number} granularity — хвилини: 1, 5, 15, 30, 60, 120, 240, 480, 720, 1440, 10080
+   * @param {number} from — мс
+   * @param {number} to   — мс
+   * @returns {Array} [[time, open, high, low, close, volume], ...] (не більше 500 за запит)
+   */
+  async getKlines(symbol, granularity, from, to) {
+    try {
+      const klines = await this._get('/api/v1/kline/query', { symbol, granularity, from, to });
       
-      // Для нашого випадку — просто логуємо
-      logger.info(`[KUCOIN] ✅ Leverage ${leverage}x prepared for ${symbol}`);
+      return klines.map(kline => kline.slice(0, 6).map(Number));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting klines for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Встановлює плече для символу
+   * 
+   * Endpoint: POST /api/v2/changeCrossUserLeverage (лише CROSS)
+   * 
+   * У CROSS режимі плече — налаштування акаунта по символу, і ордер виконується саме з ним.
+   * В ISOLATED плече задається в кожному ордері (параметр 'leverage'), окремого запиту не потрібно.
+   * 
+   * @param {string} symbol
+   * @param {number} leverage
+   * @param {string} marginMode — CROSS або ISOLATED
+   */
+  async setLeverage(symbol, leverage, marginMode = 'CROSS') {
+    try {
+      if (marginMode !== 'CROSS') {
+        logger.info(`[KUCOIN] Leverage ${leverage}x for ${symbol} will be set in order (${marginMode})`);
+        return true;
+      }
+
+      // Встановлення того самого значення нічого не змінює — повтор безпечний
+      await this._post('/api/v2/changeCrossUserLeverage', { symbol, leverage: leverage.toString() }, { idempotent: true });
+
+      logger.info(`[KUCOIN] ✅ Cross leverage ${leverage}x set for ${symbol}`);
       return true;
     } catch (error) {
-      logger.error(`[KUCOIN] Error setting leverage: ${error.message}`);
+      logger.error(`[KUCOIN] Error setting leverage ${leverage}x for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Рівні risk limit символу: чим більша вартість позиції, тим менше максимальне плече
+   * 
+   * Endpoint: GET /api/v1/contracts/risk-limit/{symbol}
+   * 
+   * @returns {Array} [{ level, minRiskLimit, maxRiskLimit, maxLeverage, initialMargin, maintainMargin }]
+   *   за зростанням рівня; межі — вартість позиції в USDT
+   */
+  async getRiskLimitLevels(symbol) {
+    try {
+      const levels = await this._get(`/api/v1/contracts/risk-limit/${symbol}`);
+
+      return (levels || [])
+        .map(level => ({
+          level: parseInt(level.level),
+          minRiskLimit: parseFloat(level.minRiskLimit || '0'),
+          maxRiskLimit: parseFloat(level.maxRiskLimit || '0'),
+          maxLeverage: parseFloat(level.maxLeverage || '0'),
+          initialMargin: parseFloat(level.initialMargin || '0'),
+          maintainMargin: parseFloat(level.maintainMargin || '0')
+        }))
+        .sort((a, b) => a.level - b.level);
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting risk limit levels for ${symbol}: ${error.message}`);
       throw error;
     }
   }
@@ -266,6 +595,232 @@ class KuCoinService {
     }
   }
 
+  /**
+   * Відкриває Limit ордер (або post-only — лише maker, інакше біржа його відхиляє)
+   * 
+   * Endpoint: POST /api/v1/orders
+   * 
+   * @param {string}  symbol
+   * @param {string}  side       — 'buy' або 'sell'
+   * @param {number}  quantity   — lots
+   * @param {number}  price      — ціна, вже округлена до tickSize
+   * @param {number}  leverage
+   * @param {string}  marginMode
+   * @param {Object}  [options]  — { postOnly }
+   */
+  async placeLimitOrder(symbol, side, quantity, price, leverage, marginMode = 'CROSS', { postOnly = false } = {}) {
+    try {
+      logger.info(
+        `[KUCOIN] Placing ${postOnly ? 'post-only' : 'limit'} ${side} order: ${quantity} lots ${symbol} @ ${price} (${marginMode})...`
+      );
+
+      const clientOid = uuidv4();
+
+      const orderData = {
+        clientOid: clientOid,
+        side: side.toLowerCase(),
+        symbol: symbol,
+        type: 'limit',
+        price: String(price),
+        leverage: leverage.toString(),
+        size: Math.floor(quantity),
+        timeInForce: 'GTC',
+        postOnly: postOnly,
+        marginMode: marginMode
+      };
+
+      const result = await this._post('/api/v1/orders', orderData);
+
+      const orderId = result.orderId;
+      logger.info(`[KUCOIN] ✅ Limit order placed: Order ID ${orderId}`);
+
+      return {
+        orderId: orderId,
+        clientOid: clientOid,
+        symbol: symbol,
+        side: side,
+        quantity: quantity,
+        price: price
+      };
+    } catch (error) {
+      logger.error(`[KUCOIN] Error placing limit order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує стан ордера
+   * 
+   * Endpoint: GET /api/v1/orders/{orderId}
+   * 
+   * @returns {Object} { orderId, symbol, side, type, status, isActive, cancelled, size, filledSize, filledValue, price, createdAt, endAt }
+   */
+  async getOrder(orderId) {
+    try {
+      const order = await this._get(`/api/v1/orders/${orderId}`);
+      return this.mapOrder(order);
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Шукає ордер за clientOid — коли orderId невідомий або запит за ним не вдався
+   * 
+   * @returns {Object|null} ордер у форматі getOrder() або null
+   */
+  async getOrderByClientOid(clientOid) {
+    try {
+      const order = await this._findOrderByClientOid(clientOid);
+      return order ? this.mapOrder(order) : null;
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting order by clientOid ${clientOid}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує угоди (fills) ордера
+   * 
+   * Endpoint: GET /api/v1/fills?orderId={orderId}
+   * 
+   * @returns {Array} [{ tradeId, orderId, symbol, side, price, size, value, fee, liquidity, tradeTime }]
+   */
+  async getOrderFills(orderId) {
+    try {
+      const result = await this._get('/api/v1/fills', { orderId });
+      return (result.items || []).map(fill => this.mapFill(fill));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting fills for order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує угоди по символу з моменту startAt (найновіші — до 1000 штук)
+   * 
+   * Endpoint: GET /api/v1/fills?symbol={symbol}&startAt={ms}
+   */
+  async getFills(symbol, { startAt = null } = {}) {
+    try {
+      const params = { symbol, pageSize: 1000 };
+      if (startAt) params.startAt = startAt;
+
+      const result = await this._get('/api/v1/fills', params);
+      return (result.items || []).map(fill => this.mapFill(fill));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting fills for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує історію закритих позицій з моменту from
+   * 
+   * Endpoint: GET /api/v1/history-positions?symbol={symbol}&from={ms}
+   * 
+   * @returns {Array} [{ closeId, symbol, leverage, openTime, closeTime, openPrice, closePrice,
+   *                     realisedGross, tradeFee, fundingFee, pnl }]
+   *   tradeFee / fundingFee — витрати (додатні — сплачено), pnl — чистий P&L
+   */
+  async getPositionHistory(symbol, { from = null } = {}) {
+    try {
+      const params = { symbol, limit: 200 };
+      if (from) params.from = from;
+
+      const result = await this._get('/api/v1/history-positions', params);
+
+      return (result.items || []).map(item => ({
+        closeId: item.closeId,
+        symbol: item.symbol,
+        leverage: parseFloat(item.leverage),
+        openTime: item.openTime,
+        closeTime: item.closeTime,
+        openPrice: parseFloat(item.openPrice),
+        closePrice: parseFloat(item.closePrice),
+        // realisedGrossCost — «вартість», тобто реалізований валовий P&L з протилежним знаком
+        realisedGross: -parseFloat(item.realisedGrossCost || '0'),
+        tradeFee: parseFloat(item.tradeFee || '0'),
+        fundingFee: parseFloat(item.fundingFee || '0'),
+        pnl: parseFloat(item.pnl || '0')
+      }));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting position history for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує історію funding платежів по символу з моменту startAt
+   * 
+   * Endpoint: GET /api/v1/funding-history?symbol={symbol}&startAt={ms}
+   * 
+   * @returns {Array} [{ id, symbol, timePoint, fundingRate, markPrice, positionQty, funding }]
+   *   funding — додатний: отримано, від'ємний: сплачено (USDT)
+   */
+  async getFundingHistory(symbol, { startAt = null } = {}) {
+    try {
+      const params = { symbol, maxCount: 100 };
+      if (startAt) params.startAt = startAt;
+
+      const result = await this._get('/api/v1/funding-history', params);
+
+      return (result.dataList || []).map(item => ({
+        id: item.id,
+        symbol: item.symbol,
+        timePoint: item.timePoint,
+        fundingRate: parseFloat(item.fundingRate),
+        markPrice: parseFloat(item.markPrice),
+        positionQty: parseFloat(item.positionQty),
+        funding: parseFloat(item.funding)
+      }));
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting funding history for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Перетворює сиру угоду KuCoin у формат бота (tradeTime — у мс; KuCoin віддає наносекунди)
+   */
+  mapFill(fill) {
+    return {
+      tradeId: fill.tradeId,
+      orderId: fill.orderId,
+      symbol: fill.symbol,
+      side: fill.side,
+      price: parseFloat(fill.price),
+      size: parseFloat(fill.size),
+      value: parseFloat(fill.value || '0'),
+      fee: parseFloat(fill.fee || '0'),
+      liquidity: fill.liquidity,
+      tradeTime: fill.tradeTime ? Math.floor(fill.tradeTime / 1e6) : fill.createdAt
+    };
+  }
+
+  /**
+   * Перетворює сирий ордер KuCoin у формат бота
+   */
+  mapOrder(order) {
+    return {
+      orderId: order.id,
+      clientOid: order.clientOid,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      isActive: Boolean(order.isActive),
+      cancelled: Boolean(order.cancelExist),
+      size: parseFloat(order.size || '0'),
+      filledSize: parseFloat(order.filledSize ?? order.dealSize ?? '0'),
+      filledValue: parseFloat(order.filledValue ?? order.dealValue ?? '0'),
+      price: parseFloat(order.price || '0'),
+      createdAt: order.createdAt || null,
+      endAt: order.endAt || null
+    };
+  }
+
   /**
    * Закриває позицію Market ордером
    * 
@@ -309,6 +864,95 @@ class KuCoinService {
     }
   }
 
+  /**
+   * Ставить захисний стоп-ордер (SL / TP), який закриває позицію market ордером
+   * 
+   * Endpoint: POST /api/v1/orders (з параметрами stop / stopPrice)
+   * 
+   * closeOrder: true — ордер лише закриває позицію (size ігнорується біржею),
+   * тому не може випадково відкрити зустрічну позицію.
+   * 
+   * @param {string} symbol
+   * @param {Object} params
+   * @param {string} params.side          — 'buy' або 'sell' (протилежний позиції)
+   * @param {string} params.stop          — 'down' (спрацює, коли ціна ≤ stopPrice) або 'up' (≥ stopPrice)
+   * @param {number} params.stopPrice
+   * @param {string} params.stopPriceType — 'MP' (mark), 'TP' (last trade) або 'IP' (index)
+   * @param {number} params.quantity
+   * @param {number} params.leverage
+   * @param {string} params.marginMode
+   */
+  async placeStopOrder(symbol, { side, stop, stopPrice, stopPriceType = 'MP', quantity, leverage, marginMode = 'CROSS' }) {
+    try {
+      logger.info(`[KUCOIN] Placing stop order: ${side} ${symbol} stop ${stop} @ ${stopPrice} (${stopPriceType})...`);
+
+      const clientOid = uuidv4();
+
+      const orderData = {
+        clientOid: clientOid,
+        side: side.toLowerCase(),
+        symbol: symbol,
+        type: 'market',
+        leverage: leverage.toString(),
+        size: Math.floor(quantity),
+        stop: stop,
+        stopPrice: String(stopPrice),
+        stopPriceType: stopPriceType,
+        reduceOnly: true,
+        closeOrder: true,
+        marginMode: marginMode
+      };
+
+      const result = await this._post('/api/v1/orders', orderData);
+
+      const orderId = result.orderId;
+      logger.info(`[KUCOIN] ✅ Stop order placed: Order ID ${orderId}`);
+
+      return {
+        orderId: orderId,
+        clientOid: clientOid,
+        symbol: symbol,
+        side: side,
+        stop: stop,
+        stopPrice: stopPrice
+      };
+    } catch (error) {
+      logger.error(`[KUCOIN] Error placing stop order for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Скасовує ордер (звичайний або стоп)
+   * 
+   * Endpoint: DELETE /api/v1/orders/{orderId}
+   */
+  async cancelOrder(orderId) {
+    try {
+      const result = await this._delete(`/api/v1/orders/${orderId}`);
+      logger.info(`[KUCOIN] Order cancelled: ${orderId}`);
+      return result;
+    } catch (error) {
+      logger.error(`[KUCOIN] Error cancelling order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримує активні (ще не спрацьовані) стоп-ордери
+   * 
+   * Endpoint: GET /api/v1/stopOrders
+   */
+  async getStopOrders(symbol = null) {
+    try {
+      const data = await this._get('/api/v1/stopOrders', symbol ? { symbol } : {});
+      return data.items || [];
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting stop orders: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Отримує відкриті позиції
    * 
@@ -324,21 +968,58 @@ class KuCoinService {
         filtered = filtered.filter(pos => pos.symbol === symbol);
       }
       
-      return filtered.map(pos => ({
-        symbol: pos.symbol,
-        side: parseFloat(pos.currentQty) > 0 ? 'Buy' : 'Sell',
-        size: Math.abs(parseFloat(pos.currentQty || '0')),
-        entryPrice: parseFloat(pos.avgEntryPrice || '0'),
-        markPrice: parseFloat(pos.markPrice || '0'),
-        unrealisedPnl: parseFloat(pos.unrealisedPnl || '0'),
-        leverage: parseFloat(pos.realLeverage || '1')
-      }));
+      return filtered.map(pos => this.mapPosition(pos));
     } catch (error) {
       logger.error(`[KUCOIN] Error getting open positions: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Перетворює сиру позицію KuCoin (REST або WebSocket) у формат бота
+   */
+  mapPosition(pos) {
+    return {
+      symbol: pos.symbol,
+      side: parseFloat(pos.currentQty) > 0 ? 'Buy' : 'Sell',
+      size: Math.abs(parseFloat(pos.currentQty || '0')),
+      entryPrice: parseFloat(pos.avgEntryPrice || '0'),
+      markPrice: parseFloat(pos.markPrice || '0'),
+      unrealisedPnl: parseFloat(pos.unrealisedPnl || '0'),
+      leverage: parseFloat(pos.realLeverage || '1'),
+      // Час відкриття позиції на біржі (мс); у position.change без currentQty його немає
+      openedAt: pos.openingTimestamp ? Number(pos.openingTimestamp) : null
+    };
+  }
+
+  /**
+   * Отримує токен і сервери для WebSocket з'єднання
+   * 
+   * Endpoint: POST /api/v1/bullet-private (приватні топіки) або /api/v1/bullet-public
+   */
+  async getWebSocketToken(isPrivate = true) {
+    try {
+      const endpoint = isPrivate ? '/api/v1/bullet-private' : '/api/v1/bullet-public';
+      const data = await this._post(endpoint, {}, { idempotent: true });
+      
+      if (!data.token || !data.instanceServers || data.instanceServers.length === 0) {
+        throw new Error('Empty WebSocket token response');
+      }
+      
+      return {
+        token: data.token,
+        servers: data.instanceServers.map(server => ({
+          endpoint: server.endpoint,
+          pingInterval: parseInt(server.pingInterval || '18000'),
+          pingTimeout: parseInt(server.pingTimeout || '10000')
+        }))
+      };
+    } catch (error) {
+      logger.error(`[KUCOIN] Error getting WebSocket token: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Перевіряє чи є відкрита позиція по символу
    */
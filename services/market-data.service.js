@@ -0,0 +1,224 @@
+import { KuCoinWebSocket } from './kucoin-ws.service.js';
+import kucoinService from './kucoin.service.js';
+import clockService from './clock.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+// Символ без відкритої позиції, який давно не запитували, відписуємо
+const IDLE_UNTRACK_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Кеш ринкових даних (last / mark / index price) з публічного WebSocket.
+ *
+ * Топіки на символ:
+ *   /contractMarket/ticker:{symbol}   — остання угода (last price)
+ *   /contract/instrument:{symbol}     — mark price та index price
+ *
+ * Кожне значення зберігається з часом отримання. Якщо дані старші за
+ * config.marketData.staleMs (або сокет недоступний) — ціна береться через REST
+ * і теж кладеться в кеш.
+ */
+class MarketDataService {
+  constructor() {
+    this.socket = null;
+    this.cache = new Map();
+    this.tracked = new Map();     // symbol → { pinned, lastRequestedAt }
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Запускає публічний WebSocket
+   */
+  async start() {
+    if (this.socket) {
+      logger.warn('[MARKET] Market data feed already running');
+      return;
+    }
+
+    this.socket = new KuCoinWebSocket('PUBLIC', false);
+    this.socket.on('message', (message) => this._onMessage(message));
+
+    for (const symbol of this.tracked.keys()) {
+      this._subscribe(symbol);
+    }
+
+    this.sweepInterval = setInterval(() => this._sweepIdle(), SWEEP_INTERVAL_MS);
+
+    await this.socket.connect();
+  }
+
+  /**
+   * Зупиняє WebSocket
+   */
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket.removeAllListeners();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Починає стежити за символом
+   *
+   * @param {string}  symbol
+   * @param {boolean} pin — true для символів з відкритою позицією (не відписуються по таймауту)
+   */
+  track(symbol, pin = false) {
+    const entry = this.tracked.get(symbol);
+
+    if (entry) {
+      entry.lastRequestedAt = Date.now();
+      entry.pinned = entry.pinned || pin;
+      return;
+    }
+
+    this.tracked.set(symbol, { pinned: pin, lastRequestedAt: Date.now() });
+    this._subscribe(symbol);
+  }
+
+  /**
+   * Знімає "закріплення" символу (позиція закрита) — далі він відпишеться по таймауту
+   */
+  unpin(symbol) {
+    const entry = this.tracked.get(symbol);
+    if (entry) {
+      entry.pinned = false;
+      entry.lastRequestedAt = Date.now();
+    }
+  }
+
+  /**
+   * Повертає останню ціну (з кешу або REST, якщо кеш застарів)
+   */
+  async getLastPrice(symbol) {
+    this.track(symbol);
+
+    const cached = this.cache.get(symbol);
+    if (cached && this._isFresh(cached.lastPriceAt)) {
+      return cached.lastPrice;
+    }
+
+    logger.debug(`[MARKET] ${symbol}: last price stale or missing, using REST`);
+    const lastPrice = await kucoinService.getCurrentPrice(symbol);
+    this._update(symbol, { lastPrice, lastPriceAt: clockService.now() });
+
+    return lastPrice;
+  }
+
+  /**
+   * Повертає mark price та index price (з кешу або REST)
+   *
+   * @returns {Promise<{markPrice: number, indexPrice: number}>}
+   */
+  async getMarkPrice(symbol) {
+    this.track(symbol);
+
+    const cached = this.cache.get(symbol);
+    if (cached && this._isFresh(cached.markPriceAt)) {
+      return { markPrice: cached.markPrice, indexPrice: cached.indexPrice };
+    }
+
+    logger.debug(`[MARKET] ${symbol}: mark price stale or missing, using REST`);
+    const { markPrice, indexPrice } = await kucoinService.getMarkPrice(symbol);
+    this._update(symbol, { markPrice, indexPrice, markPriceAt: clockService.now() });
+
+    return { markPrice, indexPrice };
+  }
+
+  /**
+   * Повертає свіжу mark price з кешу без REST-запиту (або null)
+   */
+  getCachedMarkPrice(symbol) {
+    const cached = this.cache.get(symbol);
+    return cached && this._isFresh(cached.markPriceAt) ? cached.markPrice : null;
+  }
+
+  /**
+   * Записує ціни в кеш напряму (replay / офлайн-джерела замість WebSocket)
+   *
+   * @param {string} symbol
+   * @param {Object} prices — { lastPrice?, markPrice?, indexPrice? }
+   */
+  setPrices(symbol, { lastPrice, markPrice, indexPrice }) {
+    const now = clockService.now();
+
+    if (lastPrice) {
+      this._update(symbol, { lastPrice, lastPriceAt: now });
+    }
+    if (markPrice) {
+      this._update(symbol, { markPrice, indexPrice: indexPrice || markPrice, markPriceAt: now });
+    }
+  }
+
+  /**
+   * Чи достатньо свіжі дані
+   */
+  _isFresh(timestamp) {
+    return Boolean(timestamp) && clockService.now() - timestamp <= config.marketData.staleMs;
+  }
+
+  /**
+   * Оновлює кеш символу
+   */
+  _update(symbol, values) {
+    this.cache.set(symbol, { ...this.cache.get(symbol), ...values });
+  }
+
+  /**
+   * Обробляє повідомлення з WebSocket
+   */
+  _onMessage(message) {
+    const { topic, subject, data } = message;
+    const symbol = topic.split(':')[1];
+    if (!symbol || !data) return;
+
+    if (subject === 'ticker') {
+      this._update(symbol, { lastPrice: parseFloat(data.price), lastPriceAt: clockService.now() });
+    } else if (subject === 'mark.index.price') {
+      this._update(symbol, {
+        markPrice: parseFloat(data.markPrice),
+        indexPrice: parseFloat(data.indexPrice),
+        markPriceAt: clockService.now()
+      });
+    }
+  }
+
+  /**
+   * Підписка на топіки символу
+   */
+  _subscribe(symbol) {
+    if (!this.socket) return;
+    this.socket.subscribe(`/contractMarket/ticker:${symbol}`);
+    this.socket.subscribe(`/contract/instrument:${symbol}`);
+  }
+
+  /**
+   * Відписує символи без позиції, які давно не запитувались
+   */
+  _sweepIdle() {
+    const now = Date.now();
+
+    for (const [symbol, entry] of this.tracked.entries()) {
+      if (entry.pinned || now - entry.lastRequestedAt < IDLE_UNTRACK_MS) continue;
+
+      this.tracked.delete(symbol);
+      this.cache.delete(symbol);
+
+      if (this.socket) {
+        this.socket.unsubscribe(`/contractMarket/ticker:${symbol}`);
+        this.socket.unsubscribe(`/contract/instrument:${symbol}`);
+      }
+
+      logger.debug(`[MARKET] Untracked idle symbol ${symbol}`);
+    }
+  }
+}
+
+// Експортуємо singleton
+const marketDataService = new MarketDataService();
+export default marketDataService;
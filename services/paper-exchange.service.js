@@ -0,0 +1,775 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import stateService from './state.service.js';
+import marketDataService from './market-data.service.js';
+import contractsService from './contracts.service.js';
+import kucoinService from './kucoin.service.js';
+import clockService from './clock.service.js';
+import { getNextFundingTime } from '../utils/helpers.js';
+
+// Скільки виконаних ордерів тримати в історії
+const MAX_ORDER_HISTORY = 500;
+
+// Скільки скасованих limit ордерів пам'ятати (для getOrder)
+const MAX_CANCELLED_LIMIT_ORDERS = 100;
+
+// Скільки закритих позицій тримати в історії (getPositionHistory)
+const MAX_POSITION_HISTORY = 200;
+
+// Скільки funding платежів тримати в історії (getFundingHistory)
+const MAX_FUNDING_HISTORY = 500;
+
+/**
+ * Paper-trading біржа для DRY_RUN режиму.
+ *
+ * Має той самий інтерфейс торгових методів, що й KuCoinService
+ * (getUSDTBalance, openMarketOrder, closeMarketOrder, getOpenPositions, ...),
+ * тому решта бота працює з нею так само, як з реальною біржею.
+ *
+ * Виконання ордерів:
+ *   - ціна = поточна last price ± slippage (buy дорожче, sell дешевше)
+ *   - комісія = notional × taker fee
+ *   - P&L = (exit − entry) × lots × multiplier
+ *   - limit ордер, що перетинає ринок, виконується одразу як taker (не гірше за свою ціну);
+ *     post-only у такому разі відхиляється. Інакше ордер чекає і виконується повністю
+ *     за своєю ціною з maker комісією, коли last price його досягне (getOrder / getOpenPositions)
+ *   - стоп-ордери (SL / TP) перевіряються при кожному getOpenPositions() за last price
+ *     (stopPriceType не розрізняється) і виконуються як market ордер на закриття
+ *   - funding (simulateFunding): у час funding з даних контракту позиція платить / отримує
+ *     lots × multiplier × last price × ставка контракту (LONG платить при додатній ставці)
+ *
+ * Залежності (ціна, контракт, час, збереження стану) передаються в конструктор,
+ * тож цей клас використовується і в бектестері / replay з історичними цінами.
+ */
+export class PaperExchange {
+  /**
+   * @param {Object}   options
+   * @param {number}   options.startBalance     — віртуальний баланс USDT
+   * @param {number}   options.slippagePercent  — прослизання у %
+   * @param {number}   options.takerFeePercent  — taker комісія у %
+   * @param {number}   [options.makerFeePercent] — maker комісія у % (за замовчуванням як taker)
+   * @param {boolean}  [options.simulateFunding] — нараховувати funding (потрібні fundingFeeRate / nextFundingTime контракту)
+   * @param {Function} options.getPrice         — async (symbol) → last price
+   * @param {Function} options.getContract      — async (symbol) → { multiplier, ... }
+   * @param {Function} [options.getRiskLimitLevels] — async (symbol) → рівні risk limit (як kucoinService)
+   * @param {Function} options.now              — () → поточний час (мс)
+   * @param {Function} [options.load]           — () → state, завантаження збереженого стану
+   * @param {Function} [options.persist]        — (state) → void, збереження стану
+   */
+  constructor({ startBalance, slippagePercent, takerFeePercent, makerFeePercent = takerFeePercent, simulateFunding = false, getPrice, getContract, getRiskLimitLevels = null, now, load = null, persist = null }) {
+    this.startBalance = startBalance;
+    this.slippagePercent = slippagePercent;
+    this.takerFeePercent = takerFeePercent;
+    this.makerFeePercent = makerFeePercent;
+    this.simulateFunding = simulateFunding;
+    this.getPrice = getPrice;
+    this.getContract = getContract;
+    this.riskLimitLevelsFn = getRiskLimitLevels;
+    this.now = now;
+    this.load = load;
+    this.persist = persist;
+
+    this.cash = startBalance;
+    this.positions = new Map();   // symbol → { currentQty, avgEntryPrice, leverage, multiplier, openedAt, tradeFee, realisedGross, fundingFee, nextFundingTime }
+    this.positionHistory = [];    // закриті позиції, як /api/v1/history-positions
+    this.fundingHistory = [];     // funding платежі, як /api/v1/funding-history
+    this.orders = [];
+    this.stopOrders = [];         // активні стоп-ордери, ще не спрацювали
+    this.limitOrders = [];        // limit ордери в книзі (та недавно скасовані)
+    this.isConnected = false;
+  }
+
+  /**
+   * Відновлює стан (баланс, позиції, історію ордерів)
+   */
+  restore(state) {
+    if (!state) return;
+
+    this.cash = state.cash;
+    this.positions = new Map(Object.entries(state.positions || {}));
+    this.orders = state.orders || [];
+    this.stopOrders = state.stopOrders || [];
+    this.limitOrders = state.limitOrders || [];
+    this.positionHistory = state.positionHistory || [];
+    this.fundingHistory = state.fundingHistory || [];
+  }
+
+  /**
+   * Знімок стану для збереження
+   */
+  getState() {
+    return {
+      cash: this.cash,
+      positions: Object.fromEntries(this.positions),
+      orders: this.orders,
+      stopOrders: this.stopOrders,
+      limitOrders: this.limitOrders,
+      positionHistory: this.positionHistory,
+      fundingHistory: this.fundingHistory
+    };
+  }
+
+  /**
+   * "Підключення" — відновлення збереженого стану, щоб інтерфейс збігався з KuCoinService
+   */
+  async connect() {
+    if (this.load) {
+      this.restore(this.load());
+    }
+
+    this.isConnected = true;
+    logger.info(`[PAPER] ✅ Paper exchange ready: ${this.cash.toFixed(2)} USDT, ${this.positions.size} open positions`);
+    return true;
+  }
+
+  /**
+   * Доступний баланс: кеш + нереалізований P&L − маржа під позиціями
+   */
+  async getUSDTBalance() {
+    let margin = 0;
+    let unrealised = 0;
+
+    for (const [symbol, position] of this.positions.entries()) {
+      margin += Math.abs(position.currentQty) * position.avgEntryPrice * position.multiplier / position.leverage;
+      unrealised += await this._unrealisedPnl(symbol, position);
+    }
+
+    const availableBalance = this.cash + Math.min(unrealised, 0) - margin;
+    logger.info(`[PAPER] USDT Balance: ${availableBalance.toFixed(4)} USDT`);
+
+    return availableBalance;
+  }
+
+  /**
+   * Equity: кеш + нереалізований P&L усіх позицій
+   */
+  async getEquity() {
+    let unrealised = 0;
+
+    for (const [symbol, position] of this.positions.entries()) {
+      unrealised += await this._unrealisedPnl(symbol, position);
+    }
+
+    return this.cash + unrealised;
+  }
+
+  /**
+   * Плече в paper режимі просто запам'ятовується в ордері; понад максимум контракту — помилка, як на біржі
+   */
+  async setLeverage(symbol, leverage, marginMode = 'CROSS') {
+    const contract = await this.getContract(symbol);
+    if (contract.maxLeverage && leverage > contract.maxLeverage) {
+      throw new Error(`Leverage ${leverage}x exceeds max ${contract.maxLeverage}x for ${symbol}`);
+    }
+
+    logger.info(`[PAPER] Leverage ${leverage}x for ${symbol} (${marginMode})`);
+    return true;
+  }
+
+  /**
+   * Рівні risk limit; без джерела (бектест) — порожньо, і бот бере базовий рівень з контракту
+   */
+  async getRiskLimitLevels(symbol) {
+    return this.riskLimitLevelsFn ? this.riskLimitLevelsFn(symbol) : [];
+  }
+
+  /**
+   * Відкриває позицію market ордером
+   */
+  async openMarketOrder(symbol, side, quantity, leverage, marginMode = 'CROSS') {
+    return this._executeOrder({ symbol, side, quantity, leverage, marginMode, closeOrder: false });
+  }
+
+  /**
+   * Ставить limit / post-only ордер на відкриття
+   */
+  async placeLimitOrder(symbol, side, quantity, price, leverage, marginMode = 'CROSS', { postOnly = false } = {}) {
+    const size = Math.floor(quantity);
+    if (size <= 0) {
+      throw new Error(`Invalid order size: ${quantity}`);
+    }
+
+    const marketPrice = await this.getPrice(symbol);
+    const crosses = side === 'buy' ? marketPrice <= price : marketPrice >= price;
+
+    if (crosses && postOnly) {
+      throw new Error(`Post-only order would execute immediately (market ${marketPrice}, limit ${price})`);
+    }
+
+    const limitOrder = {
+      id: `PAPER_${uuidv4().replace(/-/g, '').substring(0, 18)}`,
+      clientOid: uuidv4(),
+      symbol,
+      side,
+      type: 'limit',
+      price,
+      size,
+      leverage,
+      marginMode,
+      postOnly,
+      status: 'open',
+      isActive: true,
+      cancelExist: false,
+      dealSize: 0,
+      createdAt: this.now()
+    };
+
+    if (crosses) {
+      // Перетинає ринок — виконується одразу як taker
+      return this._executeOrder({ symbol, side, quantity: size, leverage, marginMode, closeOrder: false, limitOrder });
+    }
+
+    this.limitOrders.push(limitOrder);
+    this._save();
+
+    logger.info(`[PAPER] Limit order placed: ${side} ${size} lots ${symbol} @ ${price}${postOnly ? ' (post-only)' : ''}`);
+
+    return {
+      orderId: limitOrder.id,
+      clientOid: limitOrder.clientOid,
+      symbol,
+      side,
+      quantity: size,
+      price
+    };
+  }
+
+  /**
+   * Стан ордера у форматі kucoinService.getOrder()
+   */
+  async getOrder(orderId) {
+    await this._fillLimitOrders();
+
+    const order = this.orders.find(item => item.id === orderId) ||
+      this.limitOrders.find(item => item.id === orderId);
+
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    return this._mapOrder(order);
+  }
+
+  /**
+   * Ордер за clientOid (null, якщо такого немає)
+   */
+  async getOrderByClientOid(clientOid) {
+    await this._fillLimitOrders();
+
+    const order = this.orders.find(item => item.clientOid === clientOid) ||
+      this.limitOrders.find(item => item.clientOid === clientOid);
+
+    return order ? this._mapOrder(order) : null;
+  }
+
+  /**
+   * Угоди ордера у форматі kucoinService.getOrderFills().
+   * Paper-ордер виконується однією угодою.
+   */
+  async getOrderFills(orderId) {
+    const order = this.orders.find(item => item.id === orderId);
+    return order && order.dealSize ? [this._mapFill(order)] : [];
+  }
+
+  /**
+   * Угоди по символу з моменту startAt (мс), як kucoinService.getFills()
+   */
+  async getFills(symbol, { startAt = 0 } = {}) {
+    return this.orders
+      .filter(order => order.symbol === symbol && order.dealSize && order.endAt >= startAt)
+      .map(order => this._mapFill(order));
+  }
+
+  /**
+   * Закриті позиції з моменту from (мс), як kucoinService.getPositionHistory()
+   */
+  async getPositionHistory(symbol, { from = 0 } = {}) {
+    return this.positionHistory.filter(item => item.symbol === symbol && item.closeTime >= from);
+  }
+
+  /**
+   * Funding платежі з моменту startAt (мс), як kucoinService.getFundingHistory()
+   */
+  async getFundingHistory(symbol, { startAt = 0 } = {}) {
+    await this._settleFunding();
+    return this.fundingHistory.filter(item => item.symbol === symbol && item.timePoint >= startAt);
+  }
+
+  /**
+   * Виконаний paper-ордер як угода (ордер виконується однією угодою)
+   */
+  _mapFill(order) {
+    return {
+      tradeId: `${order.id}_1`,
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      price: parseFloat(order.price),
+      size: order.dealSize,
+      value: parseFloat(order.dealValue),
+      fee: parseFloat(order.fee),
+      liquidity: order.liquidity,
+      tradeTime: order.endAt
+    };
+  }
+
+  /**
+   * Ордер у форматі kucoinService.mapOrder()
+   */
+  _mapOrder(order) {
+    return {
+      orderId: order.id,
+      clientOid: order.clientOid,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      isActive: order.isActive,
+      cancelled: Boolean(order.cancelExist),
+      size: order.size,
+      filledSize: order.dealSize,
+      filledValue: parseFloat(order.dealValue || '0'),
+      price: parseFloat(order.price),
+      createdAt: order.createdAt,
+      endAt: order.endAt || null
+    };
+  }
+
+  /**
+   * Закриває позицію market ордером
+   */
+  async closeMarketOrder(symbol, closeSide, quantity, leverage, marginMode = 'CROSS') {
+    return this._executeOrder({ symbol, side: closeSide, quantity, leverage, marginMode, closeOrder: true });
+  }
+
+  /**
+   * Ставить стоп-ордер на закриття позиції (як kucoinService.placeStopOrder)
+   */
+  async placeStopOrder(symbol, { side, stop, stopPrice, stopPriceType = 'MP', quantity, leverage, marginMode = 'CROSS' }) {
+    const stopOrder = {
+      id: `PAPER_${uuidv4().replace(/-/g, '').substring(0, 18)}`,
+      clientOid: uuidv4(),
+      symbol,
+      side,
+      stop,
+      stopPrice,
+      stopPriceType,
+      size: Math.floor(quantity),
+      leverage,
+      marginMode,
+      createdAt: this.now()
+    };
+
+    this.stopOrders.push(stopOrder);
+    this._save();
+
+    logger.info(`[PAPER] Stop order placed: ${side} ${symbol} stop ${stop} @ ${stopPrice}`);
+
+    return {
+      orderId: stopOrder.id,
+      clientOid: stopOrder.clientOid,
+      symbol,
+      side,
+      stop,
+      stopPrice
+    };
+  }
+
+  /**
+   * Скасовує стоп- або limit ордер. Ордер, що вже виконався або скасований, — помилка (як на біржі)
+   */
+  async cancelOrder(orderId) {
+    const index = this.stopOrders.findIndex(order => order.id === orderId);
+    const limitOrder = this.limitOrders.find(order => order.id === orderId && order.isActive);
+
+    if (index !== -1) {
+      this.stopOrders.splice(index, 1);
+    } else if (limitOrder) {
+      Object.assign(limitOrder, { status: 'done', isActive: false, cancelExist: true, endAt: this.now() });
+      this._pruneLimitOrders();
+    } else {
+      throw new Error(`Order ${orderId} does not exist or is already done`);
+    }
+
+    this._save();
+
+    logger.info(`[PAPER] Order cancelled: ${orderId}`);
+    return { cancelledOrderIds: [orderId] };
+  }
+
+  /**
+   * Активні стоп-ордери
+   */
+  async getStopOrders(symbol = null) {
+    return symbol ? this.stopOrders.filter(order => order.symbol === symbol) : this.stopOrders.slice();
+  }
+
+  /**
+   * Відкриті позиції у форматі kucoinService.getOpenPositions()
+   */
+  async getOpenPositions(symbol = null) {
+    await this._fillLimitOrders();
+    await this._triggerStopOrders(symbol);
+    await this._settleFunding();
+
+    const result = [];
+
+    for (const [positionSymbol, position] of this.positions.entries()) {
+      if (symbol && positionSymbol !== symbol) continue;
+
+      result.push({
+        symbol: positionSymbol,
+        side: position.currentQty > 0 ? 'Buy' : 'Sell',
+        size: Math.abs(position.currentQty),
+        entryPrice: position.avgEntryPrice,
+        markPrice: await this.getPrice(positionSymbol),
+        unrealisedPnl: await this._unrealisedPnl(positionSymbol, position),
+        leverage: position.leverage,
+        openedAt: position.openedAt || null
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Виконані ордери (новіші першими), як /api/v1/recentDoneOrders
+   */
+  async getTradeHistory(symbol = null) {
+    const orders = this.orders.slice().reverse();
+    return symbol ? orders.filter(order => order.symbol === symbol) : orders;
+  }
+
+  /**
+   * Виконує стоп-ордери, ціна тригера яких досягнута
+   */
+  async _triggerStopOrders(symbol = null) {
+    const candidates = this.stopOrders.filter(order => !symbol || order.symbol === symbol);
+
+    for (const stopOrder of candidates) {
+      const price = await this.getPrice(stopOrder.symbol);
+      const triggered = stopOrder.stop === 'down' ? price <= stopOrder.stopPrice : price >= stopOrder.stopPrice;
+      if (!triggered) continue;
+
+      this.stopOrders = this.stopOrders.filter(order => order.id !== stopOrder.id);
+
+      // closeOrder без позиції біржа просто скасовує
+      if (!this.positions.has(stopOrder.symbol)) {
+        this._save();
+        continue;
+      }
+
+      logger.info(`[PAPER] Stop order triggered: ${stopOrder.symbol} stop ${stopOrder.stop} @ ${stopOrder.stopPrice} (price ${price})`);
+
+      await this._executeOrder({
+        symbol: stopOrder.symbol,
+        side: stopOrder.side,
+        quantity: Math.abs(this.positions.get(stopOrder.symbol).currentQty),
+        leverage: stopOrder.leverage,
+        marginMode: stopOrder.marginMode,
+        closeOrder: true,
+        stopOrder
+      });
+    }
+  }
+
+  /**
+   * Нараховує funding по позиціях, для яких настав час funding-розрахунку
+   */
+  async _settleFunding() {
+    if (!this.simulateFunding) return;
+
+    const now = this.now();
+    let changed = false;
+
+    for (const [symbol, position] of this.positions.entries()) {
+      const contract = await this.getContract(symbol);
+      const granularity = contract.fundingRateGranularity;
+      const rate = contract.fundingFeeRate || 0;
+
+      // Позиція без часу funding (стан попередньої версії) — з даних контракту
+      if (!position.nextFundingTime) {
+        position.nextFundingTime = getNextFundingTime(contract.nextFundingTime, granularity, position.openedAt);
+        changed = changed || Boolean(position.nextFundingTime);
+      }
+
+      while (position.nextFundingTime && position.nextFundingTime <= now) {
+        const price = await this.getPrice(symbol);
+        const positionValue = position.currentQty * position.multiplier * price;
+        const funding = -positionValue * rate;
+
+        this.cash += funding;
+        position.fundingFee = (position.fundingFee || 0) - funding;
+
+        this.fundingHistory.push({
+          id: `PAPER_${uuidv4().replace(/-/g, '').substring(0, 18)}`,
+          symbol,
+          timePoint: position.nextFundingTime,
+          fundingRate: rate,
+          markPrice: price,
+          positionQty: position.currentQty,
+          funding
+        });
+
+        logger.info(`[PAPER] Funding ${symbol} @ rate ${(rate * 100).toFixed(4)}%: ${funding.toFixed(4)} USDT`);
+
+        position.nextFundingTime = granularity ? position.nextFundingTime + granularity : null;
+        changed = true;
+      }
+    }
+
+    if (this.fundingHistory.length > MAX_FUNDING_HISTORY) {
+      this.fundingHistory.splice(0, this.fundingHistory.length - MAX_FUNDING_HISTORY);
+    }
+
+    if (changed) {
+      this._save();
+    }
+  }
+
+  /**
+   * Виконує limit ордери з книги, ціну яких досягнуто (повністю, за ціною ордера, maker)
+   */
+  async _fillLimitOrders() {
+    for (const limitOrder of this.limitOrders.filter(order => order.isActive)) {
+      const price = await this.getPrice(limitOrder.symbol);
+      const reached = limitOrder.side === 'buy' ? price <= limitOrder.price : price >= limitOrder.price;
+      if (!reached) continue;
+
+      this.limitOrders = this.limitOrders.filter(order => order.id !== limitOrder.id);
+
+      try {
+        await this._executeOrder({
+          symbol: limitOrder.symbol,
+          side: limitOrder.side,
+          quantity: limitOrder.size,
+          leverage: limitOrder.leverage,
+          marginMode: limitOrder.marginMode,
+          closeOrder: false,
+          limitOrder: { ...limitOrder, resting: true }
+        });
+      } catch (error) {
+        // Біржа скасувала б ордер, на який не вистачає маржі
+        logger.warn(`[PAPER] Limit order ${limitOrder.id} cancelled: ${error.message}`);
+        this.limitOrders.push({ ...limitOrder, status: 'done', isActive: false, cancelExist: true, endAt: this.now() });
+        this._pruneLimitOrders();
+        this._save();
+      }
+    }
+  }
+
+  /**
+   * Обмежує історію скасованих limit ордерів
+   */
+  _pruneLimitOrders() {
+    const cancelled = this.limitOrders.filter(order => !order.isActive);
+    if (cancelled.length <= MAX_CANCELLED_LIMIT_ORDERS) return;
+
+    const drop = new Set(cancelled.slice(0, cancelled.length - MAX_CANCELLED_LIMIT_ORDERS).map(order => order.id));
+    this.limitOrders = this.limitOrders.filter(order => !drop.has(order.id));
+  }
+
+  /**
+   * Виконує ордер з комісією:
+   *   - market (та стоп) — за поточною ціною з прослизанням, taker
+   *   - limit, що перетнув ринок, — як market, але не гірше за ціну ордера, taker
+   *   - limit з книги (limitOrder.resting) — за ціною ордера, maker
+   */
+  async _executeOrder({ symbol, side, quantity, leverage, marginMode, closeOrder, stopOrder = null, limitOrder = null }) {
+    const size = Math.floor(quantity);
+    if (size <= 0) {
+      throw new Error(`Invalid order size: ${quantity}`);
+    }
+
+    // Funding, що настав до цього ордера, нараховується за розміром позиції до нього
+    await this._settleFunding();
+
+    const contract = await this.getContract(symbol);
+    const marketPrice = await this.getPrice(symbol);
+    const slippage = marketPrice * this.slippagePercent / 100;
+    let fillPrice = side === 'buy' ? marketPrice + slippage : marketPrice - slippage;
+    let feePercent = this.takerFeePercent;
+
+    if (limitOrder && limitOrder.resting) {
+      fillPrice = limitOrder.price;
+      feePercent = this.makerFeePercent;
+    } else if (limitOrder) {
+      fillPrice = side === 'buy' ? Math.min(fillPrice, limitOrder.price) : Math.max(fillPrice, limitOrder.price);
+    }
+
+    const multiplier = contract.multiplier || 1;
+
+    const position = this.positions.get(symbol);
+    const signedSize = side === 'buy' ? size : -size;
+
+    if (closeOrder && !position) {
+      throw new Error(`No paper position to close for ${symbol}`);
+    }
+
+    const fillSize = closeOrder ? Math.min(size, Math.abs(position.currentQty)) : size;
+    const notional = fillSize * fillPrice * multiplier;
+    const fee = notional * feePercent / 100;
+
+    if (!closeOrder) {
+      const requiredMargin = notional / leverage;
+      const available = await this.getUSDTBalance();
+      if (requiredMargin + fee > available) {
+        throw new Error(
+          `Paper balance insufficient. Required: ${(requiredMargin + fee).toFixed(4)} USDT, ` +
+          `Available: ${available.toFixed(4)} USDT`
+        );
+      }
+    }
+
+    const realisedPnl = this._applyFill(symbol, Math.sign(signedSize) * fillSize, fillPrice, leverage, multiplier, fee);
+    this.cash += realisedPnl - fee;
+
+    // Перший funding нової позиції — з даних контракту на момент відкриття
+    const updated = this.positions.get(symbol);
+    if (updated && !updated.nextFundingTime) {
+      updated.nextFundingTime = getNextFundingTime(contract.nextFundingTime, contract.fundingRateGranularity, this.now());
+    }
+
+    // Стоп- та limit ордер після виконання зберігають свій id (як на KuCoin)
+    const source = stopOrder || limitOrder;
+
+    const order = {
+      id: source ? source.id : `PAPER_${uuidv4().replace(/-/g, '').substring(0, 18)}`,
+      clientOid: source ? source.clientOid : uuidv4(),
+      symbol,
+      side,
+      type: limitOrder ? 'limit' : 'market',
+      price: String(fillPrice),
+      size: fillSize,
+      dealSize: fillSize,
+      dealValue: String(notional),
+      fee: String(fee),
+      liquidity: limitOrder && limitOrder.resting ? 'maker' : 'taker',
+      realisedPnl,
+      leverage: String(leverage),
+      marginMode,
+      closeOrder,
+      stop: stopOrder ? stopOrder.stop : '',
+      stopPrice: stopOrder ? String(stopOrder.stopPrice) : null,
+      stopTriggered: Boolean(stopOrder),
+      status: 'done',
+      isActive: false,
+      createdAt: this.now(),
+      endAt: this.now()
+    };
+
+    this.orders.push(order);
+    if (this.orders.length > MAX_ORDER_HISTORY) {
+      this.orders.splice(0, this.orders.length - MAX_ORDER_HISTORY);
+    }
+
+    this._save();
+
+    logger.info(
+      `[PAPER] ${closeOrder ? 'Closed' : 'Filled'} ${limitOrder ? 'limit ' : ''}${side} ${fillSize} lots ${symbol} @ ${fillPrice} ` +
+      `(market ${marketPrice}, fee ${fee.toFixed(4)} USDT` +
+      `${closeOrder ? `, realised ${realisedPnl.toFixed(4)} USDT` : ''})`
+    );
+
+    return {
+      orderId: order.id,
+      clientOid: order.clientOid,
+      symbol,
+      side,
+      quantity: fillSize
+    };
+  }
+
+  /**
+   * Оновлює позицію після виконання, повертає реалізований P&L.
+   * Повністю закрита позиція потрапляє в positionHistory.
+   */
+  _applyFill(symbol, signedSize, fillPrice, leverage, multiplier, fee = 0) {
+    const position = this.positions.get(symbol) ||
+      { currentQty: 0, avgEntryPrice: 0, leverage, multiplier, openedAt: this.now(), tradeFee: 0, realisedGross: 0, fundingFee: 0, nextFundingTime: null };
+
+    let realisedPnl = 0;
+
+    if (position.currentQty === 0 || Math.sign(position.currentQty) === Math.sign(signedSize)) {
+      // Відкриття або збільшення позиції
+      const newQty = position.currentQty + signedSize;
+      position.avgEntryPrice =
+        (position.avgEntryPrice * Math.abs(position.currentQty) + fillPrice * Math.abs(signedSize)) / Math.abs(newQty);
+      position.currentQty = newQty;
+      position.leverage = leverage;
+    } else {
+      // Зменшення або закриття
+      const closedQty = Math.min(Math.abs(position.currentQty), Math.abs(signedSize));
+      realisedPnl = (fillPrice - position.avgEntryPrice) * closedQty * Math.sign(position.currentQty) * multiplier;
+      position.currentQty += signedSize;
+
+      // Розворот позиції — залишок відкритий за ціною виконання
+      if (position.currentQty !== 0 && Math.sign(position.currentQty) === Math.sign(signedSize)) {
+        position.avgEntryPrice = fillPrice;
+      }
+    }
+
+    position.tradeFee = (position.tradeFee || 0) + fee;
+    position.realisedGross = (position.realisedGross || 0) + realisedPnl;
+
+    if (position.currentQty === 0) {
+      this.positionHistory.push({
+        closeId: `PAPER_${uuidv4().replace(/-/g, '').substring(0, 18)}`,
+        symbol,
+        leverage: position.leverage,
+        openTime: position.openedAt,
+        closeTime: this.now(),
+        openPrice: position.avgEntryPrice,
+        closePrice: fillPrice,
+        realisedGross: position.realisedGross,
+        tradeFee: position.tradeFee,
+        fundingFee: position.fundingFee || 0,
+        pnl: position.realisedGross - position.tradeFee - (position.fundingFee || 0)
+      });
+      if (this.positionHistory.length > MAX_POSITION_HISTORY) {
+        this.positionHistory.splice(0, this.positionHistory.length - MAX_POSITION_HISTORY);
+      }
+
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, position);
+    }
+
+    return realisedPnl;
+  }
+
+  /**
+   * Нереалізований P&L позиції за поточною ціною
+   */
+  async _unrealisedPnl(symbol, position) {
+    const price = await this.getPrice(symbol);
+    return (price - position.avgEntryPrice) * position.currentQty * position.multiplier;
+  }
+
+  /**
+   * Зберігає стан, якщо задано persist
+   */
+  _save() {
+    if (this.persist) {
+      this.persist(this.getState());
+    }
+  }
+}
+
+// Singleton для DRY_RUN режиму бота (ціни — live з KuCoin, стан — у state.json)
+const paperExchange = new PaperExchange({
+  startBalance: config.paper.startBalance,
+  slippagePercent: config.paper.slippagePercent,
+  takerFeePercent: config.paper.takerFeePercent,
+  makerFeePercent: config.paper.makerFeePercent,
+  simulateFunding: config.paper.simulateFunding,
+  getPrice: (symbol) => marketDataService.getLastPrice(symbol),
+  getContract: (symbol) => contractsService.getSymbolInfo(symbol),
+  getRiskLimitLevels: (symbol) => kucoinService.getRiskLimitLevels(symbol),
+  now: () => clockService.now(),
+  load: () => stateService.get('paper'),
+  persist: (state) => stateService.set('paper', state)
+});
+
+export default paperExchange;
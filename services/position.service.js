@@ -1,13 +1,56 @@
-import kucoinService from './kucoin.service.js';
+import exchange from './exchange.service.js';
+import stateService from './state.service.js';
+import marketDataService from './market-data.service.js';
+import clockService from './clock.service.js';
+import tradeAccountingService from './trade-accounting.service.js';
+import fundingService from './funding.service.js';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
-import { calculatePnL, calculatePnLPercent, formatDuration } from '../utils/helpers.js';
+import { calculatePnLPercent, formatDuration } from '../utils/helpers.js';
+
+// Пауза перед повторним запитом на закриття, якщо попередній не закрив позицію
+const EXIT_RETRY_MS = 60000;
 
 class PositionService {
   constructor() {
     this.openPositions = new Map();
     this.closedPositions = [];
     this.monitoringInterval = null;
+    this.realtimeActive = false;
+    this.exitCallbacks = [];
+    this.exitRequests = new Map();   // symbol → час останнього запиту на закриття
+    this.pendingEntries = new Set(); // символи, по яких вхід ще виконується (валідація, ордер, fills)
+  }
+
+  /**
+   * Відновлює позиції зі сховища стану (викликається при старті)
+   */
+  restoreState() {
+    const saved = stateService.get('positions', {});
+
+    this.openPositions = new Map(
+      (saved.openPositions || []).map(position => [position.symbol, position])
+    );
+    this.closedPositions = saved.closedPositions || [];
+
+    for (const symbol of this.openPositions.keys()) {
+      marketDataService.track(symbol, true);
+    }
+
+    logger.info(
+      `[POSITION] Restored state: ${this.openPositions.size} open, ` +
+      `${this.closedPositions.length} closed positions`
+    );
+  }
+
+  /**
+   * Зберігає позиції у сховище стану
+   */
+  _persist() {
+    stateService.set('positions', {
+      openPositions: Array.from(this.openPositions.values()),
+      closedPositions: this.closedPositions
+    });
   }
 
   /**
@@ -20,8 +63,18 @@ class PositionService {
       entryPrice,
       quantity,
       orderId,
+      entryOrderIds,
+      entryFee,
+      filledAt,
+      multiplier,
+      leverage,
+      marginMode,
+      riskProfile,
+      riskAdjustments,
       timestamp,
-      positionSizeUSDT
+      positionSizeUSDT,
+      fairPriceCheck,
+      protectiveOrders
     } = positionData;
 
     this.openPositions.set(symbol, {
@@ -30,9 +83,27 @@ class PositionService {
       entryPrice,
       quantity,
       orderId,
-      timestamp: timestamp || Date.now(),
-      positionSizeUSDT: positionSizeUSDT || 0
+      // Усі ордери входу (limit + market добір)
+      entryOrderIds: entryOrderIds || (orderId ? [orderId] : []),
+      // Комісія входу (USDT) і час останньої угоди входу — з fills біржі
+      entryFee: entryFee || 0,
+      filledAt: filledAt || null,
+      multiplier: multiplier || null,
+      // Фактичне плече і корекції під risk limit біржі (якщо LEVERAGE / розмір знижено)
+      leverage: leverage || null,
+      // Режим маржі та шаблони ризик-профілів, з якими відкрито позицію
+      marginMode: marginMode || null,
+      riskProfile: riskProfile || [],
+      riskAdjustments: riskAdjustments || [],
+      timestamp: timestamp || clockService.now(),
+      trackedAt: clockService.now(),
+      positionSizeUSDT: positionSizeUSDT || 0,
+      fairPriceCheck: fairPriceCheck || null,
+      // { stopLoss: { orderId, stopPrice, stop }, takeProfit: { ... } } — стоп-ордери на біржі
+      protectiveOrders: protectiveOrders || null
     });
+    this._persist();
+    marketDataService.track(symbol, true);
 
     logger.info(`[POSITION] Added position to monitoring: ${symbol} ${direction} (${quantity} lots)`);
   }
@@ -44,29 +115,231 @@ class PositionService {
     const position = this.openPositions.get(symbol);
     if (position) {
       this.openPositions.delete(symbol);
+      this.exitRequests.delete(symbol);
+      this._persist();
+      marketDataService.unpin(symbol);
       logger.info(`[POSITION] Removed position from monitoring: ${symbol}`);
       return position;
     }
     return null;
   }
 
+  /**
+   * Оновлює поля відстежуваної позиції (наприклад, після звірки з біржею)
+   */
+  updateOpenPosition(symbol, changes) {
+    const position = this.openPositions.get(symbol);
+    if (!position) return null;
+
+    const updated = { ...position, ...changes };
+    this.openPositions.set(symbol, updated);
+    this._persist();
+
+    logger.info(`[POSITION] Updated tracked position: ${symbol} ${updated.direction} (${updated.quantity} lots)`);
+    return updated;
+  }
+
+  /**
+   * Запам'ятовує захисні стоп-ордери позиції
+   */
+  setProtectiveOrders(symbol, protectiveOrders) {
+    if (!this.openPositions.has(symbol)) return;
+
+    this.updateOpenPosition(symbol, { protectiveOrders });
+    logger.info(
+      `[POSITION] Protective orders for ${symbol}: ` +
+      Object.entries(protectiveOrders).map(([type, order]) => `${type} @ ${order.stopPrice} (${order.orderId})`).join(', ')
+    );
+  }
+
+  /**
+   * Скасовує захисні стоп-ордери позиції на біржі.
+   *
+   * Ордер, що вже спрацював або був скасований, біржа не знайде — це не помилка,
+   * тому такі відмови лише логуються.
+   */
+  async cancelProtectiveOrders(symbol) {
+    const position = this.openPositions.get(symbol);
+    if (!position || !position.protectiveOrders) return;
+
+    for (const [type, order] of Object.entries(position.protectiveOrders)) {
+      try {
+        await exchange.cancelOrder(order.orderId);
+        logger.info(`[POSITION] Cancelled ${type} order for ${symbol}: ${order.orderId}`);
+      } catch (error) {
+        logger.warn(`[POSITION] Could not cancel ${type} order ${order.orderId} for ${symbol}: ${error.message}`);
+      }
+    }
+
+    if (this.openPositions.has(symbol)) {
+      this.updateOpenPosition(symbol, { protectiveOrders: null });
+    }
+  }
+
+  /**
+   * Реєструє обробник запитів на закриття позиції (TIMEOUT тощо).
+   *
+   * Закриття виконує торгова логіка (tradingService.closePosition) —
+   * той самий шлях, що й для EXIT-сигналу.
+   *
+   * @param {Function} callback — async ({ symbol, reason, details }) → void
+   */
+  onExitRequest(callback) {
+    this.exitCallbacks.push(callback);
+  }
+
+  /**
+   * Просить торгову логіку закрити позицію
+   *
+   * @param {string} symbol
+   * @param {string} reason  — TIMEOUT, ...
+   * @param {Object} details — дані для звіту (heldSec, limitSec, ...)
+   */
+  async requestExit(symbol, reason, details = {}) {
+    const lastRequest = this.exitRequests.get(symbol);
+    if (lastRequest && clockService.now() - lastRequest < EXIT_RETRY_MS) return;
+
+    if (this.exitCallbacks.length === 0) {
+      logger.warn(`[POSITION] Exit requested for ${symbol} (${reason}), but no exit handler is registered`);
+      return;
+    }
+
+    this.exitRequests.set(symbol, clockService.now());
+    logger.info(`[POSITION] Requesting exit for ${symbol}: ${reason}`);
+
+    for (const callback of this.exitCallbacks) {
+      try {
+        await callback({ symbol, reason, details });
+      } catch (error) {
+        logger.error(`[POSITION] Exit request for ${symbol} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Ліміт утримання позиції (секунд) — окремий для символу або глобальний, 0 — без ліміту
+   */
+  getMaxHoldSec(symbol) {
+    const bySymbol = config.exits.maxHoldSecBySymbol[symbol];
+    return bySymbol !== undefined ? bySymbol : config.exits.maxHoldSec;
+  }
+
+  /**
+   * Скільки секунд позиція вже утримується — від виконання входу
+   * (той самий відлік, що й у tradeAccountingService / fundingService)
+   */
+  getHeldSec(position) {
+    return (clockService.now() - (position.filledAt || position.trackedAt || position.timestamp)) / 1000;
+  }
+
+  /**
+   * Закриває позиції, що тримаються довше за ліміт (MAX_HOLD_SEC)
+   */
+  async checkHoldTimeouts() {
+    for (const position of this.getAllOpenPositions()) {
+      const limitSec = this.getMaxHoldSec(position.symbol);
+      if (!limitSec) continue;
+
+      const heldSec = this.getHeldSec(position);
+      if (heldSec < limitSec) continue;
+
+      logger.warn(
+        `[POSITION] ${position.symbol} held ${formatDuration(heldSec)} ` +
+        `(limit ${formatDuration(limitSec)}) — closing by timeout`
+      );
+      await this.requestExit(position.symbol, 'TIMEOUT', { heldSec, limitSec });
+    }
+  }
+
+  /**
+   * Оновлює funding платежі по відкритих позиціях (position.funding)
+   */
+  async checkFunding() {
+    for (const position of this.getAllOpenPositions()) {
+      try {
+        if (await fundingService.refreshPositionFunding(position)) {
+          this._persist();
+        }
+      } catch (error) {
+        logger.warn(`[POSITION] Could not refresh funding for ${position.symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Причина закриття по угоді закриття: спрацював SL / TP або та, що вказав бот
+   */
+  _closeReason(trackedPosition, closeTrade) {
+    const { protectiveOrders } = trackedPosition;
+
+    if (closeTrade && protectiveOrders) {
+      if (protectiveOrders.stopLoss && closeTrade.id === protectiveOrders.stopLoss.orderId) return 'STOP_LOSS';
+      if (protectiveOrders.takeProfit && closeTrade.id === protectiveOrders.takeProfit.orderId) return 'TAKE_PROFIT';
+    }
+
+    // Бот закриття не ініціював — вручну, ліквідація тощо
+    return trackedPosition.closeReason || 'EXTERNAL';
+  }
+
   /**
    * Додає закриту позицію до історії
    */
   addClosedPosition(positionData) {
     this.closedPositions.push({
       ...positionData,
-      closedAt: Date.now()
+      closedAt: clockService.now()
     });
+    this._persist();
 
     logger.info(`[POSITION] Position closed: ${positionData.symbol}, P&L: ${positionData.pnl.toFixed(2)} USDT`);
   }
 
   /**
-   * Перевіряє чи є відкрита позиція по символу
+   * Позначає, що по символу почався вхід: до addOpenPosition минають секунди
+   * (REST запити, очікування fills / limit ордера), і дубль сигналу за цей час
+   * не повинен відкрити другу позицію.
+   *
+   * @returns {boolean} false — по символу вже є позиція або інший вхід
+   */
+  beginEntry(symbol) {
+    if (this.hasOpenPosition(symbol)) return false;
+
+    this.pendingEntries.add(symbol);
+    return true;
+  }
+
+  /**
+   * Знімає позначку входу (позицію відкрито, вхід скасовано або помилка)
+   */
+  endEntry(symbol) {
+    this.pendingEntries.delete(symbol);
+  }
+
+  /**
+   * Чи виконується зараз вхід по символу
+   */
+  isEntryInProgress(symbol) {
+    return this.pendingEntries.has(symbol);
+  }
+
+  /**
+   * Стан позицій для валідації входу по symbol: власна позначка входу
+   * не рахується, входи по інших символах — рахуються
+   */
+  getEntryView(symbol) {
+    const ownPending = () => this.pendingEntries.has(symbol) && !this.openPositions.has(symbol);
+
+    return {
+      hasOpenPosition: (other) => this.openPositions.has(other) || (other !== symbol && this.pendingEntries.has(other)),
+      getOpenPositionsCount: () => this.getOpenPositionsCount() - (ownPending() ? 1 : 0)
+    };
+  }
+
+  /**
+   * Перевіряє чи є відкрита позиція по символу (або вхід, що виконується)
    */
   hasOpenPosition(symbol) {
-    return this.openPositions.has(symbol);
+    return this.openPositions.has(symbol) || this.pendingEntries.has(symbol);
   }
 
   /**
@@ -84,10 +357,11 @@ class PositionService {
   }
 
   /**
-   * Отримує кількість відкритих позицій
+   * Отримує кількість відкритих позицій (разом із входами, що виконуються)
    */
   getOpenPositionsCount() {
-    return this.openPositions.size;
+    const pending = Array.from(this.pendingEntries).filter(symbol => !this.openPositions.has(symbol));
+    return this.openPositions.size + pending.length;
   }
 
   /**
@@ -102,7 +376,14 @@ class PositionService {
     logger.info('[POSITION] Starting position monitoring...');
 
     this.monitoringInterval = setInterval(async () => {
-      await this.checkPositions();
+      // Поки працює WebSocket фід — REST polling не потрібен
+      if (!this.realtimeActive) {
+        await this.checkPositions();
+      }
+
+      // Ліміт утримання перевіряємо завжди: WebSocket не шле оновлень, якщо ціна стоїть
+      await this.checkHoldTimeouts();
+      await this.checkFunding();
     }, intervalMs);
   }
 
@@ -117,6 +398,34 @@ class PositionService {
     }
   }
 
+  /**
+   * Вмикає/вимикає режим real-time оновлень (WebSocket фід)
+   */
+  setRealtimeActive(active) {
+    if (this.realtimeActive === active) return;
+
+    this.realtimeActive = active;
+    logger.info(`[POSITION] Monitoring source: ${active ? 'WebSocket' : 'REST polling'}`);
+  }
+
+  /**
+   * Обробляє оновлення позиції від WebSocket фіду
+   *
+   * @param {string} symbol
+   * @param {Object} exchangePosition — позиція у форматі kucoinService.mapPosition()
+   *                                    або часткове оновлення { markPrice, unrealisedPnl }
+   */
+  async handleExchangePositionUpdate(symbol, exchangePosition) {
+    const trackedPosition = this.openPositions.get(symbol);
+    if (!trackedPosition) return;
+
+    if (exchangePosition.size === 0) {
+      await this.handlePositionClosed(symbol, trackedPosition);
+    } else {
+      await this.updatePositionData(symbol, exchangePosition);
+    }
+  }
+
   /**
    * Перевіряє статус всіх відкритих позицій
    */
@@ -128,7 +437,7 @@ class PositionService {
 
       for (const [symbol, trackedPosition] of this.openPositions.entries()) {
         try {
-          const exchangePositions = await kucoinService.getOpenPositions(symbol);
+          const exchangePositions = await exchange.getOpenPositions(symbol);
           const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol);
 
           if (!exchangePosition || parseFloat(exchangePosition.size) === 0) {
@@ -147,38 +456,37 @@ class PositionService {
   }
 
   /**
-   * Обробляє закриття позиції (без Telegram-повідомлення)
+   * Обробляє закриття позиції (без Telegram-повідомлення).
+   * Результат угоди — з угод та історії біржі (tradeAccountingService).
    */
   async handlePositionClosed(symbol, trackedPosition) {
     try {
-      const trades = await kucoinService.getTradeHistory(symbol);
-      const closeTrade = trades.find(t =>
-        t.symbol === symbol &&
-        (t.side === 'sell' && trackedPosition.direction === 'LONG' ||
-         t.side === 'buy' && trackedPosition.direction === 'SHORT')
-      );
-
-      const exitPrice = closeTrade ? parseFloat(closeTrade.price || closeTrade.execPrice) : trackedPosition.entryPrice;
-      const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
+      const trade = await tradeAccountingService.calculateClosedTrade(trackedPosition);
 
-      const pnl = calculatePnL(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.quantity,
-        trackedPosition.direction
-      );
+      // Позицію могли вже закрити паралельно (моніторинг і звірка працюють незалежно)
+      if (!this.openPositions.has(symbol)) return;
+      const closeReason = this._closeReason(trackedPosition, trade.exitOrderId ? { id: trade.exitOrderId } : null);
 
-      const pnlPercent = calculatePnLPercent(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.direction
-      );
+      // Другий захисний ордер (або обидва, якщо закрили не вони) більше не потрібен
+      await this.cancelProtectiveOrders(symbol);
+      if (!this.openPositions.has(symbol)) return;
+      const duration = Math.floor(this.getHeldSec(trackedPosition));
 
       const closedPositionData = {
         ...trackedPosition,
-        exitPrice,
-        pnl,
-        pnlPercent,
+        closeReason,
+        exitPrice: trade.exitPrice,
+        exitOrderId: trade.exitOrderId,
+        grossPnl: trade.grossPnl,
+        fees: trade.fees,
+        funding: trade.funding,
+        // pnl — чистий результат (після комісій і funding), по ньому рахується статистика
+        pnl: trade.netPnl,
+        pnlPercent: trade.pnlPercent,
+        pnlSource: trade.source,
+        // P&L лише за closedQuantity lots — угоди виходу покрили не всю позицію
+        pnlPartial: trade.partial,
+        closedQuantity: trade.closedQuantity,
         duration: formatDuration(duration)
       };
 
@@ -187,7 +495,12 @@ class PositionService {
 
       // ── Повідомлення про закриття позиції прибрано навмисно ──
 
-      logger.info(`[POSITION] Position closed: ${symbol}, P&L: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
+      logger.info(
+        `[POSITION] Position closed (${closeReason}): ${symbol} @ ${trade.exitPrice}, ` +
+        `net P&L: ${trade.netPnl.toFixed(4)} USDT (gross ${trade.grossPnl.toFixed(4)}, fees ${trade.fees.toFixed(4)}, ` +
+        `funding ${trade.funding.toFixed(4)}, ${trade.pnlPercent.toFixed(2)}%, source: ${trade.source}` +
+        `${trade.partial ? `, partial: ${trade.closedQuantity}/${trackedPosition.quantity} lots` : ''})`
+      );
     } catch (error) {
       logger.error(`[POSITION] Error handling closed position: ${error.message}`);
     }
@@ -201,7 +514,93 @@ class PositionService {
     if (!trackedPosition) return;
 
     const unrealisedPnl = parseFloat(exchangePosition.unrealisedPnl || '0');
-    logger.debug(`[POSITION] ${symbol}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+    const markPrice = marketDataService.getCachedMarkPrice(symbol) || exchangePosition.markPrice;
+
+    // Останню mark price тримаємо в пам'яті (на диск пишемо лише значущі зміни)
+    if (markPrice) trackedPosition.markPrice = markPrice;
+
+    logger.debug(
+      `[POSITION] ${symbol}: Mark: ${markPrice}, Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT` +
+      `${trackedPosition.trailing ? ` | Trailing: ${this.describeTrailing(trackedPosition)}` : ''}`
+    );
+
+    if (markPrice) {
+      await this._updateTrailingStop(trackedPosition, parseFloat(markPrice));
+    }
+  }
+
+  /**
+   * Трейлінг-стоп: найкраща ціна з моменту входу і закриття при відкаті від неї.
+   *
+   * Стан (trailing) зберігається з позицією: { bestPrice, activated, activatedAt, stopPrice }.
+   * До активації найкраща ціна живе лише в пам'яті; після — кожен новий максимум
+   * пишеться на диск, щоб рівень стопу пережив рестарт.
+   */
+  async _updateTrailingStop(position, price) {
+    const { trailingStopPercent, trailingActivationPercent } = config.exits;
+    if (!trailingStopPercent || !price) return;
+
+    const { symbol, direction, entryPrice } = position;
+    const isLong = direction === 'LONG';
+    const trailing = position.trailing || { bestPrice: entryPrice, activated: false, activatedAt: null, stopPrice: null };
+    position.trailing = trailing;
+
+    const improved = isLong ? price > trailing.bestPrice : price < trailing.bestPrice;
+    if (improved) {
+      trailing.bestPrice = price;
+    }
+
+    if (!trailing.activated) {
+      const movePercent = calculatePnLPercent(entryPrice, trailing.bestPrice, direction);
+      if (movePercent < trailingActivationPercent) return;
+
+      trailing.activated = true;
+      trailing.activatedAt = clockService.now();
+      logger.info(
+        `[POSITION] Trailing stop activated for ${symbol}: best ${trailing.bestPrice} ` +
+        `(+${movePercent.toFixed(2)}% from entry ${entryPrice})`
+      );
+    }
+
+    const stopPrice = parseFloat((trailing.bestPrice * (1 - (isLong ? 1 : -1) * trailingStopPercent / 100)).toPrecision(10));
+    if (stopPrice !== trailing.stopPrice) {
+      trailing.stopPrice = stopPrice;
+      this._persist();
+    }
+
+    const hit = isLong ? price <= stopPrice : price >= stopPrice;
+    if (!hit) return;
+
+    const retracePercent = Math.abs(price - trailing.bestPrice) / trailing.bestPrice * 100;
+    logger.warn(
+      `[POSITION] Trailing stop hit for ${symbol}: price ${price} retraced ${retracePercent.toFixed(2)}% ` +
+      `from best ${trailing.bestPrice} (stop ${stopPrice})`
+    );
+
+    await this.requestExit(symbol, 'TRAILING_STOP', {
+      heldSec: this.getHeldSec(position),
+      bestPrice: trailing.bestPrice,
+      stopPrice,
+      price,
+      retracePercent
+    });
+  }
+
+  /**
+   * Текстовий стан трейлінг-стопу позиції (для логів і статусу позицій)
+   */
+  describeTrailing(position) {
+    const { trailingStopPercent, trailingActivationPercent } = config.exits;
+    if (!trailingStopPercent) return 'disabled';
+
+    const trailing = position.trailing;
+    if (!trailing || !trailing.activated) {
+      return `waiting for +${trailingActivationPercent}% ` +
+        `(best ${trailing ? trailing.bestPrice : position.entryPrice}, entry ${position.entryPrice})`;
+    }
+
+    return `active since ${new Date(trailing.activatedAt).toISOString()}, ` +
+      `best ${trailing.bestPrice}, stop ${trailing.stopPrice} (${trailingStopPercent}% retrace)`;
   }
 
   /**
@@ -228,6 +627,7 @@ class PositionService {
    */
   resetDailyStatistics() {
     this.closedPositions = [];
+    this._persist();
     logger.info('[POSITION] Daily statistics reset');
   }
 }
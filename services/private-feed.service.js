@@ -0,0 +1,121 @@
+import { KuCoinWebSocket } from './kucoin-ws.service.js';
+import kucoinService from './kucoin.service.js';
+import positionService from './position.service.js';
+import executionService from './execution.service.js';
+import logger from '../utils/logger.js';
+
+const POSITION_TOPIC = '/contract/positionAll';
+const ORDERS_TOPIC = '/contractMarket/tradeOrders';
+
+/**
+ * Приватний real-time фід KuCoin: зміни позицій та ордерів.
+ *
+ * Поки сокет підключений — PositionService не опитує REST.
+ * Якщо сокет впав — моніторинг автоматично повертається до REST polling,
+ * а після перепідключення робимо одну REST-перевірку, щоб не пропустити
+ * події, які прийшли під час розриву.
+ *
+ * Зміни ордерів будять ExecutionService, який чекає на виконання входу,
+ * не чекаючи наступного REST-опитування.
+ */
+class PrivateFeedService {
+  constructor() {
+    this.socket = null;
+  }
+
+  /**
+   * Запускає фід
+   */
+  async start() {
+    if (this.socket) {
+      logger.warn('[FEED] Private feed already running');
+      return;
+    }
+
+    this.socket = new KuCoinWebSocket('PRIVATE', true);
+    this.socket.subscribe(POSITION_TOPIC);
+    this.socket.subscribe(ORDERS_TOPIC);
+
+    this.socket.on('connected', () => {
+      positionService.setRealtimeActive(true);
+      positionService.checkPositions();
+    });
+
+    this.socket.on('disconnected', () => {
+      positionService.setRealtimeActive(false);
+    });
+
+    this.socket.on('message', (message) => this._onMessage(message));
+
+    await this.socket.connect();
+  }
+
+  /**
+   * Зупиняє фід
+   */
+  stop() {
+    if (!this.socket) return;
+
+    this.socket.close();
+    this.socket.removeAllListeners();
+    this.socket = null;
+    positionService.setRealtimeActive(false);
+  }
+
+  /**
+   * Маршрутизує повідомлення по топіках
+   */
+  async _onMessage(message) {
+    try {
+      const { topic, subject, data } = message;
+
+      if (topic.startsWith('/contract/position') && subject === 'position.change') {
+        await this._onPositionChange(data);
+      } else if (topic === ORDERS_TOPIC && subject === 'orderChange') {
+        this._onOrderChange(data);
+      }
+    } catch (error) {
+      logger.error(`[FEED] Error handling message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Зміна позиції
+   *
+   * Повідомлення з changeReason=markPriceChange не містять currentQty —
+   * це лише оновлення ціни та P&L.
+   */
+  async _onPositionChange(data) {
+    if (data.currentQty === undefined) {
+      await positionService.handleExchangePositionUpdate(data.symbol, {
+        markPrice: parseFloat(data.markPrice || '0'),
+        unrealisedPnl: parseFloat(data.unrealisedPnl || '0')
+      });
+      return;
+    }
+
+    const exchangePosition = kucoinService.mapPosition(data);
+    logger.info(
+      `[FEED] Position change: ${exchangePosition.symbol} size=${exchangePosition.size} ` +
+      `(${data.changeReason || 'unknown reason'})`
+    );
+
+    await positionService.handleExchangePositionUpdate(data.symbol, exchangePosition);
+  }
+
+  /**
+   * Зміна ордера
+   */
+  _onOrderChange(data) {
+    logger.info(
+      `[FEED] Order ${data.orderId} ${data.symbol}: type=${data.type} status=${data.status} ` +
+      `filled=${data.filledSize || 0}/${data.size || 0}`
+    );
+
+    executionService.handleOrderUpdate(data);
+  }
+}
+
+// Експортуємо singleton
+const privateFeedService = new PrivateFeedService();
+export default privateFeedService;
@@ -0,0 +1,264 @@
+import exchange from './exchange.service.js';
+import positionService from './position.service.js';
+import telegramService from './telegram.service.js';
+import clockService from './clock.service.js';
+import contractsService from './contracts.service.js';
+import riskProfileService from './risk-profile.service.js';
+import riskService from './risk.service.js';
+import tradingService from './trading.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+// Свіжо відкриті позиції можуть ще не з'явитися в /api/v1/positions
+const MISSING_GRACE_PERIOD_MS = 60000;
+
+/**
+ * Звірка відстежуваних позицій з реальними позиціями на біржі.
+ *
+ * Типи розбіжностей:
+ *   UNTRACKED     — позиція є на біржі, але бот її не відстежує (ручна / з попереднього запуску)
+ *   SIZE_MISMATCH — розмір або напрямок на біржі відрізняється від відстежуваного
+ *   MISSING       — бот відстежує позицію, якої на біржі вже немає
+ *
+ * Що робити з кожним типом — визначає config.reconciliation.
+ */
+class ReconciliationService {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Запускає періодичну звірку
+   */
+  start(intervalMs = config.reconciliation.intervalMs) {
+    if (this.interval) {
+      logger.warn('[RECONCILE] Reconciliation already scheduled');
+      return;
+    }
+
+    logger.info(`[RECONCILE] Scheduled every ${Math.round(intervalMs / 1000)}s`);
+
+    this.interval = setInterval(async () => {
+      await this.reconcile('scheduled');
+    }, intervalMs);
+  }
+
+  /**
+   * Зупиняє періодичну звірку
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('[RECONCILE] Reconciliation stopped');
+    }
+  }
+
+  /**
+   * Виконує одну звірку
+   *
+   * @param {string} trigger — 'startup' або 'scheduled' (для логів і звіту)
+   * @returns {Array} список знайдених розбіжностей
+   */
+  async reconcile(trigger = 'scheduled') {
+    if (this.isRunning) {
+      logger.warn('[RECONCILE] Previous reconciliation still running, skipping');
+      return [];
+    }
+
+    this.isRunning = true;
+
+    try {
+      const exchangePositions = await exchange.getOpenPositions();
+      const exchangeBySymbol = new Map(exchangePositions.map(pos => [pos.symbol, pos]));
+      const discrepancies = [];
+
+      // 1. Позиції на біржі
+      for (const exchangePosition of exchangePositions) {
+        const { symbol } = exchangePosition;
+        const direction = exchangePosition.side === 'Buy' ? 'LONG' : 'SHORT';
+        const tracked = positionService.getOpenPosition(symbol);
+
+        // Вхід ще виконується — позиція з'явиться у відстежуваних після виконання
+        if (!tracked && positionService.isEntryInProgress(symbol)) {
+          logger.info(`[RECONCILE] ${symbol}: entry in progress, skipping`);
+          continue;
+        }
+
+        if (!tracked) {
+          discrepancies.push(await this._handleUntracked(exchangePosition, direction));
+        } else if (tracked.direction !== direction || tracked.quantity !== exchangePosition.size) {
+          discrepancies.push(this._handleSizeMismatch(tracked, exchangePosition, direction));
+        }
+      }
+
+      // 2. Відстежувані позиції, яких немає на біржі
+      for (const tracked of positionService.getAllOpenPositions()) {
+        const trackedFor = clockService.now() - (tracked.trackedAt || 0);
+
+        if (!exchangeBySymbol.has(tracked.symbol) && trackedFor > MISSING_GRACE_PERIOD_MS) {
+          discrepancies.push(await this._handleMissing(tracked));
+        }
+      }
+
+      if (discrepancies.length === 0) {
+        logger.info(`[RECONCILE] (${trigger}) Tracked state matches exchange`);
+        return discrepancies;
+      }
+
+      logger.warn(`[RECONCILE] (${trigger}) Found ${discrepancies.length} discrepancies`);
+      await this._report(discrepancies, trigger);
+
+      return discrepancies;
+    } catch (error) {
+      logger.error(`[RECONCILE] Error during reconciliation: ${error.message}`);
+      return [];
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Позиція на біржі, яку бот не відстежує
+   */
+  async _handleUntracked(exchangePosition, direction) {
+    const { symbol, size, entryPrice } = exchangePosition;
+    const policy = config.reconciliation.onUntracked;
+    let details = `${direction} ${size} lots @ ${entryPrice}`;
+
+    if (policy === 'adopt') {
+      // Час утримання і вікно funding — від відкриття позиції на біржі, а не від рестарту бота
+      const openedAt = exchangePosition.openedAt || null;
+
+      positionService.addOpenPosition({
+        symbol,
+        direction,
+        entryPrice,
+        quantity: size,
+        orderId: null,
+        filledAt: openedAt,
+        timestamp: openedAt || clockService.now()
+      });
+
+      details += `\n${await this._protectAdopted(symbol, direction, entryPrice, size)}`;
+    }
+
+    logger.warn(`[RECONCILE] UNTRACKED ${symbol} ${direction} ${size} lots @ ${entryPrice} → ${policy}`);
+
+    return {
+      type: 'UNTRACKED',
+      symbol,
+      action: policy,
+      details
+    };
+  }
+
+  /**
+   * Захисні SL / TP для взятої під моніторинг позиції (як при відкритті ботом).
+   * Якщо на біржі вже є стоп-ордери по символу — нових не ставимо.
+   *
+   * @returns {Promise<string>} стан захисту для звіту
+   */
+  async _protectAdopted(symbol, direction, entryPrice, quantity) {
+    try {
+      const risk = riskProfileService.resolve(symbol);
+      const symbolInfo = await contractsService.getSymbolInfo(symbol);
+      const { stopLoss, takeProfit } = riskService.calculateProtectiveStops(entryPrice, direction, quantity, symbolInfo, risk);
+
+      if (!stopLoss && !takeProfit) {
+        return 'No SL/TP configured — position is unprotected';
+      }
+
+      const existing = await exchange.getStopOrders(symbol);
+      if (existing.length > 0) {
+        return `SL/TP not placed: ${existing.length} stop order(s) already on exchange`;
+      }
+
+      await tradingService.placeProtectiveOrders(symbol, direction, entryPrice, quantity, symbolInfo, risk);
+
+      const { protectiveOrders } = positionService.getOpenPosition(symbol) || {};
+      if (!protectiveOrders) {
+        return 'SL/TP placement failed — position is unprotected';
+      }
+
+      return `Protective orders: SL ${protectiveOrders.stopLoss ? protectiveOrders.stopLoss.stopPrice : '-'}, ` +
+        `TP ${protectiveOrders.takeProfit ? protectiveOrders.takeProfit.stopPrice : '-'}`;
+    } catch (error) {
+      logger.error(`[RECONCILE] Could not protect adopted ${symbol}: ${error.message}`);
+      return `SL/TP placement failed (${error.message}) — position is unprotected`;
+    }
+  }
+
+  /**
+   * Розмір або напрямок на біржі не збігається з відстежуваним
+   */
+  _handleSizeMismatch(tracked, exchangePosition, direction) {
+    const { symbol, size, entryPrice } = exchangePosition;
+    const policy = config.reconciliation.onSizeMismatch;
+
+    if (policy === 'correct') {
+      positionService.updateOpenPosition(symbol, {
+        direction,
+        quantity: size,
+        entryPrice
+      });
+    }
+
+    const details =
+      `tracked ${tracked.direction} ${tracked.quantity} lots, ` +
+      `exchange ${direction} ${size} lots`;
+
+    logger.warn(`[RECONCILE] SIZE_MISMATCH ${symbol}: ${details} → ${policy}`);
+
+    return {
+      type: 'SIZE_MISMATCH',
+      symbol,
+      action: policy,
+      details
+    };
+  }
+
+  /**
+   * Відстежувана позиція, якої вже немає на біржі
+   */
+  async _handleMissing(tracked) {
+    const { symbol } = tracked;
+    const policy = config.reconciliation.onMissing;
+
+    if (policy === 'close') {
+      await positionService.handlePositionClosed(symbol, tracked);
+    } else if (policy === 'drop') {
+      positionService.removeOpenPosition(symbol);
+    }
+
+    logger.warn(`[RECONCILE] MISSING ${symbol} ${tracked.direction} ${tracked.quantity} lots → ${policy}`);
+
+    return {
+      type: 'MISSING',
+      symbol,
+      action: policy,
+      details: `tracked ${tracked.direction} ${tracked.quantity} lots`
+    };
+  }
+
+  /**
+   * Відправляє звіт про розбіжності в Telegram
+   */
+  async _report(discrepancies, trigger) {
+    if (config.trading.dryRun) return;
+
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatReconciliationMessage(discrepancies, trigger)
+      );
+    } catch (error) {
+      logger.error(`[RECONCILE] Error sending reconciliation report: ${error.message}`);
+    }
+  }
+}
+
+// Експортуємо singleton
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
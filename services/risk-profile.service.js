@@ -0,0 +1,134 @@
+import fs from 'fs';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import { symbolPatternToRegExp } from '../utils/helpers.js';
+
+// Параметри config.risk, які можна перевизначити для символу, і їх перевірка
+// (межі — ті самі, що й для змінних .env у config/settings.js)
+const PROFILE_FIELDS = {
+  leverage: (value) => Number.isInteger(value) && value >= 1 && value <= 100,
+  positionSizePercent: (value) => typeof value === 'number' && value > 0 && value <= 100,
+  marginMode: (value) => ['CROSS', 'ISOLATED'].includes(value),
+  minSpreadPercent: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+  stopLossPercent: (value) => typeof value === 'number' && value >= 0 && value < 100,
+  stopLossUSDT: (value) => typeof value === 'number' && value >= 0,
+  takeProfitPercent: (value) => typeof value === 'number' && value >= 0
+};
+
+/**
+ * Ризик-профілі символів (config/risk-profiles.json).
+ *
+ * Файл — масив профілів { pattern, leverage, positionSizePercent, marginMode, minSpreadPercent, ... }:
+ *   pattern — шаблон символу контракту: 'XBTUSDTM', glob '*USDTM' / '1000*' / 'DOGE?USDTM'
+ *             або regex '/^1000.*USDTM$/'
+ *   решта   — перевизначення відповідних полів config.risk
+ *
+ * Для сигналу застосовуються всі профілі, шаблон яких збігся з символом, у порядку файлу:
+ * пізніший перекриває ранній (спершу загальні '*USDTM', потім конкретні монети).
+ * Поля, яких немає в жодному профілі, — з config.risk (.env).
+ *
+ * Немає файлу — профілів немає, всі символи торгуються з config.risk.
+ * Некоректний файл — помилка на старті.
+ */
+class RiskProfileService {
+  constructor() {
+    this.profiles = [];
+    this.load(config.riskProfiles.file);
+  }
+
+  /**
+   * Завантажує та перевіряє профілі
+   */
+  load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      this.profiles = [];
+      return;
+    }
+
+    let definitions;
+    try {
+      definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load risk profiles from ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(definitions)) {
+      throw new Error(`Risk profiles file ${filePath} must contain an array`);
+    }
+
+    this.profiles = definitions.map((definition, index) => this._compile(definition, index));
+    logger.info(`[RISK] Loaded ${this.profiles.length} risk profile(s): ${this.profiles.map(profile => profile.pattern).join(', ') || 'none'}`);
+  }
+
+  /**
+   * Ефективні ризик-параметри символу: базові налаштування + профілі, що збіглися.
+   *
+   * @param {string} symbol
+   * @param {Object} [baseRisk] — config.risk (або налаштування бектесту)
+   * @returns {Object} { ...baseRisk, ...перевизначення, profiles: [шаблони, що збіглися] }
+   */
+  resolve(symbol, baseRisk = config.risk) {
+    const matched = this.profiles.filter(profile => profile.regex.test(symbol || ''));
+
+    return matched.reduce(
+      (risk, profile) => ({ ...risk, ...profile.overrides }),
+      { ...baseRisk, profiles: matched.map(profile => profile.pattern) }
+    );
+  }
+
+  /**
+   * Короткий опис ефективного профілю для логів
+   */
+  describe(risk) {
+    return `${risk.profiles && risk.profiles.length > 0 ? `[${risk.profiles.join(', ')}]` : '[default]'} ` +
+      `${risk.leverage}x, size ${risk.positionSizePercent}%, ${risk.marginMode}, ` +
+      `min spread ${risk.minSpreadPercent > 0 ? risk.minSpreadPercent + '%' : '-'}, ` +
+      `SL ${risk.stopLossPercent > 0 ? risk.stopLossPercent + '%' : '-'} / ${risk.stopLossUSDT > 0 ? risk.stopLossUSDT + ' USDT' : '-'}, ` +
+      `TP ${risk.takeProfitPercent > 0 ? risk.takeProfitPercent + '%' : '-'}`;
+  }
+
+  /**
+   * Перевіряє опис профілю
+   */
+  _compile(definition, index) {
+    const fail = (message) => {
+      throw new Error(`Invalid risk profile #${index + 1}: ${message}`);
+    };
+
+    if (!definition || typeof definition.pattern !== 'string' || definition.pattern.trim() === '') {
+      fail('pattern is required');
+    }
+
+    const overrides = {};
+    for (const [field, value] of Object.entries(definition)) {
+      if (field === 'pattern') continue;
+
+      const isValid = PROFILE_FIELDS[field];
+      if (!isValid) {
+        fail(`unknown field ${field} (allowed: ${Object.keys(PROFILE_FIELDS).join(', ')})`);
+      }
+
+      const normalized = field === 'marginMode' && typeof value === 'string' ? value.toUpperCase() : value;
+      if (!isValid(normalized)) {
+        fail(`invalid ${field}: ${JSON.stringify(value)}`);
+      }
+
+      overrides[field] = normalized;
+    }
+
+    const pattern = definition.pattern.trim();
+
+    let regex;
+    try {
+      regex = symbolPatternToRegExp(pattern);
+    } catch (error) {
+      fail(`pattern ${pattern}: ${error.message}`);
+    }
+
+    return { pattern, regex, overrides };
+  }
+}
+
+// Експортуємо singleton
+const riskProfileService = new RiskProfileService();
+export default riskProfileService;
@@ -1,5 +1,5 @@
 import { config } from '../config/settings.js';
-import { isValidNumber } from '../utils/helpers.js';
+import { isValidNumber, roundToTick } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -14,9 +14,10 @@ import logger from '../utils/logger.js';
  * @param {number} entryPrice  — поточна ціна входу
  * @param {string} direction   — 'LONG' або 'SHORT'
  * @param {Object} symbolInfo  — { multiplier, lotSize, minOrderQty, maxOrderQty }
+ * @param {Object} riskSettings — { leverage, positionSizePercent } (за замовчуванням config.risk)
  * @returns {Object} параметри позиції
  */
-export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}) {
+export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}, riskSettings = config.risk) {
   try {
     // --- Валідація вхідних даних ---
     if (!isValidNumber(balance) || balance <= 0) {
@@ -31,8 +32,8 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       throw new Error(`Invalid direction: ${direction}. Must be LONG or SHORT`);
     }
 
-    const leverage            = config.risk.leverage;
-    const positionSizePercent = config.risk.positionSizePercent;
+    const leverage            = riskSettings.leverage;
+    const positionSizePercent = riskSettings.positionSizePercent;
 
     // KuCoin специфіка
     const multiplier  = symbolInfo.multiplier || 1;       // Множник контракту
@@ -101,8 +102,7 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       requiredMargin:   requiredMargin,
       direction:        direction,
       multiplier:       multiplier
-      // takeProfit та stopLoss навмисно відсутні —
-      // позиція закривається виключно по CLOSE-сигналу
+      // Захисні SL/TP рахуються окремо — calculateProtectiveStops()
     };
 
     logger.info(
@@ -132,7 +132,197 @@ export function hasSufficientBalance(balance, requiredMargin) {
   );
 }
 
+/**
+ * Ціни захисних стоп-ордерів (SL / TP) від ціни входу.
+ *
+ * SL задається відсотком від ціни (stopLossPercent) та/або максимальним збитком
+ * в USDT (stopLossUSDT → відстань = збиток / (lots × multiplier)).
+ * Якщо задано обидва — беремо ближчий до входу (менший ризик).
+ * SL округлюється до tickSize у бік входу, щоб збиток не перевищив ліміт.
+ *
+ * @param {number} entryPrice
+ * @param {string} direction    — 'LONG' або 'SHORT'
+ * @param {number} quantity     — lots
+ * @param {Object} symbolInfo   — { multiplier, tickSize }
+ * @param {Object} riskSettings — { stopLossPercent, stopLossUSDT, takeProfitPercent } (за замовчуванням config.risk)
+ * @returns {{stopLoss: number|null, takeProfit: number|null}}
+ */
+export function calculateProtectiveStops(entryPrice, direction, quantity, symbolInfo = {}, riskSettings = config.risk) {
+  const { stopLossPercent = 0, stopLossUSDT = 0, takeProfitPercent = 0 } = riskSettings;
+  const multiplier = symbolInfo.multiplier || 1;
+  const tickSize = symbolInfo.tickSize || 0;
+  const sign = direction === 'LONG' ? 1 : -1;
+
+  const stopDistances = [];
+  if (stopLossPercent > 0) {
+    stopDistances.push(entryPrice * stopLossPercent / 100);
+  }
+  if (stopLossUSDT > 0 && quantity > 0) {
+    stopDistances.push(stopLossUSDT / (quantity * multiplier));
+  }
+
+  let stopLoss = null;
+  if (stopDistances.length > 0) {
+    const distance = Math.min(...stopDistances);
+    stopLoss = roundToTick(entryPrice - sign * distance, tickSize, direction === 'LONG' ? 'up' : 'down');
+
+    if (stopLoss <= 0 || (entryPrice - stopLoss) * sign <= 0) {
+      logger.warn(`[RISK] Stop loss ${stopLoss} is not valid for entry ${entryPrice} (distance ${distance}) — skipping`);
+      stopLoss = null;
+    }
+  }
+
+  let takeProfit = null;
+  if (takeProfitPercent > 0) {
+    takeProfit = roundToTick(entryPrice * (1 + sign * takeProfitPercent / 100), tickSize);
+
+    if (takeProfit <= 0 || (takeProfit - entryPrice) * sign <= 0) {
+      logger.warn(`[RISK] Take profit ${takeProfit} is not valid for entry ${entryPrice} — skipping`);
+      takeProfit = null;
+    }
+  }
+
+  if (stopLoss || takeProfit) {
+    const maxLoss = stopLoss ? Math.abs(entryPrice - stopLoss) * quantity * multiplier : null;
+    logger.info(
+      `[RISK] Protective stops ${direction} @ ${entryPrice}: ` +
+      `SL ${stopLoss ?? 'none'}${maxLoss !== null ? ` (max loss ${maxLoss.toFixed(4)} USDT)` : ''} | ` +
+      `TP ${takeProfit ?? 'none'}`
+    );
+  }
+
+  return { stopLoss, takeProfit };
+}
+
+/**
+ * Рівні risk limit; якщо біржа їх не віддала — базовий рівень з даних контракту
+ */
+function resolveRiskLevels(symbolInfo, riskLevels) {
+  if (riskLevels && riskLevels.length > 0) {
+    return riskLevels;
+  }
+
+  const base = symbolInfo.riskLimit || {};
+  if (!base.maxRiskLimit || !symbolInfo.maxLeverage) {
+    return [];
+  }
+
+  return [{ level: 1, minRiskLimit: base.minRiskLimit || 0, maxRiskLimit: base.maxRiskLimit, maxLeverage: symbolInfo.maxLeverage }];
+}
+
+/**
+ * Обмежує плече максимумом контракту: найбільшим maxLeverage серед рівнів risk limit
+ * (це плече першого рівня) та maxLeverage контракту.
+ *
+ * @param {number} leverage      — бажане плече (LEVERAGE)
+ * @param {Object} symbolInfo    — { symbol, maxLeverage, riskLimit }
+ * @param {Array}  [riskLevels]  — exchange.getRiskLimitLevels()
+ * @returns {{leverage: number, adjustment: string|null}}
+ */
+export function limitLeverage(leverage, symbolInfo = {}, riskLevels = []) {
+  const levels = resolveRiskLevels(symbolInfo, riskLevels);
+  const levelsMax = levels.length > 0 ? Math.max(...levels.map(level => level.maxLeverage)) : Infinity;
+  const maxLeverage = Math.floor(Math.min(symbolInfo.maxLeverage || Infinity, levelsMax));
+
+  if (!Number.isFinite(maxLeverage) || leverage <= maxLeverage) {
+    return { leverage, adjustment: null };
+  }
+
+  const adjustment = `leverage ${leverage}x → ${maxLeverage}x (contract max)`;
+  logger.warn(`[RISK] ${symbolInfo.symbol}: ${adjustment}`);
+
+  return { leverage: maxLeverage, adjustment };
+}
+
+/**
+ * Підганяє позицію під рівні risk limit: вартість позиції визначає рівень,
+ * а рівень — максимальне плече.
+ *
+ * RISK_LIMIT_ADJUST=size     — зменшуємо розмір до межі найвищого рівня, що дозволяє це плече
+ *                              (маржа не перевищує POSITION_SIZE_PERCENT)
+ * RISK_LIMIT_ADJUST=leverage — знижуємо плече до максимуму рівня, в який потрапляє позиція
+ *                              (розмір той самий, маржа більша)
+ * Позиція більша за останній рівень зменшується в обох режимах.
+ *
+ * @param {Object} positionParams — calculatePositionParameters()
+ * @param {Object} symbolInfo     — { symbol, multiplier, minOrderQty, maxLeverage, riskLimit }
+ * @param {Array}  [riskLevels]   — exchange.getRiskLimitLevels()
+ * @param {Object} [riskSettings] — { riskLimitAdjust } (за замовчуванням config.risk)
+ * @returns {{params: Object, adjustments: string[]}} params — скориговані параметри позиції
+ */
+export function fitRiskLimit(positionParams, symbolInfo = {}, riskLevels = [], riskSettings = config.risk) {
+  const levels = resolveRiskLevels(symbolInfo, riskLevels);
+  const adjustments = [];
+
+  if (levels.length === 0) {
+    return { params: positionParams, adjustments };
+  }
+
+  const { entryPrice, multiplier } = positionParams;
+  const minOrderQty = symbolInfo.minOrderQty || 1;
+  const topLevel = levels[levels.length - 1];
+
+  let { quantity, leverage } = positionParams;
+  const valueOf = (lots) => lots * entryPrice * multiplier;
+  const lotsFor = (value) => Math.floor(value / (entryPrice * multiplier));
+
+  const reduceTo = (maxValue, reason) => {
+    const lots = lotsFor(maxValue);
+    if (lots < minOrderQty) {
+      throw new Error(`Risk limit: ${reason} allows ${lots} lots, minimum is ${minOrderQty}`);
+    }
+
+    adjustments.push(`size ${quantity} → ${lots} lots (${reason})`);
+    quantity = lots;
+  };
+
+  if (valueOf(quantity) > topLevel.maxRiskLimit) {
+    reduceTo(topLevel.maxRiskLimit, `max risk limit ${topLevel.maxRiskLimit} USDT`);
+  }
+
+  if (riskSettings.riskLimitAdjust === 'leverage') {
+    const level = levels.find(item => valueOf(quantity) <= item.maxRiskLimit) || topLevel;
+
+    // Біржа приймає лише ціле плече
+    const levelLeverage = Math.floor(level.maxLeverage);
+
+    if (leverage > levelLeverage) {
+      adjustments.push(`leverage ${leverage}x → ${levelLeverage}x (risk limit level ${level.level}, up to ${level.maxRiskLimit} USDT)`);
+      leverage = levelLeverage;
+    }
+  } else {
+    const allowed = levels.filter(item => item.maxLeverage >= leverage);
+    const maxValue = allowed.length > 0 ? Math.max(...allowed.map(item => item.maxRiskLimit)) : 0;
+
+    if (valueOf(quantity) > maxValue) {
+      reduceTo(maxValue, `${leverage}x allowed up to ${maxValue} USDT`);
+    }
+  }
+
+  if (adjustments.length === 0) {
+    return { params: positionParams, adjustments };
+  }
+
+  adjustments.forEach(adjustment => logger.warn(`[RISK] ${symbolInfo.symbol}: ${adjustment}`));
+
+  const positionSizeUSDT = valueOf(quantity);
+
+  return {
+    params: {
+      ...positionParams,
+      quantity,
+      leverage,
+      positionSizeUSDT,
+      requiredMargin: positionSizeUSDT / leverage
+    },
+    adjustments
+  };
+}
+
 export default {
   calculatePositionParameters,
-  hasSufficientBalance
+  hasSufficientBalance,
+  calculateProtectiveStops,
+  limitLeverage,
+  fitRiskLimit
 };
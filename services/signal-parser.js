@@ -0,0 +1,352 @@
+import fs from 'fs';
+import logger from '../utils/logger.js';
+
+const SIGNAL_TYPES = ['OPEN', 'CLOSE'];
+const FIELD_TYPES = ['string', 'number'];
+const TIME_FORMATS = ['time-of-day-utc', 'iso', 'unix-s', 'unix-ms'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Час виявлення не може бути пізніше за публікацію в Telegram (з запасом на розсинхрон годинників)
+const DETECTED_AFTER_POST_TOLERANCE_MS = 60 * 1000;
+
+// Поля, без яких сигнал відповідного типу не обробити
+const REQUIRED_FIELDS = {
+  OPEN: ['symbol', 'lastPrice', 'fairPrice'],
+  CLOSE: ['symbol']
+};
+
+/**
+ * Реєстр форматів сигналів (config/signal-formats.json).
+ *
+ * Кожен формат описує:
+ *   name        — ім'я (логується з кожним сигналом і пишеться в архів)
+ *   type        — OPEN або CLOSE
+ *   detect      — { all: [...], any: [...] } маркери, за якими формат впізнає повідомлення
+ *   fields      — { поле: { patterns: [regex, ...], flags, type: string|number, required } }
+ *                 перша група першого regex, що спрацював, — значення поля
+ *   direction   — для OPEN: [{ contains | pattern, direction: LONG|SHORT }], перше правило, що спрацювало
+ *   timeFormat  — як читати поле time: time-of-day-utc ("16:50:19.198 UTC"), iso, unix-s, unix-ms
+ *
+ * Час сигналу (signal.timestamp) — момент виявлення розбіжності монітор-ботом.
+ * Дата публікації повідомлення в Telegram (postedAt) використовується як опорна точка
+ * для time-of-day формату (перехід через північ) і як перехресна перевірка:
+ * якщо час виявлення не розпарсився або "пізніший" за публікацію — беремо postedAt.
+ *
+ * Формати перевіряються по черзі; перший, що розпізнав і розпарсив повідомлення, виграє.
+ * Зміна формулювань монітор-бота = правка JSON, без зміни коду.
+ *
+ * Модуль не залежить від config/settings.js — scripts/test-signal.js перевіряє формати
+ * без ключів біржі та Telegram. Singleton бота — signal-parser.service.js.
+ */
+export class SignalParser {
+  /**
+   * @param {string} filePath — файл форматів (JSON)
+   * @param {Object} [options]
+   * @param {Function} [options.now] — поточний час (мс), якщо дата публікації невідома
+   */
+  constructor(filePath, { now = () => Date.now() } = {}) {
+    this.formats = [];
+    this.now = now;
+    this.load(filePath);
+  }
+
+  /**
+   * Завантажує та компілює формати. Некоректний опис — помилка на старті.
+   */
+  load(filePath) {
+    let definitions;
+
+    try {
+      definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load signal formats from ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`Signal formats file ${filePath} must contain a non-empty array`);
+    }
+
+    this.formats = definitions.map(definition => this._compile(definition));
+    logger.debug(`[PARSER] Loaded ${this.formats.length} signal formats: ${this.formats.map(f => f.name).join(', ')}`);
+  }
+
+  /**
+   * Формати, маркери яких є в тексті
+   */
+  detect(text) {
+    if (!text) return [];
+    return this.formats.filter(format => this._matchesMarkers(format, text));
+  }
+
+  /**
+   * Чи схоже повідомлення хоч на один відомий формат
+   */
+  isSignalMessage(text) {
+    return this.detect(text).length > 0;
+  }
+
+  /**
+   * Парсить повідомлення першим підхожим форматом
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.postedAt] — дата повідомлення в Telegram (мс)
+   * @returns {{signal: Object|null, format: string|null, error: string|null}}
+   */
+  parse(text, options = {}) {
+    const candidates = this.detect(text);
+    if (candidates.length === 0) {
+      return { signal: null, format: null, error: 'Unrecognized signal format' };
+    }
+
+    const errors = [];
+
+    for (const format of candidates) {
+      const result = this.parseWith(format, text, options);
+      if (result.signal) {
+        return { signal: result.signal, format: format.name, error: null };
+      }
+      errors.push(`${format.name}: ${result.error}`);
+    }
+
+    return { signal: null, format: null, error: errors.join('; ') };
+  }
+
+  /**
+   * Парсить повідомлення конкретним форматом (без перевірки маркерів)
+   *
+   * @returns {{signal: Object|null, error: string|null, fields: Object}}
+   */
+  parseWith(format, text, { postedAt = null } = {}) {
+    const fields = {};
+
+    for (const [name, field] of Object.entries(format.fields)) {
+      const value = this._extract(field, text);
+
+      if (value === null) {
+        if (field.required) {
+          return { signal: null, error: `${name} not found`, fields };
+        }
+        continue;
+      }
+
+      fields[name] = value;
+    }
+
+    const signal = {
+      type: format.type,
+      symbol: fields.symbol,
+      format: format.name
+    };
+
+    if (format.type === 'OPEN') {
+      const rule = format.direction.find(directionRule =>
+        directionRule.contains ? text.includes(directionRule.contains) : directionRule.regex.test(text)
+      );
+
+      if (!rule) {
+        return { signal: null, error: 'direction not determined (no direction rule matched)', fields };
+      }
+
+      signal.direction = rule.direction;
+      signal.lastPrice = fields.lastPrice;
+      signal.fairPrice = fields.fairPrice;
+      signal.spread = fields.spread ?? null;
+      signal.emoji = rule.contains || null;
+    }
+
+    Object.assign(signal, this._resolveTimestamp(fields.time, format.timeFormat, postedAt));
+
+    return { signal, error: null, fields };
+  }
+
+  /**
+   * Перевіряє маркери формату
+   */
+  _matchesMarkers(format, text) {
+    const { all = [], any = [] } = format.detect;
+    return all.every(marker => text.includes(marker)) &&
+      (any.length === 0 || any.some(marker => text.includes(marker)));
+  }
+
+  /**
+   * Значення поля: перша група першого regex, що спрацював (або null)
+   */
+  _extract(field, text) {
+    for (const regex of field.regexes) {
+      const match = text.match(regex);
+      if (!match) continue;
+
+      const raw = (match[1] ?? match[0]).trim();
+      if (field.type === 'number') {
+        const number = parseFloat(raw);
+        if (isNaN(number)) continue;
+        return number;
+      }
+      return raw;
+    }
+
+    return null;
+  }
+
+  /**
+   * Час сигналу з перехресною перевіркою по даті публікації в Telegram
+   *
+   * @returns {{timestamp: number, timestampSource: string, postedAt: number|null}}
+   *   timestampSource: detected (час з тексту) | posted (дата повідомлення) | received (час отримання)
+   */
+  _resolveTimestamp(timeValue, timeFormat, postedAt) {
+    const referenceTime = postedAt || this.now();
+    const fallback = postedAt
+      ? { timestamp: postedAt, timestampSource: 'posted', postedAt }
+      : { timestamp: referenceTime, timestampSource: 'received', postedAt: null };
+
+    if (timeValue === undefined) {
+      return fallback;
+    }
+
+    const detectedAt = this._parseTime(String(timeValue), timeFormat, referenceTime);
+    if (detectedAt === null) {
+      return fallback;
+    }
+
+    if (postedAt && detectedAt - postedAt > DETECTED_AFTER_POST_TOLERANCE_MS) {
+      logger.warn(
+        `[PARSER] Detection time ${new Date(detectedAt).toISOString()} is after Telegram post ` +
+        `${new Date(postedAt).toISOString()} — using post time`
+      );
+      return fallback;
+    }
+
+    return { timestamp: detectedAt, timestampSource: 'detected', postedAt };
+  }
+
+  /**
+   * Час сигналу у мс або null, якщо розібрати не вдалося
+   *
+   * @param {string} value
+   * @param {string} timeFormat
+   * @param {number} referenceTime — опорний момент (дата повідомлення або поточний час);
+   *   для time-of-day-utc обирається дата, за якої час найближчий до опорного
+   *   (сигнал о 23:59:58, отриманий о 00:00:03, належить учорашньому дню)
+   */
+  _parseTime(value, timeFormat = 'time-of-day-utc', referenceTime = this.now()) {
+    try {
+      switch (timeFormat) {
+        case 'iso': {
+          const time = Date.parse(value);
+          if (isNaN(time)) throw new Error('invalid ISO date');
+          return time;
+        }
+        case 'unix-s':
+        case 'unix-ms': {
+          const number = parseInt(value);
+          if (isNaN(number)) throw new Error('invalid unix time');
+          return timeFormat === 'unix-s' ? number * 1000 : number;
+        }
+        default: {
+          // "16:50:19.198 UTC" — лише час доби
+          const match = value.trim().match(/^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?/);
+          if (!match) {
+            throw new Error('expected HH:MM:SS[.mmm]');
+          }
+
+          const [, hours, minutes, seconds, millis = '0'] = match;
+          if (parseInt(hours) > 23 || parseInt(minutes) > 59 || parseInt(seconds) > 59) {
+            throw new Error('time out of range');
+          }
+
+          const sameDay = new Date(referenceTime);
+          sameDay.setUTCHours(parseInt(hours), parseInt(minutes), parseInt(seconds), parseInt(millis.padEnd(3, '0')));
+
+          // Найближчий до опорного моменту з учора / сьогодні / завтра
+          const candidates = [sameDay.getTime() - DAY_MS, sameDay.getTime(), sameDay.getTime() + DAY_MS];
+          return candidates.reduce((best, candidate) =>
+            Math.abs(candidate - referenceTime) < Math.abs(best - referenceTime) ? candidate : best
+          );
+        }
+      }
+    } catch (error) {
+      logger.warn(`[PARSER] Failed to parse time "${value}" (${timeFormat}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Перевіряє опис формату та компілює regex
+   */
+  _compile(definition) {
+    const name = definition.name;
+    const fail = (message) => {
+      throw new Error(`Signal format "${name || '?'}": ${message}`);
+    };
+
+    if (!name) fail('name is required');
+    if (!SIGNAL_TYPES.includes(definition.type)) fail(`type must be one of ${SIGNAL_TYPES.join(', ')}`);
+
+    const detect = definition.detect || {};
+    if ((detect.all || []).length === 0 && (detect.any || []).length === 0) {
+      fail('detect.all or detect.any markers are required');
+    }
+
+    const fields = {};
+    for (const [fieldName, field] of Object.entries(definition.fields || {})) {
+      if (!Array.isArray(field.patterns) || field.patterns.length === 0) {
+        fail(`field ${fieldName} must have patterns`);
+      }
+      if (field.type && !FIELD_TYPES.includes(field.type)) {
+        fail(`field ${fieldName} type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+
+      let regexes;
+      try {
+        regexes = field.patterns.map(pattern => new RegExp(pattern, field.flags || ''));
+      } catch (error) {
+        fail(`field ${fieldName}: ${error.message}`);
+      }
+
+      fields[fieldName] = {
+        required: Boolean(field.required),
+        type: field.type || 'string',
+        regexes
+      };
+    }
+
+    for (const requiredField of REQUIRED_FIELDS[definition.type]) {
+      if (!fields[requiredField]) fail(`field ${requiredField} is required for ${definition.type} signals`);
+      fields[requiredField].required = true;
+    }
+
+    let direction = [];
+    if (definition.type === 'OPEN') {
+      if (!Array.isArray(definition.direction) || definition.direction.length === 0) {
+        fail('direction rules are required for OPEN signals');
+      }
+
+      direction = definition.direction.map(rule => {
+        if (!['LONG', 'SHORT'].includes(rule.direction)) fail('direction rule must map to LONG or SHORT');
+        if (!rule.contains && !rule.pattern) fail('direction rule needs contains or pattern');
+        return {
+          direction: rule.direction,
+          contains: rule.contains || null,
+          regex: rule.pattern ? new RegExp(rule.pattern, rule.flags || '') : null
+        };
+      });
+    }
+
+    if (definition.timeFormat && !TIME_FORMATS.includes(definition.timeFormat)) {
+      fail(`timeFormat must be one of ${TIME_FORMATS.join(', ')}`);
+    }
+
+    return {
+      name,
+      description: definition.description || '',
+      type: definition.type,
+      detect: { all: detect.all || [], any: detect.any || [] },
+      fields,
+      direction,
+      timeFormat: definition.timeFormat || 'time-of-day-utc'
+    };
+  }
+}
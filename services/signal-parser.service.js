@@ -0,0 +1,7 @@
+import { config } from '../config/settings.js';
+import clockService from './clock.service.js';
+import { SignalParser } from './signal-parser.js';
+
+// Експортуємо singleton
+const signalParserService = new SignalParser(config.signalFormats.file, { now: () => clockService.now() });
+export default signalParserService;
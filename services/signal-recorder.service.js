@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Архів повідомлень каналу (append-only JSONL).
+ *
+ * На кожен channel_post пишеться один рядок:
+ *   { messageId, chatId, postedAt, receivedAt, text,
+ *     isSignal, parsed, parseError, decision }
+ *
+ * parsed     — результат parseSignal (або null)
+ * parseError — чому повідомлення, схоже на сигнал, не розпарсилось
+ * decision   — рішення торгової логіки: { action: OPENED|CLOSED|IGNORED|ERROR, reason }
+ *
+ * Архів читається scripts/replay.js для відтворення інцидентів.
+ */
+class SignalRecorderService {
+  constructor() {
+    this.enabled = config.recorder.enabled;
+    this.filePath = config.recorder.file;
+    this.dirReady = false;
+  }
+
+  /**
+   * Дописує запис в архів. Помилка запису не повинна зупиняти обробку сигналу.
+   */
+  record(entry) {
+    if (!this.enabled) return;
+
+    try {
+      if (!this.dirReady) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.dirReady = true;
+      }
+
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error(`[RECORDER] Failed to record message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Читає архів (пошкоджені рядки пропускаються)
+   */
+  readAll(filePath = this.filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`[RECORDER] Skipping malformed line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return records;
+  }
+}
+
+// Експортуємо singleton
+const signalRecorderService = new SignalRecorderService();
+export default signalRecorderService;
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Постійне сховище стану бота (JSON-файл).
+ *
+ * Зберігає відкриті/закриті позиції та статистику, щоб після рестарту
+ * або падіння бот не "забував" позиції, які він відкрив.
+ *
+ * Запис атомарний: спочатку пишемо у тимчасовий файл, потім rename —
+ * так файл стану ніколи не залишиться напівзаписаним.
+ */
+class StateService {
+  constructor() {
+    this.filePath = config.state.file;
+    this.state = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Завантажує стан з файлу (якщо він існує)
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        logger.info(`[STATE] No state file found at ${this.filePath}, starting with empty state`);
+        this.state = {};
+      } else {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        this.state = raw.trim() ? JSON.parse(raw) : {};
+        logger.info(`[STATE] State loaded from ${this.filePath}`);
+      }
+    } catch (error) {
+      // Пошкоджений файл не видаляємо — відкладаємо копію для ручного аналізу
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      logger.error(`[STATE] Failed to load state: ${error.message}. Backup saved to ${backupPath}`);
+      try {
+        fs.copyFileSync(this.filePath, backupPath);
+      } catch (copyError) {
+        logger.error(`[STATE] Failed to back up corrupted state: ${copyError.message}`);
+      }
+      this.state = {};
+    }
+
+    this.loaded = true;
+    return this.state;
+  }
+
+  /**
+   * Отримує секцію стану
+   */
+  get(key, defaultValue = null) {
+    return this.state[key] !== undefined ? this.state[key] : defaultValue;
+  }
+
+  /**
+   * Записує секцію стану та одразу зберігає файл (write-through)
+   */
+  set(key, value) {
+    this.state[key] = value;
+    this.save();
+  }
+
+  /**
+   * Зберігає стан на диск
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`[STATE] Failed to save state: ${error.message}`);
+    }
+  }
+}
+
+// Експортуємо singleton
+const stateService = new StateService();
+export default stateService;
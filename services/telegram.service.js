@@ -1,12 +1,23 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import clockService from './clock.service.js';
+import signalRecorderService from './signal-recorder.service.js';
+import signalParserService from './signal-parser.service.js';
+import { formatDuration } from '../utils/helpers.js';
 
 class TelegramService {
   constructor() {
-    this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
+    // Polling стартує лише в startListening() — так парсер можна використовувати
+    // офлайн (бектестер, replay) без підключення до Telegram
+    this.bot = new TelegramBot(config.telegram.botToken, {
+      polling: false,
+      baseApiUrl: config.telegram.apiURL
+    });
     this.channelId = config.telegram.channelId;
     this.signalCallbacks = [];
+    this.commandHandlers = new Map();   // команда без '/' → async (args) → текст відповіді
+    this.lastParseError = null;
 
     this.setupMessageHandler();
   }
@@ -24,28 +35,59 @@ class TelegramService {
     this.bot.on('polling_error', (error) => {
       logger.error(`[TELEGRAM] Polling error: ${error.message}`);
     });
+  }
 
+  /**
+   * Запускає polling і починає слухати канал
+   */
+  async startListening() {
+    await this.bot.startPolling();
     logger.info('[TELEGRAM] ✅ Bot initialized and listening for channel posts');
   }
 
+  /**
+   * Зупиняє polling
+   */
+  async stopListening() {
+    await this.bot.stopPolling();
+  }
+
   /**
    * Обробляє повідомлення з каналу
    */
   async handleChannelMessage(msg) {
-    try {
-      const text = msg.text || msg.caption || '';
+    const text = msg.text || msg.caption || '';
+    const record = {
+      messageId: msg.message_id,
+      chatId: msg.chat.id,
+      postedAt: msg.date ? msg.date * 1000 : null,
+      receivedAt: clockService.now(),
+      text,
+      isCommand: false,
+      isSignal: false,
+      parsed: null,
+      parseError: null,
+      decision: null
+    };
 
-      if (this.isSignalMessage(text)) {
-        const signal = this.parseSignal(text);
+    try {
+      if (await this.handleCommand(text)) {
+        record.isCommand = true;
+      } else if (this.isSignalMessage(text)) {
+        record.isSignal = true;
+        const signal = this.parseSignal(text, { postedAt: record.postedAt });
+        record.parsed = signal;
+        record.parseError = signal ? null : this.lastParseError;
 
         if (signal) {
-          logger.info(`[TELEGRAM] Signal received: type=${signal.type} symbol=${signal.symbol} direction=${signal.direction || 'N/A'}`);
+          logger.info(`[TELEGRAM] Signal received: type=${signal.type} symbol=${signal.symbol} direction=${signal.direction || 'N/A'} format=${signal.format}`);
 
           for (const callback of this.signalCallbacks) {
             try {
-              await callback(signal);
+              record.decision = (await callback(signal)) || record.decision;
             } catch (error) {
               logger.error(`[TELEGRAM] Error in signal callback: ${error.message}`);
+              record.decision = { action: 'ERROR', reason: error.message };
             }
           }
         }
@@ -53,178 +95,89 @@ class TelegramService {
     } catch (error) {
       logger.error(`[TELEGRAM] Error handling message: ${error.message}`);
     }
+
+    signalRecorderService.record(record);
   }
 
   /**
-   * Перевіряє чи це сигнальне повідомлення від KuCoin Monitor Bot.
+   * Перевіряє чи це сигнальне повідомлення (маркери одного з форматів config/signal-formats.json)
    */
   isSignalMessage(text) {
-    if (!text) return false;
-
-    const isEntry = text.includes('🚨 KuCoin') && text.includes('👉') && text.includes('👈');
-    const isExit = text.includes('сравнялись') || text.includes('зрівнялись');
-
-    return isEntry || isExit;
+    return signalParserService.isSignalMessage(text);
   }
 
   /**
-   * Парсить сигнал з повідомлення KuCoin Monitor Bot.
+   * Парсить сигнал через реєстр форматів.
+   * Причина невдачі зберігається в lastParseError (для архіву сигналів).
+   *
+   * @param {string} text
+   * @param {Object} [options] — { postedAt } дата повідомлення в Telegram (мс) для перевірки часу сигналу
    */
-  parseSignal(text) {
-    try {
-      if (text.includes('сравнялись') || text.includes('зрівнялись')) {
-        return this._parseExitSignal(text);
-      }
+  parseSignal(text, options = {}) {
+    const { signal, format, error } = signalParserService.parse(text || '', options);
+    this.lastParseError = error;
 
-      if (text.includes('🚨 KuCoin')) {
-        return this._parseEntrySignal(text);
-      }
-
-      return null;
-    } catch (error) {
-      logger.error(`[TELEGRAM] Error parsing signal: ${error.message}`);
+    if (!signal) {
+      logger.warn(`[TELEGRAM] Signal not parsed: ${error}`);
       return null;
     }
-  }
 
-  /**
-   * Парсить ENTRY сигнал.
-   *
-   * ПРАВИЛО ЕМОДЗІ (актуальне):
-   *   🟢 = LONG
-   *   🔴 = SHORT
-   */
-  _parseEntrySignal(text) {
-    // 1. Символ між 👉 та 👈
-    const symbolMatch = text.match(/👉([A-Z0-9]+)👈/);
-    if (!symbolMatch) {
-      logger.warn('[TELEGRAM] ENTRY signal: symbol not found between 👉👈');
-      return null;
-    }
-    const symbol = symbolMatch[1];
-
-    // 2. Spread (опційно)
-    const spreadMatch = text.match(/KuCoin\s*-\s*([\d.]+)%/);
-    const spread = spreadMatch ? parseFloat(spreadMatch[1]) : null;
-
-    // 3. Last Price — підтримка всіх форматів
-    let lastPriceMatch = text.match(/Last:\s*([\d.]+)/i);                           // старий англ
-    if (!lastPriceMatch) lastPriceMatch = text.match(/Последняя цена:\s*([\d.]+)/i); // старий рос
-    if (!lastPriceMatch) lastPriceMatch = text.match(/💱[^:]+:\s*([\d.]+)/);         // новий (BID/ASK)
-    if (!lastPriceMatch) {
-      logger.warn('[TELEGRAM] ENTRY signal: Last Price not found');
-      return null;
-    }
-    const lastPrice = parseFloat(lastPriceMatch[1]);
-
-    // 4. Mark Price — підтримка всіх форматів
-    let markPriceMatch = text.match(/Mark:\s*([\d.]+)/i);                           // старий англ
-    if (!markPriceMatch) markPriceMatch = text.match(/Справедливая:\s*([\d.]+)/i);  // старий рос
-    if (!markPriceMatch) markPriceMatch = text.match(/Справедлива:\s*([\d.]+)/i);   // новий укр
-    if (!markPriceMatch) {
-      logger.warn('[TELEGRAM] ENTRY signal: Mark Price not found');
-      return null;
-    }
-    const markPrice = parseFloat(markPriceMatch[1]);
-
-    // 5. Визначаємо напрямок ПО ЕМОДЗІ
-    // ПРАВИЛО (актуальне):
-    //   🟢 = LONG
-    //   🔴 = SHORT
-    let direction;
-    let emoji = null;
-
-    if (text.includes('🟢')) {
-      emoji = '🟢';
-      direction = 'LONG';
-    } else if (text.includes('🔴')) {
-      emoji = '🔴';
-      direction = 'SHORT';
+    if (signal.type === 'OPEN') {
+      logger.info(
+        `[TELEGRAM] Parsed ENTRY signal [${format}]: ${signal.symbol} ${signal.direction} | ` +
+        `Emoji: ${signal.emoji} | Spread: ${signal.spread}%`
+      );
     } else {
-      logger.warn('[TELEGRAM] ENTRY signal: emoji not found (neither 🟢 nor 🔴), cannot determine direction');
-      logger.warn(`[TELEGRAM] ENTRY signal text (first 200 chars): ${text.substring(0, 200)}`);
-      return null;
+      logger.info(`[TELEGRAM] Parsed EXIT signal [${format}]: ${signal.symbol}`);
     }
 
-    logger.info(`[TELEGRAM] Direction determined by emoji: ${emoji} → ${direction}`);
-
-    // 6. Час — підтримка всіх форматів
-    let timeMatch = text.match(/Обнаружено:\s*([^\n]+)/i);       // старий рос
-    if (!timeMatch) timeMatch = text.match(/Виявлено:\s*([^\n]+)/i); // новий укр
-    const timestamp = timeMatch ? this._parseKuCoinTime(timeMatch[1]) : Date.now();
-
-    const signal = {
-      type: 'OPEN',
-      symbol,
-      direction,
-      lastPrice,
-      fairPrice: markPrice,
-      spread,
-      timestamp,
-      emoji
-    };
-
-    logger.info(
-      `[TELEGRAM] Parsed ENTRY signal: ${symbol} ${direction} | ` +
-      `Emoji: ${emoji} | Spread: ${spread}%`
-    );
-
     return signal;
   }
 
   /**
-   * Парсить EXIT сигнал.
-   * Підтримує російські та українські варіанти повідомлень.
+   * Виконує команду з каналу (/breaker_reset тощо), якщо для неї є обробник.
+   * Відповідь обробника відправляється в канал.
+   *
+   * @returns {Promise<boolean>} true, якщо повідомлення — зареєстрована команда
    */
-  _parseExitSignal(text) {
-    let symbolMatch;
-
-    // Російські варіанти
-    symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s*-\s*Цены\s+сравнялись/i);
-    if (!symbolMatch) symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s*-\s*сравнялись/i);
-    if (!symbolMatch) symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s+сравнялись/i);
+  async handleCommand(text) {
+    const match = (text || '').trim().match(/^\/([a-z0-9_]+)(?:@\S+)?(?:\s+(.*))?$/i);
+    if (!match) return false;
 
-    // Українські варіанти
-    if (!symbolMatch) symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s*-\s*Ціни\s+зрівнялись/i);
-    if (!symbolMatch) symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s*-\s*зрівнялись/i);
-    if (!symbolMatch) symbolMatch = text.match(/✅\s*([A-Z0-9]+)\s+зрівнялись/i);
+    const handler = this.commandHandlers.get(match[1].toLowerCase());
+    if (!handler) return false;
 
-    // Fallback
-    if (!symbolMatch) symbolMatch = text.match(/([A-Z0-9]+).*?(?:сравнялись|зрівнялись)/i);
+    logger.info(`[TELEGRAM] Command received: /${match[1]}`);
 
-    if (!symbolMatch) {
-      logger.warn('[TELEGRAM] EXIT signal: symbol not found');
-      logger.warn(`[TELEGRAM] EXIT signal text: ${text.substring(0, 100)}`);
-      return null;
+    let reply;
+    try {
+      reply = await handler((match[2] || '').trim());
+    } catch (error) {
+      logger.error(`[TELEGRAM] Command /${match[1]} failed: ${error.message}`);
+      reply = `❌ <b>КОМАНДА /${match[1]} НЕ ВИКОНАНА</b>\n\n${error.message}`;
     }
 
-    const symbol = symbolMatch[1];
-
-    const signal = {
-      type: 'CLOSE',
-      symbol,
-      timestamp: Date.now()
-    };
+    // Відповідь на команду відправляється і в DRY RUN — її явно запросили
+    if (reply) {
+      try {
+        await this.sendMessage(this.channelId, reply);
+      } catch (error) {
+        logger.error(`[TELEGRAM] Error sending command reply: ${error.message}`);
+      }
+    }
 
-    logger.info(`[TELEGRAM] Parsed EXIT signal: ${symbol}`);
-    return signal;
+    return true;
   }
 
   /**
-   * Парсить час у форматі KuCoin "16:50:19.198 UTC"
+   * Реєструє обробник команди каналу
+   *
+   * @param {string} command — без '/' (наприклад 'breaker_reset')
+   * @param {Function} handler — async (args) → текст відповіді (HTML) або null
    */
-  _parseKuCoinTime(timeStr) {
-    try {
-      const today = new Date();
-      const [time] = timeStr.split(' ');
-      const [hours, minutes, seconds] = time.split(':');
-
-      today.setUTCHours(parseInt(hours), parseInt(minutes), parseInt(parseFloat(seconds)), 0);
-      return today.getTime();
-    } catch (error) {
-      logger.warn(`[TELEGRAM] Failed to parse time: ${timeStr}`);
-      return Date.now();
-    }
+  onCommand(command, handler) {
+    this.commandHandlers.set(command.toLowerCase(), handler);
+    logger.info(`[TELEGRAM] Command /${command} registered`);
   }
 
   /**
@@ -265,6 +218,121 @@ class TelegramService {
     if (additionalInfo.currentTime)   message += `\n\n<b>Поточний час:</b> ${additionalInfo.currentTime} UTC`;
     if (additionalInfo.tradingHours)  message += `\n<b>Торгові години:</b> ${additionalInfo.tradingHours}`;
     if (additionalInfo.nextTrading)   message += `\n<b>Наступна торгівля:</b> через ${additionalInfo.nextTrading}`;
+    if (additionalInfo.signalAge)     message += `\n\n<b>Вік сигналу:</b> ${additionalInfo.signalAge}`;
+    if (additionalInfo.maxSignalAge)  message += `\n<b>Максимум:</b> ${additionalInfo.maxSignalAge}`;
+    if (additionalInfo.telegramDelay) message += `\n<b>Затримка Telegram:</b> ${additionalInfo.telegramDelay}`;
+    if (additionalInfo.signalGap)     message += `\n\n<b>Gap у сигналі:</b> ${additionalInfo.signalGap}`;
+    if (additionalInfo.liveGap)       message += `\n<b>Gap зараз:</b> ${additionalInfo.liveGap}`;
+    if (additionalInfo.lastPriceDrift) message += `\n<b>Зміна last price:</b> ${additionalInfo.lastPriceDrift}`;
+    if (additionalInfo.markPriceDrift) message += `\n<b>Зміна fair price:</b> ${additionalInfo.markPriceDrift}`;
+    if (additionalInfo.fundingRate)   message += `\n\n<b>Ставка funding:</b> ${additionalInfo.fundingRate}`;
+    if (additionalInfo.maxFundingRate) message += `\n<b>Максимум проти напрямку:</b> ${additionalInfo.maxFundingRate}`;
+    if (additionalInfo.nextFunding)   message += `\n<b>До funding:</b> ${additionalInfo.nextFunding}`;
+    if (additionalInfo.fundingBlackout) message += `\n<b>Без входів за:</b> ${additionalInfo.fundingBlackout} до funding`;
+    if (additionalInfo.symbolFilter)  message += `\n\n<b>Фільтр:</b> ${additionalInfo.symbolFilter}`;
+    if (additionalInfo.filterValue)   message += `\n<b>Значення:</b> ${additionalInfo.filterValue}`;
+    if (additionalInfo.filterLimit)   message += `\n<b>Поріг:</b> ${additionalInfo.filterLimit}`;
+    if (additionalInfo.breakerTrippedAt) message += `\n\n<b>Circuit breaker з:</b> ${additionalInfo.breakerTrippedAt} UTC`;
+    if (additionalInfo.breakerReset)  message += `\n<b>Зняття:</b> ${additionalInfo.breakerReset}`;
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про закриття позиції без EXIT-сигналу (політика виходу)
+   */
+  formatPolicyExitMessage(position, reason, details = {}) {
+    const labels = {
+      TIMEOUT: '⏱ ЗАКРИТО ЗА ЧАСОМ УТРИМАННЯ',
+      TRAILING_STOP: '📉 ЗАКРИТО ТРЕЙЛІНГ-СТОПОМ',
+      CIRCUIT_BREAKER: '🛑 ЗАКРИТО CIRCUIT BREAKER'
+    };
+
+    let message = `<b>${labels[reason] || `ЗАКРИТО: ${reason}`}</b>\n\n` +
+      `<b>Символ:</b> ${position.symbol}\n` +
+      `<b>Напрямок:</b> ${position.direction}\n` +
+      `<b>Ціна входу:</b> ${position.entryPrice}\n` +
+      `<b>Утримувалась:</b> ${formatDuration(details.heldSec)}`;
+
+    if (details.limitSec) message += `\n<b>Ліміт:</b> ${formatDuration(details.limitSec)}`;
+    if (details.bestPrice) message += `\n\n<b>Найкраща ціна:</b> ${details.bestPrice}`;
+    if (details.stopPrice) message += `\n<b>Рівень стопу:</b> ${details.stopPrice}`;
+    if (details.price)     message += `\n<b>Ціна спрацювання:</b> ${details.price}`;
+    if (details.retracePercent) message += `\n<b>Відкат:</b> ${details.retracePercent.toFixed(2)}%`;
+    if (details.breakerReason) message += `\n\n<b>Причина:</b> ${details.breakerReason}`;
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про зниження плеча / розміру під ліміти біржі
+   */
+  formatRiskAdjustmentMessage(symbol, direction, adjustments) {
+    return `⚙️ <b>ПЛЕЧЕ / РОЗМІР СКОРИГОВАНО</b>\n\n` +
+      `<b>Символ:</b> ${symbol}\n` +
+      `<b>Напрямок:</b> ${direction}\n\n` +
+      adjustments.map(adjustment => `• ${adjustment}`).join('\n');
+  }
+
+  /**
+   * Форматує алерт / стан circuit breaker
+   *
+   * @param {string} event — TRIPPED, RESET або STATUS
+   * @param {Object} status — circuitBreakerService.getStatus()
+   * @param {Object} [details] — { resetBy }
+   */
+  formatCircuitBreakerMessage(event, status, details = {}) {
+    const settings = config.circuitBreaker;
+    const titles = {
+      TRIPPED: '🛑 <b>CIRCUIT BREAKER: ВХОДИ ЗУПИНЕНО</b>',
+      RESET: '✅ <b>CIRCUIT BREAKER: ТОРГІВЛЮ ВІДНОВЛЕНО</b>',
+      STATUS: `🛡 <b>CIRCUIT BREAKER</b> — ${!status.enabled ? 'вимкнено' : status.tripped ? 'входи зупинено' : 'торгівля дозволена'}`
+    };
+    const usdt = (value) => value === null || value === undefined ? 'N/A' : `${value.toFixed(2)} USDT`;
+    const limit = (value, unit) => value > 0 ? `${value}${unit}` : '-';
+
+    let message = titles[event] || `🛡 <b>CIRCUIT BREAKER: ${event}</b>`;
+
+    if (status.tripped && event !== 'RESET') {
+      message += `\n\n<b>Причина:</b> ${status.tripped.reason}` +
+        `\n<b>Спрацював:</b> ${new Date(status.tripped.trippedAt).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+      if (status.tripped.flattened.length > 0) {
+        message += `\n<b>Закриття позицій:</b> ${status.tripped.flattened.join(', ')}`;
+      }
+    }
+
+    if (details.resetBy) message += `\n\n<b>Знято:</b> ${details.resetBy}`;
+
+    message += `\n\n<b>Equity:</b> ${usdt(status.equity)}` +
+      `\n<b>На початок дня:</b> ${usdt(status.dayStartEquity)} (P&L ${status.dailyPnl >= 0 ? '+' : ''}${status.dailyPnl.toFixed(2)} USDT)` +
+      `\n<b>Пік:</b> ${usdt(status.peakEquity)} (просідання ${status.drawdownPercent.toFixed(2)}%)` +
+      `\n\n<b>Ліміти:</b> денний збиток ${limit(settings.maxDailyLossPercent, '%')} / ${limit(settings.maxDailyLossUSDT, ' USDT')}, ` +
+      `просідання ${limit(settings.maxDrawdownPercent, '%')}`;
+
+    if (status.tripped) {
+      message += `\n\nВходи заблоковано, зняття: ${status.resetBy}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує звіт про розбіжності між відстежуваними позиціями та біржею
+   */
+  formatReconciliationMessage(discrepancies, trigger) {
+    const labels = {
+      UNTRACKED: 'Не відстежується',
+      SIZE_MISMATCH: 'Розбіжність розміру',
+      MISSING: 'Немає на біржі'
+    };
+
+    let message = `🔄 <b>ЗВІРКА ПОЗИЦІЙ</b> (${trigger === 'startup' ? 'запуск' : 'планова'})\n`;
+
+    for (const item of discrepancies) {
+      message += `\n<b>${item.symbol}</b> — ${labels[item.type] || item.type}\n` +
+        `${item.details}\n` +
+        `<b>Дія:</b> ${item.action}\n`;
+    }
 
     return message;
   }
@@ -280,7 +348,7 @@ class TelegramService {
     const pnlEmoji = report.totalPnl >= 0 ? '💰' : '📉';
     const roiEmoji = report.roi >= 0 ? '📈' : '📉';
 
-    return `📊 <b>ЩОДЕННИЙ ЗВІТ</b>
+    return `📊 <b>ЩОДЕННИЙ ЗВІТ</b>${report.dryRun ? ' (PAPER TRADING)' : ''}
 
 <b>Дата:</b> ${report.date}
 <b>Торгові години:</b> ${report.tradingHours.startHour}:00-${report.tradingHours.endHour}:00 UTC
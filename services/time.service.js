@@ -1,20 +1,23 @@
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import clockService from './clock.service.js';
 
 /**
  * Перевіряє чи активні торговельні години
+ * @param {number} [timestamp] — момент перевірки (за замовчуванням — зараз); бектестер передає час сигналу
+ * @param {Object} [tradingHours] — налаштування торгових годин (за замовчуванням config.tradingHours)
  * @returns {boolean} true якщо торговельні години активні
  */
-export function isTradingHoursActive() {
-  if (!config.tradingHours.enabled) {
+export function isTradingHoursActive(timestamp = clockService.now(), tradingHours = config.tradingHours) {
+  if (!tradingHours.enabled) {
     return true;
   }
 
-  const now = new Date();
+  const now = new Date(timestamp);
   const currentHour = now.getUTCHours(); // Завжди використовуємо UTC
   
-  const startHour = config.tradingHours.startHour;
-  const endHour = config.tradingHours.endHour;
+  const startHour = tradingHours.startHour;
+  const endHour = tradingHours.endHour;
   
   // Обробка випадку коли endHour < startHour (наприклад, 22:00 - 06:00)
   let isActive;
@@ -37,17 +40,19 @@ export function isTradingHoursActive() {
 
 /**
  * Отримує інформацію про торговельні години
+ * @param {number} [timestamp] — момент перевірки (за замовчуванням — зараз)
+ * @param {Object} [tradingHours] — налаштування торгових годин (за замовчуванням config.tradingHours)
  * @returns {Object} інформація про поточний стан та наступний торговий період
  */
-export function getTradingHoursInfo() {
-  const now = new Date();
+export function getTradingHoursInfo(timestamp = clockService.now(), tradingHours = config.tradingHours) {
+  const now = new Date(timestamp);
   const currentHour = now.getUTCHours();
   const currentMinute = now.getUTCMinutes();
   
-  const startHour = config.tradingHours.startHour;
-  const endHour = config.tradingHours.endHour;
+  const startHour = tradingHours.startHour;
+  const endHour = tradingHours.endHour;
   
-  const isActive = isTradingHoursActive();
+  const isActive = isTradingHoursActive(timestamp, tradingHours);
   
   // Розрахунок часу до наступного торгового періоду
   let nextTradingIn = null;
@@ -82,7 +87,7 @@ export function getTradingHoursInfo() {
     currentMinute,
     startHour,
     endHour,
-    timezone: config.tradingHours.timezone,
+    timezone: tradingHours.timezone,
     nextTradingIn
   };
 }
@@ -92,7 +97,7 @@ export function getTradingHoursInfo() {
  */
 export function formatTradingHoursMessage() {
   const info = getTradingHoursInfo();
-  const now = new Date();
+  const now = new Date(clockService.now());
   const currentTime = `${String(info.currentHour).padStart(2, '0')}:${String(info.currentMinute).padStart(2, '0')}`;
   
   if (info.isActive) {
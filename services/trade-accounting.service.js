@@ -0,0 +1,197 @@
+import exchange from './exchange.service.js';
+import contractsService from './contracts.service.js';
+import clockService from './clock.service.js';
+import logger from '../utils/logger.js';
+import { calculatePnL, calculatePnLPercent } from '../utils/helpers.js';
+
+// Запас часу при пошуку угод та funding (розбіжність годинників бота і біржі)
+const LOOKBACK_MS = 60 * 1000;
+
+/**
+ * Облік закритих угод за даними біржі.
+ *
+ * Ціна виходу та комісії — з угод (fills) ордерів закриття; якщо угод немає —
+ * з історії закритих позицій (/api/v1/history-positions), в крайньому разі —
+ * з останнього виконаного ордера (recentDoneOrders). Funding — з історії funding
+ * платежів за час утримання позиції.
+ *
+ *   grossPnl = (exit − entry) × lots × multiplier (SHORT — навпаки)
+ *   fees     = комісія входу (записана при відкритті) + комісії угод виходу
+ *   netPnl   = grossPnl − fees + funding
+ */
+class TradeAccountingService {
+  /**
+   * Рахує результат закритої позиції
+   *
+   * @param {Object} position — відстежувана позиція (positionService)
+   * @returns {Promise<Object>} { exitPrice, exitOrderId, closedAt, closedQuantity, grossPnl, fees, funding, netPnl, pnlPercent, partial, source }
+   *   source — звідки взята ціна виходу: 'fills' | 'history' | 'orders' | 'none'
+   *   partial — угоди виходу покрили лише closedQuantity lots, а історії позицій немає:
+   *             P&L і комісії — лише за закриту частину
+   */
+  async calculateClosedTrade(position) {
+    const { symbol, direction, entryPrice, quantity } = position;
+    const multiplier = position.multiplier || (await contractsService.getSymbolInfo(symbol)).multiplier || 1;
+    const openedAt = position.filledAt || position.trackedAt || position.timestamp;
+    const since = openedAt - LOOKBACK_MS;
+
+    const fills = await this._safe(`fills ${symbol}`, () => exchange.getFills(symbol, { startAt: since }));
+    const history = await this._safe(`position history ${symbol}`, () => exchange.getPositionHistory(symbol, { from: since }));
+    const fundingHistory = await this._safe(`funding history ${symbol}`, () => exchange.getFundingHistory(symbol, { startAt: since }));
+
+    const entryFee = position.entryFee || 0;
+    const exit = this._exitFromFills(position, fills || [], openedAt);
+    const closedPosition = (history || [])
+      .filter(item => item.closeTime >= openedAt)
+      .sort((a, b) => a.closeTime - b.closeTime)[0] || null;
+
+    // Угоди виходу покривають не всю позицію (решту могли закрити ліквідація / ADL,
+    // або угоди ще не з'явились) — тоді повний результат беремо з історії позицій
+    const partialFills = Boolean(exit) && exit.size < quantity;
+    let result;
+
+    if (exit && !(partialFills && closedPosition)) {
+      if (partialFills) {
+        logger.warn(
+          `[ACCOUNTING] ${symbol}: exit fills cover ${exit.size}/${quantity} lots and no position history — ` +
+          `P&L recorded for the filled lots only`
+        );
+      }
+
+      result = {
+        exitPrice: exit.price,
+        exitOrderId: exit.orderId,
+        closedAt: exit.time,
+        closedQuantity: exit.size,
+        grossPnl: calculatePnL(entryPrice, exit.price, exit.size, direction, multiplier),
+        // Комісія входу — пропорційно закритій частині
+        fees: entryFee * exit.size / quantity + exit.fee,
+        partial: partialFills,
+        source: 'fills'
+      };
+    } else if (closedPosition) {
+      if (partialFills) {
+        logger.warn(`[ACCOUNTING] ${symbol}: exit fills cover ${exit.size}/${quantity} lots — using position history`);
+      }
+
+      result = {
+        exitPrice: closedPosition.closePrice,
+        exitOrderId: null,
+        closedAt: closedPosition.closeTime,
+        closedQuantity: quantity,
+        grossPnl: calculatePnL(entryPrice, closedPosition.closePrice, quantity, direction, multiplier),
+        fees: closedPosition.tradeFee,
+        partial: false,
+        source: 'history'
+      };
+    } else {
+      result = await this._exitFromOrders(position, multiplier, entryFee);
+    }
+
+    // Funding: з історії платежів; якщо вона недоступна — з історії закритих позицій
+    // або з останніх платежів, підтягнутих під час утримання (position.funding)
+    let funding = 0;
+    if (fundingHistory) {
+      funding = fundingHistory
+        .filter(item => item.timePoint >= openedAt && item.timePoint <= (result.closedAt || clockService.now()))
+        .reduce((sum, item) => sum + item.funding, 0);
+    } else if (closedPosition) {
+      funding = -closedPosition.fundingFee;
+    } else if (position.funding) {
+      funding = position.funding.total;
+    }
+
+    const netPnl = result.grossPnl - result.fees + funding;
+
+    return {
+      ...result,
+      funding,
+      netPnl,
+      pnlPercent: calculatePnLPercent(entryPrice, result.exitPrice, direction)
+    };
+  }
+
+  /**
+   * Угоди закриття: протилежна сторона, не ордери входу, після відкриття позиції.
+   * Беремо найраніші угоди в межах розміру позиції.
+   *
+   * @returns {Object|null} { price, size, fee, orderId, time }
+   */
+  _exitFromFills(position, fills, openedAt) {
+    const exitSide = position.direction === 'LONG' ? 'sell' : 'buy';
+    const entryOrderIds = new Set(position.entryOrderIds || [position.orderId]);
+
+    const exitFills = fills
+      .filter(fill => fill.side === exitSide && !entryOrderIds.has(fill.orderId) && fill.tradeTime >= openedAt)
+      .sort((a, b) => a.tradeTime - b.tradeTime);
+
+    let size = 0;
+    let value = 0;
+    let fee = 0;
+    let last = null;
+
+    for (const fill of exitFills) {
+      if (size >= position.quantity) break;
+
+      // Угода могла частково належати вже наступній позиції (розворот)
+      const used = Math.min(fill.size, position.quantity - size);
+      size += used;
+      value += fill.price * used;
+      fee += fill.fee * (used / fill.size);
+      last = fill;
+    }
+
+    if (size === 0) {
+      return null;
+    }
+
+    return { price: value / size, size, fee, orderId: last.orderId, time: last.tradeTime };
+  }
+
+  /**
+   * Запасний варіант: ціна останнього виконаного ордера закриття (recentDoneOrders)
+   */
+  async _exitFromOrders(position, multiplier, entryFee) {
+    const { symbol, direction, entryPrice, quantity } = position;
+    const trades = await this._safe(`trade history ${symbol}`, () => exchange.getTradeHistory(symbol));
+
+    const closeTrade = (trades || []).find(trade =>
+      trade.symbol === symbol &&
+      (trade.side === 'sell' && direction === 'LONG' || trade.side === 'buy' && direction === 'SHORT')
+    );
+
+    if (!closeTrade) {
+      logger.warn(`[ACCOUNTING] ${symbol}: no exit fills or history found — P&L recorded as 0`);
+      return { exitPrice: entryPrice, exitOrderId: null, closedAt: null, closedQuantity: 0, grossPnl: 0, fees: entryFee, partial: false, source: 'none' };
+    }
+
+    const exitPrice = parseFloat(closeTrade.price || closeTrade.execPrice);
+
+    return {
+      exitPrice,
+      exitOrderId: closeTrade.id,
+      closedAt: closeTrade.endAt || null,
+      closedQuantity: quantity,
+      grossPnl: calculatePnL(entryPrice, exitPrice, quantity, direction, multiplier),
+      fees: entryFee + parseFloat(closeTrade.fee || '0'),
+      partial: false,
+      source: 'orders'
+    };
+  }
+
+  /**
+   * Запит до біржі, помилка якого не зриває облік (повертає null)
+   */
+  async _safe(label, requestFn) {
+    try {
+      return await requestFn();
+    } catch (error) {
+      logger.warn(`[ACCOUNTING] Could not load ${label}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Експортуємо singleton
+const tradeAccountingService = new TradeAccountingService();
+export default tradeAccountingService;
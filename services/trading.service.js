@@ -0,0 +1,502 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import exchange from './exchange.service.js';
+import telegramService from './telegram.service.js';
+import positionService from './position.service.js';
+import riskService from './risk.service.js';
+import stateService from './state.service.js';
+import marketDataService from './market-data.service.js';
+import contractsService from './contracts.service.js';
+import clockService from './clock.service.js';
+import validationService from './validation.service.js';
+import executionService from './execution.service.js';
+import fundingService from './funding.service.js';
+import riskProfileService from './risk-profile.service.js';
+import circuitBreakerService from './circuit-breaker.service.js';
+import { getCurrentDate, formatDuration } from '../utils/helpers.js';
+
+/**
+ * Торгова логіка: обробка сигналів, відкриття / закриття позицій, статистика.
+ *
+ * Винесена з index.js, щоб той самий handleSignal викликався і живим ботом,
+ * і replay-режимом (scripts/replay.js).
+ */
+class TradingService {
+  constructor() {
+    this.statistics = {
+      totalTrades: 0,
+      winTrades: 0,
+      loseTrades: 0,
+      totalProfit: 0,
+      startBalance: 0,
+      currentBalance: 0,
+      dailyTrades: 0,
+      signalsIgnored: 0,
+      totalSignals: 0,
+      lastResetDate: getCurrentDate()
+    };
+  }
+
+  /**
+   * Відновлює статистику зі сховища стану
+   */
+  restoreStatistics() {
+    Object.assign(this.statistics, stateService.get('statistics', {}));
+  }
+
+  /**
+   * Зберігає статистику у сховище стану
+   */
+  saveStatistics() {
+    stateService.set('statistics', this.statistics);
+  }
+
+  /**
+   * Обробка торговельного сигналу від KuCoin Monitor Bot.
+   *
+   * @returns {Promise<{action: string, reason?: string}>} рішення по сигналу
+   *   (OPENED / CLOSED / IGNORED / ERROR) — записується в архів сигналів
+   */
+  async handleSignal(signal) {
+    const { statistics } = this;
+
+    try {
+      statistics.totalSignals++;
+      this.saveStatistics();
+
+      const { type, symbol, direction } = signal;
+
+      const ageSec = signal.timestamp ? ((clockService.now() - signal.timestamp) / 1000).toFixed(1) : 'N/A';
+      logger.info(
+        `[SIGNAL] Processing: type=${type} symbol=${symbol} direction=${direction || 'N/A'} ` +
+        `format=${signal.format || 'N/A'} age=${ageSec}s (${signal.timestampSource || 'N/A'})`
+      );
+
+      // --- OPEN сигнал ---
+      if (type === 'OPEN') {
+        // Дубль сигналу, поки виконується вхід по символу, позицію вдруге не відкриває
+        if (!positionService.beginEntry(symbol)) {
+          const reason = positionService.isEntryInProgress(symbol)
+            ? `Entry already in progress for ${symbol}`
+            : `Open position already exists for ${symbol}`;
+          logger.warn(`[SIGNAL] Validation failed: ${reason}`);
+          return { action: 'IGNORED', reason };
+        }
+
+        try {
+          return await this.handleOpenSignal(signal);
+        } finally {
+          positionService.endEntry(symbol);
+        }
+      }
+
+      // --- CLOSE сигнал ---
+      if (type === 'CLOSE') {
+        return await this.closePosition(signal);
+      }
+
+      logger.warn(`[SIGNAL] Unknown signal type: ${type}`);
+      return { action: 'IGNORED', reason: `Unknown signal type: ${type}` };
+
+    } catch (error) {
+      logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
+      logger.error(`[SIGNAL] Stack trace: ${error.stack}`);
+
+      try {
+        if (!config.trading.dryRun) {
+          await telegramService.sendMessage(
+            config.telegram.channelId,
+            `❌ <b>ПОМИЛКА ОБРОБКИ СИГНАЛУ</b>\n\n` +
+            `Тип: ${signal.type || 'UNKNOWN'}\n` +
+            `Символ: ${signal.symbol || 'UNKNOWN'}\n` +
+            `Напрямок: ${signal.direction || 'UNKNOWN'}\n` +
+            `Помилка: ${error.message}`
+          );
+        }
+      } catch (telegramError) {
+        logger.error(`[SIGNAL] Error sending error message: ${telegramError.message}`);
+      }
+
+      return { action: 'ERROR', reason: error.message };
+    }
+  }
+
+  /**
+   * OPEN сигнал: валідація та відкриття позиції (символ уже позначено як вхід, що виконується)
+   */
+  async handleOpenSignal(signal) {
+    const { statistics } = this;
+    const { symbol, direction } = signal;
+
+    const validation = await this.validateSignal(signal);
+
+    if (!validation.valid) {
+      logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
+
+      try {
+        if (!config.trading.dryRun) {
+          await telegramService.sendMessage(
+            config.telegram.channelId,
+            telegramService.formatSignalIgnoredMessage(
+              symbol,
+              direction,
+              validation.reason,
+              validation.info
+            )
+          );
+        }
+      } catch (telegramError) {
+        logger.error(`[SIGNAL] Error sending ignored message: ${telegramError.message}`);
+      }
+
+      if (validation.reason.includes('trading hours')) {
+        statistics.signalsIgnored++;
+        this.saveStatistics();
+      }
+
+      return { action: 'IGNORED', reason: validation.reason, fairPriceCheck: validation.info.fairPriceCheck };
+    }
+
+    const { fairPriceCheck } = validation.info;
+    if (fairPriceCheck) {
+      const formatted = validationService.formatFairPriceCheck(fairPriceCheck);
+      logger.info(
+        `[SIGNAL] Fair price re-check ${symbol}: gap ${formatted.signalGap} → ${formatted.liveGap} | ` +
+        `last drift ${formatted.lastPriceDrift}, fair drift ${formatted.markPriceDrift}`
+      );
+    }
+
+    const result = await this.openPosition(signal, fairPriceCheck);
+    if (!result.opened) {
+      return { action: 'IGNORED', reason: result.reason, fairPriceCheck };
+    }
+
+    return { action: 'OPENED', fairPriceCheck };
+  }
+
+  /**
+   * Валідація сигналу перед відкриттям позиції (з живими даними)
+   */
+  async validateSignal(signal) {
+    return validationService.validateSignal(signal, {
+      now: clockService.now(),
+      positions: positionService.getEntryView(signal.symbol),
+      dailyTrades: this.statistics.dailyTrades,
+      getBalance: async () => {
+        const balance = await exchange.getUSDTBalance();
+        this.statistics.currentBalance = balance;
+        this.saveStatistics();
+        return balance;
+      },
+      getSymbolInfo: (symbol) => contractsService.getSymbolInfo(symbol),
+      getMarketPrices: async (symbol) => ({
+        lastPrice: await marketDataService.getLastPrice(symbol),
+        markPrice: (await marketDataService.getMarkPrice(symbol)).markPrice
+      }),
+      getFunding: (symbol) => fundingService.getFundingInfo(symbol),
+      // Останній стан з періодичної перевірки — без запиту equity на кожен сигнал
+      circuitBreaker: circuitBreakerService.getStatus()
+    });
+  }
+
+  /**
+   * Відкриття позиції по OPEN сигналу.
+   *
+   * @param {Object} signal
+   * @param {Object} [fairPriceCheck] — результат перевірки живих цін (зберігається з позицією)
+   * @returns {Promise<Object>} { opened, reason } — opened=false, якщо limit вхід не виконався
+   */
+  async openPosition(signal, fairPriceCheck = null) {
+    const { symbol, direction, timestamp } = signal;
+
+    try {
+      logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
+
+      const balance = await exchange.getUSDTBalance();
+      this.statistics.currentBalance = balance;
+
+      const currentPrice = await marketDataService.getLastPrice(symbol);
+      const symbolInfo = await contractsService.getSymbolInfo(symbol);
+
+      // Плече, розмір, маржа, SL / TP — з ризик-профілю символу поверх config.risk
+      const risk = riskProfileService.resolve(symbol);
+      logger.info(`[TRADE] ${symbol} risk profile: ${riskProfileService.describe(risk)}`);
+
+      // Плече й розмір — у межах максимуму контракту та рівнів risk limit
+      const riskLevels = await this.getRiskLimitLevels(symbol);
+      const leverageLimit = riskService.limitLeverage(risk.leverage, symbolInfo, riskLevels);
+
+      const fitted = riskService.fitRiskLimit(
+        riskService.calculatePositionParameters(
+          balance,
+          currentPrice,
+          direction,
+          symbolInfo,
+          { ...risk, leverage: leverageLimit.leverage }
+        ),
+        symbolInfo,
+        riskLevels,
+        risk
+      );
+      const positionParams = fitted.params;
+      const { leverage } = positionParams;
+      const riskAdjustments = [leverageLimit.adjustment, ...fitted.adjustments].filter(Boolean);
+
+      if (!riskService.hasSufficientBalance(balance, positionParams.requiredMargin)) {
+        throw new Error(
+          `Insufficient balance. Required: ${positionParams.requiredMargin.toFixed(4)} USDT, ` +
+          `Available: ${balance.toFixed(4)} USDT`
+        );
+      }
+
+      // Торгівля (у DRY RUN — на paper-біржі)
+      await exchange.setLeverage(symbol, leverage, risk.marginMode);
+
+      const side = direction === 'LONG' ? 'buy' : 'sell';
+      const execution = await executionService.executeEntry({
+        symbol,
+        side,
+        quantity: positionParams.quantity,
+        referencePrice: signal.lastPrice || currentPrice,
+        marketPrice: currentPrice,
+        symbolInfo,
+        leverage,
+        marginMode: risk.marginMode
+      });
+
+      if (execution.quantity <= 0) {
+        logger.warn(`[TRADE] Entry not filled: ${symbol} ${direction} — ${execution.reason}`);
+        return { opened: false, reason: `Entry not filled: ${execution.reason}` };
+      }
+
+      // Позиція — на фактично виконану кількість за фактичною середньою ціною (з угод біржі)
+      const entryPrice = execution.averagePrice;
+      const quantity = execution.quantity;
+
+      if (quantity < positionParams.quantity) {
+        logger.warn(`[TRADE] ${symbol}: partially filled ${quantity}/${positionParams.quantity} lots — tracking filled size`);
+      }
+
+      positionService.addOpenPosition({
+        symbol,
+        direction,
+        entryPrice,
+        quantity,
+        orderId: execution.orderId,
+        entryOrderIds: execution.orderIds,
+        entryFee: execution.fee,
+        filledAt: execution.filledAt,
+        multiplier: symbolInfo.multiplier,
+        leverage,
+        marginMode: risk.marginMode,
+        riskProfile: risk.profiles,
+        riskAdjustments,
+        timestamp,
+        positionSizeUSDT: positionParams.positionSizeUSDT * (quantity / positionParams.quantity),
+        fairPriceCheck
+      });
+
+      this.statistics.totalTrades++;
+      this.statistics.dailyTrades++;
+      this.saveStatistics();
+
+      await this.placeProtectiveOrders(symbol, direction, entryPrice, quantity, symbolInfo, risk, leverage);
+
+      if (riskAdjustments.length > 0) {
+        await this.reportRiskAdjustments(symbol, direction, riskAdjustments);
+      }
+
+      // ── Повідомлення про відкриття позиції прибрано навмисно ──
+
+      logger.info(
+        `[TRADE] ✅ Position opened successfully: ${symbol} ${direction} ${quantity} lots @ ${entryPrice} ` +
+        `(ticker ${currentPrice}, ${leverage}x, fee ${execution.fee.toFixed(4)} USDT)`
+      );
+
+      return { opened: true };
+
+    } catch (error) {
+      logger.error(`[TRADE] Error opening position: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Рівні risk limit символу з біржі. Якщо запит не вдався — порожньо,
+   * і riskService бере базовий рівень з даних контракту.
+   */
+  async getRiskLimitLevels(symbol) {
+    try {
+      return await exchange.getRiskLimitLevels(symbol);
+    } catch (error) {
+      logger.warn(`[TRADE] Could not load risk limit levels for ${symbol}: ${error.message} — using contract limits`);
+      return [];
+    }
+  }
+
+  /**
+   * Повідомляє, що плече або розмір позиції знижено під ліміти біржі
+   */
+  async reportRiskAdjustments(symbol, direction, adjustments) {
+    logger.warn(`[TRADE] ${symbol} opened with risk limit adjustments: ${adjustments.join('; ')}`);
+
+    try {
+      if (!config.trading.dryRun) {
+        await telegramService.sendMessage(
+          config.telegram.channelId,
+          telegramService.formatRiskAdjustmentMessage(symbol, direction, adjustments)
+        );
+      }
+    } catch (telegramError) {
+      logger.error(`[TRADE] Error sending risk adjustment message: ${telegramError.message}`);
+    }
+  }
+
+  /**
+   * Ставить захисні SL / TP стоп-ордери на біржі для щойно відкритої позиції.
+   *
+   * Позиція вже відкрита, тому помилка тут не скасовує вхід — лише алерт у Telegram:
+   * позиція залишається під захистом EXIT-сигналу.
+   */
+  async placeProtectiveOrders(symbol, direction, entryPrice, quantity, symbolInfo, risk = config.risk, leverage = risk.leverage) {
+    const { stopLoss, takeProfit } = riskService.calculateProtectiveStops(entryPrice, direction, quantity, symbolInfo, risk);
+    if (!stopLoss && !takeProfit) return;
+
+    const isLong = direction === 'LONG';
+    const orders = [
+      { type: 'stopLoss', stopPrice: stopLoss, stop: isLong ? 'down' : 'up' },
+      { type: 'takeProfit', stopPrice: takeProfit, stop: isLong ? 'up' : 'down' }
+    ].filter(order => order.stopPrice);
+
+    const protectiveOrders = {};
+    const failures = [];
+
+    for (const { type, stopPrice, stop } of orders) {
+      try {
+        const result = await exchange.placeStopOrder(symbol, {
+          side: isLong ? 'sell' : 'buy',
+          stop,
+          stopPrice,
+          stopPriceType: config.risk.stopPriceType,
+          quantity,
+          leverage,
+          marginMode: risk.marginMode
+        });
+        protectiveOrders[type] = { orderId: result.orderId, stopPrice, stop };
+      } catch (error) {
+        logger.error(`[TRADE] Failed to place ${type} order for ${symbol} @ ${stopPrice}: ${error.message}`);
+        failures.push(`${type} @ ${stopPrice}: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(protectiveOrders).length > 0) {
+      positionService.setProtectiveOrders(symbol, protectiveOrders);
+    }
+
+    if (failures.length > 0 && !config.trading.dryRun) {
+      try {
+        await telegramService.sendMessage(
+          config.telegram.channelId,
+          `⚠️ <b>ЗАХИСНИЙ ОРДЕР НЕ ВИСТАВЛЕНО</b>\n\n` +
+          `Символ: ${symbol} ${direction}\n` +
+          `${failures.join('\n')}\n\n` +
+          `Позиція відкрита і закриється по EXIT-сигналу`
+        );
+      } catch (telegramError) {
+        logger.error(`[TRADE] Error sending protective order alert: ${telegramError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Закриття позиції за політикою виходу PositionService (TIMEOUT тощо).
+   *
+   * Закриває тим самим шляхом, що й EXIT-сигнал, і звітує в Telegram.
+   */
+  async handleExitRequest({ symbol, reason, details = {} }) {
+    const position = positionService.getOpenPosition(symbol);
+    if (!position) return;
+
+    const decision = await this.closePosition({ type: 'CLOSE', symbol }, reason);
+    if (decision.action !== 'CLOSED') return;
+
+    const heldSec = details.heldSec ?? positionService.getHeldSec(position);
+    logger.info(`[TRADE] ${symbol} closed by ${reason} after ${formatDuration(heldSec)}`);
+
+    try {
+      if (!config.trading.dryRun) {
+        await telegramService.sendMessage(
+          config.telegram.channelId,
+          telegramService.formatPolicyExitMessage(position, reason, { ...details, heldSec })
+        );
+      }
+    } catch (telegramError) {
+      logger.error(`[TRADE] Error sending exit message: ${telegramError.message}`);
+    }
+  }
+
+  /**
+   * Закриття позиції по CLOSE сигналу (або за політикою виходу).
+   *
+   * @param {Object} signal
+   * @param {string} [closeReason] — SIGNAL (EXIT-сигнал) або причина з PositionService (TIMEOUT, ...)
+   *
+   * Захисні SL / TP скасовуються після відправки ордера на закриття — якщо закриття
+   * не вдасться, позиція не залишиться без стопів.
+   */
+  async closePosition(signal, closeReason = 'SIGNAL') {
+    const { symbol } = signal;
+
+    try {
+      logger.info(`[TRADE] Closing ${symbol}: ${closeReason}`);
+
+      if (!positionService.getOpenPosition(symbol)) {
+        logger.warn(`[TRADE] No open position found for ${symbol} — ignoring CLOSE signal`);
+        return { action: 'IGNORED', reason: `No open position for ${symbol}` };
+      }
+
+      const trackedPosition = positionService.getOpenPosition(symbol);
+
+      const closeSide = trackedPosition.direction === 'LONG' ? 'sell' : 'buy';
+
+      const closeResult = await exchange.closeMarketOrder(
+        symbol,
+        closeSide,
+        trackedPosition.quantity,
+        trackedPosition.leverage || config.risk.leverage,
+        trackedPosition.marginMode || config.risk.marginMode
+      );
+
+      logger.info(`[TRADE] Close order executed: Order ID ${closeResult.orderId}`);
+
+      positionService.updateOpenPosition(symbol, { closeReason });
+      await positionService.cancelProtectiveOrders(symbol);
+      logger.info(`[TRADE] ✅ Position close order submitted: ${symbol}`);
+
+      return { action: 'CLOSED' };
+
+    } catch (error) {
+      logger.error(`[TRADE] Error closing position ${symbol}: ${error.message}`);
+
+      try {
+        if (!config.trading.dryRun) {
+          await telegramService.sendMessage(
+            config.telegram.channelId,
+            `❌ <b>ПОМИЛКА ЗАКРИТТЯ ПОЗИЦІЇ</b>\n\n` +
+            `Символ: ${symbol}\n` +
+            `Причина закриття: ${closeReason}\n` +
+            `Помилка: ${error.message}`
+          );
+        }
+      } catch (telegramError) {
+        logger.error(`[TRADE] Error sending close error message: ${telegramError.message}`);
+      }
+
+      throw error;
+    }
+  }
+}
+
+// Експортуємо singleton
+const tradingService = new TradingService();
+export default tradingService;
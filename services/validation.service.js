@@ -0,0 +1,419 @@
+import { config } from '../config/settings.js';
+import { isTradingHoursActive, getTradingHoursInfo } from './time.service.js';
+import { findMatchingPattern } from '../utils/helpers.js';
+import riskProfileService from './risk-profile.service.js';
+
+/**
+ * Валідація OPEN сигналу перед відкриттям позиції.
+ *
+ * Усі залежності (стан позицій, баланс, контракти, час, налаштування)
+ * передаються через context — так одна й та сама логіка працює і в живому боті,
+ * і в бектестері з історичними даними.
+ *
+ * @param {Object}   signal
+ * @param {Object}   context
+ * @param {number}   context.now              — час перевірки (мс)
+ * @param {Object}   context.positions        — { hasOpenPosition(symbol), getOpenPositionsCount() }
+ * @param {number}   context.dailyTrades      — кількість угод за сьогодні
+ * @param {Function} context.getBalance       — async () → доступний баланс USDT
+ * @param {Function} context.getSymbolInfo    — async (symbol) → інформація про контракт
+ * @param {Function} [context.getMarketPrices] — async (symbol) → { lastPrice, markPrice } з KuCoin;
+ *                                               без нього перевірка fair price пропускається (бектест)
+ * @param {Function} [context.getFunding]     — async (symbol) → { fundingRate, nextFundingTime };
+ *                                               без нього перевірки funding пропускаються (бектест)
+ * @param {Object}   [context.circuitBreaker] — стан circuit breaker (circuitBreakerService.getStatus(): tripped, resetBy);
+ *                                               без нього перевірка пропускається (бектест)
+ * @param {Object}   [context.settings]       — { risk, trading, tradingHours, funding, symbolFilters } (за замовчуванням config);
+ *                                               risk — база, поверх якої діє ризик-профіль символу
+ * @returns {Promise<{valid: boolean, reason?: string, info?: Object}>}
+ *   при успіху info.fairPriceCheck — результат перевірки живих цін (якщо виконувалась)
+ */
+export async function validateSignal(signal, context) {
+  const { symbol, direction, spread } = signal;
+  const { now, positions, dailyTrades, getBalance, getSymbolInfo, getMarketPrices, getFunding, circuitBreaker } = context;
+  const settings = context.settings || config;
+  const fairPriceSettings = settings.fairPriceCheck || config.fairPriceCheck;
+  const fundingSettings = settings.funding || config.funding;
+  const symbolFilterSettings = settings.symbolFilters || config.symbolFilters;
+  const risk = riskProfileService.resolve(symbol, settings.risk);
+
+  // 1. Перевірка мінімального spread (поріг — з ризик-профілю символу)
+  if (risk.minSpreadPercent > 0) {
+    if (!spread || spread < risk.minSpreadPercent) {
+      return {
+        valid: false,
+        reason: `Spread ${spread ? spread.toFixed(2) : 'N/A'}% < minimum ${risk.minSpreadPercent}%`,
+        info: {
+          currentSpread: spread ? spread.toFixed(2) + '%' : 'N/A',
+          minRequired: risk.minSpreadPercent + '%' + (risk.profiles.length > 0 ? ` (${risk.profiles.join(', ')})` : '')
+        }
+      };
+    }
+  }
+
+  // 2. Перевірка чорного / білого списку (символи або шаблони)
+  const blockedPattern = findMatchingPattern(symbol, settings.trading.blockedSymbols);
+  if (blockedPattern) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} is in blocked list (${blockedPattern})`,
+      info: { symbolFilter: `BLOCKED_SYMBOLS: ${blockedPattern}` }
+    };
+  }
+
+  const allowedSymbols = settings.trading.allowedSymbols ?? config.trading.allowedSymbols;
+  if (allowedSymbols.length > 0 && !findMatchingPattern(symbol, allowedSymbols)) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} is not in allowed list`,
+      info: { symbolFilter: `ALLOWED_SYMBOLS: ${allowedSymbols.join(', ')}` }
+    };
+  }
+
+  // 3. Перевірка напрямку
+  if (direction !== 'LONG' && direction !== 'SHORT') {
+    return {
+      valid: false,
+      reason: `Invalid direction: ${direction}`,
+      info: {}
+    };
+  }
+
+  // 4. Перевірка віку сигналу (затримки монітор-бота, Telegram, polling)
+  const maxSignalAgeSec = settings.trading.maxSignalAgeSec ?? config.trading.maxSignalAgeSec;
+
+  if (maxSignalAgeSec > 0 && signal.timestamp) {
+    const ageSec = (now - signal.timestamp) / 1000;
+
+    if (ageSec > maxSignalAgeSec) {
+      return {
+        valid: false,
+        reason: `Signal too old: ${ageSec.toFixed(1)}s > ${maxSignalAgeSec}s`,
+        info: {
+          signalAge: `${ageSec.toFixed(1)}s (${signal.timestampSource || 'detected'})`,
+          maxSignalAge: `${maxSignalAgeSec}s`,
+          telegramDelay: signal.postedAt ? `${((now - signal.postedAt) / 1000).toFixed(1)}s` : null
+        }
+      };
+    }
+  }
+
+  // 5. Перевірка торговельних годин
+  if (!isTradingHoursActive(now, settings.tradingHours)) {
+    const hoursInfo = getTradingHoursInfo(now, settings.tradingHours);
+    return {
+      valid: false,
+      reason: 'Outside trading hours',
+      info: {
+        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
+        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
+        nextTrading: hoursInfo.nextTradingIn
+      }
+    };
+  }
+
+  // 6. Перевірка відкритих позицій
+  if (positions.hasOpenPosition(symbol)) {
+    return {
+      valid: false,
+      reason: `Open position already exists for ${symbol}`,
+      info: {}
+    };
+  }
+
+  // 7. Перевірка максимальної кількості відкритих позицій
+  if (positions.getOpenPositionsCount() >= settings.trading.maxOpenPositions) {
+    return {
+      valid: false,
+      reason: `Maximum open positions (${settings.trading.maxOpenPositions}) reached`,
+      info: {}
+    };
+  }
+
+  // 8. Перевірка максимальної кількості угод на день
+  if (dailyTrades >= settings.trading.maxDailyTrades) {
+    return {
+      valid: false,
+      reason: `Maximum daily trades (${settings.trading.maxDailyTrades}) reached`,
+      info: {}
+    };
+  }
+
+  // 9. Circuit breaker: після денного збитку / просідання нові входи заблоковані
+  if (circuitBreaker && circuitBreaker.tripped) {
+    return {
+      valid: false,
+      reason: `Circuit breaker tripped: ${circuitBreaker.tripped.reason}`,
+      info: {
+        breakerTrippedAt: new Date(circuitBreaker.tripped.trippedAt).toISOString().replace('T', ' ').slice(0, 19),
+        breakerReset: circuitBreaker.resetBy
+      }
+    };
+  }
+
+  // 10. Перевірка балансу
+  try {
+    const balance = await getBalance();
+
+    if (balance <= 0) {
+      return {
+        valid: false,
+        reason: 'Insufficient balance',
+        info: {}
+      };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Error checking balance: ${error.message}`,
+      info: {}
+    };
+  }
+
+  // 11. Перевірка що символ існує, торгується і достатньо ліквідний
+  try {
+    const symbolInfo = await getSymbolInfo(symbol);
+    if (symbolInfo.status !== 'Open') {
+      return {
+        valid: false,
+        reason: `Symbol ${symbol} is not trading`,
+        info: {}
+      };
+    }
+
+    const liquidityResult = checkSymbolFilters(symbolInfo, symbolFilterSettings, signal.lastPrice);
+    if (liquidityResult) {
+      return liquidityResult;
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not found or error: ${error.message}`,
+      info: {}
+    };
+  }
+
+  // 12. Funding: не входимо перед розрахунком і при надто несприятливій ставці
+  if (getFunding && (fundingSettings.blackoutSec > 0 || fundingSettings.maxAdverseRatePercent > 0)) {
+    let funding;
+    try {
+      funding = await getFunding(symbol);
+    } catch (error) {
+      return {
+        valid: false,
+        reason: `Error fetching funding for ${symbol}: ${error.message}`,
+        info: {}
+      };
+    }
+
+    const fundingResult = checkFunding(direction, funding, now, fundingSettings);
+    if (fundingResult) {
+      return fundingResult;
+    }
+  }
+
+  // 13. Повторна перевірка розбіжності last / fair price на живих даних KuCoin
+  let fairPriceCheck = null;
+
+  if (getMarketPrices && fairPriceSettings.enabled) {
+    try {
+      fairPriceCheck = calculateFairPriceCheck(signal, await getMarketPrices(symbol));
+    } catch (error) {
+      return {
+        valid: false,
+        reason: `Error fetching live prices for ${symbol}: ${error.message}`,
+        info: {}
+      };
+    }
+
+    // Нульова чи відсутня жива ціна дає NaN / Infinity, а NaN проходить будь-яке порівняння
+    if (!Number.isFinite(fairPriceCheck.liveGapPercent)) {
+      return {
+        valid: false,
+        reason: `Invalid live prices for ${symbol}: last ${fairPriceCheck.liveLastPrice}, mark ${fairPriceCheck.liveMarkPrice}`,
+        info: {
+          ...formatFairPriceCheck(fairPriceCheck),
+          fairPriceCheck
+        }
+      };
+    }
+
+    if (fairPriceCheck.liveGapPercent <= fairPriceSettings.minLiveGapPercent) {
+      const flipped = fairPriceCheck.liveGapPercent < 0;
+      const signalGap = fairPriceCheck.signalGapPercent === null ? 'N/A' : `${fairPriceCheck.signalGapPercent.toFixed(3)}%`;
+
+      return {
+        valid: false,
+        reason: flipped
+          ? `Fair price gap flipped: live ${fairPriceCheck.liveGapPercent.toFixed(3)}% (signal ${signalGap})`
+          : `Fair price gap closed: live ${fairPriceCheck.liveGapPercent.toFixed(3)}% <= minimum ${fairPriceSettings.minLiveGapPercent}%`,
+        info: {
+          ...formatFairPriceCheck(fairPriceCheck),
+          fairPriceCheck
+        }
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    info: fairPriceCheck ? { fairPriceCheck } : {}
+  };
+}
+
+/**
+ * Фільтри ліквідності за даними контракту (реєстр контрактів оновлюється у фоні).
+ *
+ *   minTurnoverUSDT     — обіг за 24 години (turnoverOf24h)
+ *   minOpenInterestUSDT — відкритий інтерес: openInterest (lots) × multiplier × ціна
+ *   maxTickPercent      — tickSize відносно ціни
+ *
+ * Ціна — mark / last price з даних контракту, якщо їх немає — fallbackPrice (ціна сигналу).
+ *
+ * @returns {Object|null} результат валідації з відмовою або null, якщо все гаразд
+ */
+export function checkSymbolFilters(symbolInfo, filterSettings, fallbackPrice = null) {
+  const { minTurnoverUSDT = 0, minOpenInterestUSDT = 0, maxTickPercent = 0 } = filterSettings || {};
+  const price = symbolInfo.markPrice || symbolInfo.lastTradePrice || fallbackPrice;
+
+  const reject = (filter, reason, value, limit) => ({
+    valid: false,
+    reason,
+    info: { symbolFilter: filter, filterValue: value, filterLimit: limit }
+  });
+
+  if (minTurnoverUSDT > 0 && !(symbolInfo.turnoverOf24h >= minTurnoverUSDT)) {
+    return reject(
+      'SYMBOL_MIN_TURNOVER_USDT',
+      `24h turnover ${formatUSDT(symbolInfo.turnoverOf24h)} < min ${formatUSDT(minTurnoverUSDT)}`,
+      formatUSDT(symbolInfo.turnoverOf24h),
+      formatUSDT(minTurnoverUSDT)
+    );
+  }
+
+  if (minOpenInterestUSDT > 0) {
+    const openInterestUSDT = (symbolInfo.openInterest || 0) * (symbolInfo.multiplier || 1) * (price || 0);
+
+    if (!(openInterestUSDT >= minOpenInterestUSDT)) {
+      return reject(
+        'SYMBOL_MIN_OPEN_INTEREST_USDT',
+        `Open interest ${formatUSDT(openInterestUSDT)} < min ${formatUSDT(minOpenInterestUSDT)}`,
+        formatUSDT(openInterestUSDT),
+        formatUSDT(minOpenInterestUSDT)
+      );
+    }
+  }
+
+  if (maxTickPercent > 0 && price > 0) {
+    const tickPercent = symbolInfo.tickSize / price * 100;
+
+    if (tickPercent > maxTickPercent) {
+      return reject(
+        'SYMBOL_MAX_TICK_PERCENT',
+        `Tick size ${symbolInfo.tickSize} is ${tickPercent.toFixed(4)}% of price ${price} > max ${maxTickPercent}%`,
+        `${tickPercent.toFixed(4)}%`,
+        `${maxTickPercent}%`
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Сума в USDT для повідомлень: 1234567 → "1.23M USDT"
+ */
+function formatUSDT(value) {
+  const amount = value || 0;
+
+  if (amount >= 1e6) return `${(amount / 1e6).toFixed(2)}M USDT`;
+  if (amount >= 1e3) return `${(amount / 1e3).toFixed(2)}K USDT`;
+  return `${amount.toFixed(2)} USDT`;
+}
+
+/**
+ * Перевірка funding для напрямку сигналу.
+ *
+ * Ставка (fundingRate) — частка: додатна означає, що LONG платить SHORT.
+ * Несприятлива ставка = ставка, яку заплатить позиція (LONG — fundingRate, SHORT — −fundingRate).
+ *
+ * @returns {Object|null} результат валідації з відмовою або null, якщо все гаразд
+ */
+export function checkFunding(direction, funding, now, fundingSettings) {
+  const { fundingRate, nextFundingTime } = funding;
+  const adverseRatePercent = (direction === 'LONG' ? fundingRate : -fundingRate) * 100;
+  const secToFunding = nextFundingTime ? (nextFundingTime - now) / 1000 : null;
+
+  const info = {
+    fundingRate: `${fundingRate >= 0 ? '+' : ''}${(fundingRate * 100).toFixed(4)}%`,
+    nextFunding: secToFunding !== null ? `${Math.max(secToFunding, 0).toFixed(0)}s` : 'N/A'
+  };
+
+  if (fundingSettings.blackoutSec > 0 && secToFunding !== null &&
+      secToFunding >= 0 && secToFunding <= fundingSettings.blackoutSec) {
+    return {
+      valid: false,
+      reason: `Funding in ${secToFunding.toFixed(0)}s (blackout ${fundingSettings.blackoutSec}s before funding)`,
+      info: { ...info, fundingBlackout: `${fundingSettings.blackoutSec}s` }
+    };
+  }
+
+  if (fundingSettings.maxAdverseRatePercent > 0 && adverseRatePercent > fundingSettings.maxAdverseRatePercent) {
+    return {
+      valid: false,
+      reason: `Funding rate ${info.fundingRate} against ${direction}: ${adverseRatePercent.toFixed(4)}% > max ${fundingSettings.maxAdverseRatePercent}%`,
+      info: { ...info, maxFundingRate: `${fundingSettings.maxAdverseRatePercent}%` }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Розбіжність last / fair price у напрямку сигналу (%) за даними сигналу та живими цінами,
+ * і наскільки живі ціни відійшли від цін у сигналі.
+ *
+ * Напрямок: LONG очікує, що last підтягнеться вгору до fair (mark > last),
+ * SHORT — що опуститься (mark < last). Додатна розбіжність = gap ще відкритий.
+ *
+ * @param {Object} signal — { direction, lastPrice, fairPrice }
+ * @param {Object} live   — { lastPrice, markPrice }
+ */
+export function calculateFairPriceCheck(signal, live) {
+  const sign = signal.direction === 'LONG' ? 1 : -1;
+  const gap = (lastPrice, fairPrice) => sign * (fairPrice - lastPrice) / lastPrice * 100;
+  const drift = (liveValue, signalValue) => signalValue ? (liveValue - signalValue) / signalValue * 100 : null;
+
+  return {
+    signalLastPrice: signal.lastPrice,
+    signalFairPrice: signal.fairPrice,
+    liveLastPrice: live.lastPrice,
+    liveMarkPrice: live.markPrice,
+    signalGapPercent: signal.lastPrice && signal.fairPrice ? gap(signal.lastPrice, signal.fairPrice) : null,
+    liveGapPercent: gap(live.lastPrice, live.markPrice),
+    lastPriceDriftPercent: drift(live.lastPrice, signal.lastPrice),
+    markPriceDriftPercent: drift(live.markPrice, signal.fairPrice)
+  };
+}
+
+/**
+ * Поля перевірки fair price для повідомлень і логів
+ */
+export function formatFairPriceCheck(check) {
+  const percent = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(3)}%` : 'N/A');
+
+  return {
+    signalGap: percent(check.signalGapPercent),
+    liveGap: percent(check.liveGapPercent),
+    lastPriceDrift: percent(check.lastPriceDriftPercent),
+    markPriceDrift: percent(check.markPriceDriftPercent)
+  };
+}
+
+export default {
+  validateSignal,
+  checkSymbolFilters,
+  checkFunding,
+  calculateFairPriceCheck,
+  formatFairPriceCheck
+};
@@ -0,0 +1,162 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/settings.js';
+import exchange from '../services/exchange.service.js';
+import clockService from '../services/clock.service.js';
+import stateService from '../services/state.service.js';
+import positionService from '../services/position.service.js';
+import circuitBreakerService from '../services/circuit-breaker.service.js';
+
+const DAY_1 = Date.parse('2026-10-19T10:00:00Z');
+const DAY_2 = Date.parse('2026-10-20T00:00:30Z');
+const BREAKER = { ...config.circuitBreaker };
+
+describe('circuitBreakerService', () => {
+  let equity;
+
+  /**
+   * Перевірка з equity на момент time
+   */
+  async function checkAt(time, value) {
+    clockService.setVirtualTime(time);
+    equity = value;
+    return circuitBreakerService.check();
+  }
+
+  beforeEach(() => {
+    Object.assign(config.circuitBreaker, { maxDailyLossPercent: 5, maxDailyLossUSDT: 0, maxDrawdownPercent: 10, flattenOnTrip: false });
+    circuitBreakerService.state = { day: null, dayStartEquity: null, peakEquity: null, equity: null, updatedAt: null, tripped: null };
+    positionService.openPositions.clear();
+    mock.method(exchange, 'getEquity', async () => equity);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clockService.setVirtualTime(null);
+    positionService.openPositions.clear();
+    Object.assign(config.circuitBreaker, BREAKER);
+  });
+
+  it('tracks the day start and peak equity without tripping inside the limits', async () => {
+    await checkAt(DAY_1, 1000);
+    const status = await checkAt(DAY_1 + 60000, 960);
+
+    assert.equal(status.tripped, null);
+    assert.equal(status.day, '2026-10-19');
+    assert.equal(status.dayStartEquity, 1000);
+    assert.equal(status.peakEquity, 1000);
+    assert.equal(status.dailyLossPercent, 4);
+  });
+
+  it('trips on the daily loss in percent', async () => {
+    await checkAt(DAY_1, 1000);
+    const status = await checkAt(DAY_1 + 60000, 950);
+
+    assert.equal(status.tripped.type, 'DAILY_LOSS');
+    assert.equal(status.tripped.reason, 'Daily loss 5.00% ≥ max 5%');
+    assert.equal(status.tripped.trippedAt, DAY_1 + 60000);
+    assert.equal(status.resetBy, 'наступний день (00:00 UTC) або /breaker_reset');
+  });
+
+  it('trips on the daily loss in USDT', async () => {
+    Object.assign(config.circuitBreaker, { maxDailyLossPercent: 0, maxDailyLossUSDT: 30 });
+
+    await checkAt(DAY_1, 1000);
+    const status = await checkAt(DAY_1 + 60000, 970);
+
+    assert.equal(status.tripped.reason, 'Daily loss 30.00 USDT ≥ max 30 USDT');
+  });
+
+  it('trips on the drawdown from the peak across days', async () => {
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 1200);
+    const status = await checkAt(DAY_2, 1080);
+
+    assert.equal(status.dayStartEquity, 1080);
+    assert.equal(status.tripped.type, 'DRAWDOWN');
+    assert.equal(status.tripped.reason, 'Drawdown 10.00% from peak 1200.00 USDT ≥ max 10%');
+    assert.equal(status.resetBy, 'лише командою /breaker_reset');
+  });
+
+  it('clears a daily loss trip at the next day but keeps a drawdown trip', async () => {
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 950);
+    assert.equal((await checkAt(DAY_2, 950)).tripped, null);
+
+    config.circuitBreaker.maxDailyLossPercent = 0;
+    await checkAt(DAY_2 + 60000, 850);
+    const status = await checkAt(DAY_2 + 86400000, 850);
+
+    assert.equal(status.tripped.type, 'DRAWDOWN');
+  });
+
+  it('reports a daily loss trip from yesterday as cleared before the next check', async () => {
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 950);
+
+    clockService.setVirtualTime(DAY_2);
+    const status = circuitBreakerService.getStatus();
+
+    assert.equal(status.tripped, null);
+    assert.equal(status.resetBy, null);
+    // Стан знімає перша перевірка нового дня
+    assert.equal(circuitBreakerService.state.tripped.type, 'DAILY_LOSS');
+  });
+
+  it('keeps reporting a drawdown trip from yesterday', async () => {
+    config.circuitBreaker.maxDailyLossPercent = 0;
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 900);
+
+    clockService.setVirtualTime(DAY_2);
+
+    assert.equal(circuitBreakerService.getStatus().tripped.type, 'DRAWDOWN');
+  });
+
+  it('does not trip again while tripped and keeps the state on equity errors', async () => {
+    await checkAt(DAY_1, 1000);
+    const tripped = (await checkAt(DAY_1 + 60000, 950)).tripped;
+    assert.equal((await checkAt(DAY_1 + 120000, 900)).tripped, tripped);
+
+    mock.method(exchange, 'getEquity', async () => {
+      throw new Error('timeout');
+    });
+    const status = await circuitBreakerService.check();
+
+    assert.equal(status.tripped, tripped);
+    assert.equal(status.equity, 900);
+  });
+
+  it('requests exits for open positions when flattening on trip', async () => {
+    config.circuitBreaker.flattenOnTrip = true;
+    positionService.addOpenPosition({ symbol: 'AUSDTM', direction: 'LONG', entryPrice: 100, quantity: 10, orderId: 'order-1' });
+    const exit = mock.method(positionService, 'requestExit', async () => {});
+
+    await checkAt(DAY_1, 1000);
+    const status = await checkAt(DAY_1 + 60000, 940);
+
+    assert.deepEqual(status.tripped.flattened, ['AUSDTM']);
+    assert.equal(exit.mock.callCount(), 1);
+    assert.deepEqual(exit.mock.calls[0].arguments.slice(0, 2), ['AUSDTM', 'CIRCUIT_BREAKER']);
+  });
+
+  it('resets any trip and measures from the current equity', async () => {
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 880);
+
+    equity = 880;
+    const status = await circuitBreakerService.reset();
+
+    assert.equal(status.tripped, null);
+    assert.equal(status.dayStartEquity, 880);
+    assert.equal(status.peakEquity, 880);
+  });
+
+  it('persists the trip between restarts', async () => {
+    await checkAt(DAY_1, 1000);
+    await checkAt(DAY_1 + 60000, 950);
+
+    assert.equal(stateService.get('circuitBreaker').tripped.type, 'DAILY_LOSS');
+  });
+});
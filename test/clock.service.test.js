@@ -0,0 +1,94 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import clockService from '../services/clock.service.js';
+
+/**
+ * Відповідь GET /api/v1/timestamp із заданим зміщенням серверного часу
+ */
+function serverAhead(offsetMs) {
+  return mock.method(axios, 'get', async () => ({ data: { code: '200000', data: Date.now() + offsetMs } }));
+}
+
+describe('clockService', () => {
+  let alerts;
+
+  beforeEach(() => {
+    alerts = [];
+    clockService.offsetMs = 0;
+    clockService.healthy = true;
+    clockService.driftCallbacks = [health => alerts.push(health)];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clockService.offsetMs = 0;
+    clockService.healthy = true;
+    clockService.driftCallbacks = [];
+    clockService.setVirtualTime(null);
+  });
+
+  it('keeps the offset to the server time and applies it in now()', async () => {
+    serverAhead(5000);
+
+    const offsetMs = await clockService.sync();
+
+    assert.ok(Math.abs(offsetMs - 5000) < 50, `offset ${offsetMs}`);
+    assert.ok(Math.abs(clockService.now() - (Date.now() + 5000)) < 50);
+    assert.ok(clockService.lastSyncAt);
+  });
+
+  it('keeps the previous offset when the sync fails', async () => {
+    clockService.offsetMs = 1234;
+    mock.method(axios, 'get', async () => {
+      throw new Error('timeout');
+    });
+
+    assert.equal(await clockService.sync(), 1234);
+    assert.equal(clockService.offsetMs, 1234);
+  });
+
+  it('alerts once when the drift exceeds the limit and once when it recovers', async () => {
+    serverAhead(10000);
+    await clockService.sync();
+    await clockService.sync();
+
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].healthy, false);
+    assert.equal(alerts[0].maxDriftMs, 2000);
+    assert.equal(clockService.getHealth().healthy, false);
+
+    mock.restoreAll();
+    serverAhead(0);
+    await clockService.sync();
+
+    assert.equal(alerts.length, 2);
+    assert.equal(alerts[1].healthy, true);
+  });
+
+  it('does not alert while the drift stays within the limit', async () => {
+    clockService.offsetMs = -1500;
+    await clockService._checkDrift();
+
+    assert.deepEqual(alerts, []);
+  });
+
+  it('keeps alerting other callbacks when one fails', async () => {
+    clockService.driftCallbacks.unshift(() => {
+      throw new Error('telegram down');
+    });
+    clockService.offsetMs = 3000;
+
+    await clockService._checkDrift();
+
+    assert.equal(alerts.length, 1);
+  });
+
+  it('returns the virtual time while replaying', () => {
+    clockService.offsetMs = 5000;
+    clockService.setVirtualTime(1_700_000_000_000);
+
+    assert.equal(clockService.now(), 1_700_000_000_000);
+  });
+});
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * Оточення для тестів. Імпортується першим у кожному тест-файлі:
+ * config/settings.js читає змінні при імпорті та вимагає ключі біржі й Telegram.
+ * Ключі фіктивні — тести не ходять у мережу; DRY_RUN, щоб exchange був paper-біржею.
+ * Стан (STATE_FILE) — у тимчасовій теці, яка прибирається після тестів.
+ */
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-test-'));
+
+process.env.KUCOIN_API_KEY = 'test-key';
+process.env.KUCOIN_API_SECRET = 'test-secret';
+process.env.KUCOIN_API_PASSPHRASE = 'test-passphrase';
+process.env.TELEGRAM_BOT_TOKEN = 'test-token';
+process.env.TELEGRAM_CHANNEL_ID = 'test-channel';
+process.env.DRY_RUN = 'true';
+process.env.STATE_FILE = path.join(stateDir, 'state.json');
+
+process.on('exit', () => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+logger.silent = true;
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCategory, KuCoinApiError, classifyError } from '../utils/errors.js';
+
+describe('classifyError', () => {
+  it('treats 429 and code 429000 as rate limit', () => {
+    assert.equal(classifyError({ status: 429 }), ErrorCategory.RATE_LIMIT);
+    assert.equal(classifyError({ status: 200, code: '429000' }), ErrorCategory.RATE_LIMIT);
+  });
+
+  it('treats key, passphrase, signature and IP errors as auth', () => {
+    for (const code of ['400001', '400003', '400004', '400005', '400006', '400007', 411100]) {
+      assert.equal(classifyError({ status: 200, code }), ErrorCategory.AUTH, `code ${code}`);
+    }
+    assert.equal(classifyError({ status: 401 }), ErrorCategory.AUTH);
+    assert.equal(classifyError({ status: 403 }), ErrorCategory.AUTH);
+  });
+
+  it('treats a rejected timestamp as retryable after a clock resync', () => {
+    assert.equal(classifyError({ status: 200, code: '400002' }), ErrorCategory.RETRYABLE);
+  });
+
+  it('treats 5xx, code 500000 and network errors as retryable', () => {
+    assert.equal(classifyError({ status: 503 }), ErrorCategory.RETRYABLE);
+    assert.equal(classifyError({ status: 200, code: '500000' }), ErrorCategory.RETRYABLE);
+    assert.equal(classifyError({ networkCode: 'ECONNABORTED' }), ErrorCategory.RETRYABLE);
+    assert.equal(classifyError({ networkCode: 'ECONNRESET' }), ErrorCategory.RETRYABLE);
+  });
+
+  it('treats everything else as a business error', () => {
+    assert.equal(classifyError({ status: 400, code: '300003' }), ErrorCategory.BUSINESS);
+    assert.equal(classifyError({ networkCode: 'ERR_BAD_OPTION' }), ErrorCategory.BUSINESS);
+    assert.equal(classifyError({}), ErrorCategory.BUSINESS);
+  });
+});
+
+describe('KuCoinApiError.isRetryable', () => {
+  it('retries only retryable and rate limit errors', () => {
+    assert.equal(new KuCoinApiError('x', { category: ErrorCategory.RETRYABLE }).isRetryable, true);
+    assert.equal(new KuCoinApiError('x', { category: ErrorCategory.RATE_LIMIT }).isRetryable, true);
+    assert.equal(new KuCoinApiError('x', { category: ErrorCategory.AUTH }).isRetryable, false);
+    assert.equal(new KuCoinApiError('x').isRetryable, false);
+  });
+});
@@ -0,0 +1,189 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/settings.js';
+import exchange from '../services/exchange.service.js';
+import executionService from '../services/execution.service.js';
+import { sleep } from '../utils/helpers.js';
+
+const EXECUTION = { ...config.execution };
+const SYMBOL_INFO = { tickSize: 0.01, multiplier: 0.1 };
+const ENTRY = { symbol: 'AUSDTM', side: 'buy', quantity: 10, referencePrice: 100.037, marketPrice: 100.1, symbolInfo: SYMBOL_INFO, leverage: 5, marginMode: 'ISOLATED' };
+
+/**
+ * Біржа з ордерами в пам'яті: limit виконується на limitFill lots і (якщо не повністю) висить до скасування,
+ * market виконується повністю по marketPrice
+ */
+function fakeExchange({ limitFill = 0, limitError = null, marketError = null, marketPrice = 101 } = {}) {
+  const orders = new Map();
+  const fills = new Map();
+  const calls = { limit: [], market: [], cancel: [] };
+
+  const addOrder = (orderId, size, filledSize, price, isActive) => {
+    orders.set(orderId, { orderId, size, filledSize, filledValue: filledSize * price * SYMBOL_INFO.multiplier, isActive, status: isActive ? 'open' : 'done', cancelled: false, endAt: isActive ? null : 1000 });
+    fills.set(orderId, filledSize > 0 ? [{ size: filledSize, price, fee: filledSize * 0.01, tradeTime: 1000 }] : []);
+  };
+
+  mock.method(exchange, 'placeLimitOrder', async (...args) => {
+    calls.limit.push(args);
+    if (limitError) throw new Error(limitError);
+
+    const [, , size, price] = args;
+    addOrder('limit-1', size, limitFill, price, limitFill < size);
+    return { orderId: 'limit-1', clientOid: 'client-limit-1' };
+  });
+
+  mock.method(exchange, 'openMarketOrder', async (...args) => {
+    calls.market.push(args);
+    if (marketError) throw new Error(marketError);
+
+    addOrder('market-1', args[2], args[2], marketPrice, false);
+    return { orderId: 'market-1', clientOid: 'client-market-1' };
+  });
+
+  mock.method(exchange, 'getOrder', async (orderId) => ({ ...orders.get(orderId) }));
+  mock.method(exchange, 'getOrderFills', async (orderId) => fills.get(orderId));
+  mock.method(exchange, 'cancelOrder', async (orderId) => {
+    calls.cancel.push(orderId);
+    Object.assign(orders.get(orderId), { isActive: false, status: 'done', cancelled: true });
+  });
+
+  return calls;
+}
+
+describe('executionService.executeEntry', () => {
+  beforeEach(() => {
+    Object.assign(config.execution, { entryOrderType: 'limit', limitOffsetPercent: 0, limitTimeoutSec: 0.05, onTimeout: 'market' });
+    // Без секундних пауз між перевірками ордера
+    mock.method(executionService, '_pollDelay', () => sleep(5));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    Object.assign(config.execution, EXECUTION);
+  });
+
+  it('enters with a market order by default', async () => {
+    config.execution.entryOrderType = 'market';
+    const calls = fakeExchange();
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.equal(calls.limit.length, 0);
+    assert.deepEqual(calls.market[0], ['AUSDTM', 'buy', 10, 5, 'ISOLATED']);
+    assert.equal(result.quantity, 10);
+    assert.equal(result.marketFilled, 10);
+    assert.equal(result.limitPrice, null);
+  });
+
+  it('places the limit order at the signal price rounded passively to the tick', async () => {
+    const calls = fakeExchange({ limitFill: 10 });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.deepEqual(calls.limit[0], ['AUSDTM', 'buy', 10, 100.03, 5, 'ISOLATED', { postOnly: false }]);
+    assert.equal(calls.cancel.length, 0);
+    assert.equal(calls.market.length, 0);
+    assert.equal(result.quantity, 10);
+    assert.equal(result.limitFilled, 10);
+    assert.equal(result.averagePrice, 100.03);
+    assert.equal(result.reason, null);
+  });
+
+  it('offsets the sell price and rounds it up', () => {
+    config.execution.limitOffsetPercent = 0.1;
+
+    assert.equal(executionService.calculateLimitPrice(100.037, 'sell', 0.01), 99.94);
+    assert.equal(executionService.calculateLimitPrice(100, 'buy', 0.01), 100.1);
+  });
+
+  it('sends a post-only order as maker only', async () => {
+    config.execution.entryOrderType = 'post-only';
+    const calls = fakeExchange({ limitFill: 10 });
+
+    await executionService.executeEntry(ENTRY);
+
+    assert.deepEqual(calls.limit[0].at(-1), { postOnly: true });
+  });
+
+  it('cancels an unfilled limit order on timeout and buys the rest at market', async () => {
+    const calls = fakeExchange({ limitFill: 4, marketPrice: 101 });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.deepEqual(calls.cancel, ['limit-1']);
+    assert.equal(calls.market[0][2], 6);
+    assert.equal(result.quantity, 10);
+    assert.equal(result.limitFilled, 4);
+    assert.equal(result.marketFilled, 6);
+    assert.deepEqual(result.orderIds, ['limit-1', 'market-1']);
+    assert.ok(Math.abs(result.averagePrice - (4 * 100.03 + 6 * 101) / 10) < 1e-9);
+    assert.ok(Math.abs(result.fee - 0.1) < 1e-9);
+    assert.equal(result.reason, null);
+  });
+
+  it('keeps only the filled part under the abandon policy', async () => {
+    config.execution.onTimeout = 'abandon';
+    const calls = fakeExchange({ limitFill: 4 });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.deepEqual(calls.cancel, ['limit-1']);
+    assert.equal(calls.market.length, 0);
+    assert.equal(result.quantity, 4);
+    assert.equal(result.reason, 'limit order @ 100.03 filled 4/10 lots (timeout 0.05s)');
+  });
+
+  it('does not enter when nothing filled under the abandon policy', async () => {
+    config.execution.onTimeout = 'abandon';
+    fakeExchange({ limitFill: 0 });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.equal(result.quantity, 0);
+    assert.equal(result.averagePrice, null);
+    assert.match(result.reason, /filled 0\/10 lots/);
+  });
+
+  it('falls back to market when a post-only order is rejected', async () => {
+    config.execution.entryOrderType = 'post-only';
+    const calls = fakeExchange({ limitError: 'Post-only order would take liquidity' });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.equal(calls.market[0][2], 10);
+    assert.equal(result.quantity, 10);
+    assert.equal(result.limitFilled, 0);
+  });
+
+  it('reports a rejected post-only order under the abandon policy', async () => {
+    Object.assign(config.execution, { entryOrderType: 'post-only', onTimeout: 'abandon' });
+    fakeExchange({ limitError: 'Post-only order would take liquidity' });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.equal(result.quantity, 0);
+    assert.equal(result.reason, 'post-only order rejected: Post-only order would take liquidity');
+  });
+
+  it('throws when a plain limit order cannot be placed', async () => {
+    fakeExchange({ limitError: 'Balance insufficient' });
+
+    await assert.rejects(executionService.executeEntry(ENTRY), /Balance insufficient/);
+  });
+
+  it('keeps the filled limit part when the market fallback fails', async () => {
+    fakeExchange({ limitFill: 4, marketError: 'Too many requests' });
+
+    const result = await executionService.executeEntry(ENTRY);
+
+    assert.equal(result.quantity, 4);
+    assert.equal(result.reason, 'market fallback failed: Too many requests');
+  });
+
+  it('throws when the market fallback fails and nothing filled', async () => {
+    fakeExchange({ limitFill: 0, marketError: 'Too many requests' });
+
+    await assert.rejects(executionService.executeEntry(ENTRY), /Too many requests/);
+  });
+});
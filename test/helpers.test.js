@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { symbolPatternToRegExp, findMatchingPattern } from '../utils/helpers.js';
+
+describe('symbolPatternToRegExp', () => {
+  it('matches a plain symbol exactly and case-insensitively', () => {
+    const regex = symbolPatternToRegExp('XBTUSDTM');
+
+    assert.equal(regex.test('XBTUSDTM'), true);
+    assert.equal(regex.test('xbtusdtm'), true);
+    assert.equal(regex.test('XBTUSDTM2'), false);
+  });
+
+  it('expands * and ? globs over the whole symbol', () => {
+    assert.equal(symbolPatternToRegExp('*USDTM').test('SOLUSDTM'), true);
+    assert.equal(symbolPatternToRegExp('*USDTM').test('SOLUSDT'), false);
+    assert.equal(symbolPatternToRegExp('1000*').test('1000PEPEUSDTM'), true);
+    assert.equal(symbolPatternToRegExp('?BTUSDTM').test('XBTUSDTM'), true);
+    assert.equal(symbolPatternToRegExp('?BTUSDTM').test('WXBTUSDTM'), false);
+  });
+
+  it('treats other regex characters in a glob literally', () => {
+    assert.equal(symbolPatternToRegExp('A.B').test('AXB'), false);
+    assert.equal(symbolPatternToRegExp('A.B').test('A.B'), true);
+  });
+
+  it('accepts a /regex/ with flags', () => {
+    assert.equal(symbolPatternToRegExp('/^(SOL|ETH)USDTM$/').test('ETHUSDTM'), true);
+    assert.equal(symbolPatternToRegExp('/^eth/i').test('ETHUSDTM'), true);
+    assert.equal(symbolPatternToRegExp('/^eth/').test('ETHUSDTM'), false);
+  });
+
+  it('rejects stateful regex flags', () => {
+    assert.throws(() => symbolPatternToRegExp('/USDTM/g'), /flags g and y are not allowed/);
+  });
+});
+
+describe('findMatchingPattern', () => {
+  it('returns the first pattern that matches the symbol', () => {
+    assert.equal(findMatchingPattern('PEPEUSDTM', ['XBTUSDTM', '*PEPE*', '*USDTM']), '*PEPE*');
+    assert.equal(findMatchingPattern('XBTUSD', ['*USDTM']), null);
+  });
+
+  it('returns null without a symbol or patterns', () => {
+    assert.equal(findMatchingPattern('XBTUSDTM', []), null);
+    assert.equal(findMatchingPattern('XBTUSDTM', undefined), null);
+    assert.equal(findMatchingPattern(undefined, ['*']), null);
+  });
+});
@@ -0,0 +1,160 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { config } from '../config/settings.js';
+import clockService from '../services/clock.service.js';
+import kucoinService from '../services/kucoin.service.js';
+import { sleep } from '../utils/helpers.js';
+
+const RETRY = { ...config.kucoin.retry };
+
+function ok(data) {
+  return { status: 200, headers: {}, data: { code: '200000', data } };
+}
+
+function apiError(code, msg = 'error') {
+  return { status: 200, headers: {}, data: { code, msg } };
+}
+
+function httpError(status, code, msg = 'error') {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data: { code, msg } }
+  });
+}
+
+function networkError(code = 'ECONNABORTED') {
+  return Object.assign(new Error('timeout of 10000ms exceeded'), { code });
+}
+
+/**
+ * Відповіді axios.request по черзі: об'єкт — відповідь, Error — кинута помилка
+ */
+function respond(...responses) {
+  const requests = [];
+  const request = mock.method(axios, 'request', async (options) => {
+    requests.push(options);
+    const next = responses[Math.min(requests.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next;
+  });
+
+  return { request, requests };
+}
+
+describe('kucoinService retries', () => {
+  beforeEach(() => {
+    Object.assign(config.kucoin.retry, { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 2 });
+    kucoinService.rateLimit = null;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    Object.assign(config.kucoin.retry, RETRY);
+    clockService.offsetMs = 0;
+  });
+
+  it('retries a GET after a server error', async () => {
+    const { requests } = respond(httpError(503, '500000'), ok({ value: 1 }));
+
+    assert.deepEqual(await kucoinService._get('/api/v1/test'), { value: 1 });
+    assert.equal(requests.length, 2);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    const { requests } = respond(networkError());
+
+    await assert.rejects(kucoinService._get('/api/v1/test'), { category: 'RETRYABLE' });
+    assert.equal(requests.length, 4);
+  });
+
+  it('does not retry auth and business errors', async () => {
+    let { requests } = respond(apiError('400005', 'Invalid signature'));
+    await assert.rejects(kucoinService._get('/api/v1/test'), { category: 'AUTH' });
+    assert.equal(requests.length, 1);
+
+    mock.restoreAll();
+    ({ requests } = respond(httpError(400, '300003', 'Balance insufficient')));
+    await assert.rejects(kucoinService._post('/api/v1/orders', { clientOid: 'oid-1' }), { category: 'BUSINESS' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries a rate-limited POST even without clientOid', async () => {
+    const { requests } = respond(httpError(429, '429000'), ok({ done: true }));
+
+    assert.deepEqual(await kucoinService._post('/api/v1/test', {}), { done: true });
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not repeat a non-idempotent POST without clientOid after a timeout', async () => {
+    const { requests } = respond(networkError(), ok({}));
+
+    await assert.rejects(kucoinService._post('/api/v1/test', {}), { category: 'RETRYABLE' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('repeats an idempotent POST after a timeout', async () => {
+    const { requests } = respond(networkError(), ok({ leverage: 5 }));
+
+    assert.deepEqual(await kucoinService._post('/api/v1/test', {}, { idempotent: true }), { leverage: 5 });
+    assert.equal(requests.length, 2);
+  });
+
+  it('returns an order that reached the exchange instead of placing it again', async () => {
+    const { requests } = respond(networkError(), ok({ orderId: 'never' }));
+    mock.method(kucoinService, '_findOrderByClientOid', async () => ({ id: 'order-1' }));
+
+    assert.deepEqual(await kucoinService._post('/api/v1/orders', { clientOid: 'oid-1' }), { orderId: 'order-1' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('finds an order still in flight on the second lookup', async () => {
+    const { requests } = respond(networkError(), ok({ orderId: 'never' }));
+    const lookups = [null, { id: 'order-1' }];
+    const find = mock.method(kucoinService, '_findOrderByClientOid', async () => lookups.shift());
+
+    assert.deepEqual(await kucoinService._post('/api/v1/orders', { clientOid: 'oid-1' }), { orderId: 'order-1' });
+    assert.equal(find.mock.callCount(), 2);
+    assert.equal(requests.length, 1);
+  });
+
+  it('resubmits with the same clientOid only after two empty lookups', async () => {
+    const { requests } = respond(networkError(), ok({ orderId: 'order-2' }));
+    const find = mock.method(kucoinService, '_findOrderByClientOid', async () => null);
+
+    assert.deepEqual(await kucoinService._post('/api/v1/orders', { clientOid: 'oid-1', size: 1 }), { orderId: 'order-2' });
+    assert.equal(find.mock.callCount(), 2);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].data, requests[0].data);
+    assert.equal(JSON.parse(requests[1].data).clientOid, 'oid-1');
+  });
+
+  it('does not resubmit when the order lookup fails', async () => {
+    const { requests } = respond(networkError(), ok({}));
+    mock.method(kucoinService, '_findOrderByClientOid', async () => {
+      throw new Error('lookup timeout');
+    });
+
+    await assert.rejects(kucoinService._post('/api/v1/orders', { clientOid: 'oid-1' }), { category: 'RETRYABLE' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('signs the retry after a rejected timestamp with the resynced clock', async () => {
+    const { requests } = respond(apiError('400002', 'Invalid KC-API-TIMESTAMP'), ok({ orderId: 'order-1' }));
+    const sync = mock.method(clockService, 'sync', async () => {
+      await sleep(20);
+      clockService.offsetMs = 60000;
+      return clockService.offsetMs;
+    });
+
+    // Відхилений timestamp — запит не оброблено, тож повтор безпечний і для ордера
+    const result = await kucoinService._post('/api/v1/orders', { clientOid: 'oid-1' });
+
+    assert.deepEqual(result, { orderId: 'order-1' });
+    assert.equal(sync.mock.callCount(), 1);
+    assert.equal(requests.length, 2);
+
+    const signedAt = requests.map(options => parseInt(options.headers['KC-API-TIMESTAMP']));
+    assert.ok(signedAt[1] - signedAt[0] >= 60000, `retry signed at ${signedAt[1]}, first at ${signedAt[0]}`);
+  });
+});
@@ -0,0 +1,85 @@
+import './env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange } from '../services/paper-exchange.service.js';
+
+const SYMBOL = 'TESTUSDTM';
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+describe('PaperExchange', () => {
+  let price;
+  let paper;
+
+  beforeEach(() => {
+    price = 100;
+    paper = new PaperExchange({
+      startBalance: 1000,
+      slippagePercent: 0.1,
+      takerFeePercent: 0.06,
+      makerFeePercent: 0.02,
+      getPrice: async () => price,
+      getContract: async () => ({ multiplier: 0.1 }),
+      now: () => 1_700_000_000_000
+    });
+  });
+
+  it('charges the taker fee on the slipped notional and realises LONG P&L with the multiplier', async () => {
+    const opened = await paper.openMarketOrder(SYMBOL, 'buy', 10, 5);
+    const [entryFill] = await paper.getOrderFills(opened.orderId);
+
+    // 100 + 0.1% прослизання; notional = 10 lots × 100.1 × 0.1
+    assertClose(entryFill.price, 100.1);
+    assertClose(entryFill.fee, 100.1 * 0.0006);
+
+    price = 105;
+    // Нереалізований P&L: (105 − 100.1) × 10 × 0.1
+    assertClose(await paper.getEquity(), 1000 - 100.1 * 0.0006 + 4.9);
+
+    price = 110;
+    const closed = await paper.closeMarketOrder(SYMBOL, 'sell', 10, 5);
+    const [exitFill] = await paper.getOrderFills(closed.orderId);
+
+    assertClose(exitFill.price, 109.89);
+    assertClose(exitFill.fee, 109.89 * 0.0006);
+
+    const [history] = await paper.getPositionHistory(SYMBOL);
+    assertClose(history.realisedGross, 9.79);
+    assertClose(history.tradeFee, entryFill.fee + exitFill.fee);
+    assertClose(history.pnl, 9.79 - entryFill.fee - exitFill.fee);
+    assertClose(await paper.getEquity(), 1000 + history.pnl);
+  });
+
+  it('realises SHORT P&L in the opposite direction', async () => {
+    await paper.openMarketOrder(SYMBOL, 'sell', 10, 5);
+    price = 90;
+    await paper.closeMarketOrder(SYMBOL, 'buy', 10, 5);
+
+    const [history] = await paper.getPositionHistory(SYMBOL);
+    // Вхід 99.9, вихід 90.09: (99.9 − 90.09) × 10 × 0.1
+    assertClose(history.realisedGross, 9.81);
+    assertClose(history.openPrice, 99.9);
+    assertClose(history.closePrice, 90.09);
+  });
+
+  it('fills a resting limit order at its price with the maker fee', async () => {
+    const placed = await paper.placeLimitOrder(SYMBOL, 'buy', 10, 95, 5);
+    assert.equal((await paper.getOrder(placed.orderId)).isActive, true);
+
+    price = 94;
+    const order = await paper.getOrder(placed.orderId);
+    const [fill] = await paper.getOrderFills(placed.orderId);
+
+    assert.equal(order.isActive, false);
+    assert.equal(fill.price, 95);
+    assert.equal(fill.liquidity, 'maker');
+    assertClose(fill.fee, 10 * 95 * 0.1 * 0.0002);
+  });
+
+  it('rejects an entry whose margin and fee exceed the balance', async () => {
+    // 1000 lots × 100.1 × 0.1 / 5x = 2002 USDT маржі
+    await assert.rejects(paper.openMarketOrder(SYMBOL, 'buy', 1000, 5), /Paper balance insufficient/);
+  });
+});
@@ -0,0 +1,216 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/settings.js';
+import clockService from '../services/clock.service.js';
+import stateService from '../services/state.service.js';
+import positionService from '../services/position.service.js';
+import tradingService from '../services/trading.service.js';
+
+const NOW = 1_700_000_000_000;
+const EXITS = { ...config.exits };
+
+function track(symbol, direction = 'LONG', extra = {}) {
+  positionService.addOpenPosition({ symbol, direction, entryPrice: 100, quantity: 10, orderId: `order-${symbol}`, ...extra });
+  return positionService.getOpenPosition(symbol);
+}
+
+describe('positionService hold timeout', () => {
+  let exits;
+  let callbacks;
+
+  beforeEach(() => {
+    exits = [];
+    callbacks = positionService.exitCallbacks;
+    positionService.exitCallbacks = [request => exits.push(request)];
+    positionService.openPositions.clear();
+    positionService.exitRequests.clear();
+    clockService.setVirtualTime(NOW);
+    Object.assign(config.exits, { maxHoldSec: 600, maxHoldSecBySymbol: {} });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    positionService.exitCallbacks = callbacks;
+    positionService.openPositions.clear();
+    clockService.setVirtualTime(null);
+    Object.assign(config.exits, EXITS);
+  });
+
+  it('requests a TIMEOUT exit once the position is held past the limit', async () => {
+    track('AUSDTM', 'LONG', { filledAt: NOW });
+
+    clockService.setVirtualTime(NOW + 599 * 1000);
+    await positionService.checkHoldTimeouts();
+    assert.equal(exits.length, 0);
+
+    clockService.setVirtualTime(NOW + 600 * 1000);
+    await positionService.checkHoldTimeouts();
+
+    assert.deepEqual(exits, [{ symbol: 'AUSDTM', reason: 'TIMEOUT', details: { heldSec: 600, limitSec: 600 } }]);
+  });
+
+  it('counts the hold time from the entry fill', async () => {
+    track('AUSDTM', 'LONG', { filledAt: NOW - 700 * 1000 });
+
+    await positionService.checkHoldTimeouts();
+
+    assert.equal(exits[0].details.heldSec, 700);
+  });
+
+  it('applies per-symbol limits and lets a symbol opt out', async () => {
+    config.exits.maxHoldSecBySymbol = { AUSDTM: 60, BUSDTM: 0 };
+    track('AUSDTM');
+    track('BUSDTM');
+    track('CUSDTM');
+
+    clockService.setVirtualTime(NOW + 120 * 1000);
+    await positionService.checkHoldTimeouts();
+
+    assert.deepEqual(exits.map(request => request.symbol), ['AUSDTM']);
+  });
+
+  it('does nothing with the limit turned off', async () => {
+    config.exits.maxHoldSec = 0;
+    track('AUSDTM', 'LONG', { filledAt: NOW - 86400 * 1000 });
+
+    await positionService.checkHoldTimeouts();
+
+    assert.equal(exits.length, 0);
+  });
+
+  it('does not repeat an exit request for a minute while the close is pending', async () => {
+    track('AUSDTM', 'LONG', { filledAt: NOW - 700 * 1000 });
+
+    await positionService.checkHoldTimeouts();
+    clockService.setVirtualTime(NOW + 30 * 1000);
+    await positionService.checkHoldTimeouts();
+    assert.equal(exits.length, 1);
+
+    clockService.setVirtualTime(NOW + 61 * 1000);
+    await positionService.checkHoldTimeouts();
+    assert.equal(exits.length, 2);
+  });
+
+  it('keeps calling other handlers when one fails', async () => {
+    positionService.exitCallbacks.unshift(() => {
+      throw new Error('exchange down');
+    });
+
+    await positionService.requestExit('AUSDTM', 'TIMEOUT');
+
+    assert.equal(exits.length, 1);
+  });
+
+  it('closes the position through the trading service with the exit reason', async () => {
+    track('AUSDTM', 'LONG', { filledAt: NOW - 700 * 1000 });
+    const close = mock.method(tradingService, 'closePosition', async () => ({ action: 'CLOSED' }));
+    positionService.exitCallbacks = [request => tradingService.handleExitRequest(request)];
+
+    await positionService.checkHoldTimeouts();
+
+    assert.equal(close.mock.callCount(), 1);
+    assert.deepEqual(close.mock.calls[0].arguments, [{ type: 'CLOSE', symbol: 'AUSDTM' }, 'TIMEOUT']);
+  });
+});
+
+describe('positionService trailing stop', () => {
+  let exits;
+  let callbacks;
+
+  beforeEach(() => {
+    exits = [];
+    callbacks = positionService.exitCallbacks;
+    positionService.exitCallbacks = [request => exits.push(request)];
+    positionService.openPositions.clear();
+    positionService.exitRequests.clear();
+    clockService.setVirtualTime(NOW);
+    Object.assign(config.exits, { maxHoldSec: 0, trailingStopPercent: 1, trailingActivationPercent: 2 });
+  });
+
+  afterEach(() => {
+    positionService.exitCallbacks = callbacks;
+    positionService.openPositions.clear();
+    clockService.setVirtualTime(null);
+    Object.assign(config.exits, EXITS);
+  });
+
+  it('waits for the activation move before trailing', async () => {
+    const position = track('AUSDTM', 'LONG');
+
+    await positionService._updateTrailingStop(position, 101.5);
+    await positionService._updateTrailingStop(position, 99);
+
+    assert.equal(position.trailing.activated, false);
+    assert.equal(position.trailing.bestPrice, 101.5);
+    assert.equal(position.trailing.stopPrice, null);
+    assert.equal(exits.length, 0);
+  });
+
+  it('ratchets the LONG stop up with new highs and never lowers it', async () => {
+    const position = track('AUSDTM', 'LONG');
+
+    await positionService._updateTrailingStop(position, 102);
+    assert.equal(position.trailing.activated, true);
+    assert.equal(position.trailing.activatedAt, NOW);
+    assert.equal(position.trailing.stopPrice, 100.98);
+
+    await positionService._updateTrailingStop(position, 105);
+    assert.equal(position.trailing.stopPrice, 103.95);
+
+    await positionService._updateTrailingStop(position, 104);
+    assert.equal(position.trailing.bestPrice, 105);
+    assert.equal(position.trailing.stopPrice, 103.95);
+    assert.equal(exits.length, 0);
+  });
+
+  it('requests a TRAILING_STOP exit when the price retraces to the stop', async () => {
+    const position = track('AUSDTM', 'LONG');
+
+    await positionService._updateTrailingStop(position, 105);
+    await positionService._updateTrailingStop(position, 103.9);
+
+    assert.equal(exits.length, 1);
+    assert.equal(exits[0].reason, 'TRAILING_STOP');
+    assert.equal(exits[0].details.bestPrice, 105);
+    assert.equal(exits[0].details.stopPrice, 103.95);
+    assert.equal(exits[0].details.price, 103.9);
+  });
+
+  it('ratchets the SHORT stop down with new lows', async () => {
+    const position = track('AUSDTM', 'SHORT');
+
+    await positionService._updateTrailingStop(position, 97);
+    assert.equal(position.trailing.stopPrice, 97.97);
+
+    await positionService._updateTrailingStop(position, 95);
+    assert.equal(position.trailing.stopPrice, 95.95);
+
+    await positionService._updateTrailingStop(position, 95.5);
+    assert.equal(position.trailing.stopPrice, 95.95);
+    assert.equal(exits.length, 0);
+
+    await positionService._updateTrailingStop(position, 96);
+    assert.equal(exits[0].reason, 'TRAILING_STOP');
+  });
+
+  it('trails from the entry right away without an activation threshold', async () => {
+    config.exits.trailingActivationPercent = 0;
+    const position = track('AUSDTM', 'LONG');
+
+    await positionService._updateTrailingStop(position, 99);
+
+    assert.equal(position.trailing.bestPrice, 100);
+    assert.equal(position.trailing.stopPrice, 99);
+    assert.equal(exits.length, 1);
+  });
+
+  it('keeps the trailing state with the saved position', async () => {
+    const position = track('AUSDTM', 'LONG');
+
+    await positionService._updateTrailingStop(position, 103);
+
+    const [saved] = stateService.get('positions').openPositions;
+    assert.deepEqual(saved.trailing, { bestPrice: 103, activated: true, activatedAt: NOW, stopPrice: 101.97 });
+  });
+});
@@ -0,0 +1,72 @@
+import './env.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import exchange from '../services/exchange.service.js';
+import positionService from '../services/position.service.js';
+import executionService from '../services/execution.service.js';
+import privateFeedService from '../services/private-feed.service.js';
+
+describe('privateFeedService messages', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('passes a position change to the position service in bot format', async () => {
+    const update = mock.method(positionService, 'handleExchangePositionUpdate', async () => {});
+
+    await privateFeedService._onMessage({
+      topic: '/contract/positionAll',
+      subject: 'position.change',
+      data: { symbol: 'AUSDTM', currentQty: -5, avgEntryPrice: '100', markPrice: '99', unrealisedPnl: '0.5', realLeverage: '5', changeReason: 'positionChange' }
+    });
+
+    const [symbol, position] = update.mock.calls[0].arguments;
+    assert.equal(symbol, 'AUSDTM');
+    assert.equal(position.side, 'Sell');
+    assert.equal(position.size, 5);
+    assert.equal(position.entryPrice, 100);
+  });
+
+  it('passes only price and P&L for a mark price update without size', async () => {
+    const update = mock.method(positionService, 'handleExchangePositionUpdate', async () => {});
+
+    await privateFeedService._onMessage({
+      topic: '/contract/position:AUSDTM',
+      subject: 'position.change',
+      data: { symbol: 'AUSDTM', markPrice: '101', unrealisedPnl: '1.5', changeReason: 'markPriceChange' }
+    });
+
+    assert.deepEqual(update.mock.calls[0].arguments, ['AUSDTM', { markPrice: 101, unrealisedPnl: 1.5 }]);
+  });
+
+  it('hands order changes to the execution service', async () => {
+    const handle = mock.method(executionService, 'handleOrderUpdate', () => {});
+    const data = { orderId: 'order-1', symbol: 'AUSDTM', type: 'filled', status: 'done', filledSize: 10, size: 10 };
+
+    await privateFeedService._onMessage({ topic: '/contractMarket/tradeOrders', subject: 'orderChange', data });
+
+    assert.deepEqual(handle.mock.calls[0].arguments, [data]);
+  });
+
+  it('wakes the fill wait on an order change instead of waiting for the next poll', async () => {
+    let active = true;
+    const getOrder = mock.method(exchange, 'getOrder', async () => ({ isActive: active }));
+    const cancel = mock.method(exchange, 'cancelOrder', async () => {});
+
+    setTimeout(() => {
+      active = false;
+      privateFeedService._onMessage({
+        topic: '/contractMarket/tradeOrders',
+        subject: 'orderChange',
+        data: { orderId: 'order-1', symbol: 'AUSDTM', type: 'filled', status: 'done' }
+      });
+    }, 50);
+
+    const startedAt = Date.now();
+    await executionService._waitForFill('order-1', 10000);
+
+    // Без події наступна перевірка була б через ORDER_POLL_MS (1 с)
+    assert.ok(Date.now() - startedAt < 900);
+    assert.equal(getOrder.mock.callCount(), 2);
+    assert.equal(cancel.mock.callCount(), 0);
+    assert.equal(executionService.orderWaiters.size, 0);
+  });
+});
@@ -0,0 +1,174 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/settings.js';
+import exchange from '../services/exchange.service.js';
+import clockService from '../services/clock.service.js';
+import contractsService from '../services/contracts.service.js';
+import positionService from '../services/position.service.js';
+import riskProfileService from '../services/risk-profile.service.js';
+import tradingService from '../services/trading.service.js';
+import reconciliationService from '../services/reconciliation.service.js';
+
+const NOW = 1_700_000_000_000;
+const POLICIES = { ...config.reconciliation };
+
+/**
+ * Позиція у форматі exchange.getOpenPositions()
+ */
+function exchangePosition(symbol, side, size, extra = {}) {
+  return { symbol, side, size, entryPrice: 100, markPrice: 100, unrealisedPnl: 0, leverage: 5, openedAt: null, ...extra };
+}
+
+function setExchangePositions(positions) {
+  mock.method(exchange, 'getOpenPositions', async () => positions);
+}
+
+function track(symbol, direction, quantity) {
+  positionService.addOpenPosition({ symbol, direction, entryPrice: 100, quantity, orderId: `order-${symbol}` });
+}
+
+describe('reconciliationService.reconcile', () => {
+  beforeEach(() => {
+    positionService.openPositions.clear();
+    clockService.setVirtualTime(NOW);
+    mock.method(contractsService, 'getSymbolInfo', async () => ({ multiplier: 0.1, tickSize: 0.01 }));
+    mock.method(riskProfileService, 'resolve', () => ({ stopLossPercent: 0, stopLossUSDT: 0, takeProfitPercent: 0 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clockService.setVirtualTime(null);
+    Object.assign(config.reconciliation, POLICIES);
+  });
+
+  it('reports nothing when tracked positions match the exchange', async () => {
+    track('AUSDTM', 'LONG', 10);
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 10)]);
+
+    assert.deepEqual(await reconciliationService.reconcile(), []);
+  });
+
+  it('adopts an untracked position with the exchange opening time', async () => {
+    config.reconciliation.onUntracked = 'adopt';
+    const openedAt = NOW - 3600 * 1000;
+    setExchangePositions([exchangePosition('AUSDTM', 'Sell', 7, { openedAt })]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+    const adopted = positionService.getOpenPosition('AUSDTM');
+
+    assert.equal(discrepancy.type, 'UNTRACKED');
+    assert.equal(discrepancy.action, 'adopt');
+    assert.match(discrepancy.details, /SHORT 7 lots @ 100\nNo SL\/TP configured — position is unprotected/);
+    assert.equal(adopted.direction, 'SHORT');
+    assert.equal(adopted.quantity, 7);
+    assert.equal(adopted.filledAt, openedAt);
+    // Час утримання — від відкриття на біржі, а не від звірки
+    assert.equal(positionService.getHeldSec(adopted), 3600);
+  });
+
+  it('places protective orders for an adopted position', async () => {
+    mock.method(riskProfileService, 'resolve', () => ({ stopLossPercent: 2, stopLossUSDT: 0, takeProfitPercent: 3 }));
+    mock.method(exchange, 'getStopOrders', async () => []);
+    const place = mock.method(tradingService, 'placeProtectiveOrders', async (symbol) => {
+      positionService.updateOpenPosition(symbol, {
+        protectiveOrders: { stopLoss: { stopPrice: 98 }, takeProfit: { stopPrice: 103 } }
+      });
+    });
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 10)]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(place.mock.callCount(), 1);
+    assert.match(discrepancy.details, /Protective orders: SL 98, TP 103/);
+  });
+
+  it('leaves existing stop orders of an adopted position alone', async () => {
+    mock.method(riskProfileService, 'resolve', () => ({ stopLossPercent: 2, stopLossUSDT: 0, takeProfitPercent: 0 }));
+    mock.method(exchange, 'getStopOrders', async () => [{ id: 'stop-1' }]);
+    const place = mock.method(tradingService, 'placeProtectiveOrders', async () => {});
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 10)]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(place.mock.callCount(), 0);
+    assert.match(discrepancy.details, /1 stop order\(s\) already on exchange/);
+  });
+
+  it('only reports an untracked position under the ignore policy', async () => {
+    config.reconciliation.onUntracked = 'ignore';
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 10)]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(discrepancy.action, 'ignore');
+    assert.equal(positionService.getOpenPosition('AUSDTM'), undefined);
+  });
+
+  it('skips a symbol whose entry is still in progress', async () => {
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 10)]);
+    positionService.beginEntry('AUSDTM');
+
+    try {
+      assert.deepEqual(await reconciliationService.reconcile(), []);
+    } finally {
+      positionService.endEntry('AUSDTM');
+    }
+  });
+
+  it('corrects a size or direction mismatch from the exchange', async () => {
+    config.reconciliation.onSizeMismatch = 'correct';
+    track('AUSDTM', 'LONG', 10);
+    setExchangePositions([exchangePosition('AUSDTM', 'Sell', 4)]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+    const tracked = positionService.getOpenPosition('AUSDTM');
+
+    assert.equal(discrepancy.type, 'SIZE_MISMATCH');
+    assert.equal(discrepancy.details, 'tracked LONG 10 lots, exchange SHORT 4 lots');
+    assert.equal(tracked.direction, 'SHORT');
+    assert.equal(tracked.quantity, 4);
+  });
+
+  it('keeps the tracked size under the ignore policy', async () => {
+    config.reconciliation.onSizeMismatch = 'ignore';
+    track('AUSDTM', 'LONG', 10);
+    setExchangePositions([exchangePosition('AUSDTM', 'Buy', 4)]);
+
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(discrepancy.action, 'ignore');
+    assert.equal(positionService.getOpenPosition('AUSDTM').quantity, 10);
+  });
+
+  it('waits out the grace period before treating a fresh position as missing', async () => {
+    config.reconciliation.onMissing = 'drop';
+    track('AUSDTM', 'LONG', 10);
+    setExchangePositions([]);
+
+    clockService.setVirtualTime(NOW + 30 * 1000);
+    assert.deepEqual(await reconciliationService.reconcile(), []);
+    assert.ok(positionService.getOpenPosition('AUSDTM'));
+
+    clockService.setVirtualTime(NOW + 61 * 1000);
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(discrepancy.type, 'MISSING');
+    assert.equal(discrepancy.action, 'drop');
+    assert.equal(positionService.getOpenPosition('AUSDTM'), undefined);
+  });
+
+  it('records a missing position as closed under the close policy', async () => {
+    config.reconciliation.onMissing = 'close';
+    track('AUSDTM', 'LONG', 10);
+    setExchangePositions([]);
+    const closed = mock.method(positionService, 'handlePositionClosed', async () => {});
+
+    clockService.setVirtualTime(NOW + 61 * 1000);
+    const [discrepancy] = await reconciliationService.reconcile();
+
+    assert.equal(discrepancy.action, 'close');
+    assert.equal(closed.mock.callCount(), 1);
+    assert.equal(closed.mock.calls[0].arguments[0], 'AUSDTM');
+  });
+});
@@ -0,0 +1,163 @@
+import './env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateProtectiveStops, limitLeverage, fitRiskLimit } from '../services/risk.service.js';
+
+// Рівні risk limit як з exchange.getRiskLimitLevels(): вища вартість — менше плече
+const RISK_LEVELS = [
+  { level: 1, minRiskLimit: 0, maxRiskLimit: 20000, maxLeverage: 75 },
+  { level: 2, minRiskLimit: 20000, maxRiskLimit: 40000, maxLeverage: 50 },
+  { level: 3, minRiskLimit: 40000, maxRiskLimit: 100000, maxLeverage: 20 }
+];
+
+const SYMBOL_INFO = { symbol: 'TESTUSDTM', multiplier: 0.1, minOrderQty: 1, maxLeverage: 75 };
+
+/**
+ * Параметри позиції у форматі calculatePositionParameters(); 1 lot = entryPrice × multiplier USDT
+ */
+function positionParams(quantity, leverage, { entryPrice = 100, multiplier = 0.1 } = {}) {
+  const positionSizeUSDT = quantity * entryPrice * multiplier;
+  return { entryPrice, multiplier, quantity, leverage, positionSizeUSDT, requiredMargin: positionSizeUSDT / leverage };
+}
+
+describe('fitRiskLimit', () => {
+  it('keeps a position that fits its level unchanged', () => {
+    const params = positionParams(1000, 75);
+    const result = fitRiskLimit(params, SYMBOL_INFO, RISK_LEVELS, { riskLimitAdjust: 'size' });
+
+    assert.equal(result.params, params);
+    assert.deepEqual(result.adjustments, []);
+  });
+
+  it('values lots with the contract multiplier', () => {
+    // 3000 lots × 100 × 0.001 = 300 USDT — далеко від першого рівня
+    const params = positionParams(3000, 75, { multiplier: 0.001 });
+    const result = fitRiskLimit(params, { ...SYMBOL_INFO, multiplier: 0.001 }, RISK_LEVELS, { riskLimitAdjust: 'size' });
+
+    assert.equal(result.params, params);
+    assert.deepEqual(result.adjustments, []);
+  });
+
+  it('size mode shrinks the position to the highest level allowing the leverage', () => {
+    // 3000 lots = 30000 USDT; 75x дозволено лише до 20000 USDT
+    const result = fitRiskLimit(positionParams(3000, 75), SYMBOL_INFO, RISK_LEVELS, { riskLimitAdjust: 'size' });
+
+    assert.equal(result.params.quantity, 2000);
+    assert.equal(result.params.leverage, 75);
+    assert.equal(result.params.positionSizeUSDT, 20000);
+    assert.equal(result.params.requiredMargin, 20000 / 75);
+    assert.deepEqual(result.adjustments, ['size 3000 → 2000 lots (75x allowed up to 20000 USDT)']);
+  });
+
+  it('leverage mode lowers the leverage to the level the position falls into', () => {
+    const result = fitRiskLimit(positionParams(3000, 75), SYMBOL_INFO, RISK_LEVELS, { riskLimitAdjust: 'leverage' });
+
+    assert.equal(result.params.quantity, 3000);
+    assert.equal(result.params.leverage, 50);
+    assert.equal(result.params.requiredMargin, 30000 / 50);
+    assert.deepEqual(result.adjustments, ['leverage 75x → 50x (risk limit level 2, up to 40000 USDT)']);
+  });
+
+  it('reports the whole leverage that is actually set for a fractional level maximum', () => {
+    const levels = [{ level: 1, minRiskLimit: 0, maxRiskLimit: 100000, maxLeverage: 12.5 }];
+    const result = fitRiskLimit(positionParams(1000, 20), SYMBOL_INFO, levels, { riskLimitAdjust: 'leverage' });
+
+    assert.equal(result.params.leverage, 12);
+    assert.deepEqual(result.adjustments, ['leverage 20x → 12x (risk limit level 1, up to 100000 USDT)']);
+  });
+
+  it('shrinks a position above the top level in both modes', () => {
+    const bySize = fitRiskLimit(positionParams(15000, 20), SYMBOL_INFO, RISK_LEVELS, { riskLimitAdjust: 'size' });
+    assert.equal(bySize.params.quantity, 10000);
+    assert.equal(bySize.params.leverage, 20);
+
+    const byLeverage = fitRiskLimit(positionParams(15000, 75), SYMBOL_INFO, RISK_LEVELS, { riskLimitAdjust: 'leverage' });
+    assert.equal(byLeverage.params.quantity, 10000);
+    assert.equal(byLeverage.params.leverage, 20);
+    assert.equal(byLeverage.adjustments.length, 2);
+  });
+
+  it('throws when the allowed size is below the minimum order', () => {
+    const levels = [{ level: 1, minRiskLimit: 0, maxRiskLimit: 50, maxLeverage: 10 }];
+    const params = positionParams(5, 10, { multiplier: 1 });
+
+    assert.throws(
+      () => fitRiskLimit(params, { ...SYMBOL_INFO, multiplier: 1 }, levels, { riskLimitAdjust: 'size' }),
+      /Risk limit: .* allows 0 lots, minimum is 1/
+    );
+  });
+
+  it('falls back to the base level from the contract data', () => {
+    const symbolInfo = { ...SYMBOL_INFO, maxLeverage: 10, riskLimit: { minRiskLimit: 0, maxRiskLimit: 1000 } };
+    const result = fitRiskLimit(positionParams(50, 20), symbolInfo, [], { riskLimitAdjust: 'leverage' });
+
+    assert.equal(result.params.leverage, 10);
+    assert.equal(result.params.quantity, 50);
+  });
+
+  it('leaves the position alone without risk limit data', () => {
+    const params = positionParams(3000, 75);
+    const result = fitRiskLimit(params, { symbol: 'TESTUSDTM', multiplier: 0.1 }, [], { riskLimitAdjust: 'size' });
+
+    assert.equal(result.params, params);
+  });
+});
+
+describe('limitLeverage', () => {
+  it('caps the leverage at the contract maximum', () => {
+    const result = limitLeverage(100, { ...SYMBOL_INFO, maxLeverage: 50 }, RISK_LEVELS);
+
+    assert.equal(result.leverage, 50);
+    assert.equal(result.adjustment, 'leverage 100x → 50x (contract max)');
+  });
+
+  it('caps the leverage at the highest risk limit level', () => {
+    const result = limitLeverage(100, { symbol: 'TESTUSDTM' }, RISK_LEVELS);
+    assert.equal(result.leverage, 75);
+  });
+
+  it('keeps a leverage within the limits', () => {
+    assert.deepEqual(limitLeverage(20, SYMBOL_INFO, RISK_LEVELS), { leverage: 20, adjustment: null });
+  });
+
+  it('keeps the leverage without contract data', () => {
+    assert.deepEqual(limitLeverage(100, {}, []), { leverage: 100, adjustment: null });
+  });
+});
+
+describe('calculateProtectiveStops', () => {
+  const symbolInfo = { multiplier: 0.1, tickSize: 0.01 };
+
+  it('places SL and TP on the correct side for LONG and SHORT', () => {
+    const settings = { stopLossPercent: 2, stopLossUSDT: 0, takeProfitPercent: 3 };
+
+    assert.deepEqual(calculateProtectiveStops(100, 'LONG', 10, symbolInfo, settings), { stopLoss: 98, takeProfit: 103 });
+    assert.deepEqual(calculateProtectiveStops(100, 'SHORT', 10, symbolInfo, settings), { stopLoss: 102, takeProfit: 97 });
+  });
+
+  it('converts STOP_LOSS_USDT to a price distance with the multiplier and takes the closer stop', () => {
+    // 1 USDT / (10 lots × 0.1) = 1 ціни — ближче за 2%
+    const settings = { stopLossPercent: 2, stopLossUSDT: 1, takeProfitPercent: 0 };
+
+    assert.deepEqual(calculateProtectiveStops(100, 'LONG', 10, symbolInfo, settings), { stopLoss: 99, takeProfit: null });
+    assert.deepEqual(calculateProtectiveStops(100, 'SHORT', 10, symbolInfo, settings), { stopLoss: 101, takeProfit: null });
+  });
+
+  it('rounds the stop loss to the tick towards the entry', () => {
+    const settings = { stopLossPercent: 1.234, stopLossUSDT: 0, takeProfitPercent: 0 };
+    const coarse = { multiplier: 0.1, tickSize: 0.1 };
+
+    assert.equal(calculateProtectiveStops(100, 'LONG', 10, coarse, settings).stopLoss, 98.8);
+    assert.equal(calculateProtectiveStops(100, 'SHORT', 10, coarse, settings).stopLoss, 101.2);
+  });
+
+  it('skips a stop loss beyond zero', () => {
+    const settings = { stopLossPercent: 0, stopLossUSDT: 500, takeProfitPercent: 0 };
+    assert.deepEqual(calculateProtectiveStops(100, 'LONG', 10, symbolInfo, settings), { stopLoss: null, takeProfit: null });
+  });
+
+  it('returns no stops when none are configured', () => {
+    const settings = { stopLossPercent: 0, stopLossUSDT: 0, takeProfitPercent: 0 };
+    assert.deepEqual(calculateProtectiveStops(100, 'LONG', 10, symbolInfo, settings), { stopLoss: null, takeProfit: null });
+  });
+});
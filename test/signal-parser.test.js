@@ -0,0 +1,202 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SignalParser } from '../services/signal-parser.js';
+
+const FORMATS_FILE = new URL('../config/signal-formats.json', import.meta.url).pathname;
+const NOW = Date.UTC(2026, 9, 19, 14, 10, 20);
+
+const ENTRY_UA = '🚨 KuCoin - 2.5% 🟢\n👉ETHUSDTM👈\n💱 BID: 3200\nСправедлива: 3250';
+const ENTRY_EN = '🚨 KuCoin - 1.8% 🔴\n👉XRPUSDTM👈\nLast: 0.61\nMark: 0.6\n';
+
+describe('SignalParser with the bundled formats', () => {
+  const parser = new SignalParser(FORMATS_FILE, { now: () => NOW });
+
+  it('detects entry and exit messages and ignores other posts', () => {
+    assert.deepEqual(parser.detect(ENTRY_UA).map(format => format.name), ['kucoin-monitor-entry']);
+    assert.deepEqual(parser.detect('✅ ETHUSDTM - Цены сравнялись').map(format => format.name), ['kucoin-monitor-exit']);
+    assert.equal(parser.isSignalMessage('Доброго ранку'), false);
+    assert.equal(parser.isSignalMessage(''), false);
+  });
+
+  it('parses an entry signal with direction, prices and spread', () => {
+    const { signal, format, error } = parser.parse(ENTRY_UA);
+
+    assert.equal(format, 'kucoin-monitor-entry');
+    assert.equal(error, null);
+    assert.equal(signal.type, 'OPEN');
+    assert.equal(signal.symbol, 'ETHUSDTM');
+    assert.equal(signal.direction, 'LONG');
+    assert.equal(signal.lastPrice, 3200);
+    assert.equal(signal.fairPrice, 3250);
+    assert.equal(signal.spread, 2.5);
+    assert.equal(signal.emoji, '🟢');
+  });
+
+  it('reads the English wording and the SHORT marker', () => {
+    const { signal } = parser.parse(ENTRY_EN);
+
+    assert.equal(signal.symbol, 'XRPUSDTM');
+    assert.equal(signal.direction, 'SHORT');
+    assert.equal(signal.lastPrice, 0.61);
+    assert.equal(signal.fairPrice, 0.6);
+  });
+
+  it('parses exit signals in Russian and Ukrainian', () => {
+    assert.equal(parser.parse('✅ ETHUSDTM - Цены сравнялись').signal.symbol, 'ETHUSDTM');
+
+    const { signal, format } = parser.parse('✅ XRPUSDTM - Ціни зрівнялись');
+    assert.equal(format, 'kucoin-monitor-exit');
+    assert.deepEqual({ type: signal.type, symbol: signal.symbol }, { type: 'CLOSE', symbol: 'XRPUSDTM' });
+  });
+
+  it('explains why a recognised message did not parse', () => {
+    const { signal, error } = parser.parse('🚨 KuCoin - 2.5% 🟢\n👉ETHUSDTM👈\nСправедлива: 3250');
+
+    assert.equal(signal, null);
+    assert.equal(error, 'kucoin-monitor-entry: lastPrice not found');
+    assert.equal(parser.parse('hello').error, 'Unrecognized signal format');
+  });
+
+  it('rejects an entry without a direction marker', () => {
+    const { signal, error } = parser.parse('🚨 KuCoin - 2.5%\n👉ETHUSDTM👈\nLast: 1\nMark: 2');
+
+    assert.equal(signal, null);
+    assert.match(error, /direction not determined/);
+  });
+});
+
+describe('SignalParser format definitions', () => {
+  let dir;
+
+  const entryFormat = (overrides = {}) => ({
+    name: 'custom-entry',
+    type: 'OPEN',
+    detect: { all: ['SIGNAL'] },
+    fields: {
+      symbol: { patterns: ['SIGNAL ([A-Z]+)'] },
+      lastPrice: { type: 'number', patterns: ['last=([\\d.]+)'] },
+      fairPrice: { type: 'number', patterns: ['fair=([\\d.]+)'] }
+    },
+    direction: [{ pattern: 'side=buy', direction: 'LONG' }, { pattern: 'side=sell', direction: 'SHORT' }],
+    ...overrides
+  });
+
+  const load = (definitions) => {
+    const filePath = path.join(dir, 'formats.json');
+    fs.writeFileSync(filePath, JSON.stringify(definitions));
+    return new SignalParser(filePath, { now: () => NOW });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-formats-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parses a new format without code changes', () => {
+    const parser = load([entryFormat()]);
+    const { signal, format } = parser.parse('SIGNAL SOLUSDTM side=sell last=150.5 fair=149');
+
+    assert.equal(format, 'custom-entry');
+    assert.equal(signal.symbol, 'SOLUSDTM');
+    assert.equal(signal.direction, 'SHORT');
+    assert.equal(signal.lastPrice, 150.5);
+    assert.equal(signal.emoji, null);
+  });
+
+  it('falls through to the next format that parses', () => {
+    const broken = entryFormat({ name: 'broken', fields: { ...entryFormat().fields, lastPrice: { type: 'number', patterns: ['price=([\\d.]+)'] } } });
+    const parser = load([broken, entryFormat()]);
+
+    assert.equal(parser.parse('SIGNAL SOLUSDTM side=buy last=1 fair=2').format, 'custom-entry');
+  });
+
+  it('fails to load invalid definitions', () => {
+    assert.throws(() => load([]), /must contain a non-empty array/);
+    assert.throws(() => load([entryFormat({ name: '' })]), /name is required/);
+    assert.throws(() => load([entryFormat({ type: 'MODIFY' })]), /type must be one of OPEN, CLOSE/);
+    assert.throws(() => load([entryFormat({ detect: {} })]), /detect.all or detect.any markers are required/);
+    assert.throws(() => load([entryFormat({ direction: [] })]), /direction rules are required/);
+    assert.throws(() => load([entryFormat({ direction: [{ contains: '🟢', direction: 'UP' }] })]), /LONG or SHORT/);
+    assert.throws(() => load([entryFormat({ timeFormat: 'rfc2822' })]), /timeFormat must be one of/);
+    assert.throws(
+      () => load([entryFormat({ fields: { symbol: { patterns: ['('] } } })]),
+      /Signal format "custom-entry": field symbol:/
+    );
+    assert.throws(
+      () => load([{ name: 'exit', type: 'CLOSE', detect: { any: ['done'] }, fields: {} }]),
+      /field symbol is required for CLOSE signals/
+    );
+  });
+
+  it('reports an unreadable formats file', () => {
+    assert.throws(() => new SignalParser(path.join(dir, 'missing.json')), /Failed to load signal formats/);
+  });
+});
+
+describe('SignalParser detection time', () => {
+  const parser = new SignalParser(FORMATS_FILE, { now: () => NOW });
+  const at = (day, time) => Date.parse(`2026-10-${day}T${time}Z`);
+
+  it('takes the detection time from today', () => {
+    assert.equal(parser._parseTime('14:10:14.25 UTC', 'time-of-day-utc', NOW), at(19, '14:10:14.250'));
+  });
+
+  it('rolls a time just before midnight back to yesterday', () => {
+    assert.equal(parser._parseTime('23:59:58.500 UTC', 'time-of-day-utc', at(19, '00:00:03')), at(18, '23:59:58.500'));
+  });
+
+  it('rolls a time just after midnight forward to tomorrow', () => {
+    assert.equal(parser._parseTime('00:00:01 UTC', 'time-of-day-utc', at(19, '23:59:59')), at(20, '00:00:01.000'));
+  });
+
+  it('reads ISO and unix timestamps', () => {
+    assert.equal(parser._parseTime('2026-10-19T14:10:14Z', 'iso'), at(19, '14:10:14'));
+    assert.equal(parser._parseTime('1792419014', 'unix-s'), 1792419014000);
+    assert.equal(parser._parseTime('1792419014123', 'unix-ms'), 1792419014123);
+  });
+
+  it('returns null for a time it cannot read', () => {
+    assert.equal(parser._parseTime('25:00:00 UTC', 'time-of-day-utc', NOW), null);
+    assert.equal(parser._parseTime('soon', 'time-of-day-utc', NOW), null);
+    assert.equal(parser._parseTime('yesterday', 'iso'), null);
+  });
+
+  it('uses the detection time from the message relative to the Telegram post', () => {
+    const postedAt = at(20, '00:00:02');
+    const { signal } = parser.parse(`${ENTRY_UA}\nВиявлено: 23:59:59.000 UTC`, { postedAt });
+
+    assert.equal(signal.timestamp, at(19, '23:59:59.000'));
+    assert.equal(signal.timestampSource, 'detected');
+    assert.equal(signal.postedAt, postedAt);
+  });
+
+  it('falls back to the post time when detection is later than the post', () => {
+    const postedAt = at(19, '14:00:00');
+    const { signal } = parser.parse(`${ENTRY_UA}\nВиявлено: 14:05:00.000 UTC`, { postedAt });
+
+    assert.equal(signal.timestamp, postedAt);
+    assert.equal(signal.timestampSource, 'posted');
+  });
+
+  it('tolerates a detection time slightly after the post', () => {
+    const postedAt = at(19, '14:00:00');
+    const { signal } = parser.parse(`${ENTRY_UA}\nВиявлено: 14:00:30.000 UTC`, { postedAt });
+
+    assert.equal(signal.timestampSource, 'detected');
+  });
+
+  it('falls back to the post time or the current time without a detection time', () => {
+    const posted = parser.parse(ENTRY_UA, { postedAt: NOW - 5000 }).signal;
+    assert.deepEqual([posted.timestamp, posted.timestampSource], [NOW - 5000, 'posted']);
+
+    const received = parser.parse(ENTRY_UA).signal;
+    assert.deepEqual([received.timestamp, received.timestampSource, received.postedAt], [NOW, 'received', null]);
+  });
+});
@@ -0,0 +1,113 @@
+import './env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import clockService from '../services/clock.service.js';
+import signalRecorderService from '../services/signal-recorder.service.js';
+import telegramService from '../services/telegram.service.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('signalRecorderService', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-recorder-'));
+    signalRecorderService.enabled = true;
+    signalRecorderService.filePath = path.join(dir, 'archive', 'signals.jsonl');
+    signalRecorderService.dirReady = false;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends one line per message and reads them back in order', () => {
+    signalRecorderService.record({ messageId: 1, text: 'first' });
+    signalRecorderService.record({ messageId: 2, text: 'second\nline' });
+
+    assert.equal(fs.readFileSync(signalRecorderService.filePath, 'utf8').split('\n').length, 3);
+    assert.deepEqual(signalRecorderService.readAll(), [
+      { messageId: 1, text: 'first' },
+      { messageId: 2, text: 'second\nline' }
+    ]);
+  });
+
+  it('writes nothing when disabled', () => {
+    signalRecorderService.enabled = false;
+    signalRecorderService.record({ messageId: 1 });
+
+    assert.equal(fs.existsSync(signalRecorderService.filePath), false);
+  });
+
+  it('skips malformed lines and reads a missing archive as empty', () => {
+    const filePath = path.join(dir, 'broken.jsonl');
+    fs.writeFileSync(filePath, '{"messageId":1}\n{"messageId":\n\n{"messageId":3}\n');
+
+    assert.deepEqual(signalRecorderService.readAll(filePath), [{ messageId: 1 }, { messageId: 3 }]);
+    assert.deepEqual(signalRecorderService.readAll(path.join(dir, 'missing.jsonl')), []);
+  });
+
+  it('does not throw when the archive cannot be written', () => {
+    // Тека на місці файлу — appendFileSync падає з EISDIR
+    fs.mkdirSync(signalRecorderService.filePath, { recursive: true });
+
+    assert.doesNotThrow(() => signalRecorderService.record({ messageId: 1 }));
+  });
+});
+
+describe('telegramService channel message recording', () => {
+  let record;
+
+  beforeEach(() => {
+    clockService.setVirtualTime(NOW);
+    record = mock.method(signalRecorderService, 'record', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clockService.setVirtualTime(null);
+    telegramService.signalCallbacks = [];
+  });
+
+  it('records a parsed signal with the trading decision', async () => {
+    telegramService.signalCallbacks = [async () => ({ action: 'CLOSED', reason: 'exit signal' })];
+
+    await telegramService.handleChannelMessage({
+      message_id: 42,
+      chat: { id: -100 },
+      date: NOW / 1000 - 5,
+      text: '✅ AUSDT - Ціни зрівнялись'
+    });
+
+    const [entry] = record.mock.calls[0].arguments;
+    assert.equal(entry.messageId, 42);
+    assert.equal(entry.postedAt, NOW - 5000);
+    assert.equal(entry.receivedAt, NOW);
+    assert.equal(entry.isSignal, true);
+    assert.equal(entry.parsed.type, 'CLOSE');
+    assert.equal(entry.parseError, null);
+    assert.deepEqual(entry.decision, { action: 'CLOSED', reason: 'exit signal' });
+  });
+
+  it('records a failing callback as an ERROR decision', async () => {
+    telegramService.signalCallbacks = [async () => {
+      throw new Error('exchange down');
+    }];
+
+    await telegramService.handleChannelMessage({ message_id: 43, chat: { id: -100 }, text: '✅ AUSDT - Ціни зрівнялись' });
+
+    assert.deepEqual(record.mock.calls[0].arguments[0].decision, { action: 'ERROR', reason: 'exchange down' });
+  });
+
+  it('records ordinary channel posts without a parse attempt', async () => {
+    await telegramService.handleChannelMessage({ message_id: 44, chat: { id: -100 }, text: 'Доброго ранку' });
+
+    const [entry] = record.mock.calls[0].arguments;
+    assert.equal(entry.isSignal, false);
+    assert.equal(entry.parsed, null);
+    assert.equal(entry.decision, null);
+  });
+});
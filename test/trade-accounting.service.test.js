@@ -0,0 +1,165 @@
+import './env.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import exchange from '../services/exchange.service.js';
+import contractsService from '../services/contracts.service.js';
+import tradeAccountingService from '../services/trade-accounting.service.js';
+
+const OPENED_AT = 1_700_000_000_000;
+
+/**
+ * Відповіді біржі для обліку; функція, що кидає помилку, — запит не вдався
+ */
+function mockExchange({ fills = [], history = [], funding = [], trades = [] }) {
+  const respond = (value) => async () => {
+    if (value instanceof Error) throw value;
+    return value;
+  };
+
+  mock.method(exchange, 'getFills', respond(fills));
+  mock.method(exchange, 'getPositionHistory', respond(history));
+  mock.method(exchange, 'getFundingHistory', respond(funding));
+  mock.method(exchange, 'getTradeHistory', respond(trades));
+}
+
+function position(overrides = {}) {
+  return {
+    symbol: 'TESTUSDTM',
+    direction: 'LONG',
+    entryPrice: 100,
+    quantity: 10,
+    multiplier: 0.1,
+    entryFee: 0.05,
+    orderId: 'entry-1',
+    entryOrderIds: ['entry-1'],
+    filledAt: OPENED_AT,
+    ...overrides
+  };
+}
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+describe('tradeAccountingService.calculateClosedTrade', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('uses the average price and fees of the exit fills plus funding', async () => {
+    mockExchange({
+      fills: [
+        { orderId: 'entry-1', side: 'buy', price: 100, size: 10, fee: 0.05, tradeTime: OPENED_AT },
+        { orderId: 'old', side: 'sell', price: 90, size: 10, fee: 0.05, tradeTime: OPENED_AT - 10 },
+        { orderId: 'exit-1', side: 'sell', price: 110, size: 4, fee: 0.02, tradeTime: OPENED_AT + 5000 },
+        { orderId: 'exit-2', side: 'sell', price: 105, size: 6, fee: 0.03, tradeTime: OPENED_AT + 6000 }
+      ],
+      funding: [
+        { timePoint: OPENED_AT - 1000, funding: -5 },
+        { timePoint: OPENED_AT + 3000, funding: -0.2 }
+      ]
+    });
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position());
+
+    assert.equal(trade.source, 'fills');
+    assert.equal(trade.exitOrderId, 'exit-2');
+    assert.equal(trade.closedAt, OPENED_AT + 6000);
+    assertClose(trade.exitPrice, 107);
+    // (107 − 100) × 10 lots × 0.1
+    assertClose(trade.grossPnl, 7);
+    assertClose(trade.fees, 0.1);
+    assertClose(trade.funding, -0.2);
+    assertClose(trade.netPnl, 6.7);
+    assertClose(trade.pnlPercent, 7);
+  });
+
+  it('counts only the part of a reversing fill that closes the position', async () => {
+    mockExchange({
+      fills: [{ orderId: 'exit-1', side: 'buy', price: 90, size: 15, fee: 0.3, tradeTime: OPENED_AT + 1000 }],
+      funding: new Error('timeout')
+    });
+
+    const trade = await tradeAccountingService.calculateClosedTrade(
+      position({ direction: 'SHORT', multiplier: 1, entryFee: 0.1, funding: { total: -1 } })
+    );
+
+    assertClose(trade.grossPnl, 100);
+    assertClose(trade.fees, 0.3);
+    // Історія funding недоступна — платежі, підтягнуті під час утримання
+    assertClose(trade.funding, -1);
+    assertClose(trade.netPnl, 98.7);
+  });
+
+  it('reports P&L only for the lots covered by partial exit fills', async () => {
+    mockExchange({
+      fills: [{ orderId: 'exit-1', side: 'sell', price: 110, size: 4, fee: 0.02, tradeTime: OPENED_AT + 1000 }]
+    });
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position());
+
+    assert.equal(trade.source, 'fills');
+    assert.equal(trade.partial, true);
+    assert.equal(trade.closedQuantity, 4);
+    // (110 − 100) × 4 lots × 0.1; комісія входу — 4/10 від 0.05
+    assertClose(trade.grossPnl, 4);
+    assertClose(trade.fees, 0.02 + 0.02);
+    assertClose(trade.netPnl, 3.96);
+  });
+
+  it('prefers the position history when exit fills are partial', async () => {
+    mockExchange({
+      fills: [{ orderId: 'exit-1', side: 'sell', price: 110, size: 4, fee: 0.02, tradeTime: OPENED_AT + 1000 }],
+      history: [{ closeTime: OPENED_AT + 2000, closePrice: 106, tradeFee: 0.12, fundingFee: 0 }]
+    });
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position());
+
+    assert.equal(trade.source, 'history');
+    assert.equal(trade.partial, false);
+    assert.equal(trade.closedQuantity, 10);
+    assertClose(trade.grossPnl, 6);
+    assertClose(trade.fees, 0.12);
+  });
+
+  it('falls back to the closed position history', async () => {
+    mockExchange({
+      history: [{ closeTime: OPENED_AT + 100, closePrice: 95, tradeFee: 0.4, fundingFee: 0.3 }],
+      funding: new Error('timeout')
+    });
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position());
+
+    assert.equal(trade.source, 'history');
+    assertClose(trade.grossPnl, -5);
+    assertClose(trade.fees, 0.4);
+    assertClose(trade.funding, -0.3);
+    assertClose(trade.netPnl, -5.7);
+  });
+
+  it('falls back to the recent done orders with the contract multiplier', async () => {
+    mockExchange({
+      fills: new Error('timeout'),
+      trades: [{ id: 'order-9', symbol: 'TESTUSDTM', side: 'sell', price: '102', fee: '0.01', endAt: OPENED_AT + 500 }]
+    });
+    mock.method(contractsService, 'getSymbolInfo', async () => ({ multiplier: 0.01 }));
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position({ multiplier: undefined }));
+
+    assert.equal(trade.source, 'orders');
+    assert.equal(trade.exitOrderId, 'order-9');
+    // (102 − 100) × 10 lots × 0.01
+    assertClose(trade.grossPnl, 0.2);
+    assertClose(trade.fees, 0.06);
+    assert.equal(trade.funding, 0);
+    assertClose(trade.netPnl, 0.14);
+  });
+
+  it('records zero P&L without any exit data', async () => {
+    mockExchange({});
+
+    const trade = await tradeAccountingService.calculateClosedTrade(position());
+
+    assert.equal(trade.source, 'none');
+    assert.equal(trade.grossPnl, 0);
+    assertClose(trade.netPnl, -0.05);
+  });
+});
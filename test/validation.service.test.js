@@ -0,0 +1,262 @@
+import './env.js';
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/settings.js';
+import { validateSignal, checkSymbolFilters, checkFunding, calculateFairPriceCheck, formatFairPriceCheck } from '../services/validation.service.js';
+
+const NOW = 1_700_000_000_000;
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Контекст validateSignal, у якому проходять усі перевірки до потрібної
+ */
+function validationContext(overrides = {}) {
+  return {
+    now: NOW,
+    positions: { hasOpenPosition: () => false, getOpenPositionsCount: () => 0 },
+    dailyTrades: 0,
+    getBalance: async () => 1000,
+    getSymbolInfo: async () => ({ status: 'Open', multiplier: 0.1, tickSize: 0.01, lastTradePrice: 100 }),
+    ...overrides
+  };
+}
+
+const LONG_SIGNAL = { symbol: 'AUSDTM', direction: 'LONG', spread: 2, lastPrice: 100, fairPrice: 102, timestamp: NOW };
+
+describe('calculateFairPriceCheck', () => {
+  it('measures the LONG gap as mark above last', () => {
+    const check = calculateFairPriceCheck(
+      { direction: 'LONG', lastPrice: 100, fairPrice: 102 },
+      { lastPrice: 101, markPrice: 102.01 }
+    );
+
+    assertClose(check.signalGapPercent, 2);
+    assertClose(check.liveGapPercent, 1);
+    assertClose(check.lastPriceDriftPercent, 1);
+    assertClose(check.markPriceDriftPercent, 0.01 / 102 * 100);
+  });
+
+  it('measures the SHORT gap as mark below last', () => {
+    const check = calculateFairPriceCheck(
+      { direction: 'SHORT', lastPrice: 100, fairPrice: 98 },
+      { lastPrice: 100, markPrice: 101 }
+    );
+
+    assertClose(check.signalGapPercent, 2);
+    // Mark вище last — gap для SHORT закрився і перевернувся
+    assertClose(check.liveGapPercent, -1);
+  });
+
+  it('leaves signal-based values empty without signal prices', () => {
+    const check = calculateFairPriceCheck({ direction: 'LONG' }, { lastPrice: 100, markPrice: 101 });
+
+    assert.equal(check.signalGapPercent, null);
+    assert.equal(check.lastPriceDriftPercent, null);
+    assert.equal(check.markPriceDriftPercent, null);
+    assertClose(check.liveGapPercent, 1);
+  });
+});
+
+describe('validateSignal fair price check', () => {
+  const withLivePrices = (live) => validationContext({ getMarketPrices: async () => live });
+
+  it('accepts a gap that is still open and returns the check', async () => {
+    const result = await validateSignal(LONG_SIGNAL, withLivePrices({ lastPrice: 101, markPrice: 102 }));
+
+    assert.equal(result.valid, true);
+    assert.ok(result.info.fairPriceCheck.liveGapPercent > 0);
+  });
+
+  it('rejects a gap that has closed or flipped', async () => {
+    const closed = await validateSignal(LONG_SIGNAL, withLivePrices({ lastPrice: 102, markPrice: 102 }));
+    assert.equal(closed.valid, false);
+    assert.match(closed.reason, /^Fair price gap closed: live 0\.000% <= minimum 0%/);
+
+    const flipped = await validateSignal(LONG_SIGNAL, withLivePrices({ lastPrice: 102, markPrice: 101 }));
+    assert.equal(flipped.valid, false);
+    assert.match(flipped.reason, /^Fair price gap flipped: live -0\.980% \(signal 2\.000%\)/);
+  });
+
+  it('reports a flipped gap for a signal without prices', async () => {
+    const signal = { ...LONG_SIGNAL, lastPrice: undefined, fairPrice: undefined };
+    const result = await validateSignal(signal, withLivePrices({ lastPrice: 102, markPrice: 101 }));
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /\(signal N\/A\)$/);
+  });
+
+  it('rejects zero, missing or invalid live prices', async () => {
+    for (const live of [{ lastPrice: 0, markPrice: 102 }, { lastPrice: 101, markPrice: NaN }, { lastPrice: 101 }]) {
+      const result = await validateSignal(LONG_SIGNAL, withLivePrices(live));
+
+      assert.equal(result.valid, false, `accepted ${JSON.stringify(live)}`);
+      assert.match(result.reason, /^Invalid live prices for AUSDTM/);
+      assert.equal(result.info.liveGap, 'N/A');
+    }
+  });
+
+  it('rejects the signal when live prices cannot be fetched', async () => {
+    const result = await validateSignal(LONG_SIGNAL, validationContext({
+      getMarketPrices: async () => {
+        throw new Error('timeout');
+      }
+    }));
+
+    assert.equal(result.reason, 'Error fetching live prices for AUSDTM: timeout');
+  });
+
+  it('skips the check without a live price source', async () => {
+    const result = await validateSignal(LONG_SIGNAL, validationContext());
+
+    assert.deepEqual(result, { valid: true, info: {} });
+  });
+});
+
+describe('formatFairPriceCheck', () => {
+  it('shows signed percentages and N/A for missing values', () => {
+    const formatted = formatFairPriceCheck({
+      signalGapPercent: null,
+      liveGapPercent: 1.23456,
+      lastPriceDriftPercent: -0.5,
+      markPriceDriftPercent: Infinity
+    });
+
+    assert.deepEqual(formatted, { signalGap: 'N/A', liveGap: '+1.235%', lastPriceDrift: '-0.500%', markPriceDrift: 'N/A' });
+  });
+});
+
+describe('validateSignal signal age', () => {
+  const settings = (maxSignalAgeSec) => ({ ...config, trading: { ...config.trading, maxSignalAgeSec } });
+
+  it('rejects an entry older than the maximum age', async () => {
+    const signal = { ...LONG_SIGNAL, timestamp: NOW - 45000, timestampSource: 'detected', postedAt: NOW - 2000 };
+    const result = await validateSignal(signal, validationContext({ settings: settings(30) }));
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Signal too old: 45.0s > 30s');
+    assert.deepEqual(result.info, { signalAge: '45.0s (detected)', maxSignalAge: '30s', telegramDelay: '2.0s' });
+  });
+
+  it('accepts a fresh entry and ignores age when the limit is off', async () => {
+    const signal = { ...LONG_SIGNAL, timestamp: NOW - 10000 };
+
+    assert.equal((await validateSignal(signal, validationContext({ settings: settings(30) }))).valid, true);
+    assert.equal((await validateSignal({ ...signal, timestamp: NOW - 3600000 }, validationContext({ settings: settings(0) }))).valid, true);
+  });
+});
+
+describe('checkFunding', () => {
+  const settings = { blackoutSec: 120, maxAdverseRatePercent: 0.05 };
+  const farFunding = NOW + 3600 * 1000;
+
+  it('rejects a direction that pays a rate above the maximum', () => {
+    const result = checkFunding('LONG', { fundingRate: 0.001, nextFundingTime: farFunding }, NOW, settings);
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /Funding rate \+0\.1000% against LONG: 0\.1000% > max 0\.05%/);
+  });
+
+  it('accepts the direction that receives the rate', () => {
+    assert.equal(checkFunding('SHORT', { fundingRate: 0.001, nextFundingTime: farFunding }, NOW, settings), null);
+    assert.equal(checkFunding('LONG', { fundingRate: -0.001, nextFundingTime: farFunding }, NOW, settings), null);
+  });
+
+  it('rejects entries inside the blackout before funding', () => {
+    const result = checkFunding('LONG', { fundingRate: 0, nextFundingTime: NOW + 60 * 1000 }, NOW, settings);
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /Funding in 60s \(blackout 120s before funding\)/);
+  });
+
+  it('ignores a funding time that has already passed or is unknown', () => {
+    assert.equal(checkFunding('LONG', { fundingRate: 0, nextFundingTime: NOW - 1000 }, NOW, settings), null);
+    assert.equal(checkFunding('LONG', { fundingRate: 0, nextFundingTime: null }, NOW, settings), null);
+  });
+
+  it('skips checks that are turned off', () => {
+    const off = { blackoutSec: 0, maxAdverseRatePercent: 0 };
+    assert.equal(checkFunding('LONG', { fundingRate: 0.01, nextFundingTime: NOW + 1000 }, NOW, off), null);
+  });
+});
+
+describe('validateSignal funding check', () => {
+  const settings = { ...config, funding: { blackoutSec: 120, maxAdverseRatePercent: 0.05 } };
+
+  it('rejects an entry right before funding', async () => {
+    const result = await validateSignal(LONG_SIGNAL, validationContext({
+      settings,
+      getFunding: async () => ({ fundingRate: 0.0001, nextFundingTime: NOW + 60 * 1000 })
+    }));
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Funding in 60s (blackout 120s before funding)');
+  });
+
+  it('rejects the signal when funding cannot be fetched', async () => {
+    const result = await validateSignal(LONG_SIGNAL, validationContext({
+      settings,
+      getFunding: async () => {
+        throw new Error('timeout');
+      }
+    }));
+
+    assert.equal(result.reason, 'Error fetching funding for AUSDTM: timeout');
+  });
+
+  it('does not fetch funding with both checks turned off', async () => {
+    const getFunding = mock.fn(async () => ({}));
+    const result = await validateSignal(LONG_SIGNAL, validationContext({
+      settings: { ...config, funding: { blackoutSec: 0, maxAdverseRatePercent: 0 } },
+      getFunding
+    }));
+
+    assert.equal(result.valid, true);
+    assert.equal(getFunding.mock.callCount(), 0);
+  });
+});
+
+describe('validateSignal symbol lists', () => {
+  const settings = (allowedSymbols, blockedSymbols = []) => ({ ...config, trading: { ...config.trading, allowedSymbols, blockedSymbols } });
+
+  it('accepts only symbols matching the allowlist', async () => {
+    const allowlist = settings(['XBTUSDTM', '/^(SOL|AUS)DTM$/', '*PEPE*']);
+
+    assert.equal((await validateSignal(LONG_SIGNAL, validationContext({ settings: allowlist }))).valid, true);
+
+    const rejected = await validateSignal({ ...LONG_SIGNAL, symbol: 'ETHUSDTM' }, validationContext({ settings: allowlist }));
+    assert.equal(rejected.reason, 'Symbol ETHUSDTM is not in allowed list');
+    assert.equal(rejected.info.symbolFilter, 'ALLOWED_SYMBOLS: XBTUSDTM, /^(SOL|AUS)DTM$/, *PEPE*');
+  });
+
+  it('blocks a symbol even when it is allowed', async () => {
+    const result = await validateSignal(LONG_SIGNAL, validationContext({ settings: settings(['*USDTM'], ['A*']) }));
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Symbol AUSDTM is in blocked list (A*)');
+    assert.equal(result.info.symbolFilter, 'BLOCKED_SYMBOLS: A*');
+  });
+});
+
+describe('checkSymbolFilters', () => {
+  const symbolInfo = { turnoverOf24h: 2_500_000, openInterest: 50000, multiplier: 0.1, markPrice: 100, tickSize: 0.01 };
+
+  it('passes a liquid contract', () => {
+    assert.equal(checkSymbolFilters(symbolInfo, { minTurnoverUSDT: 1e6, minOpenInterestUSDT: 1e5, maxTickPercent: 0.05 }), null);
+  });
+
+  it('rejects low turnover, low open interest and a coarse tick', () => {
+    assert.equal(checkSymbolFilters(symbolInfo, { minTurnoverUSDT: 5e6 }).reason, '24h turnover 2.50M USDT < min 5.00M USDT');
+    assert.equal(checkSymbolFilters(symbolInfo, { minOpenInterestUSDT: 1e6 }).reason, 'Open interest 500.00K USDT < min 1.00M USDT');
+    assert.equal(checkSymbolFilters(symbolInfo, { maxTickPercent: 0.005 }).info.symbolFilter, 'SYMBOL_MAX_TICK_PERCENT');
+  });
+
+  it('values open interest at the signal price without contract prices', () => {
+    const info = { ...symbolInfo, markPrice: null };
+
+    assert.equal(checkSymbolFilters(info, { minOpenInterestUSDT: 1e5 }, 100), null);
+    assert.equal(checkSymbolFilters(info, { minOpenInterestUSDT: 1e5 }).info.filterValue, '0.00 USDT');
+  });
+});
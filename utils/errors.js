@@ -0,0 +1,88 @@
+/**
+ * Категорії помилок KuCoin API
+ *
+ *   RETRYABLE  — тимчасова проблема (мережа, 5xx, відхилений timestamp) — можна повторити
+ *   RATE_LIMIT — перевищено ліміт запитів (429000) — повторити після паузи
+ *   AUTH       — проблема з ключами/підписом/IP — повтор не допоможе
+ *   BUSINESS   — біржа відхилила запит (параметри, баланс тощо) — повтор не допоможе
+ */
+export const ErrorCategory = {
+  RETRYABLE: 'RETRYABLE',
+  RATE_LIMIT: 'RATE_LIMIT',
+  AUTH: 'AUTH',
+  BUSINESS: 'BUSINESS'
+};
+
+// Коди KuCoin, пов'язані з автентифікацією
+const AUTH_CODES = new Set([
+  '400001', // Відсутні заголовки KC-API-*
+  '400003', // KC-API-KEY не існує
+  '400004', // Невалідний KC-API-PASSPHRASE
+  '400005', // Невалідний підпис
+  '400006', // IP не в білому списку
+  '400007', // Недостатньо прав у API ключа
+  '411100'  // Акаунт заморожено
+]);
+
+// Невалідний KC-API-TIMESTAMP: біржа запит не обробила, після синхронізації годинника його можна повторити
+export const TIMESTAMP_ERROR_CODE = '400002';
+
+const RATE_LIMIT_CODE = '429000';
+const INTERNAL_ERROR_CODE = '500000';
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE'
+]);
+
+/**
+ * Помилка KuCoin API з категорією
+ */
+export class KuCoinApiError extends Error {
+  constructor(message, { code = null, status = null, category = ErrorCategory.BUSINESS, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'KuCoinApiError';
+    this.code = code;
+    this.status = status;
+    this.category = category;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isRetryable() {
+    return this.category === ErrorCategory.RETRYABLE || this.category === ErrorCategory.RATE_LIMIT;
+  }
+}
+
+/**
+ * Визначає категорію помилки за HTTP статусом, кодом KuCoin та кодом мережевої помилки
+ */
+export function classifyError({ status = null, code = null, networkCode = null }) {
+  const kucoinCode = code !== null && code !== undefined ? String(code) : null;
+
+  if (kucoinCode === RATE_LIMIT_CODE || status === 429) {
+    return ErrorCategory.RATE_LIMIT;
+  }
+
+  if (kucoinCode === TIMESTAMP_ERROR_CODE) {
+    return ErrorCategory.RETRYABLE;
+  }
+
+  if ((kucoinCode && AUTH_CODES.has(kucoinCode)) || status === 401 || status === 403) {
+    return ErrorCategory.AUTH;
+  }
+
+  if (kucoinCode === INTERNAL_ERROR_CODE || (status && status >= 500)) {
+    return ErrorCategory.RETRYABLE;
+  }
+
+  if (!status && networkCode && NETWORK_ERROR_CODES.has(networkCode)) {
+    return ErrorCategory.RETRYABLE;
+  }
+
+  return ErrorCategory.BUSINESS;
+}
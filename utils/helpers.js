@@ -29,6 +29,22 @@ export function roundPrice(price, pricePrecision) {
   return roundToDecimal(price, pricePrecision);
 }
 
+/**
+ * Округлює ціну до кроку ціни контракту (tickSize)
+ *
+ * @param {number} price
+ * @param {number} tickSize
+ * @param {string} mode — 'round' (найближчий), 'up' або 'down'
+ */
+export function roundToTick(price, tickSize, mode = 'round') {
+  if (!tickSize || tickSize <= 0) return price;
+
+  const fn = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  // Ділення з плаваючою точкою дає 99.99999 замість 100 — прибираємо шум перед округленням
+  const ticks = fn(roundToDecimal(price / tickSize, 8));
+  return roundToDecimal(ticks * tickSize, 10);
+}
+
 /**
  * Перевіряє чи є значення валідним числом
  */
@@ -73,22 +89,41 @@ export function calculatePnLPercent(entryPrice, exitPrice, direction) {
 }
 
 /**
- * Обчислює P&L в USDT
+ * Обчислює валовий P&L в USDT (без комісій і funding)
+ *
+ * @param {number} quantity   — lots
+ * @param {number} multiplier — розмір контракту (базової валюти в 1 lot)
  */
-export function calculatePnL(entryPrice, exitPrice, quantity, direction) {
+export function calculatePnL(entryPrice, exitPrice, quantity, direction, multiplier = 1) {
   if (!isValidNumber(entryPrice) || !isValidNumber(exitPrice) || !isValidNumber(quantity)) {
     return 0;
   }
   
   if (direction === 'LONG') {
-    return (exitPrice - entryPrice) * quantity;
+    return (exitPrice - entryPrice) * quantity * multiplier;
   } else if (direction === 'SHORT') {
-    return (entryPrice - exitPrice) * quantity;
+    return (entryPrice - exitPrice) * quantity * multiplier;
   }
   
   return 0;
 }
 
+/**
+ * Наступний funding-розрахунок після now.
+ * Час з кешу контрактів міг уже минути — зсуваємо його на цілу кількість періодів.
+ *
+ * @param {number} nextFundingTime — час funding з даних контракту (мс)
+ * @param {number} granularityMs   — період funding (8 годин у більшості контрактів)
+ * @param {number} now
+ * @returns {number|null}
+ */
+export function getNextFundingTime(nextFundingTime, granularityMs, now) {
+  if (!nextFundingTime) return null;
+  if (nextFundingTime > now || !granularityMs) return nextFundingTime;
+
+  return nextFundingTime + Math.ceil((now - nextFundingTime + 1) / granularityMs) * granularityMs;
+}
+
 /**
  * Форматує тривалість часу
  */
@@ -108,25 +143,56 @@ export function formatDuration(seconds) {
 }
 
 /**
- * Перевіряє чи символ в чорному списку (заблокований)
- * 
- * @param {string} symbol - Символ для перевірки (наприклад 'BTCUSDTM')
- * @param {string} blockedSymbols - Рядок з заблокованими символами через кому
- * @returns {boolean} - true якщо символ заблокований
+ * Шаблон символу → RegExp.
+ *
+ *   '/^1000.*USDTM$/i' — regex (між слешами, з прапорцями; g і y заборонені —
+ *                        з ними .test() зберігає lastIndex між викликами)
+ *   '*USDTM', 'DOGE?USDTM' — glob: '*' — будь-яка кількість символів, '?' — один символ
+ *   'XBTUSDTM' — точний збіг
+ *
+ * Glob і точні символи — без урахування регістру.
  */
-export function isSymbolBlocked(symbol, blockedSymbols) {
-  if (!symbol) return false;
-  if (!blockedSymbols || blockedSymbols.trim() === '') return false;
-  
-  const symbols = blockedSymbols.split(',').map(s => s.trim().toUpperCase());
-  return symbols.includes(symbol.toUpperCase());
+export function symbolPatternToRegExp(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    if (/[gy]/.test(regexMatch[2])) {
+      throw new Error(`regex flags g and y are not allowed in symbol pattern ${pattern}`);
+    }
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Перший шаблон зі списку, під який підпадає символ (або null)
+ *
+ * @param {string} symbol
+ * @param {string[]} patterns — див. symbolPatternToRegExp()
+ * @returns {string|null}
+ */
+export function findMatchingPattern(symbol, patterns) {
+  if (!symbol || !patterns) return null;
+
+  return patterns.find(pattern => symbolPatternToRegExp(pattern).test(symbol)) || null;
 }
 
 /**
- * Отримує поточну дату в форматі YYYY-MM-DD
+ * Отримує поточну дату в форматі YYYY-MM-DD (UTC)
+ *
+ * @param {number} [timestamp] — час (мс), за замовчуванням зараз
  */
-export function getCurrentDate() {
-  return new Date().toISOString().split('T')[0];
+export function getCurrentDate(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().split('T')[0];
 }
 
 /**